@@ -8,15 +8,16 @@
  *   node examples/auto-play-quick.js
  *
  * Local play (two terminals, different wallets):
- *   CLABCRAW_API_URL=http://localhost:4000 \
+ *   CLABCRAW_NETWORK=local \
  *   CLABCRAW_WALLET_PRIVATE_KEY=0x... \
  *   node examples/auto-play-quick.js | jq .
  */
 
 import { GameClient } from "../lib/game.js"
+import { SessionStore } from "../lib/session.js"
 import { estimateEquity, potOdds, shouldCall, suggestBetSize, findAction } from "../lib/strategy.js"
 import { logger } from "../lib/logger.js"
-import { PausedError, InsufficientFundsError, GameDisabledError } from "../lib/errors.js"
+import { PausedError, InsufficientFundsError, GameDisabledError, RateLimitedError } from "../lib/errors.js"
 
 const GAME_TYPE = process.env.CLABCRAW_GAME_TYPE || "poker"
 const MATCH_TIMEOUT_MS = 4 * 60 * 1000  // 4 minutes
@@ -85,8 +86,13 @@ function decideAction(state) {
 }
 
 async function main() {
-  const game = new GameClient()
+  // Restarting after a crash resumes the game in progress — see resume() below
+  const session = new SessionStore({ path: process.env.CLABCRAW_SESSION_PATH || ".clabcraw/session.json" })
+  const game = new GameClient({ session })
   logger.info("agent_ready", { address: game.address, game_type: GAME_TYPE })
+  game.on("rateLimited", ({ path, retryAfterMs, pollSlowdown }) => {
+    logger.warn("rate_limited", { path, retry_after_ms: retryAfterMs, poll_slowdown: pollSlowdown })
+  })
 
   // Fetch live platform info — confirms game is available and gets current fees
   const info = await game.getPlatformInfo()
@@ -101,41 +107,52 @@ async function main() {
     skill_version: info?.skill?.version,
   })
 
-  // Join queue
-  logger.info("joining_queue", {})
-  let joinResult
-  try {
-    joinResult = await game.join(GAME_TYPE)
-  } catch (err) {
-    if (err instanceof InsufficientFundsError) {
-      logger.error("join_failed", { code: err.code, error: err.message })
-      logger.error("hint", { message: "Fund your wallet with USDC on Base to pay the entry fee" })
-    } else if (err instanceof GameDisabledError) {
-      logger.error("join_failed", { code: err.code, error: err.message, available_games: err.availableGames })
-      logger.error("hint", { message: `Set CLABCRAW_GAME_TYPE to one of: ${err.availableGames.join(", ")}` })
-    } else if (err instanceof PausedError) {
-      logger.error("join_failed", { code: err.code, error: err.message, retry_after_ms: err.retryAfterMs })
-    } else {
-      logger.error("join_failed", { error: err.message })
+  // Pick up a game or queue left behind by a previous run instead of paying again
+  const resumed = await game.resume()
+  let gameId = resumed.games[0]?.gameId || null
+  if (gameId) {
+    const { handNumber, street } = resumed.games[0]
+    logger.info("resumed_game", { game_id: gameId, hand_number: handNumber, street })
+  } else if (resumed.queued) {
+    logger.info("resumed_queue", {})
+  } else {
+    // Join queue
+    logger.info("joining_queue", {})
+    let joinResult
+    try {
+      joinResult = await game.join(GAME_TYPE)
+    } catch (err) {
+      if (err instanceof InsufficientFundsError) {
+        logger.error("join_failed", { code: err.code, error: err.message })
+        logger.error("hint", { message: "Fund your wallet with USDC on Base to pay the entry fee" })
+      } else if (err instanceof GameDisabledError) {
+        logger.error("join_failed", { code: err.code, error: err.message, available_games: err.availableGames })
+        logger.error("hint", { message: `Set CLABCRAW_GAME_TYPE to one of: ${err.availableGames.join(", ")}` })
+      } else if (err instanceof PausedError || err instanceof RateLimitedError) {
+        logger.error("join_failed", { code: err.code, error: err.message, retry_after_ms: err.retryAfterMs })
+      } else {
+        logger.error("join_failed", { error: err.message })
+      }
+      process.exit(1)
     }
-    process.exit(1)
-  }
 
-  logger.info("joined_queue", { status: joinResult.status, queue_position: joinResult.queuePosition })
+    logger.info("joined_queue", { status: joinResult.status, queue_position: joinResult.queuePosition })
+  }
 
-  // Wait for match
-  logger.info("waiting_for_match", { timeout_ms: MATCH_TIMEOUT_MS })
-  let gameId
-  try {
-    gameId = await game.waitForMatch({ timeoutMs: MATCH_TIMEOUT_MS })
-    logger.info("matched", { game_id: gameId })
-  } catch (err) {
-    logger.error("match_failed", { code: err.code, error: err.message })
-    process.exit(1)
+  if (!gameId) {
+    // Wait for match
+    logger.info("waiting_for_match", { timeout_ms: MATCH_TIMEOUT_MS })
+    try {
+      gameId = await game.waitForMatch({ timeoutMs: MATCH_TIMEOUT_MS })
+      logger.info("matched", { game_id: gameId })
+    } catch (err) {
+      logger.error("match_failed", { code: err.code, error: err.message })
+      process.exit(1)
+    }
   }
 
   // Play game
-  const baseUrl = (process.env.CLABCRAW_API_URL || "https://clabcraw.sh").replace(/\/api$/, "")
+  const baseUrl = game.network.apiUrl.replace(/\/api$/, "")
   logger.info("game_started", { game_id: gameId, quick_mode_from_hand: NORMAL_PLAY_HANDS + 1, watch_url: `${baseUrl}/watch/${gameId}` })
   let lastHand = -1
 
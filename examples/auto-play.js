@@ -10,22 +10,23 @@
  *   node examples/auto-play.js
  *
  * Local play (two terminals, different wallets):
- *   CLABCRAW_API_URL=http://localhost:4000 \
+ *   CLABCRAW_NETWORK=local \
  *   CLABCRAW_WALLET_PRIVATE_KEY=0x... \
  *   node examples/auto-play.js | jq .
  */
 
+import { pathToFileURL } from "node:url"
+
 import { GameClient } from "../lib/game.js"
+import { SessionStore } from "../lib/session.js"
 import { estimateEquity, potOdds, shouldCall, suggestBetSize, findAction } from "../lib/strategy.js"
 import { logger } from "../lib/logger.js"
-import { PausedError, InsufficientFundsError, GameDisabledError } from "../lib/errors.js"
+import { PausedError, InsufficientFundsError, GameDisabledError, RateLimitedError } from "../lib/errors.js"
 
 const GAME_TYPE = process.env.CLABCRAW_GAME_TYPE || "poker"
 const MATCH_TIMEOUT_MS = 4 * 60 * 1000  // 4 minutes
 const POLL_MS = 1_000
 
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
-
 /**
  * Decide an action given a normalized game state.
  *
@@ -111,10 +112,27 @@ function decideAction(state) {
 }
 
 /**
- * Play a game to completion, recovering from invalid action errors instead of exiting.
+ * `recovery` listener: log what playUntilDone() corrected. `error` is null
+ * when the server itself flagged a "replay_applied" action as a duplicate.
  *
- * On INVALID_ACTION, logs a warning and immediately retries the turn with a safe
- * check/fold fallback so the agent stays in the game rather than crashing out.
+ * @param {{ kind: string, attempted: object, action: object|null, error: Error|null }} event
+ */
+export function logRecovery({ kind, attempted, action, error }) {
+  logger.warn("action_recovered", {
+    kind,
+    attempted,
+    action,
+    error: error?.message,
+    valid_actions: error?.context?.valid_actions,
+  })
+}
+
+/**
+ * Play a game to completion.
+ *
+ * GameClient.playUntilDone() recovers from rejected actions (corrected raise,
+ * check/fold fallback, already-applied replays) and submits a safe action if
+ * the strategy is too slow — this just wires its events to the logger.
  *
  * @param {GameClient} game
  * @param {string} gameId
@@ -122,59 +140,24 @@ function decideAction(state) {
  * @returns {Promise<import('../lib/schema.js').NormalizedState>}
  */
 async function playGame(game, gameId, baseUrl) {
-  let lastHand = -1
-
-  while (true) {
-    let state
-    try {
-      state = await game.getState(gameId)
-    } catch (err) {
-      if (err.code === "GAME_NOT_FOUND") {
-        // Game completed before we polled the final state — fetch result directly
-        const result = await game.getResult(gameId).catch(() => null)
-        const youWon = result?.winner?.toLowerCase() === game.address.toLowerCase()
-        const isDraw = result?.outcome === "draw"
-        return {
-          isFinished: true,
-          result: isDraw ? "draw" : result ? (youWon ? "win" : "loss") : "unknown",
-          outcome: result?.outcome || "unknown",
-          yourStack: youWon ? result?.winner_stack : result?.loser_stack,
-          opponentStack: youWon ? result?.loser_stack : result?.winner_stack,
-        }
-      }
-      throw err
-    }
-
-    if (state.unchanged) {
-      await sleep(POLL_MS)
-      continue
-    }
-
-    if (state.isFinished) {
-      logger.info("game_over", {
-        result: state.result,
-        outcome: state.outcome,
-        your_stack: state.yourStack,
-        opponent_stack: state.opponentStack,
-        replay_url: `${baseUrl}/replay/${gameId}`,
-      })
-      return state
-    }
-
-    if (state.handNumber !== lastHand) {
-      lastHand = state.handNumber
-      logger.info("new_hand", {
-        hand: state.handNumber,
-        street: state.street,
-        your_stack: state.yourStack,
-        opponent_stack: state.opponentStack,
-      })
-    }
+  game.on("handStarted", ({ handNumber, state }) => {
+    logger.info("new_hand", {
+      hand: handNumber,
+      street: state.street,
+      your_stack: state.yourStack,
+      opponent_stack: state.opponentStack,
+    })
+  })
+  game.on("recovery", logRecovery)
+  game.on("watchdogFired", ({ action, budgetMs }) => {
+    logger.warn("action_taken_fallback", { action: action.action, reason: "deadline", budget_ms: budgetMs })
+  })
+  game.on("forfeitRisk", ({ consecutiveTimeouts, limit }) => {
+    logger.warn("forfeit_risk", { consecutive_timeouts: consecutiveTimeouts, limit })
+  })
 
-    if (!state.isYourTurn) {
-      await sleep(POLL_MS)
-      continue
-    }
+  const state = await game.playUntilDone(gameId, async (state) => {
+    if (!state.isYourTurn) return null
 
     // Decide action, falling back to check/fold if strategy throws
     let action
@@ -184,42 +167,31 @@ async function playGame(game, gameId, baseUrl) {
       logger.error("strategy_error", { error: strategyErr.message })
       action = state.actions.check?.available ? { action: "check" } : { action: "fold" }
       logger.info("action_taken_fallback", { action: action.action, reason: "strategy_error" })
+      return action
     }
 
-    // Submit action — recover from transient errors to keep the agent in the game
-    try {
-      logger.info("action_taken", { action: action.action, amount: action.amount || null })
-      await game.submitAction(gameId, action)
-    } catch (err) {
-      if (err.code === "INVALID_ACTION") {
-        // Action was rejected as illegal — retry this turn with a safe fallback
-        logger.warn("invalid_action_fallback", {
-          attempted: action,
-          error: err.message,
-          valid_actions: err.context?.valid_actions,
-        })
-        const fallback = state.actions.check?.available ? { action: "check" } : { action: "fold" }
-        logger.info("action_taken_fallback", { action: fallback.action, reason: "invalid_action" })
-        await game.submitAction(gameId, fallback)
-      } else if (err.code === "AUTH_ERROR" && err.message === "Replay detected") {
-        // The network layer retried a request the server already processed.
-        // The action was accepted on the first attempt — just poll for the next state.
-        logger.warn("replay_detected_continuing", {
-          attempted: action,
-          note: "action was already processed; skipping retry",
-        })
-      } else {
-        throw err
-      }
-    }
+    logger.info("action_taken", { action: action.action, amount: action.amount || null })
+    return action
+  }, { pollMs: POLL_MS })
 
-    await sleep(POLL_MS)
-  }
+  logger.info("game_over", {
+    result: state.result,
+    outcome: state.outcome,
+    your_stack: state.yourStack,
+    opponent_stack: state.opponentStack,
+    replay_url: `${baseUrl}/replay/${gameId}`,
+  })
+  return state
 }
 
 async function main() {
-  const game = new GameClient()
+  // Restarting after a crash resumes the game in progress — see resume() below
+  const session = new SessionStore({ path: process.env.CLABCRAW_SESSION_PATH || ".clabcraw/session.json" })
+  const game = new GameClient({ session })
   logger.info("agent_ready", { address: game.address, game_type: GAME_TYPE })
+  game.on("rateLimited", ({ path, retryAfterMs, pollSlowdown }) => {
+    logger.warn("rate_limited", { path, retry_after_ms: retryAfterMs, poll_slowdown: pollSlowdown })
+  })
 
   // Fetch live platform info — confirms game is available and gets current fees
   const info = await game.getPlatformInfo()
@@ -234,41 +206,52 @@ async function main() {
     skill_version: info?.skill?.version,
   })
 
-  // Join queue
-  logger.info("joining_queue", {})
-  let joinResult
-  try {
-    joinResult = await game.join(GAME_TYPE)
-  } catch (err) {
-    if (err instanceof InsufficientFundsError) {
-      logger.error("join_failed", { code: err.code, error: err.message })
-      logger.error("hint", { message: "Fund your wallet with USDC on Base to pay the entry fee" })
-    } else if (err instanceof GameDisabledError) {
-      logger.error("join_failed", { code: err.code, error: err.message, available_games: err.availableGames })
-      logger.error("hint", { message: `Set CLABCRAW_GAME_TYPE to one of: ${err.availableGames.join(", ")}` })
-    } else if (err instanceof PausedError) {
-      logger.error("join_failed", { code: err.code, error: err.message, retry_after_ms: err.retryAfterMs })
-    } else {
-      logger.error("join_failed", { error: err.message })
+  // Pick up a game or queue left behind by a previous run instead of paying again
+  const resumed = await game.resume()
+  let gameId = resumed.games[0]?.gameId || null
+  if (gameId) {
+    const { handNumber, street } = resumed.games[0]
+    logger.info("resumed_game", { game_id: gameId, hand_number: handNumber, street })
+  } else if (resumed.queued) {
+    logger.info("resumed_queue", {})
+  } else {
+    // Join queue
+    logger.info("joining_queue", {})
+    let joinResult
+    try {
+      joinResult = await game.join(GAME_TYPE)
+    } catch (err) {
+      if (err instanceof InsufficientFundsError) {
+        logger.error("join_failed", { code: err.code, error: err.message })
+        logger.error("hint", { message: "Fund your wallet with USDC on Base to pay the entry fee" })
+      } else if (err instanceof GameDisabledError) {
+        logger.error("join_failed", { code: err.code, error: err.message, available_games: err.availableGames })
+        logger.error("hint", { message: `Set CLABCRAW_GAME_TYPE to one of: ${err.availableGames.join(", ")}` })
+      } else if (err instanceof PausedError || err instanceof RateLimitedError) {
+        logger.error("join_failed", { code: err.code, error: err.message, retry_after_ms: err.retryAfterMs })
+      } else {
+        logger.error("join_failed", { error: err.message })
+      }
+      process.exit(1)
     }
-    process.exit(1)
-  }
 
-  logger.info("joined_queue", { status: joinResult.status, queue_position: joinResult.queuePosition })
+    logger.info("joined_queue", { status: joinResult.status, queue_position: joinResult.queuePosition })
+  }
 
-  // Wait for match
-  logger.info("waiting_for_match", { timeout_ms: MATCH_TIMEOUT_MS })
-  let gameId
-  try {
-    gameId = await game.waitForMatch({ timeoutMs: MATCH_TIMEOUT_MS })
-    logger.info("matched", { game_id: gameId })
-  } catch (err) {
-    logger.error("match_failed", { code: err.code, error: err.message })
-    process.exit(1)
+  if (!gameId) {
+    // Wait for match
+    logger.info("waiting_for_match", { timeout_ms: MATCH_TIMEOUT_MS })
+    try {
+      gameId = await game.waitForMatch({ timeoutMs: MATCH_TIMEOUT_MS })
+      logger.info("matched", { game_id: gameId })
+    } catch (err) {
+      logger.error("match_failed", { code: err.code, error: err.message })
+      process.exit(1)
+    }
   }
 
   // Play game
-  const baseUrl = (process.env.CLABCRAW_API_URL || "https://clabcraw.sh").replace(/\/api$/, "")
+  const baseUrl = game.network.apiUrl.replace(/\/api$/, "")
   logger.info("game_started", { game_id: gameId, watch_url: `${baseUrl}/watch/${gameId}` })
 
   try {
@@ -291,7 +274,10 @@ async function main() {
   logger.info("session_complete", {})
 }
 
-main().catch((err) => {
-  logger.error("fatal", { error: err.message })
-  process.exit(1)
-})
+// Run only when executed directly, so tests can import the listeners
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    logger.error("fatal", { error: err.message })
+    process.exit(1)
+  })
+}
@@ -0,0 +1,290 @@
+/**
+ * Bankroll tracking and join limits.
+ *
+ * Keeps a ledger of entry fees paid and winnings received, and refuses a
+ * join whose entry fee would breach a configured limit:
+ *
+ *   const bankroll = new Bankroll({
+ *     path: ".clabcraw/bankroll.json",  // survives restarts
+ *     startingUsdc: 100,
+ *     floorUsdc: 40,            // never let the bankroll fall below this
+ *     dailySpendCapUsdc: 50,    // entry fees per UTC day
+ *     maxDrawdownUsdc: 30,      // from the best net result so far
+ *   })
+ *   const game = new GameClient({ bankroll })
+ *
+ * GameClient does the bookkeeping: join() reads the game type's fees from
+ * getPlatformInfo(), calls check() before paying and recordEntry() after,
+ * and a game finishing in states() / playUntilDone() calls recordResult().
+ * A refused join throws BankrollLimitError.
+ *
+ * Amounts are kept in atomic USDC units (6 decimals) and exposed as USDC.
+ * A cancelled queue refunds the entry fee to the claimable balance, which
+ * the ledger does not see — call recordRefund() for it.
+ */
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs"
+import { dirname } from "node:path"
+
+import { BankrollLimitError } from "./errors.js"
+
+const USDC_DECIMALS = 1_000_000
+const DAY_MS = 86_400_000
+const KEEP_DAYS = 7       // daily spend entries kept in the file
+const KEEP_SETTLED = 100  // finished game ids kept to ignore repeated results
+const FINAL_RESULTS = new Set(["win", "loss", "draw"])
+
+function toAtomic(usdc) {
+  return Math.round(Number(usdc || 0) * USDC_DECIMALS)
+}
+
+function toUsdc(atomic) {
+  return atomic / USDC_DECIMALS
+}
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10)
+}
+
+/**
+ * @typedef {object} GameFees
+ * @property {number} entryFeeUsdc - Paid on join
+ * @property {number} serviceFeeUsdc - Platform's share of the entry fees
+ * @property {number} winnerPayoutUsdc - Paid to the winner
+ * @property {number} drawFeeUsdc - Kept from each player on a draw; the rest is refunded
+ */
+
+/**
+ * Fees of one game type from getPlatformInfo(), or null if the platform does
+ * not list it (disabled or unknown).
+ *
+ * @param {object} info - getPlatformInfo() response
+ * @param {string} gameType
+ * @returns {GameFees|null}
+ */
+export function gameFees(info, gameType) {
+  const game = info?.games?.[gameType]
+  if (!game) return null
+  return {
+    entryFeeUsdc: Number(game.entry_fee_usdc) || 0,
+    serviceFeeUsdc: Number(game.service_fee_usdc) || 0,
+    winnerPayoutUsdc: Number(game.winner_payout_usdc) || 0,
+    drawFeeUsdc: Number(game.draw_fee_per_agent_usdc) || 0,
+  }
+}
+
+function emptyLedger() {
+  return {
+    feesPaid: 0,
+    serviceFees: 0,
+    winnings: 0,
+    peakNet: 0,
+    daily: {},    // "YYYY-MM-DD" → entry fees paid that UTC day
+    open: [],     // entries whose game has not finished: { gameType, gameId, fees, joinedAt }
+    settled: [],  // recently finished game ids
+  }
+}
+
+export class Bankroll {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.path] - JSON file to persist the ledger to; loaded if it exists.
+   *   Without a path the ledger lives in memory only.
+   * @param {number} [opts.startingUsdc] - Bankroll before the first recorded game; required
+   *   for `floorUsdc`
+   * @param {number} [opts.floorUsdc] - Refuse joins that would take the bankroll below this
+   * @param {number} [opts.dailySpendCapUsdc] - Refuse joins past this much in entry fees per UTC day
+   * @param {number} [opts.maxDrawdownUsdc] - Refuse joins that could put the net result this far
+   *   below its best
+   * @param {() => number} [opts.now=Date.now]
+   */
+  constructor({ path = null, startingUsdc = null, floorUsdc = null, dailySpendCapUsdc = null, maxDrawdownUsdc = null, now = Date.now } = {}) {
+    this.path = path
+    this.startingUsdc = startingUsdc
+    this.floorUsdc = floorUsdc
+    this.dailySpendCapUsdc = dailySpendCapUsdc
+    this.maxDrawdownUsdc = maxDrawdownUsdc
+    this._now = now
+    this._ledger = path ? load(path) : emptyLedger()
+  }
+
+  /**
+   * Totals so far, in USDC.
+   *
+   * @returns {{ feesPaidUsdc: number, serviceFeesUsdc: number, winningsUsdc: number, netUsdc: number,
+   *   peakNetUsdc: number, drawdownUsdc: number, spentTodayUsdc: number, balanceUsdc: number|null,
+   *   openGames: number }}
+   */
+  summary() {
+    const l = this._ledger
+    const net = l.winnings - l.feesPaid
+    return {
+      feesPaidUsdc: toUsdc(l.feesPaid),
+      serviceFeesUsdc: toUsdc(l.serviceFees),
+      winningsUsdc: toUsdc(l.winnings),
+      netUsdc: toUsdc(net),
+      peakNetUsdc: toUsdc(l.peakNet),
+      drawdownUsdc: toUsdc(l.peakNet - net),
+      spentTodayUsdc: toUsdc(this._spentToday()),
+      balanceUsdc: this.startingUsdc == null ? null : toUsdc(toAtomic(this.startingUsdc) + net),
+      openGames: l.open.length,
+    }
+  }
+
+  /**
+   * Throw if paying `fees.entryFeeUsdc` now would breach a limit. The entry
+   * fee is assumed lost, so a join is refused before it could cross a limit.
+   *
+   * @param {string} gameType
+   * @param {GameFees} fees
+   * @throws {BankrollLimitError}
+   */
+  check(gameType, fees) {
+    const l = this._ledger
+    const fee = toAtomic(fees.entryFeeUsdc)
+    const net = l.winnings - l.feesPaid
+    const refuse = (limit, headroom, message, extra = {}) => {
+      throw new BankrollLimitError(message, {
+        limit,
+        gameType,
+        entryFeeUsdc: fees.entryFeeUsdc,
+        headroomUsdc: toUsdc(Math.max(0, headroom)),
+        ...extra,
+      })
+    }
+
+    if (this.floorUsdc != null && this.startingUsdc != null) {
+      const headroom = toAtomic(this.startingUsdc) + net - toAtomic(this.floorUsdc)
+      if (fee > headroom) {
+        refuse("floor", headroom, `Entry fee of ${fees.entryFeeUsdc} USDC would take the bankroll below its ${this.floorUsdc} USDC floor`)
+      }
+    }
+
+    if (this.dailySpendCapUsdc != null) {
+      const headroom = toAtomic(this.dailySpendCapUsdc) - this._spentToday()
+      if (fee > headroom) {
+        const now = this._now()
+        refuse("daily_spend", headroom, `Entry fee of ${fees.entryFeeUsdc} USDC would exceed the daily spend cap of ${this.dailySpendCapUsdc} USDC`, {
+          retryAfterMs: DAY_MS - (now % DAY_MS),
+        })
+      }
+    }
+
+    if (this.maxDrawdownUsdc != null) {
+      const headroom = toAtomic(this.maxDrawdownUsdc) - (l.peakNet - net)
+      if (fee > headroom) {
+        refuse("drawdown", headroom, `Entry fee of ${fees.entryFeeUsdc} USDC could exceed the ${this.maxDrawdownUsdc} USDC drawdown limit`)
+      }
+    }
+  }
+
+  /**
+   * Record an entry fee paid by a successful join.
+   *
+   * @param {string} gameType
+   * @param {GameFees} fees
+   * @param {object} [opts]
+   * @param {string|null} [opts.gameId] - Known when the join matched straight away
+   */
+  recordEntry(gameType, fees, { gameId = null } = {}) {
+    const l = this._ledger
+    const now = this._now()
+    const fee = toAtomic(fees.entryFeeUsdc)
+    l.feesPaid += fee
+    l.serviceFees += toAtomic(fees.serviceFeeUsdc)
+    l.daily[dayOf(now)] = (l.daily[dayOf(now)] || 0) + fee
+    l.open.push({ gameType, gameId, fees, joinedAt: now })
+    this._save()
+  }
+
+  /**
+   * Link a matched game to the oldest open entry of its type.
+   *
+   * @param {string} gameId
+   * @param {string} gameType
+   */
+  assignGame(gameId, gameType) {
+    const l = this._ledger
+    if (l.open.some((e) => e.gameId === gameId) || l.settled.includes(gameId)) return
+    const entry = l.open.find((e) => e.gameId === null && e.gameType === gameType)
+    if (!entry) return
+    entry.gameId = gameId
+    this._save()
+  }
+
+  /**
+   * Record how a game ended and credit what it paid out: the winner payout
+   * for a win, the entry fee less the draw fee for a draw. Repeated results
+   * for the same game are ignored, and so is any other result ("unknown"
+   * when it could not be read): the entry stays open until a final one.
+   *
+   * @param {string} gameId
+   * @param {"win"|"loss"|"draw"|string} result
+   * @param {string|null} [gameType] - Lets a game never linked to its entry settle
+   *   the oldest unlinked entry of this type
+   */
+  recordResult(gameId, result, gameType = null) {
+    const l = this._ledger
+    if (!FINAL_RESULTS.has(result) || l.settled.includes(gameId)) return
+    const idx = l.open.findIndex((e) => e.gameId === gameId)
+    const at = idx !== -1 || !gameType ? idx : l.open.findIndex((e) => e.gameId === null && e.gameType === gameType)
+    if (at === -1) return
+
+    const [entry] = l.open.splice(at, 1)
+    if (result === "win") l.winnings += toAtomic(entry.fees.winnerPayoutUsdc)
+    if (result === "draw") l.winnings += toAtomic(entry.fees.entryFeeUsdc) - toAtomic(entry.fees.drawFeeUsdc)
+    l.peakNet = Math.max(l.peakNet, l.winnings - l.feesPaid)
+    l.settled = [...l.settled, gameId].slice(-KEEP_SETTLED)
+    this._save()
+  }
+
+  /**
+   * Record an entry fee refunded by a cancelled queue, closing the oldest
+   * unmatched entry of that game type.
+   *
+   * @param {string} gameType
+   */
+  recordRefund(gameType) {
+    const l = this._ledger
+    const idx = l.open.findIndex((e) => e.gameId === null && e.gameType === gameType)
+    if (idx === -1) return
+    const [entry] = l.open.splice(idx, 1)
+    const fee = toAtomic(entry.fees.entryFeeUsdc)
+    const day = dayOf(entry.joinedAt)
+    l.feesPaid -= fee
+    l.serviceFees -= toAtomic(entry.fees.serviceFeeUsdc)
+    if (l.daily[day]) l.daily[day] -= fee
+    this._save()
+  }
+
+  // ─── Internals ──────────────────────────────────────────────────────────────
+
+  _spentToday() {
+    return this._ledger.daily[dayOf(this._now())] || 0
+  }
+
+  _save() {
+    if (!this.path) return
+    const cutoff = dayOf(this._now() - KEEP_DAYS * DAY_MS)
+    for (const day of Object.keys(this._ledger.daily)) {
+      if (day < cutoff) delete this._ledger.daily[day]
+    }
+
+    // Write-then-rename so a crash mid-write never leaves a truncated file
+    mkdirSync(dirname(this.path), { recursive: true })
+    const tmp = `${this.path}.tmp`
+    writeFileSync(tmp, JSON.stringify({ ...this._ledger, version: 1 }, null, 2))
+    renameSync(tmp, this.path)
+  }
+}
+
+function load(path) {
+  let raw
+  try {
+    raw = readFileSync(path, "utf-8")
+  } catch (err) {
+    if (err.code === "ENOENT") return emptyLedger()
+    throw err
+  }
+  return { ...emptyLedger(), ...JSON.parse(raw) }
+}
@@ -0,0 +1,324 @@
+/**
+ * Minimal Phoenix Channels client (JSON serializer v2) over `ws`.
+ *
+ * The Clabcraw server is a Phoenix app; instead of polling it can push game
+ * and agent updates over a socket at `/socket/websocket`. Messages on the wire
+ * are `[join_ref, ref, topic, event, payload]` arrays.
+ *
+ *   import { PhoenixSocket, socketUrlFor } from './lib/channel.js'
+ *
+ *   const socket = new PhoenixSocket(socketUrlFor('https://clabcraw.sh'))
+ *   await socket.connect()
+ *   const channel = await socket.join(`game:${gameId}`, { signer, timestamp, signature })
+ *   channel.reply                              // join response
+ *   for await (const payload of channel.messages('state')) { ... }
+ *   socket.close()
+ *
+ * Any transport failure (connect error, lost heartbeat, dropped connection)
+ * surfaces as a SocketError so callers can fall back to HTTP polling.
+ */
+
+import { EventEmitter } from "node:events"
+import WebSocket from "ws"
+import { AuthError, ClabcrawError, GameNotFoundError, SocketError } from "./errors.js"
+
+const DEFAULT_HEARTBEAT_MS = 30_000
+const DEFAULT_TIMEOUT_MS = 10_000
+
+/**
+ * Derive the socket endpoint from an API base URL.
+ *
+ * @param {string} apiUrl - e.g. "https://clabcraw.sh"
+ * @returns {string} e.g. "wss://clabcraw.sh/socket/websocket?vsn=2.0.0"
+ */
+export function socketUrlFor(apiUrl) {
+  return `${apiUrl.replace(/\/$/, "").replace(/^http/, "ws")}/socket/websocket?vsn=2.0.0`
+}
+
+export class PhoenixSocket extends EventEmitter {
+  /**
+   * @param {string} url - Full socket URL (see socketUrlFor)
+   * @param {object} [opts]
+   * @param {number} [opts.heartbeatMs=30000] - Heartbeat interval; a missed reply closes the socket
+   * @param {number} [opts.timeoutMs=10000] - Connect and push reply timeout
+   */
+  constructor(url, { heartbeatMs = DEFAULT_HEARTBEAT_MS, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    super()
+    this.url = url
+    this.heartbeatMs = heartbeatMs
+    this.timeoutMs = timeoutMs
+
+    this._ws = null
+    this._ref = 0
+    this._pending = new Map()  // ref → { resolve, reject, timer }
+    this._channels = new Map() // topic → Channel
+    this._heartbeat = null
+    this._heartbeatRef = null
+    this._closed = false
+  }
+
+  /** True while the connection is open. */
+  get isConnected() {
+    return this._ws?.readyState === WebSocket.OPEN
+  }
+
+  /**
+   * Open the connection.
+   *
+   * @returns {Promise<void>}
+   * @throws {SocketError} if the connection cannot be opened within timeoutMs
+   */
+  async connect() {
+    if (this.isConnected) return
+
+    const ws = new WebSocket(this.url, { handshakeTimeout: this.timeoutMs })
+    this._ws = ws
+    this._closed = false
+
+    await new Promise((resolve, reject) => {
+      const onOpen = () => {
+        ws.off("error", onError)
+        resolve()
+      }
+      const onError = (cause) => {
+        ws.off("open", onOpen)
+        reject(new SocketError(`Socket connect failed: ${cause?.message || cause}`, { context: cause }))
+      }
+      ws.once("open", onOpen)
+      ws.once("error", onError)
+    })
+
+    ws.on("message", (data) => this._onMessage(data))
+    ws.on("close", (code) => this._onClose(new SocketError(`Socket closed (${code})`, { context: { code } })))
+    ws.on("error", (cause) => this._onClose(new SocketError(`Socket error: ${cause?.message || cause}`, { context: cause })))
+
+    this._heartbeat = setInterval(() => this._sendHeartbeat(), this.heartbeatMs)
+    this._heartbeat.unref?.()
+  }
+
+  /**
+   * Join a channel topic.
+   *
+   * @param {string} topic - e.g. "game:{id}" or "agent:{address}"
+   * @param {object} [payload] - Join params (auth)
+   * @returns {Promise<Channel>} Joined channel; `channel.reply` holds the join response
+   * @throws {AuthError} when the server rejects the join as unauthorized
+   * @throws {GameNotFoundError} when the topic does not exist
+   * @throws {SocketError} on transport failure
+   */
+  async join(topic, payload = {}) {
+    const channel = new Channel(this, topic)
+    this._channels.set(topic, channel)
+
+    try {
+      channel.joinRef = this._nextRef()
+      channel.reply = await this._push(topic, "phx_join", payload, channel.joinRef)
+      return channel
+    } catch (err) {
+      this._channels.delete(topic)
+      throw err
+    }
+  }
+
+  /** Close the connection. Joined channels end without error. */
+  close() {
+    this._closed = true
+    this._stopHeartbeat()
+    for (const channel of this._channels.values()) channel._end(null)
+    this._channels.clear()
+    this._rejectPending(new SocketError("Socket closed"))
+    this._ws?.close()
+    this._ws = null
+  }
+
+  // ─── Internal ───────────────────────────────────────────────────────────────
+
+  _nextRef() {
+    return String(++this._ref)
+  }
+
+  /** Send a message and resolve with the reply's response (rejects on error replies). */
+  _push(topic, event, payload, joinRef = null) {
+    if (!this.isConnected) return Promise.reject(new SocketError("Socket is not connected"))
+
+    const ref = event === "phx_join" ? joinRef : this._nextRef()
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._pending.delete(ref)
+        reject(new SocketError(`No reply to ${event} on ${topic} within ${this.timeoutMs}ms`))
+      }, this.timeoutMs)
+      this._pending.set(ref, { resolve, reject, timer, topic })
+      this._ws.send(JSON.stringify([joinRef, ref, topic, event, payload]))
+    })
+  }
+
+  _sendHeartbeat() {
+    if (this._heartbeatRef) {
+      // Previous heartbeat never answered — the connection is dead
+      this._heartbeatRef = null
+      this._ws?.terminate()
+      return
+    }
+    const ref = this._nextRef()
+    this._heartbeatRef = ref
+    this._ws?.send(JSON.stringify([null, ref, "phoenix", "heartbeat", {}]))
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeat)
+    this._heartbeat = null
+    this._heartbeatRef = null
+  }
+
+  _onMessage(data) {
+    let message
+    try {
+      message = JSON.parse(data.toString())
+    } catch {
+      return
+    }
+    const [, ref, topic, event, payload] = message
+
+    if (event === "phx_reply") {
+      if (ref === this._heartbeatRef) {
+        this._heartbeatRef = null
+        return
+      }
+      const pending = this._pending.get(ref)
+      if (!pending) return
+      this._pending.delete(ref)
+      clearTimeout(pending.timer)
+      if (payload?.status === "ok") pending.resolve(payload.response ?? {})
+      else pending.reject(replyError(topic, payload?.response))
+      return
+    }
+
+    const channel = this._channels.get(topic)
+    if (!channel) return
+
+    if (event === "phx_error" || event === "phx_close") {
+      this._channels.delete(topic)
+      channel._end(event === "phx_error" ? new SocketError(`Channel ${topic} crashed`) : null)
+      return
+    }
+
+    channel._deliver(event, payload)
+  }
+
+  _onClose(err) {
+    if (this._closed) return
+    this._closed = true
+    this._stopHeartbeat()
+    for (const channel of this._channels.values()) channel._end(err)
+    this._channels.clear()
+    this._rejectPending(err)
+    this._ws = null
+    this.emit("close", err)
+  }
+
+  _rejectPending(err) {
+    for (const { reject, timer } of this._pending.values()) {
+      clearTimeout(timer)
+      reject(err)
+    }
+    this._pending.clear()
+  }
+}
+
+/**
+ * A joined channel topic. Emits each pushed event by name and "close" when the
+ * channel ends (with a SocketError if it ended because the transport failed).
+ */
+export class Channel extends EventEmitter {
+  constructor(socket, topic) {
+    super()
+    this.socket = socket
+    this.topic = topic
+    this.joinRef = null
+    this.reply = null
+    this.closed = false
+    this.error = null
+    // Pushes can arrive in the same frame batch as the join reply, before
+    // anyone has subscribed — hold them until the first messages() call.
+    this._backlog = []
+  }
+
+  /**
+   * Iterate payloads pushed for one event until the channel ends.
+   * The first call also receives matching payloads pushed since the join.
+   *
+   * @param {string} event
+   * @yields {object}
+   * @throws {SocketError} if the channel ends because the transport failed
+   */
+  async *messages(event) {
+    const buffer = this._backlog ? this._backlog.filter(([e]) => e === event).map(([, p]) => p) : []
+    this._backlog = null
+    let wake = null
+    const onMessage = (payload) => {
+      buffer.push(payload)
+      wake?.()
+    }
+    const onClose = () => wake?.()
+    this.on(event, onMessage)
+    this.on("close", onClose)
+
+    try {
+      while (true) {
+        if (buffer.length > 0) {
+          yield buffer.shift()
+          continue
+        }
+        if (this.closed) {
+          if (this.error) throw this.error
+          return
+        }
+        await new Promise((resolve) => {
+          wake = resolve
+        })
+        wake = null
+      }
+    } finally {
+      this.off(event, onMessage)
+      this.off("close", onClose)
+    }
+  }
+
+  /** Leave the channel. Never throws — a dead socket has already left. */
+  async leave() {
+    if (this.closed) return
+    this.socket._channels.delete(this.topic)
+    try {
+      await this.socket._push(this.topic, "phx_leave", {}, this.joinRef)
+    } catch {
+      // Transport already gone
+    }
+    this._end(null)
+  }
+
+  _deliver(event, payload) {
+    this._backlog?.push([event, payload])
+    this.emit(event, payload)
+  }
+
+  _end(err) {
+    if (this.closed) return
+    this.closed = true
+    this.error = err
+    this.emit("close", err)
+  }
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+/** Map an error join/push reply to a typed error. */
+function replyError(topic, response = {}) {
+  const reason = response?.reason || "error"
+  if (reason === "unauthorized") return new AuthError(`Channel join unauthorized: ${topic}`, { context: response })
+  if (reason === "not_found") return new GameNotFoundError(topic.split(":").slice(1).join(":"), { context: response })
+  return new ClabcrawError(`Channel ${topic} replied with error: ${reason}`, {
+    code: "CHANNEL_ERROR",
+    retriable: false,
+    context: response,
+  })
+}
@@ -0,0 +1,189 @@
+/**
+ * Automatic claiming of accumulated winnings.
+ *
+ * A ClaimPolicy decides whether claiming the on-chain claimable balance is
+ * worth it right now, and claims when it is:
+ *
+ *   const policy = new ClaimPolicy({
+ *     thresholdUsdc: 25,         // leave smaller balances to accumulate
+ *     maxGasFraction: 0.02,      // gas may cost at most 2% of the amount
+ *     minIntervalMs: 3_600_000,  // at most one claim per hour
+ *     ethPriceUsdc: 3_000,       // or an async () => price
+ *     path: ".clabcraw/claims.jsonl",
+ *   })
+ *   const outcome = await policy.maybeClaim(game)
+ *   // { claimed: true, reason: "claimed", record } or { claimed: false, reason: "below_threshold", ... }
+ *
+ * AgentRunner applies a policy after every game when given one as `claim`;
+ * bins/clabcraw-auto-claim applies one on a timer.
+ *
+ * Every claim sent is recorded — tx hash, amount and receipt — in `claims`
+ * and, with a `path`, appended to a JSONL file. The last record sets the
+ * start of the interval, so a restarted daemon does not claim early. A
+ * reverted claim is recorded too, and counts towards the interval.
+ */
+
+import { appendFileSync, mkdirSync, readFileSync } from "node:fs"
+import { dirname } from "node:path"
+import { ClabcrawError } from "./errors.js"
+
+/**
+ * @typedef {object} ClaimRecord
+ * @property {string} claimedAt - ISO timestamp
+ * @property {string} txHash
+ * @property {string} amount - Atomic USDC units
+ * @property {string} amountUsdc
+ * @property {{ status: string, blockNumber: string, gasUsed: string, effectiveGasPrice: string|null }} receipt
+ */
+
+/**
+ * @typedef {object} ClaimOutcome
+ * @property {boolean} claimed
+ * @property {"claimed"|"due"|"interval"|"nothing_to_claim"|"below_threshold"|"gas_too_high"} reason -
+ *   "due" only from evaluate(): a claim would be sent
+ * @property {string} [amountUsdc] - Claimable balance, once read
+ * @property {number} [gasCostUsdc] - Estimated gas cost, once estimated
+ * @property {number} [nextClaimAt] - ms timestamp the interval ends, for "interval"
+ * @property {ClaimRecord} [record] - For "claimed"
+ */
+
+/** A receipt reduced to JSON-safe fields worth keeping. */
+function receiptFields(receipt) {
+  return {
+    status: receipt.status,
+    blockNumber: String(receipt.blockNumber),
+    gasUsed: String(receipt.gasUsed),
+    effectiveGasPrice: receipt.effectiveGasPrice == null ? null : String(receipt.effectiveGasPrice),
+  }
+}
+
+export class ClaimPolicy {
+  /**
+   * @param {object} opts
+   * @param {number|(() => number|Promise<number>)} opts.ethPriceUsdc - (required) ETH price in
+   *   USDC, or a function returning a live one. Gas is estimated in ETH; this prices it in USDC
+   *   to compare with `maxGasFraction` of the amount, skipping claims as "gas_too_high".
+   * @param {number} [opts.thresholdUsdc=10] - Claim only balances of at least this much
+   * @param {number} [opts.maxGasFraction=0.02] - Claim only while estimated gas costs at most
+   *   this fraction of the amount
+   * @param {number} [opts.minIntervalMs=3600000] - Minimum time between claims
+   * @param {string} [opts.path] - JSONL file claims are appended to; read on construction
+   * @param {() => number} [opts.now=Date.now]
+   * @throws {ClabcrawError} CONFIG_ERROR without a positive `ethPriceUsdc` or a function
+   */
+  constructor({
+    ethPriceUsdc,
+    thresholdUsdc = 10,
+    maxGasFraction = 0.02,
+    minIntervalMs = 3_600_000,
+    path = null,
+    now = Date.now,
+  } = {}) {
+    if (typeof ethPriceUsdc !== "function" && !(ethPriceUsdc > 0)) {
+      throw new ClabcrawError("ClaimPolicy needs ethPriceUsdc: an ETH price in USDC, or a function returning one", {
+        code: "CONFIG_ERROR",
+      })
+    }
+    this.thresholdUsdc = thresholdUsdc
+    this.maxGasFraction = maxGasFraction
+    this.minIntervalMs = minIntervalMs
+    this.ethPriceUsdc = ethPriceUsdc
+    this.path = path
+    this._now = now
+    this._claims = path ? load(path) : []
+  }
+
+  /** @returns {ClaimRecord[]} Claims sent so far, oldest first */
+  get claims() {
+    return [...this._claims]
+  }
+
+  /** @returns {number|null} ms timestamp of the last claim sent */
+  get lastClaimAt() {
+    const last = this._claims.at(-1)
+    return last ? Date.parse(last.claimedAt) : null
+  }
+
+  /**
+   * Decide whether to claim now, without sending anything.
+   *
+   * @param {import('./game.js').GameClient} game
+   * @returns {Promise<ClaimOutcome>} Always `claimed: false`
+   */
+  async evaluate(game) {
+    const nextClaimAt = this.lastClaimAt == null ? null : this.lastClaimAt + this.minIntervalMs
+    if (nextClaimAt != null && this._now() < nextClaimAt) {
+      return { claimed: false, reason: "interval", nextClaimAt }
+    }
+
+    const estimate = await game.estimateClaim()
+    const { amountUsdc } = estimate
+    if (estimate.amount === 0n) return { claimed: false, reason: "nothing_to_claim", amountUsdc }
+    if (Number(amountUsdc) < this.thresholdUsdc) return { claimed: false, reason: "below_threshold", amountUsdc }
+
+    const ethPrice = typeof this.ethPriceUsdc === "function" ? await this.ethPriceUsdc() : this.ethPriceUsdc
+    const gasCostUsdc = Number(estimate.gasCostEth) * ethPrice
+    if (gasCostUsdc > Number(amountUsdc) * this.maxGasFraction) {
+      return { claimed: false, reason: "gas_too_high", amountUsdc, gasCostUsdc }
+    }
+
+    return { claimed: false, reason: "due", amountUsdc, gasCostUsdc }
+  }
+
+  /**
+   * Claim if evaluate() says a claim is due, and record it.
+   *
+   * @param {import('./game.js').GameClient} game
+   * @returns {Promise<ClaimOutcome>}
+   * @throws {import('./errors.js').ClabcrawError} CLAIM_FAILED (recorded) or chain errors
+   */
+  async maybeClaim(game) {
+    const outcome = await this.evaluate(game)
+    if (outcome.reason !== "due") return outcome
+
+    let result
+    try {
+      result = await game.claim()
+    } catch (err) {
+      // Claimed elsewhere between the estimate and the transaction
+      if (err.code === "NOTHING_TO_CLAIM") return { ...outcome, reason: "nothing_to_claim" }
+      if (err.code === "CLAIM_FAILED") {
+        // Nothing was paid out, but the gas was spent — the interval still applies
+        this._record({ txHash: err.context.transactionHash, amount: 0n, amountUsdc: "0.00", receipt: err.context })
+      }
+      throw err
+    }
+
+    const record = this._record(result)
+    return { ...outcome, claimed: true, reason: "claimed", record }
+  }
+
+  // ─── Internals ──────────────────────────────────────────────────────────────
+
+  _record({ txHash, amount, amountUsdc, receipt }) {
+    const record = {
+      claimedAt: new Date(this._now()).toISOString(),
+      txHash,
+      amount: String(amount),
+      amountUsdc,
+      receipt: receiptFields(receipt),
+    }
+    this._claims.push(record)
+    if (this.path) {
+      mkdirSync(dirname(this.path), { recursive: true })
+      appendFileSync(this.path, JSON.stringify(record) + "\n")
+    }
+    return record
+  }
+}
+
+function load(path) {
+  let raw
+  try {
+    raw = readFileSync(path, "utf-8")
+  } catch (err) {
+    if (err.code === "ENOENT") return []
+    throw err
+  }
+  return raw.split("\n").filter(Boolean).map((line) => JSON.parse(line))
+}
@@ -3,7 +3,7 @@
  *
  * Provides:
  * - createSigner(privateKey) — viem account from private key
- * - createPaymentFetch(signer) — fetch wrapper that auto-handles x402 402 flows
+ * - createPaymentFetch(signer, fetchImpl?) — fetch wrapper that auto-handles x402 402 flows
  */
 
 import { x402Client, wrapFetchWithPayment } from "@x402/fetch";
@@ -23,9 +23,12 @@ export function createSigner(privateKey) {
  * Create a fetch function that automatically handles x402 payment flows.
  * When a request returns HTTP 402, the wrapper signs a USDC authorization
  * and retries with the payment-signature header.
+ *
+ * @param {object} signer - viem account from createSigner()
+ * @param {typeof fetch} [fetchImpl=fetch] - Underlying fetch for both legs of the flow
  */
-export function createPaymentFetch(signer) {
+export function createPaymentFetch(signer, fetchImpl = fetch) {
   const client = new x402Client();
   registerExactEvmScheme(client, { signer });
-  return wrapFetchWithPayment(fetch, client);
+  return wrapFetchWithPayment(fetchImpl, client);
 }
@@ -0,0 +1,539 @@
+/**
+ * Heads-up no-limit Texas Hold'em engine.
+ *
+ * A self-contained implementation of the game the Clabcraw server runs:
+ * blinds that double every `blindIncreaseInterval` hands, a hand cap where the
+ * chip leader wins (equal stacks draw), and the consecutive-timeout forfeit.
+ * It has no I/O — the local mock server (lib/mock-server.js) drives it from
+ * HTTP requests and timers.
+ *
+ *   const game = new HeadsUpGame({ startingStack: 10_000 })
+ *   game.validActions(game.toAct)       // raw valid_actions shape
+ *   game.act(game.toAct, { action: "call" })
+ *   game.viewFor(0)                     // raw API state from seat 0's view
+ *
+ * Seats are 0 and 1. `viewFor(seat)` renders the state in the same shape as
+ * GET /v1/games/:id/state, so it can be passed straight to normalizeState().
+ * Raise amounts are "raise to" totals for the current street, matching the
+ * `valid_actions.raise.min/max` the server reports.
+ */
+
+import { parseCard } from "./schema.js"
+import { InvalidActionError, NotYourTurnError, ClabcrawError } from "./errors.js"
+
+const RANKS = "23456789TJQKA"
+const SUITS = ["spades", "hearts", "diamonds", "clubs"]
+
+const HAND_NAMES = [
+  "High Card", "Pair", "Two Pair", "Three of a Kind", "Straight",
+  "Flush", "Full House", "Four of a Kind", "Straight Flush",
+]
+
+// All 5-card index combinations out of 7 cards, computed once
+const COMBOS_7 = combinations(7, 5)
+
+// ─── Cards & hand evaluation ───────────────────────────────────────────────────
+
+/**
+ * Build an ordered 52-card deck of API-style card strings ("Aspades", "Thearts").
+ *
+ * @returns {string[]}
+ */
+export function createDeck() {
+  const deck = []
+  for (const suit of SUITS) {
+    for (const rank of RANKS) deck.push(`${rank}${suit}`)
+  }
+  return deck
+}
+
+/**
+ * Fisher-Yates shuffle in place.
+ *
+ * @param {Array} deck
+ * @param {() => number} [rng=Math.random] - Returns a float in [0, 1)
+ * @returns {Array} The same array, shuffled
+ */
+export function shuffle(deck, rng = Math.random) {
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1))
+    ;[deck[i], deck[j]] = [deck[j], deck[i]]
+  }
+  return deck
+}
+
+/**
+ * Evaluate the best 5-card hand out of 5-7 cards.
+ *
+ * `score` is a single comparable number: higher always wins, equal scores tie.
+ * Accepts raw card strings ("Aspades", "10hearts") or { rank, suit } objects.
+ *
+ * @param {Array<string|{rank:string,suit:string}>} cards
+ * @returns {{ score: number, category: number, name: string }}
+ */
+export function evaluateHand(cards) {
+  const parsed = cards.map(toValueSuit)
+  if (parsed.length < 5) {
+    throw new ClabcrawError("evaluateHand needs at least 5 cards", { code: "ENGINE_ERROR" })
+  }
+
+  const combos = parsed.length === 7 ? COMBOS_7 : combinations(parsed.length, 5)
+  let best = -1
+  for (const combo of combos) {
+    const score = scoreFive(combo.map((i) => parsed[i]))
+    if (score > best) best = score
+  }
+
+  const category = Math.floor(best / 15 ** 5)
+  return { score: best, category, name: HAND_NAMES[category] }
+}
+
+function toValueSuit(card) {
+  const { rank, suit } = parseCard(card)
+  const r = rank === "10" ? "T" : rank
+  return { v: RANKS.indexOf(r) + 2, s: suit }
+}
+
+function scoreFive(cards) {
+  const vals = cards.map((c) => c.v).sort((a, b) => b - a)
+  const flush = cards.every((c) => c.s === cards[0].s)
+
+  let straightHigh = 0
+  if (new Set(vals).size === 5) {
+    if (vals[0] - vals[4] === 4) straightHigh = vals[0]
+    else if (vals[0] === 14 && vals[1] === 5) straightHigh = 5 // wheel
+  }
+
+  const counts = new Map()
+  for (const v of vals) counts.set(v, (counts.get(v) || 0) + 1)
+  const groups = [...counts.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])
+  const byGroup = groups.map(([v]) => v)
+
+  let category
+  let ranks
+  if (straightHigh && flush) [category, ranks] = [8, [straightHigh]]
+  else if (groups[0][1] === 4) [category, ranks] = [7, byGroup]
+  else if (groups[0][1] === 3 && groups[1][1] === 2) [category, ranks] = [6, byGroup]
+  else if (flush) [category, ranks] = [5, vals]
+  else if (straightHigh) [category, ranks] = [4, [straightHigh]]
+  else if (groups[0][1] === 3) [category, ranks] = [3, byGroup]
+  else if (groups[0][1] === 2 && groups[1][1] === 2) [category, ranks] = [2, byGroup]
+  else if (groups[0][1] === 2) [category, ranks] = [1, byGroup]
+  else [category, ranks] = [0, vals]
+
+  let score = category
+  for (let i = 0; i < 5; i++) score = score * 15 + (ranks[i] || 0)
+  return score
+}
+
+function combinations(n, k) {
+  const out = []
+  const pick = (start, acc) => {
+    if (acc.length === k) return out.push(acc.slice())
+    for (let i = start; i < n; i++) {
+      acc.push(i)
+      pick(i + 1, acc)
+      acc.pop()
+    }
+  }
+  pick(0, [])
+  return out
+}
+
+// ─── Game ──────────────────────────────────────────────────────────────────────
+
+export class HeadsUpGame {
+  /**
+   * @param {object} [opts]
+   * @param {string|null} [opts.gameId=null] - Echoed back as game_id in views
+   * @param {number} [opts.startingStack=10000]
+   * @param {{ small: number, big: number }} [opts.startingBlinds={ small: 25, big: 50 }]
+   * @param {number} [opts.blindIncreaseInterval=10] - Hands between blind doublings
+   * @param {number} [opts.handCap=75] - Chip leader wins after this many hands
+   * @param {number} [opts.consecutiveTimeoutLimit=3] - Timeouts in a row that forfeit the game
+   * @param {() => number} [opts.rng=Math.random] - Source of randomness for shuffling
+   */
+  constructor({
+    gameId = null,
+    startingStack = 10_000,
+    startingBlinds = { small: 25, big: 50 },
+    blindIncreaseInterval = 10,
+    handCap = 75,
+    consecutiveTimeoutLimit = 3,
+    rng = Math.random,
+  } = {}) {
+    this.gameId = gameId
+    this.startingBlinds = startingBlinds
+    this.blindIncreaseInterval = blindIncreaseInterval
+    this.handCap = handCap
+    this.consecutiveTimeoutLimit = consecutiveTimeoutLimit
+    this.rng = rng
+
+    this.stacks = [startingStack, startingStack]
+    this.timeouts = [0, 0]
+    /** Each seat's latest action (blinds aside), reported as last_action */
+    this.lastActions = [null, null]
+    this.handNumber = 0
+    this.button = 1 // flipped to seat 0 by the first startHand()
+    this.hands = []
+
+    /** @type {{ winner: number|null, outcome: string }|null} */
+    this.result = null
+    this.hand = null
+
+    this.startHand()
+  }
+
+  /** True once the game has a winner (or is drawn). */
+  get isFinished() {
+    return this.result !== null
+  }
+
+  /** Seat whose turn it is, or null between hands / after the game. */
+  get toAct() {
+    if (this.isFinished || !this.hand || this.hand.complete) return null
+    return this.hand.toAct
+  }
+
+  /** True when the current hand is settled and nextHand() should be called. */
+  get awaitingNextHand() {
+    return !this.isFinished && this.hand.complete
+  }
+
+  /**
+   * Blinds in effect for a given hand number.
+   *
+   * @param {number} handNumber - 1-indexed
+   * @returns {{ small: number, big: number }}
+   */
+  blindsFor(handNumber) {
+    const level = Math.floor((handNumber - 1) / this.blindIncreaseInterval)
+    return {
+      small: this.startingBlinds.small * 2 ** level,
+      big: this.startingBlinds.big * 2 ** level,
+    }
+  }
+
+  /**
+   * Deal a new hand: rotate the button, post blinds, deal hole cards.
+   * Called automatically by the constructor and by nextHand().
+   */
+  startHand() {
+    this.handNumber++
+    this.button = 1 - this.button
+    const blinds = this.blindsFor(this.handNumber)
+    const deck = shuffle(createDeck(), this.rng)
+
+    const hand = {
+      number: this.handNumber,
+      button: this.button,
+      blinds,
+      startingStacks: [...this.stacks],
+      deck,
+      hole: [[deck.pop(), deck.pop()], [deck.pop(), deck.pop()]],
+      board: [],
+      street: "preflop",
+      bets: [0, 0],
+      contributed: [0, 0],
+      currentBet: 0,
+      minRaise: blinds.big,
+      acted: [false, false],
+      toAct: this.button,
+      folded: null,
+      complete: false,
+      showdown: false,
+      winners: [],
+      winningHand: null,
+      pot: 0,
+      actions: [],
+    }
+    this.hand = hand
+
+    // Heads-up: the button posts the small blind and acts first preflop
+    const bb = 1 - this.button
+    this._put(this.button, Math.min(blinds.small, this.stacks[this.button]))
+    this._put(bb, Math.min(blinds.big, this.stacks[bb]))
+    hand.currentBet = Math.max(...hand.bets)
+    hand.actions.push(
+      { seat: this.button, street: "preflop", action: "small_blind", amount: hand.bets[this.button] },
+      { seat: bb, street: "preflop", action: "big_blind", amount: hand.bets[bb] },
+    )
+
+    this.hands.push(hand)
+    this._advance(this.button)
+  }
+
+  /** Start the next hand after a settled one. No-op when the game is over. */
+  nextHand() {
+    if (this.awaitingNextHand) this.startHand()
+  }
+
+  /**
+   * Legal actions for a seat, in the raw API `valid_actions` shape.
+   * Empty object when it is not that seat's turn.
+   *
+   * @param {number} seat
+   * @returns {object}
+   */
+  validActions(seat) {
+    if (this.toAct !== seat) return {}
+    const h = this.hand
+    const opp = 1 - seat
+    const stack = this.stacks[seat]
+    const toCall = Math.min(h.currentBet - h.bets[seat], stack)
+
+    const actions = { fold: {} }
+    if (toCall <= 0) actions.check = {}
+    else actions.call = { amount: toCall }
+
+    // Never offer more than the opponent can match
+    const maxTo = Math.min(h.bets[seat] + stack, h.bets[opp] + this.stacks[opp])
+    if (this.stacks[opp] > 0 && maxTo > h.currentBet) {
+      actions.raise = { min: Math.min(h.currentBet + h.minRaise, maxTo), max: maxTo }
+    }
+
+    if (stack > 0) actions.all_in = { amount: stack }
+    return actions
+  }
+
+  /**
+   * Apply an action for a seat.
+   *
+   * @param {number} seat
+   * @param {{ action: string, amount?: number }} body
+   * @param {object} [opts]
+   * @param {boolean} [opts.timeout=false] - Mark the action as a server-applied timeout
+   * @throws {NotYourTurnError} when the seat is not to act
+   * @throws {InvalidActionError} when the action is not in validActions(seat)
+   */
+  act(seat, { action, amount } = {}, { timeout = false } = {}) {
+    if (this.isFinished) {
+      throw new InvalidActionError("Game is finished", { context: { valid_actions: {} } })
+    }
+    if (this.toAct !== seat) {
+      throw new NotYourTurnError("It is not your turn", { context: { valid_actions: {} } })
+    }
+
+    const h = this.hand
+    const valid = this.validActions(seat)
+    const reject = (message) => {
+      throw new InvalidActionError(message, { context: { error: message, valid_actions: valid } })
+    }
+    if (!(action in valid)) reject(`Action '${action}' is not valid`)
+
+    const street = h.street
+    let recorded = 0
+
+    switch (action) {
+      case "fold":
+        h.folded = seat
+        break
+      case "check":
+        break
+      case "call":
+        recorded = valid.call.amount
+        this._put(seat, recorded)
+        break
+      case "raise": {
+        const to = Number(amount)
+        if (!Number.isInteger(to) || to < valid.raise.min || to > valid.raise.max) {
+          reject(`Raise amount must be between ${valid.raise.min} and ${valid.raise.max}`)
+        }
+        this._raiseTo(seat, to)
+        recorded = to
+        break
+      }
+      case "all_in": {
+        const to = h.bets[seat] + this.stacks[seat]
+        if (to > h.currentBet) this._raiseTo(seat, to)
+        else this._put(seat, this.stacks[seat])
+        recorded = to
+        break
+      }
+    }
+
+    h.acted[seat] = true
+    if (!timeout) this.timeouts[seat] = 0
+    h.actions.push({ seat, street, action, amount: recorded, ...(timeout ? { timeout: true } : {}) })
+    this.lastActions[seat] = { hand_number: h.number, street, action, amount: recorded, timeout }
+
+    this._advance(1 - seat)
+  }
+
+  /**
+   * Apply a move timeout for the seat to act: check if possible, otherwise fold.
+   * The seat forfeits the game after `consecutiveTimeoutLimit` timeouts in a row.
+   *
+   * @param {number} seat
+   */
+  timeout(seat) {
+    if (this.toAct !== seat) return
+    this.timeouts[seat]++
+
+    if (this.timeouts[seat] >= this.consecutiveTimeoutLimit) {
+      this.hand.actions.push({ seat, street: this.hand.street, action: "fold", amount: 0, timeout: true })
+      this.lastActions[seat] = { hand_number: this.hand.number, street: this.hand.street, action: "fold", amount: 0, timeout: true }
+      this.hand.complete = true
+      this._finish(1 - seat, "timeout")
+      return
+    }
+
+    const fallback = "check" in this.validActions(seat) ? "check" : "fold"
+    this.act(seat, { action: fallback }, { timeout: true })
+  }
+
+  /**
+   * Render the game from one seat's perspective in the raw API state shape.
+   *
+   * @param {number} seat
+   * @returns {object}
+   */
+  viewFor(seat) {
+    const h = this.hand
+    const opp = 1 - seat
+    const view = {
+      game_id: this.gameId,
+      hand_number: h.number,
+      current_street: h.street,
+      is_your_turn: this.toAct === seat,
+      your_cards: [...h.hole[seat]],
+      community_cards: [...h.board],
+      pot: h.complete ? h.pot : h.contributed[0] + h.contributed[1],
+      your_stack: this.stacks[seat],
+      opponent_stack: this.stacks[opp],
+      valid_actions: this.validActions(seat),
+      last_action: this.lastActions[seat] && { ...this.lastActions[seat] },
+    }
+
+    if (h.complete && h.showdown) {
+      view.opponent_cards = [...h.hole[opp]]
+      view.winning_hand = h.winningHand
+    }
+
+    if (this.isFinished) {
+      const { winner, outcome } = this.result
+      view.game_status = "finished"
+      view.result = winner === null ? "draw" : winner === seat ? "win" : "loss"
+      view.outcome = outcome
+      if (winner !== null) view.winner = winner === seat ? "you" : "opponent"
+    }
+
+    return view
+  }
+
+  // ─── Internal ───────────────────────────────────────────────────────────────
+
+  _put(seat, amount) {
+    this.stacks[seat] -= amount
+    this.hand.bets[seat] += amount
+    this.hand.contributed[seat] += amount
+  }
+
+  _raiseTo(seat, to) {
+    const h = this.hand
+    const raiseSize = to - h.currentBet
+    this._put(seat, to - h.bets[seat])
+    // Only a full raise reopens the minimum raise size
+    if (raiseSize >= h.minRaise) h.minRaise = raiseSize
+    h.currentBet = to
+  }
+
+  _needsToAct(seat) {
+    const h = this.hand
+    if (this.stacks[seat] === 0) return false
+    if (h.bets[seat] < h.currentBet) return true
+    return !h.acted[seat] && this.stacks[1 - seat] > 0
+  }
+
+  _advance(next) {
+    const h = this.hand
+    if (h.folded !== null) return this._settle()
+
+    if (this._needsToAct(next)) {
+      h.toAct = next
+      return
+    }
+    if (this._needsToAct(1 - next)) {
+      h.toAct = 1 - next
+      return
+    }
+
+    // Betting round complete
+    if (h.street === "river" || this.stacks[0] === 0 || this.stacks[1] === 0) {
+      return this._settle()
+    }
+
+    this._dealStreet()
+    h.bets = [0, 0]
+    h.currentBet = 0
+    h.minRaise = h.blinds.big
+    h.acted = [false, false]
+    // Postflop the big blind (non-button) acts first
+    this._advance(1 - h.button)
+  }
+
+  _dealStreet() {
+    const h = this.hand
+    if (h.board.length === 0) {
+      h.board.push(h.deck.pop(), h.deck.pop(), h.deck.pop())
+      h.street = "flop"
+    } else if (h.board.length === 3) {
+      h.board.push(h.deck.pop())
+      h.street = "turn"
+    } else {
+      h.board.push(h.deck.pop())
+      h.street = "river"
+    }
+  }
+
+  _settle() {
+    const h = this.hand
+    const [c0, c1] = h.contributed
+
+    if (h.folded !== null) {
+      const winner = 1 - h.folded
+      h.pot = c0 + c1
+      this.stacks[winner] += h.pot
+      h.winners = [winner]
+      h.street = "complete"
+    } else {
+      // Return any uncalled chips before the showdown
+      const matched = Math.min(c0, c1)
+      const excessSeat = c0 > c1 ? 0 : 1
+      this.stacks[excessSeat] += Math.abs(c0 - c1)
+      h.pot = matched * 2
+
+      while (h.board.length < 5) this._dealStreet()
+
+      const evals = [0, 1].map((s) => evaluateHand([...h.hole[s], ...h.board]))
+      if (evals[0].score === evals[1].score) {
+        // Split pot — the odd chip goes to the player out of position
+        const half = Math.floor(h.pot / 2)
+        this.stacks[h.button] += half
+        this.stacks[1 - h.button] += h.pot - half
+        h.winners = [0, 1]
+      } else {
+        const winner = evals[0].score > evals[1].score ? 0 : 1
+        this.stacks[winner] += h.pot
+        h.winners = [winner]
+      }
+      h.winningHand = evals[h.winners[0]].name
+      h.showdown = true
+      h.street = "showdown"
+    }
+
+    h.complete = true
+
+    if (this.stacks[0] === 0 || this.stacks[1] === 0) {
+      this._finish(this.stacks[0] === 0 ? 1 : 0, "knockout")
+    } else if (this.handNumber >= this.handCap) {
+      const [s0, s1] = this.stacks
+      if (s0 === s1) this._finish(null, "draw")
+      else this._finish(s0 > s1 ? 0 : 1, "hand_cap")
+    }
+  }
+
+  _finish(winner, outcome) {
+    this.result = { winner, outcome }
+  }
+}
@@ -3,6 +3,8 @@
  *
  * Merges skill.json env defaults with runtime environment variables.
  * Runtime env vars always take precedence over skill.json defaults.
+ * Network defaults (API URL, RPC URL, chain, contract) live in networks.js;
+ * skill.json leaves them empty so they don't override the chosen profile.
  */
 
 import { readFileSync } from "fs";
@@ -55,6 +57,7 @@ export function loadConfig() {
     contractAddress: getEnv("CLABCRAW_CONTRACT_ADDRESS"),
     rpcUrl: getEnv("CLABCRAW_RPC_URL"),
     chainId: getEnv("CLABCRAW_CHAIN_ID"),
+    transport: getEnv("CLABCRAW_TRANSPORT"),
   };
 }
 
@@ -83,7 +86,7 @@ export async function getWalletAddress() {
  * Validate all required config on startup. Exits if any are missing.
  */
 export function validateConfig() {
-  const required = ["CLABCRAW_WALLET_PRIVATE_KEY", "CLABCRAW_API_URL"];
+  const required = ["CLABCRAW_WALLET_PRIVATE_KEY"];
   const missing = required.filter((key) => !getEnv(key));
 
   if (missing.length > 0) {
@@ -50,15 +50,30 @@ export class PausedError extends ClabcrawError {
 }
 
 /**
- * Wallet does not have enough USDC to pay the entry fee.
- * Not retriable — the wallet needs to be funded before retrying.
+ * Wallet does not have enough USDC to pay the entry fee, or ETH to pay gas
+ * for a claim. Not retriable — the wallet needs to be funded before retrying.
+ *
+ * Raised by the server (402) without amounts, or by a balance pre-check in
+ * join() / claim() with `asset` and the `shortfall` to fund.
  *
  * code: INSUFFICIENT_FUNDS
  */
 export class InsufficientFundsError extends ClabcrawError {
-  constructor(message = "Insufficient USDC balance to pay entry fee", { context } = {}) {
+  /**
+   * @param {string} [message]
+   * @param {object} [opts]
+   * @param {"USDC"|"ETH"} [opts.asset="USDC"]
+   * @param {string} [opts.required] - Amount needed, in `asset` units (e.g. "5.0")
+   * @param {string} [opts.balance] - Amount the wallet holds
+   * @param {string} [opts.shortfall] - `required` minus `balance`
+   */
+  constructor(message = "Insufficient USDC balance to pay entry fee", { asset = "USDC", required = null, balance = null, shortfall = null, context } = {}) {
     super(message, { code: "INSUFFICIENT_FUNDS", retriable: false, context })
     this.name = "InsufficientFundsError"
+    this.asset = asset
+    this.required = required
+    this.balance = balance
+    this.shortfall = shortfall
   }
 }
 
@@ -115,6 +130,87 @@ export class NetworkError extends ClabcrawError {
   }
 }
 
+/**
+ * WebSocket transport failed: could not connect, heartbeat lost, or the
+ * connection dropped mid-subscription. Retriable — GameClient falls back to
+ * HTTP polling when it sees this.
+ *
+ * code: SOCKET_ERROR
+ */
+export class SocketError extends ClabcrawError {
+  constructor(message = "WebSocket connection failed", { retryAfterMs = 1_000, context } = {}) {
+    super(message, { code: "SOCKET_ERROR", retriable: true, retryAfterMs, context })
+    this.name = "SocketError"
+  }
+}
+
+/**
+ * The client stopped sending requests after repeated server failures (5xx or
+ * no response). Not retriable right away — retryAfterMs is when the circuit
+ * breaker (lib/retry.js) lets a trial request through again.
+ *
+ * code: CIRCUIT_OPEN
+ */
+export class CircuitOpenError extends ClabcrawError {
+  constructor(message = "Too many server failures, requests paused", { retryAfterMs = 15_000, context } = {}) {
+    super(message, { code: "CIRCUIT_OPEN", retriable: false, retryAfterMs, context })
+    this.name = "CircuitOpenError"
+  }
+}
+
+/**
+ * The platform is throttling this agent (429). Retriable after retryAfterMs,
+ * taken from the Retry-After header. limit / remaining / resetAt come from the
+ * rate-limit headers when the server sends them, and are null otherwise.
+ *
+ * code: RATE_LIMITED
+ */
+export class RateLimitedError extends ClabcrawError {
+  /**
+   * @param {string} message
+   * @param {object} opts
+   * @param {number} [opts.retryAfterMs=5000]
+   * @param {number|null} [opts.limit] - Requests allowed per window
+   * @param {number|null} [opts.remaining] - Requests left in the current window
+   * @param {number|null} [opts.resetAt] - When the window resets (epoch ms)
+   * @param {unknown} [opts.context]
+   */
+  constructor(message = "Too many requests", { retryAfterMs = 5_000, limit = null, remaining = null, resetAt = null, context } = {}) {
+    super(message, { code: "RATE_LIMITED", retriable: true, retryAfterMs, context })
+    this.name = "RateLimitedError"
+    this.limit = limit
+    this.remaining = remaining
+    this.resetAt = resetAt
+  }
+}
+
+/**
+ * join() refused before paying: the entry fee would breach a bankroll limit
+ * (lib/bankroll.js). Not retriable — except the daily spend cap, which lifts
+ * at the next UTC midnight (retryAfterMs).
+ *
+ * code: BANKROLL_LIMIT
+ */
+export class BankrollLimitError extends ClabcrawError {
+  /**
+   * @param {string} message
+   * @param {object} opts
+   * @param {"floor"|"daily_spend"|"drawdown"} opts.limit - Which limit would be breached
+   * @param {string} [opts.gameType]
+   * @param {number} [opts.entryFeeUsdc] - Fee the join would have paid
+   * @param {number} [opts.headroomUsdc] - What is left under the limit
+   * @param {number} [opts.retryAfterMs]
+   */
+  constructor(message = "Bankroll limit reached", { limit, gameType = null, entryFeeUsdc = null, headroomUsdc = null, retryAfterMs, context } = {}) {
+    super(message, { code: "BANKROLL_LIMIT", retriable: limit === "daily_spend", retryAfterMs, context })
+    this.name = "BankrollLimitError"
+    this.limit = limit
+    this.gameType = gameType
+    this.entryFeeUsdc = entryFeeUsdc
+    this.headroomUsdc = headroomUsdc
+  }
+}
+
 /**
  * Attempted to join a game type that is disabled or unknown (400).
  * Not retriable with the same game type — switch to one listed in availableGames.
@@ -193,6 +289,15 @@ export async function fromResponse(response, gameId) {
     case 422:
       return new InvalidActionError(body?.error || "Invalid action", { context: body })
 
+    case 429: {
+      const rateLimit = parseRateLimit(response.headers)
+      return new RateLimitedError(body?.error || "Too many requests", {
+        retryAfterMs: rateLimitWait(response.headers, rateLimit),
+        ...rateLimit,
+        context: body,
+      })
+    }
+
     case 503: {
       const msg = body?.message || body?.error || "Platform is paused for maintenance"
       // body.retryable === true means payment settlement is pending — let _request
@@ -210,6 +315,54 @@ export async function fromResponse(response, gameId) {
   }
 }
 
+/**
+ * Read the rate-limit headers of a response: `x-ratelimit-*`, or the
+ * unprefixed `ratelimit-*` draft-standard names. A reset value is taken as
+ * epoch seconds when it looks like one, as seconds from now otherwise.
+ *
+ * @param {Headers} headers
+ * @returns {{ limit: number|null, remaining: number|null, resetAt: number|null }}
+ */
+export function parseRateLimit(headers) {
+  const read = (name) => {
+    const value = parseInt(headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`), 10)
+    return isNaN(value) ? null : value
+  }
+  const reset = read("reset")
+  let resetAt = null
+  if (reset !== null) resetAt = reset > 1_000_000_000 ? reset * 1000 : Date.now() + reset * 1000
+  return { limit: read("limit"), remaining: read("remaining"), resetAt }
+}
+
+/**
+ * Rate-limit fields for the bins' JSON error output: code RATE_LIMITED and
+ * when to retry for a 429, nothing for any other status.
+ *
+ * @param {Response} response
+ * @returns {object}
+ */
+export function rateLimitFields(response) {
+  if (response.status !== 429) return {}
+  const rateLimit = parseRateLimit(response.headers)
+  const { limit, remaining, resetAt } = rateLimit
+  return {
+    code: "RATE_LIMITED",
+    retry_after_ms: rateLimitWait(response.headers, rateLimit),
+    limit,
+    remaining,
+    reset_at: resetAt === null ? null : new Date(resetAt).toISOString(),
+  }
+}
+
+/**
+ * How long a 429 asks us to wait: Retry-After when present, otherwise until
+ * the rate-limit window resets, otherwise the 5s default.
+ */
+function rateLimitWait(headers, { resetAt }) {
+  if (headers.get("retry-after") || resetAt === null) return parseRetryAfter(headers.get("retry-after"))
+  return Math.max(0, resetAt - Date.now())
+}
+
 /**
  * Parse a Retry-After header value into milliseconds.
  * Handles both integer seconds and HTTP-date strings.
@@ -0,0 +1,140 @@
+/**
+ * Game events derived by diffing successive normalized states.
+ *
+ * The API only exposes snapshots, so hand boundaries, new streets, turns and
+ * showdowns have to be inferred by comparing one poll with the next.
+ * GameClient runs every changed state through diffStates() and emits the
+ * result, so agents can subscribe instead of re-implementing this:
+ *
+ *   game.on('handStarted', ({ handNumber, yourStack }) => { ... })
+ *   game.on('showdown', ({ opponentCards, winningHand }) => { ... })
+ *
+ *   for await (const state of game.states(gameId)) { ... }   // drives the events
+ *
+ * Every payload carries `gameId`, the new `state` and the `previous` state
+ * (null on the first poll) in addition to the fields listed below.
+ */
+
+/**
+ * Event names emitted by GameClient, in the order they fire for a single diff.
+ */
+export const GAME_EVENTS = [
+  "handStarted",
+  "opponentActed",
+  "streetChanged",
+  "showdown",
+  "yourTurn",
+  "gameFinished",
+]
+
+/**
+ * Compare two normalized states and list the events the transition implies.
+ *
+ * `opponentActed` is inferred from the opponent's stack and whose turn it is,
+ * so it is best-effort: it fires when the opponent put chips in, checked the
+ * action back to you, or folded the current hand to you. Actions the opponent
+ * took between two polls collapse into a single event.
+ *
+ * @param {import('./schema.js').NormalizedState|null} prev - Previous changed state (null on first poll)
+ * @param {import('./schema.js').NormalizedState} next
+ * @returns {Array<[string, object]>} [eventName, payload] pairs, without gameId/state/previous
+ */
+export function diffStates(prev, next) {
+  const events = []
+  if (!next || next.unchanged) return events
+
+  const sameHand = prev && !prev.isFinished && prev.handNumber === next.handNumber
+
+  if (!sameHand && !next.isFinished && next.hole?.length) {
+    events.push(["handStarted", {
+      handNumber: next.handNumber,
+      hole: next.hole,
+      yourStack: next.yourStack,
+      opponentStack: next.opponentStack,
+    }])
+  }
+
+  if (sameHand) {
+    const opponentAction = inferOpponentAction(prev, next)
+    if (opponentAction) {
+      events.push(["opponentActed", { handNumber: next.handNumber, street: prev.street, ...opponentAction }])
+    }
+
+    if (prev.street !== next.street) {
+      events.push(["streetChanged", {
+        handNumber: next.handNumber,
+        from: prev.street,
+        to: next.street,
+        board: next.board,
+      }])
+    }
+  }
+
+  const revealed = next.opponentCards && next.opponentCards.length > 0
+  const alreadyShown = sameHand && prev.opponentCards && prev.opponentCards.length > 0
+  if (revealed && !alreadyShown) {
+    events.push(["showdown", {
+      handNumber: next.handNumber,
+      hole: next.hole,
+      opponentCards: next.opponentCards,
+      board: next.board,
+      winningHand: next.winningHand,
+    }])
+  }
+
+  if (next.isYourTurn && !next.isFinished && (!prev || !prev.isYourTurn || turnKey(prev) !== turnKey(next))) {
+    events.push(["yourTurn", {
+      handNumber: next.handNumber,
+      street: next.street,
+      actions: next.actions,
+      moveDeadlineMs: next.moveDeadlineMs,
+    }])
+  }
+
+  if (next.isFinished && !prev?.isFinished) {
+    events.push(["gameFinished", {
+      result: next.result,
+      outcome: next.outcome,
+      yourStack: next.yourStack,
+      opponentStack: next.opponentStack,
+    }])
+  }
+
+  return events
+}
+
+/**
+ * Key identifying a decision point. Two states with the same key are the same
+ * turn seen twice (e.g. re-polled); any action in between changes it.
+ *
+ * @param {import('./schema.js').NormalizedState} state
+ * @returns {string}
+ */
+export function turnKey(state) {
+  return `${state.handNumber}:${state.street}:${state.pot}:${state.yourStack}:${state.opponentStack}`
+}
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function inferOpponentAction(prev, next) {
+  const paid = prev.opponentStack - next.opponentStack
+
+  if (paid > 0) {
+    if (next.opponentStack === 0) return { action: "all_in", amount: paid }
+    // Still facing a bet after the opponent put chips in → they bet or raised
+    if (next.isYourTurn && next.actions?.call?.available && prev.street === next.street) {
+      return { action: "raise", amount: paid }
+    }
+    return { action: "call", amount: paid }
+  }
+
+  if (next.street === "complete" && prev.street !== "complete" && next.yourStack > prev.yourStack && !prev.isYourTurn) {
+    return { action: "fold", amount: 0 }
+  }
+
+  if (paid === 0 && !prev.isYourTurn && (next.isYourTurn || prev.street !== next.street) && next.street !== "complete") {
+    return { action: "check", amount: 0 }
+  }
+
+  return null
+}
@@ -0,0 +1,551 @@
+/**
+ * Hand-history export in standard poker formats.
+ *
+ * Converts a game into text and JSON that tracking software, solvers and
+ * spreadsheets already read:
+ *
+ *   - PokerStars-style text hand histories — toPokerStars()
+ *   - Open Hand History (OHH) JSON — toOpenHandHistory()
+ *
+ * Both take a normalized Replay (lib/schema.js normalizeReplay()), from
+ * GET /v1/games/:id/replay data or rebuilt from a HandRecorder's history:
+ *
+ *   const replay = replayFromHistory(recorder.entries(gameId), {
+ *     address: game.address,
+ *     blinds: blindLevels(info.games.poker),
+ *   })
+ *   writeFileSync("hands.txt", toPokerStars(replay, { hero: game.address }))
+ *
+ * Cards are written as rank + suit letter ("Aspades" → "As", "10hearts" →
+ * "Th"), wallet addresses as stable player names (playerName()), and every
+ * hand with the blinds in effect for it.
+ */
+
+import { createHash } from "node:crypto"
+
+import { evaluateHand } from "./engine.js"
+import { ClabcrawError } from "./errors.js"
+import { diffStates } from "./events.js"
+import { summarizeHands } from "./recorder.js"
+import { normalizeActions, normalizeReplay, parseCard } from "./schema.js"
+
+const SUIT_CODES = { spades: "s", hearts: "h", diamonds: "d", clubs: "c" }
+const STREET_TITLES = { preflop: "Preflop", flop: "Flop", turn: "Turn", river: "River" }
+const OHH_SPEC_VERSION = "1.4.6"
+const HERO = 0    // replayFromHistory() seats the recording wallet first
+const VILLAIN = 1
+
+// ─── Names and cards ──────────────────────────────────────────────────────────
+
+/**
+ * Card in two-character notation: "Aspades" → "As", "10hearts" → "Th".
+ *
+ * @param {string|{rank:string,suit:string}} card
+ * @returns {string|null} null for an unreadable card
+ */
+export function cardCode(card) {
+  const { rank, suit } = parseCard(card)
+  const suitCode = SUIT_CODES[suit.toLowerCase()]
+  if (!suitCode || rank === "?") return null
+  return `${rank === "10" ? "T" : rank.toUpperCase()}${suitCode}`
+}
+
+/**
+ * Stable player name for a wallet address — the same address always gets the
+ * same name, in any case: "0x3C44…93BC" → "clab_3c44cd93bc".
+ *
+ * @param {string} address
+ * @returns {string}
+ */
+export function playerName(address) {
+  const hex = address.toLowerCase().replace(/^0x/, "")
+  return `clab_${hex.slice(0, 6)}${hex.slice(-4)}`
+}
+
+/**
+ * Blinds by hand number for a game type's platform info (starting_blinds,
+ * blind_increase_interval) — doubling every interval, as the server raises them.
+ *
+ * @param {{ starting_blinds: { small: number, big: number }, blind_increase_interval?: number }} config -
+ *   e.g. `(await game.getPlatformInfo()).games.poker`
+ * @returns {(handNumber: number) => { small: number, big: number }}
+ */
+export function blindLevels({ starting_blinds: { small, big }, blind_increase_interval: interval = Infinity }) {
+  return (handNumber) => {
+    const level = Math.floor((handNumber - 1) / interval)
+    return { small: small * 2 ** level, big: big * 2 ** level }
+  }
+}
+
+// ─── Recorded games ───────────────────────────────────────────────────────────
+
+/**
+ * Rebuild a Replay from a HandRecorder history, as far as one player's view
+ * allows. The recording wallet sits in seat 0 (`replay.hero`).
+ *
+ * The opponent's actions are inferred from its stack between states, like
+ * `opponentActed` events (lib/events.js), and from whose turn it is: an
+ * all-in that only matches your bet reads as a call, and a move nothing
+ * reveals — a check before the hand ends, say — is filled in from the rules.
+ * Its cards are known only when shown. Hands whose start was not recorded
+ * (see summarizeHands()) are left out.
+ *
+ * @param {import('./recorder.js').HistoryEntry[]} entries - One game's entries, oldest first
+ * @param {object} opts
+ * @param {(handNumber: number) => { small: number, big: number }} opts.blinds - Blinds per hand,
+ *   see blindLevels()
+ * @param {string} [opts.address] - The recording wallet
+ * @param {string} [opts.opponent] - The opponent's wallet, if known
+ * @returns {import('./schema.js').Replay & { hero: number }}
+ * @throws {ClabcrawError} CONFIG_ERROR without `blinds`
+ */
+export function replayFromHistory(entries, { blinds, address = null, opponent = null } = {}) {
+  if (typeof blinds !== "function") {
+    throw new ClabcrawError("replayFromHistory needs blinds: (handNumber) => { small, big } — see blindLevels()", {
+      code: "CONFIG_ERROR",
+    })
+  }
+
+  const hands = []
+  let button = null
+  for (const summary of summarizeHands(entries)) {
+    if (!summary.startingStacks) continue
+    const recorded = entries.filter((e) => e.handNumber === summary.handNumber)
+    const hand = recordedHand(summary, recorded, blinds(summary.handNumber), button)
+    button = hand.button
+    hands.push(hand)
+  }
+
+  const finished = entries.findLast((e) => e.type === "state" && e.isFinished)
+  const winner = { win: address, loss: opponent }[finished?.result] ?? null
+  return {
+    ...normalizeReplay({
+      game_id: entries.find((e) => e.gameId)?.gameId ?? null,
+      players: [address, opponent],
+      started_at: entries[0]?.at ?? null,
+      hands,
+      result: finished ? { winner, outcome: finished.outcome } : null,
+    }),
+    hero: HERO,
+  }
+}
+
+/** One recorded hand in the raw replay shape normalizeReplay() reads. */
+function recordedHand(summary, recorded, blinds, previousButton) {
+  const start = [summary.startingStacks.you, summary.startingStacks.opponent]
+  const first = recorded.find((e) => e.type === "state")
+  const button = inferButton(start, first, blinds) ?? (previousButton === null ? HERO : 1 - previousButton)
+
+  const actions = []
+  const bets = [0, 0]
+  const put = [0, 0]
+  let street = "preflop"
+  const enter = (on) => {
+    if (on === street) return
+    street = on
+    bets.fill(0)
+  }
+  const act = (seat, on, action, to) => {
+    enter(on)
+    const chips = to - bets[seat]
+    actions.push({ seat, street: on, action, amount: action === "raise" || action === "all_in" ? to : chips })
+    bets[seat] = to
+    put[seat] += chips
+  }
+  const behind = (seat) => start[seat] - put[seat]
+
+  // Whether the betting on a street is over: a call (other than the button's
+  // preflop limp), or a check answering a check or the big blind's option
+  const closed = (on) => {
+    const moves = actions.filter((a) => a.street === on && a.action !== "small_blind" && a.action !== "big_blind")
+    const last = moves.at(-1)
+    if (last?.action === "call") return !(on === "preflop" && moves.length === 1)
+    if (last?.action === "check") return on === "preflop" || moves.length >= 2
+    return false
+  }
+
+  const opponentActed = ({ street: on, action, amount }, now) => {
+    enter(on)
+    if (action === "fold") return act(VILLAIN, on, "fold", bets[VILLAIN])
+    if (action === "check") {
+      // A call of yours that closed the street can look like a check
+      if (!closed(on)) act(VILLAIN, on, "check", bets[VILLAIN])
+      return
+    }
+    const owed = Math.max(0, bets[HERO] - bets[VILLAIN])
+    // Emptying the stack reads as all-in, but for no more than was owed it is a call
+    if (action === "all_in" && amount <= owed) action = "call"
+    if (now !== on && amount > owed) {
+      // A call or check that closed the street and a bet on the next one, seen as one
+      if (owed > 0) act(VILLAIN, on, "call", bets[VILLAIN] + owed)
+      else if (!closed(on)) act(VILLAIN, on, "check", bets[VILLAIN])
+      return act(VILLAIN, now, action === "all_in" ? "all_in" : "raise", amount - owed)
+    }
+    act(VILLAIN, on, action, bets[VILLAIN] + amount)
+  }
+
+  act(button, "preflop", "small_blind", Math.min(blinds.small, start[button]))
+  act(1 - button, "preflop", "big_blind", Math.min(blinds.big, start[1 - button]))
+
+  // The state as it stood after the blinds, for inferring what the opponent did next
+  let prev = {
+    handNumber: summary.handNumber,
+    street: "preflop",
+    isFinished: false,
+    isYourTurn: button === HERO,
+    yourStack: behind(HERO),
+    opponentStack: behind(VILLAIN),
+    pot: put[0] + put[1],
+    opponentCards: null,
+    actions: normalizeActions({}),
+  }
+
+  for (const entry of recorded) {
+    if (entry.type === "action") {
+      if (!entry.applied) continue
+      enter(entry.street || street)
+      const to = {
+        fold: bets[HERO],
+        check: bets[HERO],
+        call: Math.min(bets[VILLAIN], bets[HERO] + behind(HERO)),
+        raise: entry.amount,
+        all_in: bets[HERO] + behind(HERO),
+      }[entry.action]
+      if (to == null) continue
+      act(HERO, street, entry.action, to)
+      prev = { ...prev, isYourTurn: false, yourStack: behind(HERO) }
+      continue
+    }
+
+    const next = { ...entry, actions: normalizeActions(entry.validActions) }
+    if (isSettled(next)) {
+      // Stacks now include the pot, so the last action is worked out from the betting instead
+      const last = actions.at(-1)
+      if (next.opponentCards?.length) {
+        if (bets[HERO] > bets[VILLAIN] && behind(VILLAIN) > 0) {
+          act(VILLAIN, street, "call", Math.min(bets[HERO], bets[VILLAIN] + behind(VILLAIN)))
+        }
+        else if (last.seat === HERO && last.action === "check" && !closed(street)) act(VILLAIN, street, "check", bets[VILLAIN])
+      } else if (!actions.some((a) => a.action === "fold")) {
+        act(VILLAIN, street, "fold", bets[VILLAIN])
+      }
+      break
+    }
+    for (const [event, payload] of diffStates(prev, next)) {
+      if (event === "opponentActed") opponentActed(payload, next.street)
+    }
+    // Out of position, the opponent opens each street after the flop: your
+    // turn on a new street with nothing to call means they checked first
+    const opens = next.street !== "preflop" && button === HERO
+    if (opens && next.isYourTurn && !actions.some((a) => a.seat === VILLAIN && a.street === next.street)) {
+      act(VILLAIN, next.street, "check", 0)
+    }
+    prev = next
+  }
+
+  const shown = Boolean(summary.opponentCards?.length)
+  const settledState = recorded.findLast((e) => e.type === "state" && isSettled(e))
+  return {
+    hand_number: summary.handNumber,
+    started_at: recorded[0]?.at ?? null,
+    button,
+    blinds,
+    starting_stacks: start,
+    ending_stacks: settledState ? [settledState.yourStack, settledState.opponentStack] : null,
+    hole_cards: [summary.hole.length ? summary.hole : null, shown ? summary.opponentCards : null],
+    board: summary.board,
+    actions,
+    pot: summary.pot,
+    winners: summary.net == null ? [] : summary.net > 0 ? [HERO] : summary.net < 0 ? [VILLAIN] : [HERO, VILLAIN],
+    winning_hand: summary.winningHand,
+    showdown: shown,
+  }
+}
+
+function isSettled(state) {
+  return state.isFinished || state.street === "showdown" || state.street === "complete"
+}
+
+/**
+ * The button posts the small blind, so the chips missing from the hero's
+ * first stack of the hand say who had it. Null when that state cannot tell.
+ */
+function inferButton(start, first, blinds) {
+  if (!first || first.isFinished || first.street !== "preflop" || blinds.small === blinds.big) return null
+  const posted = start[HERO] - first.yourStack
+  if (posted === Math.min(blinds.small, start[HERO])) return HERO
+  if (posted === Math.min(blinds.big, start[HERO])) return VILLAIN
+  return null
+}
+
+// ─── Betting rounds ───────────────────────────────────────────────────────────
+
+/**
+ * Walk a hand's actions street by street, classifying each as a post, bet,
+ * raise, call, check or fold, and settle the pot: the uncalled part of the
+ * last bet goes back, and the winners share the rest.
+ */
+function bettingRounds(hand) {
+  const contributed = [0, 0]
+  const folded = [null, null] // street each seat folded on
+  const rounds = hand.streets.map(({ street, board, actions }, i) => {
+    let current = 0
+    const dealt = board.slice(i === 0 ? 0 : hand.streets[i - 1].board.length)
+    return {
+      street,
+      board,
+      dealt,
+      actions: actions.map((a) => {
+        let kind = a.action
+        if (a.action === "fold") folded[a.seat] = street
+        if (a.action === "raise" || a.action === "all_in") {
+          kind = a.to <= current ? "call" : current === 0 ? "bet" : "raise"
+        }
+        const raisedBy = a.to - current
+        current = Math.max(current, a.to)
+        contributed[a.seat] += a.amount
+        return { ...a, kind, raisedBy }
+      }),
+    }
+  })
+
+  const [over, under] = contributed[0] >= contributed[1] ? [0, 1] : [1, 0]
+  const excess = contributed[over] - contributed[under]
+  const uncalled = excess > 0 ? { seat: over, amount: excess } : null
+  const pot = 2 * contributed[under]
+
+  const shares = [0, 0]
+  if (hand.winners.length === 1) shares[hand.winners[0]] = pot
+  else if (hand.winners.length === 2) {
+    // Split pot — the odd chip goes to the player out of position
+    shares[hand.button] = Math.floor(pot / 2)
+    shares[1 - hand.button] = pot - shares[hand.button]
+  }
+
+  return { rounds, uncalled, pot, folded, shares }
+}
+
+/** Player names by seat: `names` overrides, then playerName(), then Hero / Villain. */
+function seatNames(replay, { names = {}, hero }) {
+  const heroAt = heroSeat(replay, hero)
+  return [0, 1].map((seat) => {
+    const address = replay.players[seat]
+    if (address) return names[address] || names[address.toLowerCase()] || playerName(address)
+    return seat === heroAt ? "Hero" : "Villain"
+  })
+}
+
+function heroSeat(replay, hero) {
+  if (typeof hero === "number") return hero
+  if (typeof hero === "string") {
+    const seat = replay.players.findIndex((p) => p?.toLowerCase() === hero.toLowerCase())
+    return seat === -1 ? null : seat
+  }
+  return replay.hero ?? null
+}
+
+function handDescription(hole, board) {
+  const cards = [...hole, ...board]
+  return cards.length >= 5 ? evaluateHand(cards).name : null
+}
+
+function cardList(cards) {
+  return cards.map(cardCode).join(" ")
+}
+
+/** Numeric hand id, stable per game and hand, as PokerStars parsers expect. */
+function handId(gameId, handNumber) {
+  const digest = createHash("sha256").update(String(gameId)).digest("hex").slice(0, 10)
+  return String(BigInt(`0x${digest}`) * 1000n + BigInt(handNumber))
+}
+
+function tableName(replay) {
+  return `Clabcraw ${String(replay.gameId || "game").slice(0, 8)}`
+}
+
+// ─── PokerStars ───────────────────────────────────────────────────────────────
+
+/**
+ * PokerStars-style text hand histories, one per hand, separated by blank
+ * lines. Chips are written as they are (no currency); rake is always 0.
+ *
+ * @param {import('./schema.js').Replay} replay
+ * @param {object} [opts]
+ * @param {string|number} [opts.hero] - Address or seat of the player whose hole cards are
+ *   "Dealt to". Defaults to `replay.hero`; without one, every known hand is dealt.
+ * @param {Object<string, string>} [opts.names] - Player names by address, instead of playerName()
+ * @returns {string}
+ */
+export function toPokerStars(replay, opts = {}) {
+  return replay.hands.map((hand) => pokerStarsHand(replay, hand, opts).join("\n")).join("\n\n\n") + "\n"
+}
+
+function pokerStarsHand(replay, hand, opts) {
+  const names = seatNames(replay, opts)
+  const hero = heroSeat(replay, opts.hero)
+  const { small, big } = hand.blinds || { small: 0, big: 0 }
+  const { rounds, uncalled, pot, folded, shares } = bettingRounds(hand)
+  const started = new Date(hand.startedAt || replay.startedAt || 0).toISOString()
+  const showdown = hand.showdown ? [0, 1].filter((seat) => hand.hole[seat] && !folded[seat]) : []
+
+  const lines = [
+    `PokerStars Hand #${handId(replay.gameId, hand.handNumber)}:  Hold'em No Limit (${small}/${big}) - ${started.slice(0, 10).replaceAll("-", "/")} ${started.slice(11, 19)} UTC`,
+    `Table '${tableName(replay)}' 2-max Seat #${hand.button + 1} is the button`,
+    ...[0, 1].map((seat) => `Seat ${seat + 1}: ${names[seat]} (${hand.startingStacks?.[seat] ?? 0} in chips)`),
+  ]
+
+  const lastBetting = rounds.findLastIndex((round) => round.actions.length)
+  for (const [i, round] of rounds.entries()) {
+    if (round.street === "flop") lines.push(`*** FLOP *** [${cardList(round.board)}]`)
+    if (round.street === "turn" || round.street === "river") {
+      lines.push(`*** ${round.street.toUpperCase()} *** [${cardList(round.board.slice(0, -1))}] [${cardList(round.dealt)}]`)
+    }
+
+    for (const a of round.actions) {
+      const name = names[a.seat]
+      if (a.kind === "small_blind") lines.push(`${name}: posts small blind ${a.amount}`)
+      else if (a.kind === "big_blind") {
+        lines.push(`${name}: posts big blind ${a.amount}`, "*** HOLE CARDS ***")
+        for (const seat of [0, 1]) {
+          if (hand.hole[seat] && (hero === null || seat === hero)) lines.push(`Dealt to ${names[seat]} [${cardList(hand.hole[seat])}]`)
+        }
+      } else {
+        if (a.timeout) lines.push(`${name} has timed out`)
+        const allIn = a.allIn ? " and is all-in" : ""
+        if (a.kind === "fold") lines.push(`${name}: folds`)
+        else if (a.kind === "check") lines.push(`${name}: checks`)
+        else if (a.kind === "call") lines.push(`${name}: calls ${a.amount}${allIn}`)
+        else if (a.kind === "bet") lines.push(`${name}: bets ${a.to}${allIn}`)
+        else lines.push(`${name}: raises ${a.raisedBy} to ${a.to}${allIn}`)
+      }
+    }
+    // Before any run-out, as PokerStars writes it
+    if (uncalled && i === lastBetting) lines.push(`Uncalled bet (${uncalled.amount}) returned to ${names[uncalled.seat]}`)
+  }
+
+  if (showdown.length) {
+    lines.push("*** SHOW DOWN ***")
+    for (const seat of showdown) {
+      const description = handDescription(hand.hole[seat], hand.board)
+      lines.push(`${names[seat]}: shows [${cardList(hand.hole[seat])}]${description ? ` (${description})` : ""}`)
+    }
+  }
+  for (const seat of [0, 1]) {
+    if (shares[seat] > 0) lines.push(`${names[seat]} collected ${shares[seat]} from pot`)
+  }
+
+  lines.push("*** SUMMARY ***", `Total pot ${pot} | Rake 0`)
+  if (hand.board.length) lines.push(`Board [${cardList(hand.board)}]`)
+  for (const seat of [0, 1]) {
+    const position = seat === hand.button ? " (button) (small blind)" : " (big blind)"
+    let outcome
+    if (folded[seat]) {
+      outcome = folded[seat] === "preflop" ? "folded before Flop" : `folded on the ${STREET_TITLES[folded[seat]]}`
+    } else if (showdown.includes(seat)) {
+      const description = handDescription(hand.hole[seat], hand.board)
+      const shownWith = `showed [${cardList(hand.hole[seat])}] and`
+      outcome = shares[seat] > 0
+        ? `${shownWith} won (${shares[seat]})${description ? ` with ${description}` : ""}`
+        : `${shownWith} lost${description ? ` with ${description}` : ""}`
+    } else {
+      outcome = shares[seat] > 0 ? `collected (${shares[seat]})` : "mucked"
+    }
+    lines.push(`Seat ${seat + 1}: ${names[seat]}${position} ${outcome}`)
+  }
+  return lines
+}
+
+// ─── Open Hand History ────────────────────────────────────────────────────────
+
+const OHH_ACTIONS = {
+  small_blind: "Post SB",
+  big_blind: "Post BB",
+  fold: "Fold",
+  check: "Check",
+  call: "Call",
+  bet: "Bet",
+  raise: "Raise",
+}
+
+/**
+ * Open Hand History documents (https://hh-specs.handhistory.org), one per
+ * hand. Each action's `amount` is the chips it put in; player ids are seat
+ * numbers. Write them one JSON object per hand, separated by blank lines.
+ *
+ * @param {import('./schema.js').Replay} replay
+ * @param {object} [opts] - As for toPokerStars()
+ * @returns {Array<{ ohh: object }>}
+ */
+export function toOpenHandHistory(replay, opts = {}) {
+  return replay.hands.map((hand) => ({ ohh: openHandHistory(replay, hand, opts) }))
+}
+
+function openHandHistory(replay, hand, opts) {
+  const names = seatNames(replay, opts)
+  const hero = heroSeat(replay, opts.hero)
+  const { rounds, pot, folded, shares } = bettingRounds(hand)
+  const id = (seat) => seat + 1
+  let actionNumber = 0
+  const action = (fields) => ({ action_number: ++actionNumber, ...fields })
+
+  const ohhRounds = rounds.map((round, i) => {
+    const actions = []
+    for (const a of round.actions) {
+      actions.push(action({ player_id: id(a.seat), action: OHH_ACTIONS[a.kind], amount: a.amount, is_allin: a.allIn }))
+      if (a.kind === "big_blind") {
+        for (const seat of [0, 1]) {
+          if (hand.hole[seat] && (hero === null || seat === hero)) {
+            actions.push(action({ player_id: id(seat), action: "Dealt Cards", cards: hand.hole[seat].map(cardCode) }))
+          }
+        }
+      }
+    }
+    return { id: i, street: STREET_TITLES[round.street], ...(i > 0 ? { cards: round.dealt.map(cardCode) } : {}), actions }
+  })
+
+  const shown = hand.showdown ? [0, 1].filter((seat) => hand.hole[seat] && !folded[seat]) : []
+  if (shown.length) {
+    ohhRounds.push({
+      id: ohhRounds.length,
+      street: "Showdown",
+      actions: shown.map((seat) => action({ player_id: id(seat), action: "Shows Cards", cards: hand.hole[seat].map(cardCode) })),
+    })
+  }
+
+  return {
+    spec_version: OHH_SPEC_VERSION,
+    site_name: "Clabcraw",
+    network_name: "Clabcraw",
+    internal_version: "1",
+    tournament: false,
+    game_number: `${replay.gameId}-${hand.handNumber}`,
+    start_date_utc: new Date(hand.startedAt || replay.startedAt || 0).toISOString(),
+    table_name: tableName(replay),
+    table_size: 2,
+    game_type: "Holdem",
+    bet_limit: { bet_type: "NL", bet_cap: 0 },
+    dealer_seat: id(hand.button),
+    small_blind_amount: hand.blinds?.small ?? 0,
+    big_blind_amount: hand.blinds?.big ?? 0,
+    ante_amount: 0,
+    ...(hero === null ? {} : { hero_player_id: id(hero) }),
+    currency: "CHIPS",
+    players: [0, 1].map((seat) => ({
+      id: id(seat),
+      seat: id(seat),
+      name: names[seat],
+      display: names[seat],
+      starting_stack: hand.startingStacks?.[seat] ?? 0,
+    })),
+    rounds: ohhRounds,
+    pots: [{
+      number: 0,
+      amount: pot,
+      rake: 0,
+      jackpot: 0,
+      player_wins: [0, 1]
+        .filter((seat) => shares[seat] > 0)
+        .map((seat) => ({ player_id: id(seat), win_amount: shares[seat], contributed_rake: 0 })),
+    }],
+  }
+}
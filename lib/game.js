@@ -18,51 +18,292 @@
  *     if (!state.isYourTurn) return null
  *     return { action: 'call' }
  *   })
+ *
+ * Or iterate states and subscribe to events derived from them (lib/events.js):
+ *
+ *   game.on('handStarted', ({ handNumber, hole }) => { ... })
+ *   game.on('showdown', ({ opponentCards, winningHand }) => { ... })
+ *
+ *   for await (const state of game.states(gameId)) {
+ *     if (state.isYourTurn) await game.submitAction(gameId, decide(state))
+ *   }
+ *
+ * With `transport: "socket"`, states() and waitForMatch() subscribe to pushed
+ * updates over Phoenix Channels (lib/channel.js) and fall back to polling if
+ * the socket cannot connect or drops.
+ *
+ * Signing timestamps and move deadlines follow the server's clock, measured
+ * from the Date header of every response and re-synced when a signed request
+ * is rejected with 401 — see `clockOffsetMs` and syncClock().
+ *
+ * Every HTTP call, including the x402 payment requests behind join() and
+ * tip(), can be observed with request hooks — see use().
+ *
+ * Retries follow a per-operation policy with jittered backoff and time
+ * budgets, and a circuit breaker stops requests after repeated server
+ * failures — see lib/retry.js. When the platform answers 429, polling slows
+ * down until it stops — see `pollSlowdown`.
+ *
+ * With `checkBalances`, join() and claim() read the wallet's on-chain USDC and
+ * ETH first (getWalletBalances()) and throw InsufficientFundsError with the
+ * shortfall instead of failing midway through payment or the transaction.
+ *
+ * With a `bankroll` (lib/bankroll.js), join() refuses entry fees that would
+ * breach its floor, daily spend cap or drawdown limit, and finished games are
+ * recorded in its ledger.
+ *
+ * With a `session` (lib/session.js), the queue joined and the games being
+ * played are persisted to a file, and resume() picks them up after a restart
+ * instead of joining again.
+ *
+ * With a `recorder` (lib/recorder.js), every changed state and every action
+ * submitted — with its latency and the strategy's `meta` — is appended to a
+ * per-game hand history.
+ *
+ * reconcileResults() checks game results against the contract's settlement
+ * events and claimable balance (lib/reconcile.js).
+ *
+ * playAll() plays every active game of the wallet at once, with their polls
+ * sharing one rate budget (lib/scheduler.js).
+ *
+ * Network access goes through injectable dependencies (`fetch`,
+ * `paymentFetch`, `publicClient`, `walletClient`), so agents can be tested
+ * against in-memory fakes.
  */
 
-import { createPublicClient, createWalletClient, http, parseAbi } from "viem"
-import { base, baseSepolia } from "viem/chains"
+import { EventEmitter } from "node:events"
+import { randomUUID } from "node:crypto"
+import { createPublicClient, createWalletClient, formatEther, formatGwei, formatUnits, http, parseAbi, parseGwei } from "viem"
 import { createSigner, createPaymentFetch } from "./client.js"
-import { signAction, signState } from "./signer.js"
+import { signAction, signState, signChannelJoin } from "./signer.js"
 import { loadConfig } from "./env.js"
-import { normalizeState } from "./schema.js"
+import { resolveNetwork } from "./networks.js"
+import { normalizeState, normalizeActions, normalizeReplay } from "./schema.js"
+import { diffStates, turnKey } from "./events.js"
+import { PhoenixSocket, socketUrlFor } from "./channel.js"
+import { CircuitBreaker, nextDelay, resolveRetryPolicies } from "./retry.js"
+import { PollScheduler } from "./scheduler.js"
+import { gameFees } from "./bankroll.js"
+import { reconcile } from "./reconcile.js"
 import {
   ClabcrawError,
   PausedError,
+  InsufficientFundsError,
   NetworkError,
+  SocketError,
   fromResponse,
 } from "./errors.js"
 
 const DEFAULT_POLL_MS = 1_000
-const MAX_RETRIES = 3
-const BACKOFF_BASE_MS = 500
+const DEFAULT_RTT_MS = 250
+const RTT_SMOOTHING = 0.2
+const DEFAULT_SAFETY_MARGIN_MS = 500
+const DEFAULT_TIMEOUT_LIMIT = 3
+const CLOCK_RESOLUTION_MS = 1_000 // HTTP Date headers carry whole seconds
+const EXPIRED = Symbol("expired")
+const SINGLE_ATTEMPT = { maxAttempts: 1 }
+const MAX_POLL_SLOWDOWN = 8
+const SLOWDOWN_RECOVERY = 10 // clean responses before the poll slowdown halves
+const MAX_FINISHED_GAMES = 100
+const USDC_DECIMALS = 6
+const GAS_BUFFER_PERCENT = 120n // headroom over a gas estimate, for fee movement before sending
+const ERC20_ABI = parseAbi(["function balanceOf(address account) external view returns (uint256)"])
+const ARENA_ABI = parseAbi([
+  "function claim() external",
+  "function getClaimableBalance(address account) external view returns (uint256)",
+])
 
-/**
- * @param {number} attempt - Zero-based retry attempt number
- * @returns {number} Milliseconds to wait before this attempt
- */
-function backoff(attempt) {
-  return Math.min(BACKOFF_BASE_MS * 2 ** attempt, 10_000)
+// Errors whose response carried a Retry-After header. fromResponse() fills in
+// a default retryAfterMs either way; only a real server hint overrides backoff.
+const HINTED = new WeakSet()
+
+function retryAfterHint(err) {
+  return HINTED.has(err) ? err.retryAfterMs : null
+}
+
+const DEFAULT_RECOVERY = {
+  correctRaise: true,
+  fallbackOnInvalid: true,
 }
 
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms))
 }
 
-export class GameClient {
+/** Sleep for `ms`, cut short when any of `promises` settles. */
+async function sleepUntilSettled(ms, promises) {
+  let timer
+  try {
+    await Promise.race([new Promise((r) => { timer = setTimeout(r, ms) }), ...promises])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/** Why a simulated contract call reverted, as precisely as viem can tell. */
+function revertReasonOf(err) {
+  const reverted = err.walk?.((e) => e.name === "ContractFunctionRevertedError")
+  return reverted?.reason || reverted?.data?.errorName || err.shortMessage || err.message
+}
+
+function normalizeStatus(data) {
+  return {
+    status: data.status,
+    activeGames: data.active_games || [],
+    queuePosition: data.queue_position || null,
+    pauseMode: data.pause_mode || null,
+    message: data.message || null,
+  }
+}
+
+/**
+ * Game id once an agent status shows a match, null while still queued.
+ *
+ * @throws {ClabcrawError} QUEUE_CANCELLED when no longer queued
+ * @throws {PausedError} during an emergency pause
+ */
+function matchedGameId({ status, activeGames, message }) {
+  if (status === "active" && activeGames.length > 0) {
+    return activeGames[0].game_id
+  }
+
+  if (status === "idle") {
+    throw new ClabcrawError("Queue was cancelled — no longer queued", { code: "QUEUE_CANCELLED", retriable: false })
+  }
+
+  if (status === "paused") {
+    throw new PausedError(message || "Platform is paused for emergency maintenance — retry after the pause lifts")
+  }
+
+  return null
+}
+
+/**
+ * Default watchdog fallback — what the server itself does on a timeout.
+ *
+ * @param {import('./schema.js').NormalizedState} state
+ * @returns {{ action: string }}
+ */
+function safeAction(state) {
+  return state.actions?.check?.available ? { action: "check" } : { action: "fold" }
+}
+
+/**
+ * A signed request the server reports as already seen. Retrying a request
+ * the server processed produces this, so the action was applied.
+ */
+function isReplay(err) {
+  return err?.code === "AUTH_ERROR" && /replay/i.test(err.message || "")
+}
+
+/**
+ * Whether the turn an action answered has passed, judging by a fresh state.
+ * Without the answered state, only "no longer your turn" counts.
+ */
+function turnMovedOn(answered, current) {
+  if (current.isFinished || !current.isYourTurn) return true
+  return Boolean(answered && !answered.unchanged && turnKey(answered) !== turnKey(current))
+}
+
+/**
+ * Whether the last action a fresh state reports for our seat is the one
+ * `body` sent, and not a timeout the server applied in its place. Matched by
+ * action_id, else by action on the answered hand and street; a state without
+ * last_action confirms nothing.
+ */
+function isOurLastAction(body, answered, current) {
+  const last = current.lastAction
+  if (!last || last.timeout) return false
+  if (last.actionId) return last.actionId === body.action_id
+  if (!answered || answered.unchanged) return false
+  return last.action === body.action && last.handNumber === answered.handNumber && last.street === answered.street
+}
+
+function sameAction(a, b) {
+  return a.action === b.action && (a.amount ?? null) === (b.amount ?? null)
+}
+
+/** Transport failures that the socket transport recovers from by polling. */
+function isTransportFailure(err) {
+  return err instanceof SocketError || err?.code === "CHANNEL_ERROR"
+}
+
+export class GameClient extends EventEmitter {
   /**
    * @param {object} [opts]
    * @param {string} [opts.privateKey] - Wallet private key (0x-prefixed). Defaults to CLABCRAW_WALLET_PRIVATE_KEY env var.
-   * @param {string} [opts.apiUrl] - API base URL. Defaults to CLABCRAW_API_URL env var.
+   * @param {string|Partial<import('./networks.js').NetworkProfile>} [opts.network] - Network
+   *   profile ("mainnet", "sepolia", "local") or a custom one; supplies the API URL, chain, RPC
+   *   URL and contract address. Defaults to CLABCRAW_NETWORK, see lib/networks.js.
+   * @param {string} [opts.apiUrl] - API base URL. Defaults to CLABCRAW_API_URL, then the
+   *   network's; required on networks without one (sepolia, custom chains).
+   * @param {"poll"|"socket"} [opts.transport="poll"] - How states() and waitForMatch() receive
+   *   updates. "socket" prefers pushed updates and falls back to polling. Defaults to
+   *   CLABCRAW_TRANSPORT env var.
+   * @param {string} [opts.socketUrl] - Socket endpoint. Derived from apiUrl by default.
+   * @param {RequestHooks|RequestHooks[]} [opts.hooks] - Request hooks to install, see use()
+   * @param {typeof fetch} [opts.fetch] - fetch used for every API request. Defaults to the global fetch.
+   * @param {typeof fetch} [opts.paymentFetch] - fetch that settles x402 402 responses, used by
+   *   join() and tip(). Defaults to createPaymentFetch() over `opts.fetch`.
+   * @param {import('viem').PublicClient} [opts.publicClient] - Reads the contract in claim().
+   *   Defaults to one built from the network's chain and RPC URL.
+   * @param {import('viem').WalletClient} [opts.walletClient] - Sends the claim() transaction; must
+   *   carry this client's account. Defaults like `publicClient`.
+   * @param {Record<string, Partial<import('./retry.js').RetryPolicy>>} [opts.retry] - Per-operation
+   *   retry policy overrides (state, action, payment, clock, default)
+   * @param {{ threshold?: number, cooldownMs?: number }|false} [opts.circuitBreaker] - Circuit
+   *   breaker settings; false disables it
+   * @param {import('./bankroll.js').Bankroll} [opts.bankroll] - Ledger whose limits gate join()
+   * @param {import('./session.js').SessionStore} [opts.session] - Record of the queue and games
+   *   in progress, kept up to date for resume()
+   * @param {import('./recorder.js').HandRecorder} [opts.recorder] - Hand history every changed
+   *   state and submitted action is recorded to
+   * @param {boolean} [opts.checkBalances=false] - Check on-chain balances before join() and
+   *   claim() by default; each call can override it
    */
   constructor(opts = {}) {
+    super()
     const config = loadConfig()
     const privateKey = opts.privateKey || config.walletPrivateKey
     if (!privateKey) throw new ClabcrawError("No private key provided", { code: "CONFIG_ERROR" })
 
-    this._apiUrl = (opts.apiUrl || config.apiUrl || "https://clabcraw.sh").replace(/\/$/, "")
+    this._network = resolveNetwork(opts.network, { apiUrl: opts.apiUrl })
+    this._apiUrl = this._network.apiUrl
     this._account = createSigner(privateKey)
-    this._paymentFetch = createPaymentFetch(this._account)
+    this._fetch = opts.fetch || ((url, init) => fetch(url, init))
+    this._paymentFetch = opts.paymentFetch || createPaymentFetch(this._account, this._fetch)
+    this._publicClient = opts.publicClient || null
+    this._walletClient = opts.walletClient || null
+    this._checkBalances = opts.checkBalances ?? false
+
+    this._transport = opts.transport || config.transport || "poll"
+    this._socketUrl = opts.socketUrl || socketUrlFor(this._apiUrl)
+    this._socket = null
+    this._socketUsers = 0
+
+    this._rttMs = null
+    this._clockOffsetMs = 0
+    this._clockBounds = null // [lo, hi] ms — every offset consistent with the Date samples so far
+    this._clockSyncedAt = null
+    this._timeouts = new Map()   // gameId → consecutive move timeouts
+    this._lastStates = new Map() // gameId → last changed state read, for submitAction()
+
+    this._retryPolicies = resolveRetryPolicies(opts.retry)
+    this._breaker = opts.circuitBreaker === false ? null : new CircuitBreaker(opts.circuitBreaker || {})
+    this._readAt = new WeakMap() // normalized state → when it was read, for move deadlines
+    this._pollSlowdown = 1
+    this._throttledUntil = 0
+    this._cleanResponses = 0
+
+    this._bankroll = opts.bankroll || null
+    this._joins = new Map()         // gameType → join() in flight
+    this._queuedTypes = new Set()   // game types this client joined a queue for
+    this._finishedGames = new Set() // recently finished game ids, which the status can still list
+    this._session = opts.session || null
+    this._recorder = opts.recorder || null
+
+    this._hooks = []
+    for (const hooks of [].concat(opts.hooks || [])) this.use(hooks)
   }
 
   /** The wallet address derived from the configured private key. */
@@ -70,24 +311,175 @@ export class GameClient {
     return this._account.address
   }
 
+  /**
+   * The resolved network profile: name, chainId, chain, rpcUrl, contractAddress,
+   * usdcAddress and apiUrl. The API URL is the network's even when `apiUrl` overrides it.
+   * @returns {import('./networks.js').NetworkProfile}
+   */
+  get network() {
+    return this._network
+  }
+
+  /** The SessionStore passed as `session`, or null. */
+  get session() {
+    return this._session
+  }
+
+  /** The hand recorder given to the constructor, or null. */
+  get recorder() {
+    return this._recorder
+  }
+
+  /**
+   * Smoothed round-trip time of recent API requests, in ms. Used by the
+   * playUntilDone() watchdog; a conservative default until measured.
+   */
+  get rttMs() {
+    return this._rttMs ?? DEFAULT_RTT_MS
+  }
+
+  /**
+   * How far the server's clock is ahead of this host's, in ms (negative = behind).
+   * Applied to signing timestamps and move deadlines. 0 until a response has
+   * been seen; alert on large values, the platform rejects signatures skewed
+   * by more than about 60s.
+   */
+  get clockOffsetMs() {
+    return this._clockOffsetMs
+  }
+
+  /**
+   * Factor poll intervals are stretched by after the platform answered 429.
+   * Doubles with each 429 (up to 8x) and halves again after a run of
+   * successful responses; 1 when not throttled.
+   */
+  get pollSlowdown() {
+    return this._pollSlowdown
+  }
+
+  /**
+   * Consecutive move timeouts seen in a game being played by playUntilDone().
+   *
+   * @param {string} gameId
+   * @returns {number}
+   */
+  consecutiveTimeouts(gameId) {
+    return this._timeouts.get(gameId) || 0
+  }
+
+  /**
+   * @typedef {object} RequestInfo
+   * @property {string} method
+   * @property {string} path - API path, e.g. "/v1/games/join?game=poker"
+   * @property {string|null} gameId
+   * @property {boolean} payment - Sent through the x402 payment fetch (join, tip)
+   * @property {number} attempt - Zero-based; retries count up from 1
+   * @property {object} [headers] - onRequest only: outgoing headers, which the hook may add to
+   * @property {number} [latencyMs] - Time to response (or network failure)
+   * @property {number|null} [status] - HTTP status; null on a network failure
+   * @property {ClabcrawError} [error] - onRetry / onError: the mapped error
+   * @property {number} [delayMs] - onRetry only: wait before the next attempt
+   */
+
+  /**
+   * @typedef {object} RequestHooks
+   * @property {(info: RequestInfo) => void} [onRequest] - Before each attempt is sent
+   * @property {(info: RequestInfo) => void} [onResponse] - Each HTTP response, error statuses included
+   * @property {(info: RequestInfo) => void} [onRetry] - A failed attempt that will be retried
+   * @property {(info: RequestInfo) => void} [onError] - The error a request finally throws
+   */
+
+  /**
+   * Install request hooks for metrics, tracing or logging. Hooks observe
+   * every API call made through this client; they run synchronously and are
+   * not awaited, and an exception (or rejection) in a hook is ignored rather
+   * than failing the request.
+   *
+   * @param {RequestHooks} hooks
+   * @returns {() => void} Removes these hooks again
+   */
+  use(hooks) {
+    this._hooks.push(hooks)
+    return () => {
+      const idx = this._hooks.indexOf(hooks)
+      if (idx !== -1) this._hooks.splice(idx, 1)
+    }
+  }
+
   // ─── Public API ────────────────────────────────────────────────────────────
 
   /**
    * Join the matchmaking queue for a game type.
    * Automatically handles the x402 USDC entry fee payment.
    *
+   * With a bankroll configured, the game type's fees are read from platform
+   * info first and the join is refused before paying if the entry fee would
+   * breach one of its limits.
+   *
+   * With `checkBalances`, the wallet's USDC balance is read on-chain and the
+   * join refused before paying if it cannot cover the entry fee.
+   *
+   * Never pays twice for one entry:
+   *   - getStatus() is checked first; a wallet already queued, or playing a
+   *     game of this type, gets that queue or game back (`existing: true`)
+   *     and pays nothing
+   *   - a join for a game type that is already joining shares its promise
+   *   - a failed payment attempt may still have been settled, so the status
+   *     is checked again before each retry instead of paying blind
+   *
    * @param {string} gameType - e.g. "poker" or "poker-pro"
-   * @returns {Promise<{ gameId: string, status: string, queuePosition: number|null }>}
+   * @param {object} [opts]
+   * @param {boolean} [opts.checkBalances] - Defaults to the constructor's `checkBalances`
+   * @param {boolean} [opts.checkStatus=true] - false skips the status pre-check, e.g. to
+   *   join a second game type's queue on purpose. Retries are still checked.
+   * @returns {Promise<{ gameId: string|null, status: string, queuePosition: number|null,
+   *   paymentTx: string|null, existing: boolean }>} `paymentTx` is the entry fee's settlement
+   *   transaction, null when nothing was paid or the server did not report it
+   * @throws {import('./errors.js').BankrollLimitError} when the bankroll refuses the entry fee
+   * @throws {InsufficientFundsError} when the wallet holds less USDC than the entry fee
    */
-  async join(gameType) {
+  join(gameType, { checkBalances = this._checkBalances, checkStatus = true } = {}) {
+    const inFlight = this._joins.get(gameType)
+    if (inFlight) return inFlight
+
+    const joining = this._join(gameType, { checkBalances, checkStatus })
+      .finally(() => this._joins.delete(gameType))
+    this._joins.set(gameType, joining)
+    return joining
+  }
+
+  async _join(gameType, { checkBalances, checkStatus }) {
+    if (checkStatus) {
+      const existing = await this._existingEntry(gameType)
+      if (existing) return existing
+    }
+
+    // An unlisted game type is left for the server to reject with GameDisabledError
+    const info = this._bankroll || checkBalances ? await this.getPlatformInfo() : null
+    const fees = info && gameFees(info, gameType)
+    if (fees) this._bankroll?.check(gameType, fees)
+    if (fees && checkBalances) await this._checkUsdc(info, gameType, fees.entryFeeUsdc)
+
+    let settled = null // the entry an earlier, failed attempt turned out to have paid for
     const data = await this._request("POST", `/v1/games/join?game=${encodeURIComponent(gameType)}`, null, {
       usePaymentFetch: true,
+      operation: "payment",
+      beforeRetry: async () => (settled = await this._existingEntry(gameType)),
     })
-    return {
+    const joined = settled ? { ...settled, existing: false } : {
       gameId: data.game_id || null,
       status: data.status,
       queuePosition: data.queue_position || null,
+      paymentTx: data.payment_tx || null,
+      existing: false,
     }
+
+    if (fees) this._bankroll?.recordEntry(gameType, fees, { gameId: joined.gameId })
+    if (joined.gameId) this._queuedTypes.delete(gameType)
+    else this._queuedTypes.add(gameType)
+    if (joined.gameId) this._session?.recordMatched(this.address, joined.gameId, gameType)
+    else this._session?.recordQueued(this.address, gameType)
+    return joined
   }
 
   /**
@@ -97,12 +489,37 @@ export class GameClient {
    */
   async getStatus() {
     const data = await this._request("GET", `/v1/agent/${this.address}/status`)
+    const status = normalizeStatus(data)
+    for (const { game_id, game_type } of status.activeGames) {
+      if (game_type) this._bankroll?.assignGame(game_id, game_type)
+    }
+    this._session?.sync(this.address, status)
+    return status
+  }
+
+  /**
+   * Find what a previous process left running, so it can be picked up
+   * instead of joining again: the games the wallet is playing and whether it
+   * is still queued. Checks getStatus(); game types, hands and streets the
+   * status does not report come from the `session` record when there is one.
+   *
+   * @returns {Promise<{ status: string, queued: boolean, games: import('./session.js').SessionGame[] }>}
+   */
+  async resume() {
+    const status = await this.getStatus()
     return {
-      status: data.status,
-      activeGames: data.active_games || [],
-      queuePosition: data.queue_position || null,
-      pauseMode: data.pause_mode || null,
-      message: data.message || null,
+      status: status.status,
+      queued: status.status === "queued",
+      games: status.activeGames.map(({ game_id, game_type }) => {
+        const saved = this._session?.game(game_id)
+        return {
+          gameId: game_id,
+          gameType: game_type || saved?.gameType || null,
+          handNumber: saved?.handNumber ?? null,
+          street: saved?.street ?? null,
+          updatedAt: saved?.updatedAt ?? null,
+        }
+      }),
     }
   }
 
@@ -114,42 +531,61 @@ export class GameClient {
    * @returns {Promise<import('./schema.js').NormalizedState>}
    */
   async getState(gameId) {
-    const timestamp = String(Math.floor(Date.now() / 1000))
-    const signature = await signState(this._account, gameId, timestamp)
-
-    const data = await this._request("GET", `/v1/games/${gameId}/state`, null, {
-      headers: {
-        "x-signature": signature,
-        "x-timestamp": timestamp,
-        "x-signer": this.address,
-      },
-      gameId,
-    })
-
-    return normalizeState(data)
+    const data = await this._signedRequest("GET", `/v1/games/${gameId}/state`, gameId, null, { operation: "state" })
+    return this._remember(gameId, this._normalize(data))
   }
 
   /**
-   * Submit a game action.
+   * Submit a game action, idempotently.
+   *
+   * Every submission carries a client-generated `action_id` inside the signed
+   * body, so a server that deduplicates on it (the mock server; the production
+   * API does not yet) never applies an action twice. Ambiguous failures — network errors and 5xx, where the action may
+   * or may not have landed — are not blindly re-sent: the state is re-read
+   * first, and the action is only retried while the turn it answers is still
+   * open — following the `action` retry policy, and never past that turn's
+   * move deadline. A "Replay detected" answer means an earlier attempt landed.
+   *
+   * A `meta` field on the action is never sent: it is kept, with the outcome
+   * and latency, in the `recorder`'s hand history.
    *
    * @param {string} gameId
-   * @param {{ action: string, amount?: number }} actionBody
-   * @returns {Promise<import('./schema.js').NormalizedState>}
+   * @param {{ action: string, amount?: number, meta?: object }} actionBody
+   * @param {object} [opts]
+   * @param {string} [opts.actionId] - Reuse an id to make a caller-level retry idempotent too
+   * @param {import('./schema.js').NormalizedState} [opts.state] - The state this action answers.
+   *   Defaults to the last state read for this game; used to tell whether the turn moved on.
+   * @param {number} [opts.decisionMs] - How long the strategy took to choose the action, for
+   *   the hand history
+   * @returns {Promise<{ applied: boolean, duplicate: boolean, actionId: string,
+   *   state: import('./schema.js').NormalizedState|null, error?: ClabcrawError }>}
+   *   `applied` — the action took effect (on this or an earlier attempt).
+   *   `duplicate` — an earlier attempt had already applied it.
+   *   `applied: false` (with `error`) when retries ran out and the turn is still open,
+   *   or the turn passed without the state's `lastAction` confirming this action. The
+   *   production API sends no `last_action`, so there a turn that moved on after a lost
+   *   response is always `applied: false`, and playUntilDone() counts it as a timeout.
+   *   `error` on a duplicate is the failure that made the earlier attempt ambiguous.
+   * @throws {ClabcrawError} For definitive rejections: invalid action (422), auth (401),
+   *   game not found (404), paused (503)
    */
-  async submitAction(gameId, actionBody) {
-    const timestamp = String(Math.floor(Date.now() / 1000))
-    const signature = await signAction(this._account, gameId, actionBody, timestamp)
-
-    const data = await this._request("POST", `/v1/games/${gameId}/action`, actionBody, {
-      headers: {
-        "x-signature": signature,
-        "x-timestamp": timestamp,
-        "x-signer": this.address,
-      },
-      gameId,
+  async submitAction(gameId, actionBody, { actionId = randomUUID(), state: before, decisionMs = null } = {}) {
+    const { meta = null, ...action } = actionBody
+    const answered = before || this._lastStates.get(gameId) || null
+    const startedAt = Date.now()
+    const record = (outcome) => this._recorder?.recordAction(gameId, {
+      action, state: answered, actionId, latencyMs: Date.now() - startedAt, decisionMs, meta, ...outcome,
     })
 
-    return normalizeState(data)
+    let result
+    try {
+      result = await this._sendAction(gameId, { ...action, action_id: actionId }, answered, startedAt)
+    } catch (err) {
+      record({ applied: false, duplicate: false, error: err })
+      throw err
+    }
+    record({ applied: result.applied, duplicate: result.duplicate, error: result.applied ? null : result.error })
+    return result
   }
 
   /**
@@ -159,7 +595,19 @@ export class GameClient {
    * @returns {Promise<object>} Raw result object from the API
    */
   async getResult(gameId) {
-    return this._request("GET", `/v1/games/${gameId}/result`)
+    return this._request("GET", `/v1/games/${gameId}/result`, null, { gameId })
+  }
+
+  /**
+   * Fetch every hand of a finished game: blinds, stacks, cards and each
+   * action street by street, as parsed by normalizeReplay() (lib/schema.js).
+   * For reviewing play after the fact — and for the exporters in lib/export.js.
+   *
+   * @param {string} gameId
+   * @returns {Promise<import('./schema.js').Replay>}
+   */
+  async getReplay(gameId) {
+    return normalizeReplay(await this._request("GET", `/v1/games/${gameId}/replay`, null, { gameId }))
   }
 
   /**
@@ -213,6 +661,62 @@ export class GameClient {
     return this._request("GET", "/v1/platform/info")
   }
 
+  /**
+   * Measure the clock offset afresh, discarding earlier samples.
+   * Runs automatically when a signed request is rejected with 401; call it
+   * yourself after the host clock has been stepped.
+   *
+   * @returns {Promise<{ offsetMs: number, syncedAt: number }>} `syncedAt` is local time
+   */
+  async syncClock() {
+    this._clockBounds = null
+    await this._request("GET", "/v1/platform/info", null, { operation: "clock" })
+    return { offsetMs: this._clockOffsetMs, syncedAt: this._clockSyncedAt }
+  }
+
+  /**
+   * Check game results against the ClabcrawArena contract: each game's
+   * settlement event, its payout or draw refund, and the claimable balance
+   * changes they caused. See lib/reconcile.js for what is flagged.
+   *
+   * @param {Array<object|string>} results - getResult() responses, or game ids to fetch them for
+   * @param {object} opts - reconcile() options
+   * @param {bigint} opts.fromBlock - First block to scan
+   * @param {import('viem').Abi|{ abi: import('viem').Abi }} opts.events - ClabcrawArena's ABI or
+   *   build artifact
+   * @param {(gameId: string) => string} opts.toChainGameId - The contract's game id encoding,
+   *   e.g. GAME_ID_ENCODINGS.uuid
+   * @param {Record<string, object>} [opts.fees] - Game fees for draw refunds. Defaults to
+   *   getPlatformInfo().games.
+   * @returns {Promise<import('./reconcile.js').ReconcileReport>}
+   */
+  async reconcileResults(results, { fees, ...opts }) {
+    const resolved = []
+    for (const result of results) {
+      resolved.push(typeof result === "string" ? await this.getResult(result) : result)
+    }
+    const { publicClient } = this._chainClients()
+    return reconcile({
+      ...opts,
+      publicClient,
+      contractAddress: this._arenaAddress(),
+      address: this.address,
+      results: resolved,
+      fees: fees ?? (await this.getPlatformInfo()).games,
+    })
+  }
+
+  /**
+   * Read the wallet's on-chain balances: USDC at `platform.usdc_address` from
+   * getPlatformInfo(), and native ETH for gas.
+   *
+   * @returns {Promise<{ usdcBalance: bigint, usdc: string, ethBalance: bigint, eth: string }>}
+   *   Balances in atomic units (6 decimals for USDC, wei for ETH) and as decimal strings
+   */
+  async getWalletBalances() {
+    return this._walletBalances(await this.getPlatformInfo())
+  }
+
   /**
    * Send a voluntary USDC tip to support Clabcraw development.
    * Payment is handled automatically via x402.
@@ -226,7 +730,7 @@ export class GameClient {
       "POST",
       `/v1/platform/tip?amount=${encodeURIComponent(String(amount))}`,
       null,
-      { usePaymentFetch: true }
+      { usePaymentFetch: true, operation: "payment" }
     )
     return {
       donor: data.donor,
@@ -240,37 +744,53 @@ export class GameClient {
    * First checks the on-chain balance — resolves with `{ amount: 0n }` if nothing
    * to claim so the caller doesn't need to call getClaimable() first.
    *
-   * @returns {Promise<{ txHash: string, amount: bigint, amountUsdc: string }>}
-   * @throws {ClabcrawError} with code "NOTHING_TO_CLAIM" if balance is zero
+   * With `checkBalances`, the claim's gas is estimated and the transaction is
+   * not sent if the wallet's ETH cannot cover it.
+   *
+   * With `dryRun`, nothing is sent: the claim is simulated against the
+   * contract and the amount, gas estimate, worst-case ETH cost and any revert
+   * reason are returned instead (see ClaimDryRun).
+   *
+   * EIP-1559 fees are left to viem unless capped: `maxFeePerGas` and
+   * `maxPriorityFeePerGas` are passed through, and `maxFeeGwei` refuses to
+   * send while the network's fee estimate is above it and otherwise sends at
+   * the estimate (or `maxFeePerGas`), never above the limit.
+   *
+   * @param {object} [opts]
+   * @param {boolean} [opts.checkBalances] - Defaults to the constructor's `checkBalances`
+   * @param {boolean} [opts.dryRun=false] - Simulate only; resolves with a ClaimDryRun
+   * @param {number} [opts.maxFeeGwei] - Highest max fee per gas to send at, in gwei
+   * @param {bigint} [opts.maxFeePerGas] - EIP-1559 max fee per gas, in wei
+   * @param {bigint} [opts.maxPriorityFeePerGas] - EIP-1559 priority fee cap, in wei
+   * @returns {Promise<{ txHash: string, amount: bigint, amountUsdc: string, receipt: import('viem').TransactionReceipt }|ClaimDryRun>}
+   * @throws {ClabcrawError} with code "NOTHING_TO_CLAIM" if balance is zero, "CLAIM_FAILED"
+   *   (receipt in `context`) if the transaction reverted, "FEE_TOO_HIGH" (retriable) when
+   *   network fees are above `maxFeeGwei`
+   * @throws {InsufficientFundsError} when the wallet holds less ETH than the estimated gas cost
    */
-  async claim() {
-    const config = loadConfig()
-    const contractAddress = config.contractAddress || "0xafffcEAD2e99D04e5641A2873Eb7347828e1AAd3"
-    const rpcUrl = config.rpcUrl || "https://mainnet.base.org"
-    const chainId = parseInt(config.chainId || "8453", 10)
-    const chain = chainId === 84532 ? baseSepolia : base
-
-    const abi = parseAbi([
-      "function claim() external",
-      "function getClaimableBalance(address account) external view returns (uint256)",
-    ])
+  async claim({
+    checkBalances = this._checkBalances,
+    dryRun = false,
+    maxFeeGwei = null,
+    maxFeePerGas = null,
+    maxPriorityFeePerGas = null,
+  } = {}) {
+    const contractAddress = this._arenaAddress()
+    if (dryRun) return this._simulateClaim(contractAddress, { maxFeeGwei })
 
-    const publicClient = createPublicClient({ chain, transport: http(rpcUrl) })
-    const walletClient = createWalletClient({ account: this._account, chain, transport: http(rpcUrl) })
+    const { publicClient, walletClient } = this._chainClients()
 
     // Check balance before sending tx
-    const balance = await publicClient.readContract({
-      address: contractAddress,
-      abi,
-      functionName: "getClaimableBalance",
-      args: [this.address],
-    })
+    const balance = await this._claimableBalance(contractAddress)
 
     if (balance === 0n) {
       throw new ClabcrawError("No claimable balance", { code: "NOTHING_TO_CLAIM", retriable: false })
     }
 
-    const hash = await walletClient.writeContract({ address: contractAddress, abi, functionName: "claim" })
+    if (checkBalances) await this._checkGas({ address: contractAddress, abi: ARENA_ABI, functionName: "claim" })
+
+    const fees = await this._feeCaps({ maxFeeGwei, maxFeePerGas, maxPriorityFeePerGas })
+    const hash = await walletClient.writeContract({ address: contractAddress, abi: ARENA_ABI, functionName: "claim", ...fees })
     const receipt = await publicClient.waitForTransactionReceipt({ hash })
 
     if (receipt.status !== "success") {
@@ -281,15 +801,37 @@ export class GameClient {
       txHash: hash,
       amount: balance,
       amountUsdc: (Number(balance) / 1_000_000).toFixed(2),
+      receipt,
     }
   }
 
+  /**
+   * Read the claimable balance on the contract and what claiming it would
+   * cost in gas right now, without sending anything.
+   *
+   * @returns {Promise<{ amount: bigint, amountUsdc: string, gas: bigint|null, gasPrice: bigint|null,
+   *   gasCostWei: bigint|null, gasCostEth: string|null }>} Gas fields are null when there is
+   *   nothing to claim
+   */
+  async estimateClaim() {
+    const contractAddress = this._arenaAddress()
+    const amount = await this._claimableBalance(contractAddress)
+    const estimate = { amount, amountUsdc: (Number(amount) / 1_000_000).toFixed(2) }
+    if (amount === 0n) return { ...estimate, gas: null, gasPrice: null, gasCostWei: null, gasCostEth: null }
+
+    const { gas, gasPrice } = await this._estimateGas({ address: contractAddress, abi: ARENA_ABI, functionName: "claim" })
+    return { ...estimate, gas, gasPrice, gasCostWei: gas * gasPrice, gasCostEth: formatEther(gas * gasPrice) }
+  }
+
   /**
    * Poll until matched and return the game ID.
    * Resolves when status transitions to "active".
    * Rejects if status becomes "idle" (queue cancelled), "paused" (emergency
    * maintenance), or timeout exceeded.
    *
+   * With the socket transport, waits for status pushes on the agent channel
+   * instead of polling, falling back to polling if the socket fails.
+   *
    * @param {object} [opts]
    * @param {number} [opts.timeoutMs=240000] - Max time to wait (default 4 minutes)
    * @param {number} [opts.pollMs=3000] - Poll interval
@@ -298,89 +840,694 @@ export class GameClient {
   async waitForMatch({ timeoutMs = 240_000, pollMs = 3_000 } = {}) {
     const deadline = Date.now() + timeoutMs
 
-    while (Date.now() < deadline) {
-      const { status, activeGames, message } = await this.getStatus()
-
-      if (status === "active" && activeGames.length > 0) {
-        return activeGames[0].game_id
-      }
-
-      if (status === "idle") {
-        throw new ClabcrawError("Queue was cancelled — no longer queued", { code: "QUEUE_CANCELLED", retriable: false })
+    if (this._transport === "socket") {
+      try {
+        for await (const status of this._socketStatuses(deadline)) {
+          const gameId = matchedGameId(status)
+          if (gameId) return gameId
+        }
+        throw new ClabcrawError("Timed out waiting for match", { code: "MATCH_TIMEOUT", retriable: false })
+      } catch (err) {
+        if (!isTransportFailure(err)) throw err
+        this.emit("transportFallback", { gameId: null, error: err })
       }
+    }
 
-      if (status === "paused") {
-        throw new PausedError(message || "Platform is paused for emergency maintenance — retry after the pause lifts")
+    while (Date.now() < deadline) {
+      let status
+      try {
+        status = await this.getStatus()
+      } catch (err) {
+        if (err.code !== "RATE_LIMITED") throw err
       }
-
-      await sleep(pollMs)
+      const gameId = status && matchedGameId(status)
+      if (gameId) return gameId
+      await sleep(this._pollDelay(pollMs))
     }
 
     throw new ClabcrawError("Timed out waiting for match", { code: "MATCH_TIMEOUT", retriable: false })
   }
 
+  /**
+   * Iterate the changed states of a game until it finishes.
+   *
+   * Polls getState() every `pollMs`, skipping unchanged responses. Each changed
+   * state is diffed against the previous one and the resulting events
+   * (`handStarted`, `opponentActed`, `streetChanged`, `showdown`, `yourTurn`,
+   * `gameFinished` — see lib/events.js) are emitted on this client before the
+   * state is yielded. The final yielded state has `isFinished: true`.
+   *
+   * Events only fire while something is consuming this iterator (directly or
+   * through playUntilDone()). Breaking out of the loop stops polling.
+   *
+   * With the socket transport, states arrive as the server pushes them; if the
+   * socket fails a `transportFallback` event is emitted and polling takes over.
+   *
+   * @param {string} gameId
+   * @param {object} [opts]
+   * @param {number} [opts.pollMs=1000] - Delay between polls (polling transport)
+   * @param {PollScheduler} [opts.scheduler] - Poll budget shared with other loops
+   * @yields {import('./schema.js').NormalizedState}
+   */
+  async *states(gameId, { pollMs = DEFAULT_POLL_MS, scheduler = null } = {}) {
+    let previous = null
+
+    try {
+      for await (const state of this._stateFeed(gameId, pollMs, scheduler)) {
+        if (state.unchanged) continue
+        this._remember(gameId, state)
+
+        for (const [event, payload] of diffStates(previous, state)) {
+          this.emit(event, { gameId, state, previous, ...payload })
+        }
+        previous = state
+        if (state.isFinished) {
+          this._rememberFinished(gameId)
+          this._bankroll?.recordResult(gameId, state.result, this._session?.game(gameId)?.gameType ?? null)
+          this._session?.recordFinished(gameId)
+        } else {
+          this._session?.recordProgress(this.address, gameId, state)
+        }
+        this._recorder?.recordState(gameId, state)
+
+        yield state
+
+        if (state.isFinished) return
+      }
+    } finally {
+      this._lastStates.delete(gameId)
+    }
+  }
+
   /**
    * Run a complete game loop until the game finishes.
    *
-   * Polls state on each tick and calls `handler` with the normalized state.
+   * Consumes states() and calls `handler` with each changed normalized state.
    * The handler should return an action object ({ action, amount? }) when it
    * is the agent's turn, or null/undefined to skip (e.g. when waiting).
+   * Events are emitted on this client as the game progresses. An action's
+   * `meta` (the strategy's reasoning, say) is not sent; with a `recorder` it
+   * is kept in the hand history along with how long the handler took.
+   *
+   * On your turn the handler races a watchdog: if it has not answered by the
+   * move deadline minus the measured RTT and `safetyMarginMs`, the `fallback`
+   * action is submitted instead (a `watchdogFired` event is emitted) and the
+   * handler's late answer is discarded.
+   *
+   * Rejected submissions are recovered according to `recovery` instead of
+   * ending the loop, each emitting a `recovery` event with a `kind`:
+   *   - "raise_corrected"  — 422 on a raise; retried clamped to valid_actions.raise
+   *   - "invalid_fallback" — 422 otherwise; retried with `fallback` built from
+   *                          the 422's valid_actions
+   *   - "replay_applied"   — an earlier attempt had already landed (see submitAction);
+   *                          `error` is the failure that hid it, or null
+   *
+   * Turns that pass without an accepted action count as timeouts. Each emits
+   * `moveTimedOut`; when one more would forfeit the game, `forfeitRisk` is
+   * emitted as well. An accepted action resets the count.
    *
    * @param {string} gameId
    * @param {(state: import('./schema.js').NormalizedState) => Promise<{action:string,amount?:number}|null>} handler
    * @param {object} [opts]
    * @param {number} [opts.pollMs=1000] - How often to poll when unchanged
+   * @param {PollScheduler} [opts.scheduler] - Poll budget shared with other games, see playAll()
+   * @param {boolean} [opts.watchdog=true] - Enforce the move deadline on the handler
+   * @param {Function|object} [opts.fallback] - Action submitted when the watchdog fires, or a
+   *   `(state) => action` function. Defaults to check, else fold.
+   * @param {number} [opts.safetyMarginMs=500] - Extra time kept in reserve before the deadline
+   * @param {number} [opts.timeoutLimit=3] - Consecutive timeouts that forfeit the game
+   *   (platform info `consecutive_timeout_limit`)
+   * @param {boolean|object} [opts.recovery=true] - false rethrows every submission error.
+   *   An object switches individual behaviours: `{ correctRaise, fallbackOnInvalid }`.
    * @returns {Promise<import('./schema.js').NormalizedState>} Final state when game ends
    */
-  async playUntilDone(gameId, handler, { pollMs = DEFAULT_POLL_MS } = {}) {
+  async playUntilDone(gameId, handler, {
+    pollMs = DEFAULT_POLL_MS,
+    scheduler = null,
+    watchdog = true,
+    fallback = safeAction,
+    safetyMarginMs = DEFAULT_SAFETY_MARGIN_MS,
+    timeoutLimit = DEFAULT_TIMEOUT_LIMIT,
+    recovery = true,
+  } = {}) {
+    const policy = recovery === true ? DEFAULT_RECOVERY : recovery ? { ...DEFAULT_RECOVERY, ...recovery } : null
+    let unanswered = null // your-turn state that no action was accepted for
+
+    try {
+      for await (const state of this.states(gameId, { pollMs, scheduler })) {
+        if (unanswered && turnKey(state) !== turnKey(unanswered)) {
+          this._recordTimeout(gameId, unanswered, timeoutLimit)
+          unanswered = null
+        }
+
+        if (state.isFinished) return state
+
+        const enforce = watchdog && state.isYourTurn && typeof state.moveDeadlineMs === "number"
+        const decidingSince = Date.now()
+        const action = enforce
+          ? await this._decideWithDeadline(gameId, state, handler, { fallback, safetyMarginMs })
+          : await handler(state)
+        const decisionMs = Date.now() - decidingSince
+
+        const submitted = action
+          ? await this._submitWithRecovery(gameId, state, action, { policy, fallback, decisionMs })
+          : null
+
+        if (submitted?.applied) {
+          if (state.isYourTurn) this._timeouts.set(gameId, 0)
+        } else if (state.isYourTurn) {
+          unanswered = state
+        }
+      }
+    } finally {
+      this._timeouts.delete(gameId)
+    }
+  }
+
+  /**
+   * @typedef {object} GameResult
+   * @property {string} gameId
+   * @property {import('./schema.js').NormalizedState|null} state - Final state, null if the game failed
+   * @property {ClabcrawError|null} error - Why playUntilDone() gave up on this game
+   */
+
+  /**
+   * Play every active game of this wallet concurrently, e.g. after joining
+   * several queues or game types.
+   *
+   * Polls getStatus() every `discoverMs` and starts playUntilDone() with
+   * `handler` for each new game in `activeGames`. All state polls, and the
+   * discovery polls themselves, share one PollScheduler budget of
+   * `maxPollsPerSecond`, handed out in turn so no game starves another of
+   * reads. Actions are submitted outside the budget; each game keeps its own
+   * watchdog on its own move deadline.
+   *
+   * A failed game does not stop the others: its error is recorded in its
+   * result. Each result is emitted as a `gameResult` event when its game
+   * ends. Returns once nothing is running and the wallet is no longer queued.
+   *
+   * @param {(state: import('./schema.js').NormalizedState) => Promise<{action:string,amount?:number}|null>} handler -
+   *   Called as in playUntilDone(); `state.gameId` tells the games apart
+   * @param {object} [opts] - Also accepts every playUntilDone() option
+   * @param {number} [opts.discoverMs=3000] - How often to look for new games
+   * @param {number} [opts.maxPollsPerSecond=4] - Poll budget shared by all games
+   * @param {number} [opts.matchTimeoutMs=240000] - Give up after waiting this long in the
+   *   queue, or for getStatus() to answer, with no game running
+   * @returns {Promise<Map<string, GameResult>>} Results by game id
+   * @throws {ClabcrawError} MATCH_TIMEOUT when no game was ever matched, or the last
+   *   retriable getStatus() error when the platform stayed unreachable that long
+   * @throws {PausedError} during an emergency pause with no game running
+   */
+  async playAll(handler, {
+    discoverMs = 3_000,
+    maxPollsPerSecond = 4,
+    matchTimeoutMs = 240_000,
+    ...playOpts
+  } = {}) {
+    const scheduler = new PollScheduler({ maxPerSecond: maxPollsPerSecond })
+    const results = new Map()
+    const running = new Map() // gameId → playUntilDone() promise, never rejects
+    let idleSince = Date.now()
+
+    const play = async (gameId) => {
+      let result
+      try {
+        result = { gameId, state: await this.playUntilDone(gameId, handler, { ...playOpts, scheduler }), error: null }
+      } catch (err) {
+        result = { gameId, state: null, error: err }
+      }
+      running.delete(gameId)
+      results.set(gameId, result)
+      this.emit("gameResult", result)
+    }
+
     while (true) {
-      let state
+      let status = null
+      let statusError = null
+      try {
+        await scheduler.acquire(this._pollSlowdown)
+        status = await this.getStatus()
+      } catch (err) {
+        // Games already running end on their own errors if the platform is down
+        if (!err.retriable && running.size === 0) throw err
+        statusError = err
+      }
+
+      for (const { game_id: gameId } of status?.activeGames || []) {
+        if (!results.has(gameId) && !running.has(gameId)) running.set(gameId, play(gameId))
+      }
+
+      if (running.size > 0) {
+        idleSince = Date.now()
+      } else {
+        if (status?.status === "paused") matchedGameId(status) // throws PausedError
+        if (status && status.status !== "queued") break
+        if (Date.now() - idleSince >= matchTimeoutMs) {
+          if (results.size > 0) break
+          if (statusError) throw statusError
+          throw new ClabcrawError("Timed out waiting for match", { code: "MATCH_TIMEOUT", retriable: false })
+        }
+      }
 
+      // Look again after discoverMs, or as soon as a game ends
+      await sleepUntilSettled(this._pollDelay(discoverMs), running.values())
+    }
+
+    return results
+  }
+
+  /**
+   * Close the WebSocket connection, if one is open. Only needed with the
+   * socket transport when abandoning a states() iteration or waitForMatch()
+   * early; both release the socket themselves when they finish.
+   */
+  close() {
+    this._socket?.close()
+    this._socket = null
+    this._socketUsers = 0
+  }
+
+  // ─── Internal ───────────────────────────────────────────────────────────────
+
+  /**
+   * Raw state source for states(): pushed states when the socket transport is
+   * enabled and working, polled states otherwise.
+   */
+  async *_stateFeed(gameId, pollMs, scheduler) {
+    if (this._transport === "socket") {
       try {
-        state = await this.getState(gameId)
+        yield* this._socketStates(gameId)
+        return
       } catch (err) {
-        if (err.code === "GAME_NOT_FOUND") {
-          // Game was cleaned up (completed) before the next poll could read the
-          // final state — this happens when a terminal action (e.g. all-in) resolves
-          // so quickly that the game is gone by the time we poll again.
-          // Fetch the result directly and return a synthetic finished state.
-          const result = await this.getResult(gameId).catch(() => null)
-          const youWon = result?.winner?.toLowerCase() === this.address.toLowerCase()
-          const isDraw = result?.outcome === "draw"
-          return {
-            isFinished: true,
-            result: isDraw ? "draw" : result ? (youWon ? "win" : "loss") : "unknown",
-            outcome: result?.outcome || "unknown",
-            yourStack: youWon ? result?.winner_stack : result?.loser_stack,
-            opponentStack: youWon ? result?.loser_stack : result?.winner_stack,
-          }
+        if (!isTransportFailure(err)) throw err
+        this.emit("transportFallback", { gameId, error: err })
+      }
+    }
+    yield* this._pollStates(gameId, pollMs, scheduler)
+  }
+
+  async *_pollStates(gameId, pollMs, scheduler) {
+    while (true) {
+      try {
+        await scheduler?.acquire(this._pollSlowdown)
+        yield await this.getState(gameId)
+      } catch (err) {
+        // The state policy gives up fast; a missed poll is retried at the next
+        // interval. Repeated server failures open the circuit, which is fatal.
+        if (err.retriable) {
+          await sleep(this._pollDelay(pollMs))
+          continue
         }
-        throw err
+        if (err.code !== "GAME_NOT_FOUND") throw err
+        // Game was cleaned up (completed) before the next poll could read the
+        // final state — this happens when a terminal action (e.g. all-in) resolves
+        // so quickly that the game is gone by the time we poll again.
+        yield await this._finishedFromResult(gameId)
+        return
       }
+      await sleep(this._pollDelay(pollMs))
+    }
+  }
 
-      if (state.unchanged) {
-        await sleep(pollMs)
-        continue
+  /** Game states pushed on the "game:{id}" channel, starting with the join reply. */
+  async *_socketStates(gameId) {
+    let channel
+    try {
+      channel = await this._joinChannel(`game:${gameId}`)
+    } catch (err) {
+      if (err.code !== "GAME_NOT_FOUND") throw err
+      yield await this._finishedFromResult(gameId)
+      return
+    }
+
+    try {
+      const pushes = channel.messages("state")
+      yield this._normalize(channel.reply.state)
+      for await (const raw of pushes) {
+        yield this._normalize(raw)
       }
+      throw new SocketError(`Channel game:${gameId} closed before the game finished`)
+    } finally {
+      await this._leaveChannel(channel)
+    }
+  }
+
+  /** Agent statuses pushed on the "agent:{address}" channel until `deadline`. */
+  async *_socketStatuses(deadline) {
+    const channel = await this._joinChannel(`agent:${this.address.toLowerCase()}`)
+    try {
+      const pushes = channel.messages("status")
+      yield normalizeStatus(channel.reply.status)
 
-      if (state.isFinished) {
-        return state
+      while (true) {
+        const remaining = deadline - Date.now()
+        if (remaining <= 0) return
+        let timer
+        const next = await Promise.race([
+          pushes.next(),
+          new Promise((resolve) => {
+            timer = setTimeout(() => resolve(null), remaining)
+          }),
+        ])
+        clearTimeout(timer)
+        if (!next) return
+        if (next.done) throw new SocketError("Agent channel closed")
+        yield normalizeStatus(next.value)
       }
+    } finally {
+      await this._leaveChannel(channel)
+    }
+  }
+
+  /**
+   * Join a channel with EIP-191 auth, connecting the shared socket if needed.
+   *
+   * @param {string} topic
+   * @returns {Promise<import('./channel.js').Channel>}
+   */
+  async _joinChannel(topic) {
+    if (!this._socket?.isConnected) {
+      this._socket = new PhoenixSocket(this._socketUrl)
+      this._socketUsers = 0
+      await this._socket.connect()
+    }
+    const socket = this._socket
+    this._socketUsers++
 
-      const action = await handler(state)
+    try {
+      const timestamp = this._timestamp()
+      const signature = await signChannelJoin(this._account, topic, timestamp)
+      return await socket.join(topic, { signer: this.address, timestamp, signature })
+    } catch (err) {
+      this._releaseSocket(socket)
+      throw err
+    }
+  }
+
+  async _leaveChannel(channel) {
+    await channel.leave()
+    this._releaseSocket(channel.socket)
+  }
 
-      if (action) {
-        await this.submitAction(gameId, action)
+  /** Close the shared socket once no subscription is using it. */
+  _releaseSocket(socket) {
+    if (socket !== this._socket) return
+    if (--this._socketUsers > 0) return
+    this._socket.close()
+    this._socket = null
+  }
+
+  /**
+   * Request signed with the EIP-191 headers for a game. Without a body the
+   * state-read marker is signed; action bodies are signed as sent.
+   *
+   * A 401 (other than a replay) re-syncs the clock, and the request is signed
+   * and sent once more if the offset moved — a skewed clock looks like bad auth.
+   */
+  async _signedRequest(method, path, gameId, body = null, opts = {}) {
+    const send = async () => {
+      const timestamp = this._timestamp()
+      const signature = body
+        ? await signAction(this._account, gameId, body, timestamp)
+        : await signState(this._account, gameId, timestamp)
+
+      return this._request(method, path, body, {
+        ...opts,
+        headers: {
+          "x-signature": signature,
+          "x-timestamp": timestamp,
+          "x-signer": this.address,
+        },
+        gameId,
+      })
+    }
+
+    const signedOffsetMs = this._clockOffsetMs
+    try {
+      return await send()
+    } catch (err) {
+      if (err.code !== "AUTH_ERROR" || isReplay(err)) throw err
+      if (!(await this._resyncClock(signedOffsetMs, err))) throw err
+      return send()
+    }
+  }
+
+  /** Unix seconds on the server's clock, as signed in x-timestamp. */
+  _timestamp() {
+    return String(Math.floor((Date.now() + this._clockOffsetMs) / 1000))
+  }
+
+  /** normalizeState() with move deadlines measured against the server's clock. */
+  _normalize(raw) {
+    const state = normalizeState(raw, { now: Date.now() + this._clockOffsetMs })
+    this._readAt.set(state, Date.now())
+    return state
+  }
+
+  /**
+   * Local time by which an answer to `state` must arrive (its move deadline,
+   * less one round trip), or null if it has none.
+   */
+  _deadlineOf(state) {
+    const readAt = state && this._readAt.get(state)
+    if (!readAt || state.moveDeadlineMs == null) return null
+    return readAt + state.moveDeadlineMs - this.rttMs
+  }
+
+  /**
+   * Re-measure the clock after a 401. Emits `clockResync`; resolves true when
+   * the offset moved from the one the request was signed with enough to
+   * change its timestamp.
+   */
+  async _resyncClock(previousOffsetMs, error) {
+    try {
+      await this.syncClock()
+    } catch {
+      return false
+    }
+    this.emit("clockResync", { offsetMs: this._clockOffsetMs, previousOffsetMs, error })
+    return Math.abs(this._clockOffsetMs - previousOffsetMs) >= CLOCK_RESOLUTION_MS
+  }
+
+  /**
+   * Narrow the clock offset from a response's Date header. The header is
+   * truncated to the second and was stamped somewhere between `sentAt` and
+   * `receivedAt`, so each sample bounds the offset to an interval; the
+   * intersection of all of them tightens with every request. The offset used
+   * is the smallest correction inside it, so an accurate clock stays at 0.
+   */
+  _recordClock(dateHeader, sentAt, receivedAt) {
+    const serverMs = Date.parse(dateHeader || "")
+    if (Number.isNaN(serverMs)) return
+
+    const lo = serverMs - receivedAt
+    const hi = serverMs + CLOCK_RESOLUTION_MS - sentAt
+    const bounds = this._clockBounds
+    // Disjoint from what we knew: one of the clocks was stepped, start over
+    this._clockBounds = bounds && lo <= bounds[1] && hi >= bounds[0]
+      ? [Math.max(lo, bounds[0]), Math.min(hi, bounds[1])]
+      : [lo, hi]
+
+    this._clockOffsetMs = Math.min(Math.max(0, this._clockBounds[0]), this._clockBounds[1])
+    this._clockSyncedAt = receivedAt
+  }
+
+  /**
+   * The queue or game a join for `gameType` would duplicate, from getStatus(),
+   * in join()'s return shape; null when the wallet is free to join.
+   *
+   * The status does not say which game type a queue is for. A queue counts
+   * as another type's only when this client (or the session) knows it joined
+   * that type's queue; an unknown queue is assumed to be this one.
+   */
+  async _existingEntry(gameType) {
+    const status = await this.getStatus()
+    const games = status.activeGames.filter((g) => !this._finishedGames.has(g.game_id))
+    for (const g of games) this._queuedTypes.delete(g.game_type)
+
+    const game = games.find((g) => !g.game_type || g.game_type === gameType)
+    if (game) {
+      return { gameId: game.game_id, status: "active", queuePosition: null, paymentTx: null, existing: true }
+    }
+    if (status.status !== "queued" && !status.queuePosition) {
+      this._queuedTypes.clear()
+      return null
+    }
+
+    const known = new Set(this._queuedTypes)
+    if (this._session?.queued?.gameType) known.add(this._session.queued.gameType)
+    if (known.size > 0 && !known.has(gameType)) return null
+    return { gameId: null, status: "queued", queuePosition: status.queuePosition, paymentTx: null, existing: true }
+  }
+
+  _rememberFinished(gameId) {
+    this._finishedGames.add(gameId)
+    if (this._finishedGames.size > MAX_FINISHED_GAMES) {
+      this._finishedGames.delete(this._finishedGames.values().next().value)
+    }
+  }
+
+  /** Record the latest changed state of a game (see submitAction). */
+  _remember(gameId, state) {
+    if (!state.unchanged) this._lastStates.set(gameId, state)
+    return state
+  }
+
+  /** Re-read state after an ambiguous submission; null if that fails too. */
+  async _readState(gameId) {
+    try {
+      const state = await this.getState(gameId)
+      return state.unchanged ? this._lastStates.get(gameId) || null : state
+    } catch (err) {
+      if (err.code === "GAME_NOT_FOUND") return this._finishedFromResult(gameId)
+      return null
+    }
+  }
+
+  /**
+   * Race the handler against the move deadline. Returns the handler's action,
+   * or the fallback if the deadline (less RTT and margin) arrives first. The
+   * budget runs from when the state was read, not from when the handler starts.
+   */
+  async _decideWithDeadline(gameId, state, handler, { fallback, safetyMarginMs }) {
+    const deadlineAt = this._deadlineOf(state) ?? Date.now() + state.moveDeadlineMs - this.rttMs
+    const budgetMs = deadlineAt - safetyMarginMs - Date.now()
+    const decision = Promise.resolve().then(() => handler(state))
+
+    let timer
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(EXPIRED), Math.max(0, budgetMs))
+    })
+    const result = await Promise.race([decision, expired]).finally(() => clearTimeout(timer))
+    if (result !== EXPIRED) return result
+
+    // The late answer (or error) is discarded
+    decision.catch(() => {})
+    const action = typeof fallback === "function" ? fallback(state) : fallback
+    this.emit("watchdogFired", { gameId, state, action, budgetMs })
+    return action
+  }
+
+  /** submitAction()'s send-and-check loop, without the bookkeeping. */
+  async _sendAction(gameId, body, answered, startedAt) {
+    const actionId = body.action_id
+    const policy = this._retryPolicies.action
+    const deadlineAt = this._deadlineOf(answered)
+    let lastError
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await this._signedRequest("POST", `/v1/games/${gameId}/action`, gameId, body, { policy: SINGLE_ATTEMPT })
+        const state = this._remember(gameId, this._normalize(data))
+        return { applied: true, duplicate: data.duplicate === true, actionId, state }
+      } catch (err) {
+        if (isReplay(err)) {
+          return { applied: true, duplicate: true, actionId, state: await this._readState(gameId), error: err }
+        }
+        if (!err.retriable) throw err
+        lastError = err
+      }
+
+      // Ambiguous — find out whether the action landed before sending it again
+      const current = await this._readState(gameId)
+      if (current && turnMovedOn(answered, current)) {
+        // The turn can also pass by the server timing us out; sending again would land on a later turn
+        const applied = isOurLastAction(body, answered, current)
+        return { applied, duplicate: applied, actionId, state: current, error: lastError }
       }
 
-      await sleep(pollMs)
+      const delayMs = nextDelay(policy, { attempt, startedAt, deadlineAt, retryAfterMs: retryAfterHint(lastError) })
+      if (delayMs === null) break
+      await sleep(delayMs)
     }
+
+    return { applied: false, duplicate: false, actionId, state: null, error: lastError }
   }
 
-  // ─── Internal ───────────────────────────────────────────────────────────────
+  /**
+   * Submit an action, recovering from rejections as `policy` allows.
+   * Resolves with the submitAction() result; throws when the error is not
+   * recoverable (or policy is null).
+   */
+  async _submitWithRecovery(gameId, state, action, { policy, fallback, decisionMs = null }) {
+    let attempt = action
+    let fellBack = false
+
+    // Terminates: a corrected raise is in range, and the fallback is tried once
+    while (true) {
+      let result
+      try {
+        result = await this.submitAction(gameId, attempt, { state, decisionMs })
+      } catch (err) {
+        if (!policy || err.code !== "INVALID_ACTION") throw err
+
+        const actions = normalizeActions(err.context?.valid_actions || state.raw?.valid_actions)
+        let next = null
+        let kind = null
+
+        if (policy.correctRaise && attempt.action === "raise" && actions.raise.available) {
+          const amount = Math.min(Math.max(Number(attempt.amount) || 0, actions.raise.min), actions.raise.max)
+          if (amount !== attempt.amount) {
+            next = { action: "raise", amount }
+            kind = "raise_corrected"
+          }
+        }
+
+        if (!next && policy.fallbackOnInvalid && !fellBack) {
+          const current = { ...state, actions }
+          next = typeof fallback === "function" ? fallback(current) : fallback
+          kind = "invalid_fallback"
+          fellBack = true
+        }
+
+        if (!next || sameAction(next, attempt)) throw err
+
+        this.emit("recovery", { gameId, state, kind, attempted: attempt, action: next, error: err })
+        attempt = next
+        continue
+      }
+
+      if (result.duplicate) {
+        this.emit("recovery", { gameId, state, kind: "replay_applied", attempted: attempt, action: null, error: result.error ?? null })
+      }
+      return result
+    }
+  }
+
+  _recordTimeout(gameId, state, limit) {
+    const count = this.consecutiveTimeouts(gameId) + 1
+    this._timeouts.set(gameId, count)
+    this.emit("moveTimedOut", { gameId, state, consecutiveTimeouts: count, limit })
+    if (count === limit - 1) {
+      this.emit("forfeitRisk", { gameId, consecutiveTimeouts: count, limit })
+    }
+  }
+
+  /**
+   * Build a synthetic finished state from the game result, for games that were
+   * cleaned up before their final state could be read.
+   *
+   * @param {string} gameId
+   * @returns {Promise<object>}
+   */
+  async _finishedFromResult(gameId) {
+    const result = await this.getResult(gameId).catch(() => null)
+    const youWon = result?.winner?.toLowerCase() === this.address.toLowerCase()
+    const isDraw = result?.outcome === "draw"
+    return {
+      gameId,
+      isFinished: true,
+      result: isDraw ? "draw" : result ? (youWon ? "win" : "loss") : "unknown",
+      outcome: result?.outcome || "unknown",
+      yourStack: youWon ? result?.winner_stack : result?.loser_stack,
+      opponentStack: youWon ? result?.loser_stack : result?.winner_stack,
+    }
+  }
 
   /**
    * Internal HTTP request helper with typed error mapping and retry logic.
+   * Retriable failures are retried under the operation's policy; every sent
+   * request is reported to the circuit breaker, which is checked first.
    *
    * @param {string} method - HTTP method
    * @param {string} path - API path (e.g. "/v1/games/join")
@@ -389,11 +1536,16 @@ export class GameClient {
    * @param {object} [opts.headers] - Extra headers
    * @param {boolean} [opts.usePaymentFetch] - Use x402 payment fetch for this request
    * @param {string} [opts.gameId] - Used for GameNotFoundError messages
+   * @param {string} [opts.operation="default"] - Retry policy to apply (see lib/retry.js)
+   * @param {import('./retry.js').RetryPolicy} [opts.policy] - Explicit policy, overrides `operation`
+   * @param {number} [opts.deadlineAt] - Never retry past this time (ms)
+   * @param {() => Promise<any>} [opts.beforeRetry] - Called before each retry; a non-null
+   *   result is returned instead of sending the request again
    * @returns {Promise<object>}
    */
   async _request(method, path, body = null, opts = {}) {
     const url = `${this._apiUrl}${path}`
-    const fetchFn = opts.usePaymentFetch ? this._paymentFetch : fetch
+    const fetchFn = opts.usePaymentFetch ? this._paymentFetch : this._fetch
 
     const headers = {
       "content-type": "application/json",
@@ -405,36 +1557,296 @@ export class GameClient {
       init.body = JSON.stringify(body)
     }
 
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    const policy = opts.policy || this._retryPolicies[opts.operation] || this._retryPolicies.default
+    const call = { method, path, gameId: opts.gameId ?? null, payment: Boolean(opts.usePaymentFetch) }
+    const startedAt = Date.now()
+    const retryDelay = (attempt, err) =>
+      nextDelay(policy, { attempt, startedAt, deadlineAt: opts.deadlineAt, retryAfterMs: retryAfterHint(err) })
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this._breaker?.check()
+      } catch (err) {
+        this._runHooks("onError", { ...call, attempt, latencyMs: 0, status: null, error: err })
+        throw err
+      }
+
       let response
+      this._runHooks("onRequest", { ...call, attempt, headers })
+      const started = Date.now()
       try {
         response = await fetchFn(url, init)
+        const received = Date.now()
+        // Payment requests include a signing round, so they would skew the estimate
+        if (!opts.usePaymentFetch) this._recordRtt(received - started)
+        this._recordClock(response.headers.get("date"), started, received)
       } catch (cause) {
+        this._breaker?.record(true)
         const err = new NetworkError(`Network error: ${cause?.message || cause}`, { context: cause })
-        if (attempt < MAX_RETRIES) {
-          await sleep(backoff(attempt))
+        const failed = { ...call, attempt, latencyMs: Date.now() - started, status: null, error: err }
+        const delayMs = retryDelay(attempt, err)
+        if (delayMs !== null) {
+          this._runHooks("onRetry", { ...failed, delayMs })
+          await sleep(delayMs)
+          const instead = await opts.beforeRetry?.()
+          if (instead != null) return instead
           continue
         }
+        this._runHooks("onError", failed)
         throw err
       }
 
+      const latencyMs = Date.now() - started
+      this._runHooks("onResponse", { ...call, attempt, latencyMs, status: response.status })
+
       // 304 / unchanged signal
       if (response.status === 304) {
+        this._breaker?.record(false)
+        this._recordUnthrottled()
         return { unchanged: true }
       }
 
       if (response.ok) {
+        this._breaker?.record(false)
+        this._recordUnthrottled()
         return response.json()
       }
 
       const err = await fromResponse(response, opts.gameId)
+      // A 429's wait comes from Retry-After or the rate-limit reset header
+      if (response.headers.has("retry-after") || err.code === "RATE_LIMITED") HINTED.add(err)
+      if (err.code === "RATE_LIMITED") this._recordThrottle(err, call)
+      // A maintenance pause is the server working as intended, not failing
+      this._breaker?.record(response.status >= 500 && err.code !== "PAUSED")
+      const failed = { ...call, attempt, latencyMs, status: response.status, error: err }
 
-      if (err.retriable && attempt < MAX_RETRIES) {
-        await sleep(err.retryAfterMs || backoff(attempt))
+      const delayMs = err.retriable ? retryDelay(attempt, err) : null
+      if (delayMs !== null) {
+        this._runHooks("onRetry", { ...failed, delayMs })
+        await sleep(delayMs)
+        const instead = await opts.beforeRetry?.()
+        if (instead != null) return instead
         continue
       }
 
+      this._runHooks("onError", failed)
       throw err
     }
   }
+
+  async _walletBalances(info) {
+    const usdcAddress = info?.platform?.usdc_address
+    if (!usdcAddress) {
+      throw new ClabcrawError("Platform info does not list a USDC address", { code: "BAD_RESPONSE", retriable: false, context: info })
+    }
+    const { publicClient } = this._chainClients()
+    const [usdcBalance, ethBalance] = await Promise.all([
+      publicClient.readContract({ address: usdcAddress, abi: ERC20_ABI, functionName: "balanceOf", args: [this.address] }),
+      publicClient.getBalance({ address: this.address }),
+    ])
+    return {
+      usdcBalance,
+      usdc: formatUnits(usdcBalance, USDC_DECIMALS),
+      ethBalance,
+      eth: formatEther(ethBalance),
+    }
+  }
+
+  /** Throw InsufficientFundsError if the wallet cannot pay an entry fee. */
+  async _checkUsdc(info, gameType, entryFeeUsdc) {
+    const { usdcBalance } = await this._walletBalances(info)
+    const required = BigInt(Math.round(entryFeeUsdc * 10 ** USDC_DECIMALS))
+    if (usdcBalance >= required) return
+
+    const amounts = {
+      required: formatUnits(required, USDC_DECIMALS),
+      balance: formatUnits(usdcBalance, USDC_DECIMALS),
+      shortfall: formatUnits(required - usdcBalance, USDC_DECIMALS),
+    }
+    throw new InsufficientFundsError(
+      `The ${gameType} entry fee is ${amounts.required} USDC but wallet ${this.address} holds ${amounts.balance} USDC — send it at least ${amounts.shortfall} USDC`,
+      { asset: "USDC", ...amounts }
+    )
+  }
+
+  /** Gas limit and current gas price of a contract call from this wallet. */
+  async _estimateGas(call) {
+    const { publicClient } = this._chainClients()
+    const [gas, gasPrice] = await Promise.all([
+      publicClient.estimateContractGas({ ...call, account: this.address }),
+      publicClient.getGasPrice(),
+    ])
+    return { gas, gasPrice }
+  }
+
+  /** Throw InsufficientFundsError if the wallet cannot pay the gas of a contract call. */
+  async _checkGas(call) {
+    const { publicClient } = this._chainClients()
+    const [{ gas, gasPrice }, ethBalance] = await Promise.all([
+      this._estimateGas(call),
+      publicClient.getBalance({ address: this.address }),
+    ])
+    const required = (gas * gasPrice * GAS_BUFFER_PERCENT) / 100n
+    if (ethBalance >= required) return
+
+    const amounts = {
+      required: formatEther(required),
+      balance: formatEther(ethBalance),
+      shortfall: formatEther(required - ethBalance),
+    }
+    throw new InsufficientFundsError(
+      `The ${call.functionName} transaction needs about ${amounts.required} ETH for gas but wallet ${this.address} holds ${amounts.balance} ETH — send it at least ${amounts.shortfall} ETH`,
+      { asset: "ETH", ...amounts }
+    )
+  }
+
+  /**
+   * @typedef {object} ClaimDryRun
+   * @property {true} dryRun
+   * @property {bigint} amount - Claimable balance, atomic USDC units
+   * @property {string} amountUsdc
+   * @property {boolean} wouldSucceed - The simulated claim did not revert
+   * @property {string|null} revertReason
+   * @property {bigint|null} gas - Gas estimate; null when the claim would revert
+   * @property {bigint} maxFeePerGas - Current EIP-1559 estimates, in wei
+   * @property {bigint} maxPriorityFeePerGas
+   * @property {string} maxFeeGwei
+   * @property {bigint|null} maxCostWei - gas × maxFeePerGas, the most the claim can cost
+   * @property {string|null} maxCostEth
+   * @property {boolean|null} overFeeLimit - maxFeePerGas is above `maxFeeGwei`; null without a limit
+   */
+
+  /** @returns {Promise<ClaimDryRun>} */
+  async _simulateClaim(contractAddress, { maxFeeGwei }) {
+    const { publicClient } = this._chainClients()
+    const call = { address: contractAddress, abi: ARENA_ABI, functionName: "claim", account: this.address }
+    const [amount, fees] = await Promise.all([
+      this._claimableBalance(contractAddress),
+      publicClient.estimateFeesPerGas(),
+    ])
+
+    let gas = null
+    let revertReason = null
+    try {
+      await publicClient.simulateContract(call)
+      gas = await publicClient.estimateContractGas(call)
+    } catch (err) {
+      revertReason = revertReasonOf(err)
+    }
+
+    const maxCostWei = gas === null ? null : gas * fees.maxFeePerGas
+    return {
+      dryRun: true,
+      amount,
+      amountUsdc: (Number(amount) / 1_000_000).toFixed(2),
+      wouldSucceed: revertReason === null,
+      revertReason,
+      gas,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      maxFeeGwei: formatGwei(fees.maxFeePerGas),
+      maxCostWei,
+      maxCostEth: maxCostWei === null ? null : formatEther(maxCostWei),
+      overFeeLimit: maxFeeGwei == null ? null : fees.maxFeePerGas > parseGwei(String(maxFeeGwei)),
+    }
+  }
+
+  /**
+   * EIP-1559 fee fields for a transaction: the caller's caps, or with
+   * `maxFeeGwei` the network's estimate, never above the limit. Empty when
+   * nothing is capped, leaving fees to viem.
+   */
+  async _feeCaps({ maxFeeGwei, maxFeePerGas, maxPriorityFeePerGas }) {
+    const caps = {}
+    if (maxFeePerGas != null) caps.maxFeePerGas = maxFeePerGas
+    if (maxPriorityFeePerGas != null) caps.maxPriorityFeePerGas = maxPriorityFeePerGas
+    if (maxFeeGwei == null) return caps
+
+    const limit = parseGwei(String(maxFeeGwei))
+    const { publicClient } = this._chainClients()
+    const estimate = await publicClient.estimateFeesPerGas()
+    if (estimate.maxFeePerGas > limit) {
+      throw new ClabcrawError(
+        `Network max fee is ${formatGwei(estimate.maxFeePerGas)} gwei, above the ${maxFeeGwei} gwei limit`,
+        { code: "FEE_TOO_HIGH", retriable: true, retryAfterMs: 60_000, context: { maxFeePerGas: estimate.maxFeePerGas, limit } }
+      )
+    }
+    const wanted = caps.maxFeePerGas ?? estimate.maxFeePerGas
+    const maxFee = wanted < limit ? wanted : limit
+    const priority = caps.maxPriorityFeePerGas ?? estimate.maxPriorityFeePerGas
+    return { maxFeePerGas: maxFee, maxPriorityFeePerGas: priority < maxFee ? priority : maxFee }
+  }
+
+  /** ClabcrawArena contract address of the network; CLABCRAW_CONTRACT_ADDRESS overrides it. */
+  _arenaAddress() {
+    const { contractAddress, name } = this._network
+    if (!contractAddress) {
+      throw new ClabcrawError(`Network "${name}" has no contract address — set CLABCRAW_CONTRACT_ADDRESS`, { code: "CONFIG_ERROR" })
+    }
+    return contractAddress
+  }
+
+  async _claimableBalance(contractAddress) {
+    const { publicClient } = this._chainClients()
+    return publicClient.readContract({
+      address: contractAddress,
+      abi: ARENA_ABI,
+      functionName: "getClaimableBalance",
+      args: [this.address],
+    })
+  }
+
+  /** viem clients for on-chain calls: the injected ones, or built from the network on first use. */
+  _chainClients() {
+    if (!this._publicClient || !this._walletClient) {
+      const { chain, rpcUrl } = this._network
+      this._publicClient ||= createPublicClient({ chain, transport: http(rpcUrl) })
+      this._walletClient ||= createWalletClient({ account: this._account, chain, transport: http(rpcUrl) })
+    }
+    return { publicClient: this._publicClient, walletClient: this._walletClient }
+  }
+
+  _runHooks(name, info) {
+    for (const hooks of this._hooks) {
+      if (typeof hooks[name] !== "function") continue
+      try {
+        hooks[name](info)?.catch?.(() => {})
+      } catch {
+        // Hooks only observe — a broken one must not fail the request
+      }
+    }
+  }
+
+  /**
+   * Wait before the next poll: the caller's interval stretched by the current
+   * slowdown, and never before the server's Retry-After has passed.
+   */
+  _pollDelay(pollMs) {
+    return Math.max(pollMs * this._pollSlowdown, this._throttledUntil - Date.now())
+  }
+
+  _recordThrottle(err, { path, gameId }) {
+    this._pollSlowdown = Math.min(this._pollSlowdown * 2, MAX_POLL_SLOWDOWN)
+    this._throttledUntil = Math.max(this._throttledUntil, Date.now() + err.retryAfterMs)
+    this._cleanResponses = 0
+    this.emit("rateLimited", {
+      path,
+      gameId,
+      retryAfterMs: err.retryAfterMs,
+      limit: err.limit,
+      remaining: err.remaining,
+      resetAt: err.resetAt,
+      pollSlowdown: this._pollSlowdown,
+    })
+  }
+
+  _recordUnthrottled() {
+    if (this._pollSlowdown === 1 || ++this._cleanResponses < SLOWDOWN_RECOVERY) return
+    this._pollSlowdown /= 2
+    this._cleanResponses = 0
+  }
+
+  _recordRtt(ms) {
+    this._rttMs = this._rttMs === null ? ms : this._rttMs + RTT_SMOOTHING * (ms - this._rttMs)
+  }
 }
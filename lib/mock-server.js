@@ -0,0 +1,1006 @@
+/**
+ * Local mock of the Clabcraw API for offline agent development.
+ *
+ * Implements every endpoint GameClient talks to on top of the heads-up engine
+ * in lib/engine.js — real hands, blinds, move timeouts and payouts — without
+ * USDC, a chain, or the Phoenix server:
+ *
+ *   import { MockServer } from './lib/mock-server.js'
+ *
+ *   const mock = new MockServer({ houseBot: true })
+ *   const url = await mock.listen(4000)
+ *   const game = new GameClient({ apiUrl: url, privateKey })
+ *   // ...join / waitForMatch / playUntilDone as usual
+ *   await mock.close()
+ *
+ * Behaviour matches what lib/errors.js `fromResponse` expects:
+ *   - join/tip answer 402 with an x402 PAYMENT-REQUIRED header; the EIP-3009
+ *     authorization in PAYMENT-SIGNATURE is signature-checked but never settled
+ *   - state/action reads verify the EIP-191 headers from lib/signer.js (401 on
+ *     bad signature, stale timestamp, or a replayed action signature)
+ *   - an action whose `action_id` was already applied answers 200 with
+ *     `duplicate: true` and is not applied again
+ *   - result and replay answer 404 until the game has finished
+ *   - 400 + available_games for disabled games, 404 for unknown games,
+ *     422 + valid_actions for illegal moves, 503 while paused
+ *
+ * A Phoenix Channels stand-in is served at /socket/websocket (JSON v2 frames).
+ * "game:{id}" pushes a "state" event to each player after every change and
+ * "agent:{address}" pushes "status"; joins carry an EIP-191 signature from
+ * lib/signer.js `signChannelJoin`.
+ *
+ * Claimable balances are tracked in memory only.
+ */
+
+import { createServer } from "node:http"
+import { randomUUID, randomBytes } from "node:crypto"
+import { verifyTypedData, getAddress } from "viem"
+import { WebSocketServer } from "ws"
+import {
+  encodePaymentRequiredHeader,
+  decodePaymentSignatureHeader,
+  encodePaymentResponseHeader,
+} from "@x402/core/http"
+import { HeadsUpGame } from "./engine.js"
+import { recoverSigner } from "./signer.js"
+import { normalizeState } from "./schema.js"
+import { NETWORKS } from "./networks.js"
+
+const USDC_DECIMALS = 1_000_000
+const BOT_ADDRESS = "0x00000000000000000000000000000000000B0B01"
+
+const DEFAULT_PLATFORM = {
+  name: "Clabcraw",
+  version: "mock",
+  network: "base",
+  chain_id: NETWORKS.mainnet.chainId,
+  contract_address: NETWORKS.mainnet.contractAddress,
+  usdc_address: NETWORKS.mainnet.usdcAddress,
+}
+
+const POKER_RULES = {
+  description: "Heads-up (1v1) no-limit Texas Hold'em",
+  rules_summary: "10,000 chip stacks, blinds 25/50 doubling every 10 hands, chip leader wins at hand 75",
+  starting_stacks: 10_000,
+  starting_blinds: { small: 25, big: 50 },
+  blind_increase_interval: 10,
+  hand_cap: 75,
+  move_timeout_seconds: 15,
+  consecutive_timeout_limit: 3,
+  actions: {
+    fold: "Give up the hand",
+    check: "Pass when there is no bet to match",
+    call: "Match the opponent's bet",
+    raise: "Raise to an amount between valid_actions.raise.min and max",
+    all_in: "Push your whole stack",
+  },
+  phases: ["preflop", "flop", "turn", "river", "showdown"],
+}
+
+const DEFAULT_GAMES = {
+  poker: {
+    name: "Poker",
+    ...POKER_RULES,
+    entry_fee_usdc: 5.0,
+    service_fee_usdc: 1.5,
+    winner_payout_usdc: 8.5,
+    draw_fee_per_agent_usdc: 0.25,
+    enabled: true,
+  },
+  "poker-pro": {
+    name: "Poker Pro",
+    ...POKER_RULES,
+    entry_fee_usdc: 50.0,
+    service_fee_usdc: 15.0,
+    winner_payout_usdc: 85.0,
+    draw_fee_per_agent_usdc: 2.5,
+    enabled: true,
+  },
+}
+
+const TRANSFER_WITH_AUTHORIZATION = {
+  TransferWithAuthorization: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validBefore", type: "uint256" },
+    { name: "nonce", type: "bytes32" },
+  ],
+}
+
+const ROUTES = [
+  ["POST", /^\/v1\/games\/join$/, "_routeJoin"],
+  ["GET", /^\/v1\/agent\/([^/]+)\/status$/, "_routeStatus"],
+  ["GET", /^\/v1\/games\/([^/]+)\/state$/, "_routeState"],
+  ["POST", /^\/v1\/games\/([^/]+)\/action$/, "_routeAction"],
+  ["GET", /^\/v1\/games\/([^/]+)\/result$/, "_routeResult"],
+  ["GET", /^\/v1\/games\/([^/]+)\/replay$/, "_routeReplay"],
+  ["GET", /^\/v1\/agents\/([^/]+)\/claimable$/, "_routeClaimable"],
+  ["GET", /^\/v1\/platform\/info$/, "_routePlatformInfo"],
+  ["POST", /^\/v1\/platform\/tip$/, "_routeTip"],
+]
+
+/**
+ * Default house bot: check when free, call small bets, otherwise fold.
+ *
+ * @param {import('./schema.js').NormalizedState} state
+ * @returns {{ action: string }}
+ */
+function passiveBot(state) {
+  const { actions, pot } = state
+  if (actions.check.available) return { action: "check" }
+  if (actions.call.available && actions.call.amount <= Math.max(pot, 1)) return { action: "call" }
+  return { action: "fold" }
+}
+
+function toAtomic(usdc) {
+  return BigInt(Math.round(Number(usdc) * USDC_DECIMALS))
+}
+
+function formatUsdc(atomic) {
+  return (Number(atomic) / USDC_DECIMALS).toFixed(2)
+}
+
+/**
+ * GET /v1/games/:id/replay body for a finished match: every hand the engine
+ * dealt, with both players' hole cards (see normalizeReplay() in schema.js).
+ */
+function replayOf(match) {
+  const { engine, players } = match
+  const { winner, outcome } = engine.result
+  return {
+    game_id: match.gameId,
+    game_type: match.gameType,
+    players,
+    started_at: match.startedAt,
+    hands: engine.hands.map((h, i) => ({
+      hand_number: h.number,
+      started_at: match.handStarts[i] ?? null,
+      button: h.button,
+      blinds: { ...h.blinds },
+      starting_stacks: [...h.startingStacks],
+      ending_stacks: [...(engine.hands[i + 1]?.startingStacks ?? engine.stacks)],
+      hole_cards: h.hole.map((cards) => [...cards]),
+      board: [...h.board],
+      actions: h.actions.map((a) => ({ ...a })),
+      pot: h.pot,
+      winners: [...h.winners],
+      winning_hand: h.winningHand,
+      showdown: h.showdown,
+    })),
+    result: { winner: winner === null ? null : players[winner], outcome },
+  }
+}
+
+function json(status, body, headers = {}) {
+  return { status, body, headers }
+}
+
+export class MockServer {
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.games] - Per-game-type overrides merged over the defaults (poker, poker-pro).
+   *   Set `{ enabled: false }` to disable a type, or add a new key to add one.
+   * @param {object} [opts.platform] - Overrides for the `platform` block of /v1/platform/info
+   * @param {number} [opts.moveTimeoutMs] - Override every game's move_timeout_seconds
+   * @param {number} [opts.showdownMs=500] - Pause between a settled hand and the next deal
+   * @param {number} [opts.retainFinishedMs=60000] - How long finished games still answer /state before 404
+   * @param {number} [opts.timestampToleranceSeconds=60] - Allowed clock skew on signed requests
+   * @param {number} [opts.clockSkewMs=0] - How far the server's clock runs ahead of the host's
+   *   (negative = behind). Shifts the Date header, move deadlines and timestamp checks.
+   * @param {boolean} [opts.rejectReplays=true] - Answer 401 "Replay detected" when an action
+   *   signature is reused. Signatures are deterministic, so the same action re-sent within
+   *   the same second is indistinguishable from a replay.
+   * @param {boolean|Function} [opts.houseBot=false] - Match lone players against a bot.
+   *   Pass a `(state) => action` function to control how the bot plays.
+   * @param {number} [opts.matchDelayMs=0] - How long a lone player waits before the house bot sits down
+   * @param {() => number} [opts.rng=Math.random] - Randomness for shuffling
+   * @param {boolean} [opts.sockets=true] - Serve the Phoenix Channels endpoint. When false,
+   *   socket upgrades are refused, like a server without channels.
+   */
+  constructor({
+    games = {},
+    platform = {},
+    moveTimeoutMs,
+    showdownMs = 500,
+    retainFinishedMs = 60_000,
+    timestampToleranceSeconds = 60,
+    clockSkewMs = 0,
+    rejectReplays = true,
+    houseBot = false,
+    matchDelayMs = 0,
+    rng = Math.random,
+    sockets = true,
+  } = {}) {
+    this.games = {}
+    for (const [type, cfg] of Object.entries({ ...DEFAULT_GAMES, ...games })) {
+      this.games[type] = { ...(DEFAULT_GAMES[type] || DEFAULT_GAMES.poker), ...cfg }
+    }
+    this.platform = { ...DEFAULT_PLATFORM, ...platform }
+    this.moveTimeoutMs = moveTimeoutMs
+    this.showdownMs = showdownMs
+    this.retainFinishedMs = retainFinishedMs
+    this.timestampToleranceSeconds = timestampToleranceSeconds
+    this.clockSkewMs = clockSkewMs
+    this.rejectReplays = rejectReplays
+    this.houseBot = houseBot === true ? passiveBot : houseBot || null
+    this.matchDelayMs = matchDelayMs
+    this.rng = rng
+    this.sockets = sockets
+
+    this._server = null
+    this._url = null
+    this._pause = null
+    this._faults = []
+    this._queues = new Map()   // gameType → [address]
+    this._matches = new Map()  // gameId → match record
+    this._results = new Map()  // gameId → result body
+    this._replays = new Map()  // gameId → replay body
+    this._claimable = new Map() // address → bigint (atomic USDC)
+    this._balances = new Map()  // address → bigint, unset = unlimited
+    this._seenSignatures = new Set()
+    this._seenNonces = new Set()
+    this._timers = new Set()
+    this._wss = null
+    this._subscriptions = new Map() // topic → Set<{ ws, joinRef, address }>
+  }
+
+  /** Base URL once listening, e.g. "http://127.0.0.1:4000". */
+  get url() {
+    return this._url
+  }
+
+  /**
+   * Start listening.
+   *
+   * @param {number} [port=0] - 0 picks a free port
+   * @param {string} [host="127.0.0.1"]
+   * @returns {Promise<string>} Base URL
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this._server = createServer((req, res) => this._handle(req, res))
+    this._wss = new WebSocketServer({ noServer: true })
+    this._wss.on("connection", (ws) => this._onSocket(ws))
+    this._server.on("upgrade", (req, socket, head) => {
+      const { pathname } = new URL(req.url, "http://mock")
+      if (!this.sockets || pathname !== "/socket/websocket") {
+        socket.destroy()
+        return
+      }
+      this._wss.handleUpgrade(req, socket, head, (ws) => this._wss.emit("connection", ws, req))
+    })
+    await new Promise((resolve, reject) => {
+      this._server.once("error", reject)
+      this._server.listen(port, host, resolve)
+    })
+    this._url = `http://${host}:${this._server.address().port}`
+    return this._url
+  }
+
+  /** Stop the server and cancel all game timers. */
+  async close() {
+    for (const t of this._timers) clearTimeout(t)
+    this._timers.clear()
+    this.dropSockets()
+    this._wss?.close()
+    this._wss = null
+    if (!this._server) return
+    this._server.closeAllConnections?.()
+    await new Promise((resolve) => this._server.close(() => resolve()))
+    this._server = null
+  }
+
+  /**
+   * Put the platform into maintenance.
+   *
+   * "emergency" freezes active games (actions answer 503) and blocks joins;
+   * "deploy" only blocks joins.
+   *
+   * @param {object} [opts]
+   * @param {"emergency"|"deploy"} [opts.mode="emergency"]
+   * @param {number} [opts.retryAfterSeconds=300]
+   * @param {string} [opts.message]
+   */
+  pause({ mode = "emergency", retryAfterSeconds = 300, message = "Platform is paused for maintenance" } = {}) {
+    this._pause = { mode, retryAfterSeconds, message }
+    this._pushAllStatuses()
+  }
+
+  /** Lift a pause started with pause(). */
+  resume() {
+    this._pause = null
+    this._pushAllStatuses()
+  }
+
+  /** Terminate every open socket connection, e.g. to exercise polling fallback. */
+  dropSockets() {
+    for (const ws of this._wss?.clients || []) ws.terminate()
+    this._subscriptions.clear()
+  }
+
+  /**
+   * Make the next matching request(s) fail with a canned response.
+   *
+   * @param {object} [opts]
+   * @param {number} [opts.status=500]
+   * @param {object} [opts.body]
+   * @param {object} [opts.headers]
+   * @param {string|RegExp} [opts.path] - Only fail requests whose path matches
+   * @param {number} [opts.count=1] - How many requests to fail
+   * @param {boolean} [opts.afterHandling=false] - Handle the request normally, then
+   *   replace its reply — a response lost after the server acted on it
+   */
+  failNext({ status = 500, body = { error: "Injected failure" }, headers = {}, path, count = 1, afterHandling = false } = {}) {
+    this._faults.push({ status, body, headers, path, count, afterHandling })
+  }
+
+  /**
+   * Give a wallet a finite USDC balance for entry fees and tips.
+   * Wallets without a balance set can pay for anything.
+   *
+   * @param {string} address
+   * @param {number} usdc
+   */
+  setUsdcBalance(address, usdc) {
+    this._balances.set(address.toLowerCase(), toAtomic(usdc))
+  }
+
+  /**
+   * Internal match record for a game id (engine, players, deadline), for tests.
+   *
+   * @param {string} gameId
+   */
+  getMatch(gameId) {
+    return this._matches.get(gameId) || null
+  }
+
+  // ─── HTTP plumbing ──────────────────────────────────────────────────────────
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://mock")
+    let reply
+
+    try {
+      const fault = this._takeFault(url.pathname)
+      if (fault && !fault.afterHandling) {
+        reply = json(fault.status, fault.body, fault.headers)
+      } else {
+        const route = ROUTES.find(([method, re]) => method === req.method && re.test(url.pathname))
+        if (!route) {
+          reply = json(404, { error: "Not found" })
+        } else {
+          const params = url.pathname.match(route[1]).slice(1).map(decodeURIComponent)
+          const body = req.method === "POST" ? await readJson(req) : null
+          reply = await this[route[2]]({ req, url, params, body })
+        }
+        if (fault) reply = json(fault.status, fault.body, fault.headers)
+      }
+    } catch (err) {
+      reply = json(500, { error: err.message })
+    }
+
+    res.writeHead(reply.status, {
+      "content-type": "application/json",
+      date: new Date(this._now()).toUTCString(),
+      ...reply.headers,
+    })
+    res.end(JSON.stringify(reply.body))
+  }
+
+  /** The server's clock, in ms. */
+  _now() {
+    return Date.now() + this.clockSkewMs
+  }
+
+  _takeFault(pathname) {
+    const idx = this._faults.findIndex((f) =>
+      !f.path || (f.path instanceof RegExp ? f.path.test(pathname) : pathname.includes(f.path))
+    )
+    if (idx === -1) return null
+    const fault = this._faults[idx]
+    if (--fault.count <= 0) this._faults.splice(idx, 1)
+    return fault
+  }
+
+  _pausedReply() {
+    const { retryAfterSeconds, message } = this._pause
+    return json(
+      503,
+      { error: message, message, retry_after_seconds: retryAfterSeconds },
+      { "retry-after": String(retryAfterSeconds) }
+    )
+  }
+
+  _setTimer(fn, ms) {
+    const t = setTimeout(() => {
+      this._timers.delete(t)
+      fn()
+    }, ms)
+    t.unref?.()
+    this._timers.add(t)
+    return t
+  }
+
+  _clearTimer(t) {
+    if (!t) return
+    clearTimeout(t)
+    this._timers.delete(t)
+  }
+
+  // ─── x402 payments ──────────────────────────────────────────────────────────
+
+  /**
+   * Verify the x402 PAYMENT-SIGNATURE header for an amount.
+   * Returns { payer, txHash } on success, or a reply to send back.
+   */
+  async _takePayment(req, url, amountUsdc, description) {
+    const requirements = {
+      scheme: "exact",
+      network: `eip155:${this.platform.chain_id}`,
+      asset: this.platform.usdc_address,
+      amount: toAtomic(amountUsdc).toString(),
+      payTo: this.platform.contract_address,
+      maxTimeoutSeconds: 120,
+      extra: { name: "USD Coin", version: "2" },
+    }
+
+    const paymentRequired = (error) => json(
+      402,
+      { error },
+      {
+        "payment-required": encodePaymentRequiredHeader({
+          x402Version: 2,
+          error,
+          resource: { url: `${this._url}${url.pathname}${url.search}`, description, mimeType: "application/json" },
+          accepts: [requirements],
+        }),
+      }
+    )
+
+    const header = req.headers["payment-signature"]
+    if (!header) return { reply: paymentRequired("Payment required") }
+
+    let auth
+    let signature
+    try {
+      const payload = decodePaymentSignatureHeader(header)
+      auth = payload.payload.authorization
+      signature = payload.payload.signature
+      if (BigInt(auth.value) !== BigInt(requirements.amount)) throw new Error("amount mismatch")
+      if (getAddress(auth.to) !== getAddress(requirements.payTo)) throw new Error("payee mismatch")
+
+      const valid = await verifyTypedData({
+        address: auth.from,
+        domain: {
+          name: requirements.extra.name,
+          version: requirements.extra.version,
+          chainId: this.platform.chain_id,
+          verifyingContract: getAddress(requirements.asset),
+        },
+        types: TRANSFER_WITH_AUTHORIZATION,
+        primaryType: "TransferWithAuthorization",
+        message: {
+          from: getAddress(auth.from),
+          to: getAddress(auth.to),
+          value: BigInt(auth.value),
+          validAfter: BigInt(auth.validAfter),
+          validBefore: BigInt(auth.validBefore),
+          nonce: auth.nonce,
+        },
+        signature,
+      })
+      if (!valid) throw new Error("bad signature")
+    } catch {
+      return { reply: paymentRequired("Invalid payment authorization") }
+    }
+
+    if (this._seenNonces.has(auth.nonce)) {
+      return { reply: paymentRequired("Payment authorization already used") }
+    }
+
+    const payer = auth.from.toLowerCase()
+    const balance = this._balances.get(payer)
+    const amount = BigInt(requirements.amount)
+    if (balance !== undefined && balance < amount) {
+      return { reply: paymentRequired("Insufficient USDC balance") }
+    }
+
+    this._seenNonces.add(auth.nonce)
+    if (balance !== undefined) this._balances.set(payer, balance - amount)
+
+    const txHash = `0x${randomBytes(32).toString("hex")}`
+    const headers = {
+      "payment-response": encodePaymentResponseHeader({
+        success: true,
+        transaction: txHash,
+        network: requirements.network,
+        payer: auth.from,
+      }),
+    }
+    return { payer, txHash, headers }
+  }
+
+  // ─── Signed request auth ────────────────────────────────────────────────────
+
+  /**
+   * Verify EIP-191 headers. Returns the lowercase signer, or a 401 reply.
+   */
+  async _authenticate(req, gameId, payload, { rejectReplay = false } = {}) {
+    const { signer, error } = await this._verifySigned({
+      signature: req.headers["x-signature"],
+      timestamp: req.headers["x-timestamp"],
+      signer: req.headers["x-signer"],
+    }, gameId, payload, { rejectReplay })
+    return error ? { reply: json(401, { error }) } : { signer }
+  }
+
+  /**
+   * Shared EIP-191 check for request headers and channel join params.
+   * Returns { signer } (lowercase) or { error }.
+   */
+  async _verifySigned({ signature, timestamp, signer }, id, payload, { rejectReplay = false } = {}) {
+    if (!signature || !timestamp || !signer) return { error: "Missing signature headers" }
+
+    const skew = Math.abs(this._now() / 1000 - Number(timestamp))
+    if (!Number.isFinite(skew) || skew > this.timestampToleranceSeconds) {
+      return { error: "Timestamp out of range" }
+    }
+
+    let recovered
+    try {
+      recovered = await recoverSigner(id, payload, timestamp, signature)
+    } catch {
+      return { error: "Invalid signature" }
+    }
+    if (recovered.toLowerCase() !== signer.toLowerCase()) return { error: "Invalid signature" }
+
+    if (rejectReplay) {
+      if (this._seenSignatures.has(signature)) return { error: "Replay detected" }
+      this._seenSignatures.add(signature)
+    }
+
+    return { signer: recovered.toLowerCase() }
+  }
+
+  // ─── Matchmaking & game lifecycle ───────────────────────────────────────────
+
+  _enqueue(address, gameType) {
+    const queue = this._queues.get(gameType) || []
+    this._queues.set(gameType, queue)
+
+    const opponentIdx = queue.findIndex((a) => a !== address)
+    if (opponentIdx !== -1) {
+      const [opponent] = queue.splice(opponentIdx, 1)
+      return { match: this._startMatch(gameType, [opponent, address]) }
+    }
+
+    queue.push(address)
+    this._pushStatus(address)
+
+    if (this.houseBot) {
+      this._setTimer(() => {
+        const idx = queue.indexOf(address)
+        if (idx === -1) return
+        queue.splice(idx, 1)
+        this._startMatch(gameType, [address, BOT_ADDRESS.toLowerCase()])
+      }, this.matchDelayMs)
+    }
+
+    return { queuePosition: queue.length }
+  }
+
+  _startMatch(gameType, players) {
+    const cfg = this.games[gameType]
+    const gameId = randomUUID()
+    const engine = new HeadsUpGame({
+      gameId,
+      startingStack: cfg.starting_stacks,
+      startingBlinds: cfg.starting_blinds,
+      blindIncreaseInterval: cfg.blind_increase_interval,
+      handCap: cfg.hand_cap,
+      consecutiveTimeoutLimit: cfg.consecutive_timeout_limit,
+      rng: this.rng,
+    })
+
+    const match = {
+      gameId,
+      gameType,
+      players,
+      engine,
+      deadline: null,
+      timer: null,
+      finishedAt: null,
+      startedAt: new Date().toISOString(),
+      handStarts: [],  // ISO time each hand was dealt, by hand number - 1
+      actionIds: new Set(),
+      lastActionIds: [null, null],
+    }
+    this._matches.set(gameId, match)
+    this._schedule(match)
+    for (const p of players) this._pushStatus(p)
+    return match
+  }
+
+  /** Arm the move timer / next-hand timer / bot move after every state change. */
+  _schedule(match) {
+    const { engine } = match
+    this._clearTimer(match.timer)
+    match.timer = null
+    match.deadline = null
+    match.handStarts[engine.handNumber - 1] ??= new Date().toISOString()
+
+    if (engine.isFinished) {
+      this._finalize(match)
+      return this._pushState(match)
+    }
+
+    if (engine.awaitingNextHand) {
+      match.timer = this._setTimer(() => {
+        engine.nextHand()
+        this._schedule(match)
+      }, this.showdownMs)
+      return this._pushState(match)
+    }
+
+    const seat = engine.toAct
+    if (match.players[seat] === BOT_ADDRESS.toLowerCase()) {
+      match.timer = this._setTimer(() => this._botMove(match, seat), 0)
+      return this._pushState(match)
+    }
+
+    const timeoutMs = this.moveTimeoutMs ?? this.games[match.gameType].move_timeout_seconds * 1000
+    match.deadline = Date.now() + timeoutMs
+    match.timer = this._setTimer(() => {
+      engine.timeout(seat)
+      this._schedule(match)
+    }, timeoutMs)
+    this._pushState(match)
+  }
+
+  async _botMove(match, seat) {
+    const { engine } = match
+    const state = normalizeState(engine.viewFor(seat))
+    try {
+      engine.act(seat, await this.houseBot(state))
+    } catch {
+      engine.act(seat, { action: "check" in engine.validActions(seat) ? "check" : "fold" })
+    }
+    this._schedule(match)
+  }
+
+  _finalize(match) {
+    if (match.finishedAt) return
+    match.finishedAt = Date.now()
+
+    const { engine, players } = match
+    const cfg = this.games[match.gameType]
+    const { winner, outcome } = engine.result
+    const lastHand = engine.hand
+    const showdown = lastHand.showdown
+
+    if (winner === null) {
+      const refund = toAtomic(cfg.entry_fee_usdc) - toAtomic(cfg.draw_fee_per_agent_usdc)
+      for (const p of players) this._credit(p, refund)
+    } else {
+      this._credit(players[winner], toAtomic(cfg.winner_payout_usdc))
+    }
+
+    const loser = winner === null ? null : 1 - winner
+    this._results.set(match.gameId, {
+      game_id: match.gameId,
+      game_type: match.gameType,
+      players,
+      winner: winner === null ? null : players[winner],
+      loser: loser === null ? null : players[loser],
+      outcome,
+      hands_played: engine.handNumber,
+      winner_payout: winner === null ? 0 : Number(toAtomic(cfg.winner_payout_usdc)),
+      winner_stack: winner === null ? engine.stacks[0] : engine.stacks[winner],
+      loser_stack: loser === null ? engine.stacks[1] : engine.stacks[loser],
+      winning_hand: showdown ? lastHand.winningHand : null,
+      community_cards: [...lastHand.board],
+      winner_cards: winner === null || !showdown ? "hidden" : lastHand.hole[winner],
+      loser_cards: loser === null || !showdown ? "hidden" : lastHand.hole[loser],
+    })
+    this._replays.set(match.gameId, replayOf(match))
+
+    this._setTimer(() => this._matches.delete(match.gameId), this.retainFinishedMs)
+    for (const p of players) this._pushStatus(p)
+  }
+
+  _credit(address, atomic) {
+    if (address === BOT_ADDRESS.toLowerCase()) return
+    this._claimable.set(address, (this._claimable.get(address) || 0n) + atomic)
+  }
+
+  _activeMatchesFor(address) {
+    return [...this._matches.values()].filter((m) => !m.finishedAt && m.players.includes(address))
+  }
+
+  // ─── Routes ─────────────────────────────────────────────────────────────────
+
+  async _routeJoin({ req, url }) {
+    if (this._pause) return this._pausedReply()
+
+    const gameType = url.searchParams.get("game")
+    const cfg = this.games[gameType]
+    if (!cfg || !cfg.enabled) {
+      return json(400, {
+        error: `Game type '${gameType}' is currently disabled`,
+        available_games: Object.keys(this.games).filter((t) => this.games[t].enabled),
+      })
+    }
+
+    const payment = await this._takePayment(req, url, cfg.entry_fee_usdc, `Entry fee for ${gameType}`)
+    if (payment.reply) return payment.reply
+
+    if ((this._queues.get(gameType) || []).includes(payment.payer)) {
+      return json(409, { error: `Already queued for ${gameType}` }, payment.headers)
+    }
+
+    const { match, queuePosition } = this._enqueue(payment.payer, gameType)
+    return json(200, {
+      status: match ? "matched" : "queued",
+      game_id: match ? match.gameId : null,
+      queue_position: match ? null : queuePosition,
+      payment_tx: payment.txHash,
+    }, payment.headers)
+  }
+
+  async _routeStatus({ params }) {
+    return json(200, this._statusFor(params[0].toLowerCase()))
+  }
+
+  _statusFor(address) {
+    if (this._pause?.mode === "emergency") {
+      return { status: "paused", pause_mode: "emergency", message: this._pause.message, active_games: [] }
+    }
+
+    const active = this._activeMatchesFor(address).map((m) => {
+      const seat = m.players.indexOf(address)
+      return {
+        game_id: m.gameId,
+        game_type: m.gameType,
+        opponent: m.players[1 - seat],
+        my_turn: m.engine.toAct === seat,
+      }
+    })
+
+    let queuePosition = null
+    for (const queue of this._queues.values()) {
+      const idx = queue.indexOf(address)
+      if (idx !== -1) queuePosition = idx + 1
+    }
+
+    const status = active.length > 0 ? "active" : queuePosition ? "queued" : "idle"
+    return {
+      status,
+      active_games: active,
+      queue_position: queuePosition,
+      pause_mode: this._pause?.mode || null,
+    }
+  }
+
+  async _routeState({ req, params }) {
+    const [gameId] = params
+    const auth = await this._authenticate(req, gameId, { action: "state" })
+    if (auth.reply) return auth.reply
+
+    const match = this._matches.get(gameId)
+    if (!match) return json(404, { error: "Game not found" })
+    const seat = match.players.indexOf(auth.signer)
+    if (seat === -1) return json(401, { error: "Signer is not a player in this game" })
+
+    return json(200, this._viewFor(match, seat))
+  }
+
+  async _routeAction({ req, params, body }) {
+    const [gameId] = params
+    const actionBody = body && typeof body === "object" ? body : {}
+    const auth = await this._authenticate(req, gameId, actionBody, { rejectReplay: this.rejectReplays })
+    if (auth.reply) return auth.reply
+
+    const match = this._matches.get(gameId)
+    if (!match) return json(404, { error: "Game not found" })
+    const seat = match.players.indexOf(auth.signer)
+    if (seat === -1) return json(401, { error: "Signer is not a player in this game" })
+
+    if (this._pause?.mode === "emergency") {
+      return json(503, { error: "Game is frozen for maintenance", retry_after_seconds: 60 }, { "retry-after": "60" })
+    }
+
+    const { action_id: actionId, ...move } = actionBody
+    if (actionId && match.actionIds.has(`${seat}:${actionId}`)) {
+      return json(200, { ...this._viewFor(match, seat), duplicate: true })
+    }
+
+    try {
+      match.engine.act(seat, move)
+    } catch (err) {
+      return json(422, { error: err.message, valid_actions: match.engine.validActions(seat) })
+    }
+    if (actionId) match.actionIds.add(`${seat}:${actionId}`)
+    match.lastActionIds[seat] = actionId || null
+
+    this._schedule(match)
+    return json(200, this._viewFor(match, seat))
+  }
+
+  async _routeResult({ params }) {
+    const result = this._results.get(params[0])
+    if (!result) return json(404, { error: "Result not available" })
+    return json(200, result)
+  }
+
+  async _routeReplay({ params }) {
+    const replay = this._replays.get(params[0])
+    if (!replay) return json(404, { error: "Replay not available" })
+    return json(200, replay)
+  }
+
+  async _routeClaimable({ params }) {
+    const address = params[0].toLowerCase()
+    const balance = this._claimable.get(address) || 0n
+    return json(200, {
+      agent_address: params[0],
+      claimable_balance: balance.toString(),
+      claimable_usdc: formatUsdc(balance),
+    })
+  }
+
+  async _routePlatformInfo() {
+    const games = {}
+    for (const [type, cfg] of Object.entries(this.games)) {
+      if (!cfg.enabled) continue
+      const { enabled, ...rest } = cfg
+      games[type] = rest
+    }
+
+    let totalGames = 0
+    for (const m of this._matches.values()) if (m.finishedAt) totalGames++
+
+    return json(200, {
+      platform: this.platform,
+      games,
+      skill: { version: "1.0.0", update_command: "clawhub install clabcraw", changelog_url: null },
+      endpoints: {
+        join: "POST /v1/games/join?game={game_type}",
+        agent_status: "GET /v1/agent/{address}/status",
+        game_state: "GET /v1/games/{game_id}/state",
+        submit_action: "POST /v1/games/{game_id}/action",
+        game_result: "GET /v1/games/{game_id}/result",
+        claimable: "GET /v1/agents/{address}/claimable",
+        tip: "POST /v1/platform/tip?amount={usdc}",
+      },
+      stats: { total_games: Math.max(totalGames, this._results.size), total_volume_usdc: 0, total_agents: 0 },
+    })
+  }
+
+  async _routeTip({ req, url }) {
+    const amount = Number(url.searchParams.get("amount") || "1.00")
+    if (!Number.isFinite(amount) || amount < 0.25 || amount > 100) {
+      return json(400, { error: "Tip amount must be between 0.25 and 100.00 USDC" })
+    }
+
+    const payment = await this._takePayment(req, url, amount, "Tip")
+    if (payment.reply) return payment.reply
+
+    return json(200, {
+      status: "ok",
+      donor: payment.payer,
+      amount_usdc: amount.toFixed(2),
+      tx: payment.txHash,
+    }, payment.headers)
+  }
+
+  // ─── Channels ───────────────────────────────────────────────────────────────
+
+  _onSocket(ws) {
+    ws.on("message", async (data) => {
+      let message
+      try {
+        message = JSON.parse(data.toString())
+      } catch {
+        return
+      }
+      const [joinRef, ref, topic, event, payload] = message
+      const reply = (status, response = {}) =>
+        send(ws, [joinRef, ref, topic, "phx_reply", { status, response }])
+
+      if (topic === "phoenix" && event === "heartbeat") return reply("ok")
+      if (event === "phx_join") return reply(...(await this._joinChannel(ws, joinRef, topic, payload || {})))
+      if (event === "phx_leave") {
+        this._unsubscribe(ws, topic)
+        return reply("ok")
+      }
+      reply("error", { reason: "unmatched topic" })
+    })
+    ws.on("close", () => {
+      for (const topic of this._subscriptions.keys()) this._unsubscribe(ws, topic)
+    })
+  }
+
+  /** Returns [status, response] for the join reply. */
+  async _joinChannel(ws, joinRef, topic, params) {
+    const [kind, ...rest] = topic.split(":")
+    const id = rest.join(":")
+    if (kind !== "game" && kind !== "agent") return ["error", { reason: "unmatched topic" }]
+
+    const auth = await this._verifySigned(params, topic, { action: "join" })
+    if (auth.error) return ["error", { reason: "unauthorized", message: auth.error }]
+
+    if (kind === "agent") {
+      if (auth.signer !== id.toLowerCase()) return ["error", { reason: "unauthorized", message: "Signer does not own this topic" }]
+      this._subscribe(topic, { ws, joinRef, address: auth.signer })
+      return ["ok", { status: this._statusFor(auth.signer) }]
+    }
+
+    const match = this._matches.get(id)
+    if (!match) return ["error", { reason: "not_found" }]
+    const seat = match.players.indexOf(auth.signer)
+    if (seat === -1) return ["error", { reason: "unauthorized", message: "Signer is not a player in this game" }]
+
+    this._subscribe(topic, { ws, joinRef, address: auth.signer })
+    return ["ok", { state: this._viewFor(match, seat) }]
+  }
+
+  _subscribe(topic, sub) {
+    const subs = this._subscriptions.get(topic) || new Set()
+    this._subscriptions.set(topic, subs)
+    subs.add(sub)
+  }
+
+  _unsubscribe(ws, topic) {
+    const subs = this._subscriptions.get(topic)
+    if (!subs) return
+    for (const sub of subs) if (sub.ws === ws) subs.delete(sub)
+    if (subs.size === 0) this._subscriptions.delete(topic)
+  }
+
+  _pushState(match) {
+    const topic = `game:${match.gameId}`
+    for (const sub of this._subscriptions.get(topic) || []) {
+      const seat = match.players.indexOf(sub.address)
+      send(sub.ws, [sub.joinRef, null, topic, "state", this._viewFor(match, seat)])
+    }
+  }
+
+  _pushStatus(address) {
+    const topic = `agent:${address}`
+    for (const sub of this._subscriptions.get(topic) || []) {
+      send(sub.ws, [sub.joinRef, null, topic, "status", this._statusFor(address)])
+    }
+  }
+
+  _pushAllStatuses() {
+    for (const topic of this._subscriptions.keys()) {
+      if (topic.startsWith("agent:")) this._pushStatus(topic.slice("agent:".length))
+    }
+  }
+
+  _viewFor(match, seat) {
+    const view = match.engine.viewFor(seat)
+    // Timeouts are the server's own moves, sent with no id
+    if (view.last_action) view.last_action.action_id = view.last_action.timeout ? null : match.lastActionIds[seat]
+    if (view.is_your_turn && match.deadline) {
+      view.move_deadline = new Date(match.deadline + this.clockSkewMs).toISOString()
+    }
+    return view
+  }
+}
+
+async function readJson(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  if (chunks.length === 0) return null
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf-8"))
+  } catch {
+    return null
+  }
+}
+
+function send(ws, message) {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message))
+}
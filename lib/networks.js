@@ -0,0 +1,161 @@
+/**
+ * Network profiles — the single source of truth for chain, RPC, contract and
+ * API defaults, shared by GameClient, the bins and the mock server.
+ *
+ *   mainnet  Base (8453), the production API and contract
+ *   sepolia  Base Sepolia (84532), the testnet contract; no public API, so
+ *            CLABCRAW_API_URL is required
+ *   local    Anvil (31337) from ./scripts/dev-local.sh; the contract address
+ *            changes per deployment, so CLABCRAW_CONTRACT_ADDRESS is required
+ *
+ * Pick one with the `network` option, the `--network` flag of any bin, or
+ * CLABCRAW_NETWORK. Without one, CLABCRAW_CHAIN_ID selects the profile with
+ * that chain id, and an unknown chain id becomes a custom chain built with
+ * viem's defineChain(), which needs CLABCRAW_API_URL too. Individual fields
+ * are then overridden by CLABCRAW_RPC_URL, CLABCRAW_CONTRACT_ADDRESS and
+ * CLABCRAW_API_URL.
+ *
+ *   const net = resolveNetwork("sepolia")
+ *   createPublicClient({ chain: net.chain, transport: http(net.rpcUrl) })
+ */
+
+import { defineChain } from "viem"
+import { base, baseSepolia } from "viem/chains"
+import { getEnv } from "./env.js"
+import { ClabcrawError } from "./errors.js"
+
+/**
+ * @typedef {object} NetworkProfile
+ * @property {string} name
+ * @property {number} chainId
+ * @property {import('viem').Chain} chain
+ * @property {string} rpcUrl
+ * @property {string|null} contractAddress - ClabcrawArena; null when it must come from the env
+ * @property {string|null} usdcAddress
+ * @property {string|null} apiUrl - null when it must come from the env
+ */
+
+/** Build a viem chain for a chain id no profile knows, e.g. a local Anvil or Hardhat node. */
+export function customChain(chainId, rpcUrl, name = `chain-${chainId}`) {
+  return defineChain({
+    id: chainId,
+    name,
+    nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+    rpcUrls: { default: { http: [rpcUrl] } },
+  })
+}
+
+/** @type {Record<string, NetworkProfile>} */
+export const NETWORKS = {
+  mainnet: {
+    name: "mainnet",
+    chainId: 8453,
+    chain: base,
+    rpcUrl: "https://mainnet.base.org",
+    contractAddress: "0xafffcEAD2e99D04e5641A2873Eb7347828e1AAd3",
+    usdcAddress: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+    apiUrl: "https://clabcraw.sh",
+  },
+  sepolia: {
+    name: "sepolia",
+    chainId: 84532,
+    chain: baseSepolia,
+    rpcUrl: "https://sepolia.base.org",
+    contractAddress: "0xE3329c1AE5a03400C2a79fCc6C967c0b727663f5",
+    usdcAddress: "0x036CbD53842c5426634e7929541eC2318f3dCF7e",
+    apiUrl: null,
+  },
+  local: {
+    name: "local",
+    chainId: 31337,
+    chain: customChain(31337, "http://127.0.0.1:8545", "Anvil"),
+    rpcUrl: "http://127.0.0.1:8545",
+    contractAddress: null,
+    usdcAddress: null,
+    apiUrl: "http://localhost:4000",
+  },
+}
+
+function configError(message) {
+  return new ClabcrawError(message, { code: "CONFIG_ERROR", retriable: false })
+}
+
+/**
+ * Resolve a network profile with env overrides applied.
+ *
+ * @param {string|Partial<NetworkProfile>} [network] - Profile name, or a custom profile
+ *   (`chainId` and `rpcUrl` at least). Defaults to CLABCRAW_NETWORK, then CLABCRAW_CHAIN_ID,
+ *   then "mainnet".
+ * @param {object} [overrides]
+ * @param {string} [overrides.apiUrl] - API base URL; wins over CLABCRAW_API_URL and the profile
+ * @returns {NetworkProfile}
+ * @throws {ClabcrawError} CONFIG_ERROR for an unknown name, a CLABCRAW_CHAIN_ID that
+ *   contradicts the chosen profile, or a profile with no API URL and none given
+ */
+export function resolveNetwork(network, { apiUrl } = {}) {
+  const envChainId = getEnv("CLABCRAW_CHAIN_ID") ? parseInt(getEnv("CLABCRAW_CHAIN_ID"), 10) : null
+  let profile
+
+  if (typeof network === "object" && network !== null) {
+    if (!network.chainId || !network.rpcUrl) throw configError("A custom network needs chainId and rpcUrl")
+    profile = {
+      name: "custom",
+      contractAddress: null,
+      usdcAddress: null,
+      apiUrl: null,
+      ...network,
+      chain: network.chain || customChain(network.chainId, network.rpcUrl, network.name),
+    }
+  } else {
+    const name = network || getEnv("CLABCRAW_NETWORK")
+    if (name) {
+      profile = NETWORKS[name]
+      if (!profile) throw configError(`Unknown network "${name}" — use one of: ${Object.keys(NETWORKS).join(", ")}`)
+      if (envChainId !== null && envChainId !== profile.chainId) {
+        throw configError(`CLABCRAW_CHAIN_ID ${envChainId} does not match network "${name}" (chain ${profile.chainId})`)
+      }
+    } else if (envChainId !== null) {
+      profile = Object.values(NETWORKS).find((p) => p.chainId === envChainId)
+      if (!profile) {
+        const rpcUrl = getEnv("CLABCRAW_RPC_URL")
+        if (!rpcUrl) throw configError(`CLABCRAW_CHAIN_ID ${envChainId} has no network profile — set CLABCRAW_RPC_URL too`)
+        profile = {
+          ...NETWORKS.local,
+          name: "custom",
+          chainId: envChainId,
+          chain: customChain(envChainId, rpcUrl),
+          apiUrl: null,
+        }
+      }
+    } else {
+      profile = NETWORKS.mainnet
+    }
+  }
+
+  apiUrl = apiUrl || getEnv("CLABCRAW_API_URL") || profile.apiUrl
+  if (!apiUrl) throw configError(`Network "${profile.name}" has no API URL — set CLABCRAW_API_URL`)
+
+  return {
+    ...profile,
+    rpcUrl: getEnv("CLABCRAW_RPC_URL") || profile.rpcUrl,
+    contractAddress: getEnv("CLABCRAW_CONTRACT_ADDRESS") || profile.contractAddress,
+    apiUrl: apiUrl.replace(/\/$/, ""),
+  }
+}
+
+/**
+ * Resolve the network named by a bin's `--network` flag (or the env), for
+ * bins. Prints a JSON error and exits on a bad network, like requireEnv().
+ *
+ * @param {string[]} [args=process.argv.slice(2)]
+ * @returns {NetworkProfile}
+ */
+export function requireNetwork(args = process.argv.slice(2)) {
+  const idx = args.indexOf("--network")
+  try {
+    return resolveNetwork(idx !== -1 ? args[idx + 1] : undefined)
+  } catch (err) {
+    console.error(JSON.stringify({ error: err.message, code: err.code, networks: Object.keys(NETWORKS) }))
+    process.exit(1)
+  }
+}
@@ -0,0 +1,345 @@
+/**
+ * On-chain reconciliation of game results against ClabcrawArena.
+ *
+ * The API's result for a game says who won and what the winner was paid
+ * (`winner_payout`); the contract is what actually pays. reconcile() reads
+ * the contract's settlement events with viem getLogs, matches them to game
+ * ids from your results, and checks the claimable balance moved by what the
+ * events credited:
+ *
+ *   const results = await Promise.all(gameIds.map((id) => game.getResult(id)))
+ *   const report = await game.reconcileResults(results, {
+ *     fromBlock: 21_000_000n,
+ *     events: JSON.parse(readFileSync("ClabcrawArena.json", "utf-8")),
+ *     toChainGameId: GAME_ID_ENCODINGS.uuid,
+ *   })
+ *   for (const d of report.discrepancies) console.warn(d.kind, d.gameId, d.message)
+ *
+ * Discrepancy kinds:
+ *   missing_settlement  — no settlement event for a finished game
+ *   missing_payout      — the API says you won, the chain paid you nothing
+ *   wrong_amount        — a payout or draw refund differs from what was expected
+ *   wrong_winner        — the chain settled the game for the other player
+ *   unexpected_draw     — the chain settled a draw the API reports as won or lost
+ *   missing_draw        — the API reports a draw the chain settled with a winner
+ *   unexpected_refund   — more queue refunds than `expectedRefunds`
+ *   balance_mismatch    — getClaimableBalance moved by a different amount than
+ *                         the events of that block credited and withdrew
+ *
+ * The event layout and the game id encoding belong to the deployed contract,
+ * so both are required: pass `events`, the ABI from ClabcrawArena's build
+ * artifact, and `toChainGameId`, the GAME_ID_ENCODINGS entry it settles
+ * games under. A log that matches an event's signature but does not decode with
+ * the ABI throws instead of being dropped. Amounts are atomic USDC units,
+ * reported as decimal strings so the report is JSON-safe.
+ */
+
+import { decodeEventLog, keccak256, pad, parseAbi, toBytes } from "viem"
+import { ClabcrawError } from "./errors.js"
+
+const DEFAULT_CHUNK_BLOCKS = 2_000n // getLogs range per request; public RPCs cap it
+
+/** The ClabcrawArena events reconcile() reads, and the arguments it reads from each. */
+const EVENT_ARGS = {
+  GameSettled: ["gameId", "winner", "winnerPayout"],
+  GameDrawn: ["gameId", "agentA", "agentB", "refundPerAgent"],
+  Refunded: ["amount"],
+  Claimed: ["amount"],
+}
+
+const BALANCE_ABI = parseAbi(["function getClaimableBalance(address account) external view returns (uint256)"])
+
+/**
+ * Ways an API game id (a UUID) can map to the contract's bytes32 game id.
+ * reconcile() cannot tell which one a deployment uses:
+ *   uuid      — the UUID's 16 bytes, left-padded to bytes32
+ *   keccak256 — keccak256 of the UUID string
+ *
+ * @type {Record<string, (gameId: string) => `0x${string}`>}
+ */
+export const GAME_ID_ENCODINGS = {
+  uuid: (gameId) => pad(`0x${gameId.replace(/-/g, "").toLowerCase()}`, { size: 32 }),
+  keccak256: (gameId) => keccak256(toBytes(gameId)),
+}
+
+/**
+ * Pick the settlement events out of ClabcrawArena's ABI.
+ *
+ * @param {import('viem').Abi|{ abi: import('viem').Abi }} abi - The ABI, or a Foundry/Hardhat
+ *   build artifact holding it (contracts/out/ClabcrawArena.sol/ClabcrawArena.json)
+ * @returns {import('viem').Abi}
+ * @throws {ClabcrawError} CONFIG_ERROR when an event, or an argument reconcile() reads, is missing
+ */
+export function arenaEvents(abi) {
+  const items = Array.isArray(abi) ? abi : abi?.abi
+  if (!Array.isArray(items)) {
+    throw new ClabcrawError("Expected an ABI array or a build artifact with an `abi` field", { code: "CONFIG_ERROR" })
+  }
+  return Object.entries(EVENT_ARGS).map(([name, args]) => {
+    const event = items.find((item) => item.type === "event" && item.name === name)
+    const inputs = (event?.inputs || []).map((input) => input.name)
+    const missing = args.filter((arg) => !inputs.includes(arg))
+    if (missing.length) {
+      throw new ClabcrawError(`The ABI has no event ${name} with ${missing.join(", ")}`, {
+        code: "CONFIG_ERROR",
+        context: { event: name, missing },
+      })
+    }
+    return event
+  })
+}
+
+function same(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase()
+}
+
+/**
+ * @typedef {object} Discrepancy
+ * @property {string} kind - See the module doc
+ * @property {string|null} gameId
+ * @property {string|null} expected - Atomic USDC units, or an address for wrong_winner
+ * @property {string|null} actual
+ * @property {string|null} blockNumber
+ * @property {string|null} txHash
+ * @property {string} message
+ */
+
+/**
+ * @typedef {object} ReconcileReport
+ * @property {string} address
+ * @property {string} fromBlock
+ * @property {string} toBlock
+ * @property {number} checked - Results checked
+ * @property {number} matched - Results whose settlement checked out
+ * @property {Discrepancy[]} discrepancies
+ * @property {{ gameId: string|null, kind: string, amount: string, blockNumber: string, txHash: string }[]} credits -
+ *   Every event crediting (or, for Claimed, withdrawing from) this address
+ * @property {boolean} ok - No discrepancies
+ */
+
+/**
+ * Reconcile game results against the contract's events and balances.
+ *
+ * @param {object} opts
+ * @param {import('viem').PublicClient} opts.publicClient
+ * @param {string} opts.contractAddress - ClabcrawArena
+ * @param {string} opts.address - Agent wallet
+ * @param {object[]} opts.results - getResult() responses: game_id, game_type, winner, loser, winner_payout
+ * @param {bigint} opts.fromBlock - First block to scan; before the earliest game settled
+ * @param {bigint} [opts.toBlock] - Last block to scan. Defaults to the latest block.
+ * @param {Record<string, object>} [opts.fees] - getPlatformInfo().games, to check draw refunds
+ * @param {number} [opts.expectedRefunds=0] - Queue refunds (cancelled queues) you know about
+ * @param {boolean} [opts.checkBalances=true] - Compare getClaimableBalance before and after
+ *   each block with events; needs an archive RPC for old blocks
+ * @param {import('viem').Abi|{ abi: import('viem').Abi }} opts.events - The deployed contract's
+ *   ABI or build artifact; see arenaEvents()
+ * @param {(gameId: string) => string} opts.toChainGameId - How the contract ids games,
+ *   e.g. GAME_ID_ENCODINGS.uuid
+ * @param {bigint} [opts.chunkBlocks=2000n]
+ * @returns {Promise<ReconcileReport>}
+ * @throws {ClabcrawError} CONFIG_ERROR without `events` or `toChainGameId`, or when a
+ *   log matching one of `events` does not decode with it
+ */
+export async function reconcile({
+  publicClient,
+  contractAddress,
+  address,
+  results,
+  fromBlock,
+  toBlock,
+  fees = {},
+  expectedRefunds = 0,
+  checkBalances = true,
+  events,
+  toChainGameId,
+  chunkBlocks = DEFAULT_CHUNK_BLOCKS,
+}) {
+  if (!events || typeof toChainGameId !== "function") {
+    throw new ClabcrawError("reconcile() needs the contract's `events` (arenaEvents()) and `toChainGameId`", { code: "CONFIG_ERROR" })
+  }
+  events = arenaEvents(events)
+  toBlock ??= await publicClient.getBlockNumber()
+  const logs = await scanLogs(publicClient, { address: contractAddress, events, fromBlock, toBlock, chunkBlocks })
+  const mine = logs.filter((log) => Object.values(log.args).some((v) => same(v, address)))
+  const apiIds = new Map(results.map((r) => [toChainGameId(r.game_id).toLowerCase(), r.game_id]))
+  const gameIdOf = (log) => (log.args.gameId ? apiIds.get(log.args.gameId.toLowerCase()) ?? log.args.gameId : null)
+
+  const discrepancies = []
+  const flag = (kind, message, { gameId = null, expected = null, actual = null, log = null } = {}) => {
+    discrepancies.push({
+      kind,
+      gameId,
+      expected: expected === null ? null : String(expected),
+      actual: actual === null ? null : String(actual),
+      blockNumber: log ? String(log.blockNumber) : null,
+      txHash: log?.transactionHash ?? null,
+      message,
+    })
+  }
+
+  const settlements = new Map() // chain game id → log
+  for (const log of mine) {
+    if (log.eventName === "GameSettled" || log.eventName === "GameDrawn") settlements.set(log.args.gameId.toLowerCase(), log)
+  }
+
+  let matched = 0
+  for (const result of results) {
+    const gameId = result.game_id
+    const log = settlements.get(toChainGameId(gameId).toLowerCase())
+    const flagged = discrepancies.length
+    if (!log) {
+      flag("missing_settlement", `No settlement event for game ${gameId} between blocks ${fromBlock} and ${toBlock}`, { gameId })
+    } else {
+      checkSettlement(result, log, { address, fees, flag })
+    }
+    if (discrepancies.length === flagged) matched++
+  }
+
+  const refunds = mine.filter((log) => log.eventName === "Refunded")
+  for (const log of refunds.slice(expectedRefunds)) {
+    flag("unexpected_refund", `Refund of ${log.args.amount} with no cancelled queue to explain it`, { actual: log.args.amount, log })
+  }
+
+  if (checkBalances) {
+    await checkBalanceDeltas(publicClient, { contractAddress, address, logs: mine, gameIdOf, flag })
+  }
+
+  return {
+    address,
+    fromBlock: String(fromBlock),
+    toBlock: String(toBlock),
+    checked: results.length,
+    matched,
+    discrepancies,
+    credits: mine.flatMap((log) => {
+      const amount = creditOf(log, address)
+      if (amount === 0n) return []
+      return [{
+        gameId: gameIdOf(log),
+        kind: log.eventName,
+        amount: String(amount),
+        blockNumber: String(log.blockNumber),
+        txHash: log.transactionHash,
+      }]
+    }),
+    ok: discrepancies.length === 0,
+  }
+}
+
+// ─── Internals ────────────────────────────────────────────────────────────────
+
+async function scanLogs(publicClient, { address, events, fromBlock, toBlock, chunkBlocks }) {
+  const logs = []
+  for (let from = fromBlock; from <= toBlock; from += chunkBlocks) {
+    const to = from + chunkBlocks - 1n < toBlock ? from + chunkBlocks - 1n : toBlock
+    // strict: true would drop a log whose signature matches but whose layout does not,
+    // turning a wrong ABI into missing settlements; fetch them all and decode strictly here
+    for (const log of await publicClient.getLogs({ address, events, fromBlock: from, toBlock: to, strict: false })) {
+      try {
+        decodeEventLog({ abi: events, data: log.data, topics: log.topics, strict: true })
+      } catch (err) {
+        throw new ClabcrawError(`${log.eventName} log in block ${log.blockNumber} does not decode with the given ABI`, {
+          code: "CONFIG_ERROR",
+          context: { event: log.eventName, blockNumber: String(log.blockNumber), txHash: log.transactionHash, reason: err.shortMessage || err.message },
+        })
+      }
+      logs.push(log)
+    }
+  }
+  return logs
+}
+
+/** What an event credited to (positive) or withdrew from (negative) `address`'s claimable balance. */
+function creditOf(log, address) {
+  const { args } = log
+  switch (log.eventName) {
+    case "GameSettled":
+      return same(args.winner, address) ? args.winnerPayout : 0n
+    case "GameDrawn":
+      return same(args.agentA, address) || same(args.agentB, address) ? args.refundPerAgent : 0n
+    case "Refunded":
+      return args.amount
+    case "Claimed":
+      return -args.amount
+    default:
+      return 0n
+  }
+}
+
+function checkSettlement(result, log, { address, fees, flag }) {
+  const gameId = result.game_id
+  const apiDraw = !result.winner
+  const at = { gameId, log }
+
+  if (log.eventName === "GameDrawn") {
+    if (!apiDraw) {
+      flag("unexpected_draw", `Game ${gameId} settled as a draw on-chain; the API says ${result.winner} won`, at)
+      return
+    }
+    const cfg = fees[result.game_type]
+    if (cfg) {
+      const expected = toAtomic(cfg.entry_fee_usdc) - toAtomic(cfg.draw_fee_per_agent_usdc)
+      if (log.args.refundPerAgent !== expected) {
+        flag("wrong_amount", `Draw refund for game ${gameId} was ${log.args.refundPerAgent}, expected ${expected}`, {
+          ...at, expected, actual: log.args.refundPerAgent,
+        })
+      }
+    }
+    return
+  }
+
+  if (apiDraw) {
+    flag("missing_draw", `The API reports game ${gameId} as a draw; the chain settled it for ${log.args.winner}`, at)
+    return
+  }
+  if (!same(log.args.winner, result.winner)) {
+    flag("wrong_winner", `Game ${gameId} settled for ${log.args.winner}; the API says ${result.winner} won`, {
+      ...at, expected: result.winner, actual: log.args.winner,
+    })
+    return
+  }
+  if (!same(result.winner, address)) return
+
+  const expected = BigInt(result.winner_payout ?? 0)
+  if (log.args.winnerPayout === 0n && expected > 0n) {
+    flag("missing_payout", `Game ${gameId} was won but settled with no payout`, { ...at, expected, actual: 0n })
+  } else if (log.args.winnerPayout !== expected) {
+    flag("wrong_amount", `Payout for game ${gameId} was ${log.args.winnerPayout}, the API reports ${expected}`, {
+      ...at, expected, actual: log.args.winnerPayout,
+    })
+  }
+}
+
+/**
+ * For each block with events touching `address`, the claimable balance must
+ * have moved by exactly what those events credited and withdrew.
+ */
+async function checkBalanceDeltas(publicClient, { contractAddress, address, logs, gameIdOf, flag }) {
+  const byBlock = new Map()
+  for (const log of logs) {
+    byBlock.set(log.blockNumber, (byBlock.get(log.blockNumber) || 0n) + creditOf(log, address))
+  }
+
+  const balanceAt = (blockNumber) => publicClient.readContract({
+    address: contractAddress,
+    abi: BALANCE_ABI,
+    functionName: "getClaimableBalance",
+    args: [address],
+    blockNumber,
+  })
+
+  for (const [blockNumber, expected] of byBlock) {
+    const [before, after] = await Promise.all([balanceAt(blockNumber - 1n), balanceAt(blockNumber)])
+    const actual = after - before
+    if (actual !== expected) {
+      const log = logs.find((l) => l.blockNumber === blockNumber)
+      flag("balance_mismatch", `Claimable balance moved by ${actual} in block ${blockNumber}; its events account for ${expected}`, {
+        gameId: gameIdOf(log), expected, actual, log,
+      })
+    }
+  }
+}
+
+function toAtomic(usdc) {
+  return BigInt(Math.round(Number(usdc || 0) * 1_000_000))
+}
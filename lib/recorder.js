@@ -0,0 +1,289 @@
+/**
+ * Hand-history recorder.
+ *
+ * Appends every distinct state of a game and every action submitted in it to
+ * one JSONL file per game, so what happened can be replayed and analysed
+ * after the fact — not just the final result:
+ *
+ *   const recorder = new HandRecorder({ dir: ".clabcraw/history" })
+ *   const game = new GameClient({ recorder })
+ *
+ *   await game.playUntilDone(gameId, (state) => {
+ *     if (!state.isYourTurn) return null
+ *     return { action: "call", meta: { equity: 0.61 } }   // meta is recorded, not sent
+ *   })
+ *
+ *   recorder.hands(gameId)
+ *   // [{ handNumber, startingStacks, board, pot, hole, opponentCards, winningHand, net, actions }]
+ *
+ * GameClient does the recording: states() records each changed state, and
+ * submitAction() records each action with its outcome, the request latency
+ * and — from playUntilDone() — how long the strategy took and the `meta` it
+ * returned with the action. The file is `<dir>/<gameId>.jsonl`; each line is
+ * a HistoryEntry.
+ */
+
+import { appendFileSync, mkdirSync, readFileSync } from "node:fs"
+import { join } from "node:path"
+
+const SETTLED_STREETS = new Set(["showdown", "complete"])
+
+/**
+ * @typedef {object} StateEntry
+ * @property {"state"} type
+ * @property {string} at - ISO timestamp
+ * @property {string} gameId
+ * @property {number} handNumber
+ * @property {string} street
+ * @property {boolean} isYourTurn
+ * @property {boolean} isFinished
+ * @property {Array<{rank:string,suit:string}>} hole
+ * @property {Array<{rank:string,suit:string}>} board
+ * @property {number} pot
+ * @property {number} yourStack
+ * @property {number} opponentStack
+ * @property {object|null} validActions - Raw valid_actions, null when not your turn
+ * @property {Array<{rank:string,suit:string}>|null} opponentCards
+ * @property {string|null} winningHand
+ * @property {string|null} result
+ * @property {string|null} outcome
+ */
+
+/**
+ * @typedef {object} ActionEntry
+ * @property {"action"} type
+ * @property {string} at - ISO timestamp the submission finished
+ * @property {string} gameId
+ * @property {number|null} handNumber - Of the state the action answered
+ * @property {string|null} street
+ * @property {string} action
+ * @property {number|null} amount
+ * @property {string} actionId
+ * @property {boolean} applied
+ * @property {boolean} duplicate
+ * @property {string|null} error - Error code when the action was rejected or not applied
+ * @property {number} latencyMs - From sending the action to its outcome, retries included
+ * @property {number|null} decisionMs - How long the strategy took to choose it
+ * @property {object|null} meta - Whatever the strategy returned alongside the action
+ */
+
+/** @typedef {StateEntry|ActionEntry} HistoryEntry */
+
+/**
+ * @typedef {object} HandSummary
+ * @property {number} handNumber
+ * @property {{ you: number, opponent: number }|null} startingStacks - Before the blinds; null
+ *   when neither the previous hand's settlement nor the start of the game was seen
+ * @property {Array<{rank:string,suit:string}>} hole
+ * @property {Array<{rank:string,suit:string}>} board - Run-out as far as it was dealt
+ * @property {number} pot - The pot awarded, or the last pot seen if the hand did not settle
+ * @property {Array<{rank:string,suit:string}>|null} opponentCards - Shown at showdown
+ * @property {string|null} winningHand
+ * @property {boolean} settled - The hand's settlement was seen
+ * @property {number|null} net - Chips won (negative: lost); null when the start or end is unknown
+ * @property {ActionEntry[]} actions - Your actions in this hand
+ */
+
+export class HandRecorder {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.dir] - Directory for the per-game JSONL files. Without one the
+   *   history lives in memory only.
+   * @param {() => number} [opts.now=Date.now]
+   */
+  constructor({ dir = null, now = Date.now } = {}) {
+    this.dir = dir
+    this._now = now
+    this._memory = new Map()   // gameId → HistoryEntry[], without a dir
+    this._lastKeys = new Map() // gameId → key of the last state recorded
+  }
+
+  /**
+   * JSONL file a game is recorded to.
+   *
+   * @param {string} gameId
+   * @returns {string|null} null without a dir
+   */
+  pathFor(gameId) {
+    return this.dir ? join(this.dir, `${gameId}.jsonl`) : null
+  }
+
+  /**
+   * Record a state, unless it is the same as the last one recorded for the
+   * game (only the move deadline moved on).
+   *
+   * @param {string} gameId
+   * @param {import('./schema.js').NormalizedState} state
+   */
+  recordState(gameId, state) {
+    if (state.unchanged) return
+    const entry = {
+      type: "state",
+      at: this._timestamp(),
+      gameId,
+      handNumber: state.handNumber,
+      street: state.street,
+      isYourTurn: state.isYourTurn,
+      isFinished: state.isFinished,
+      hole: state.hole,
+      board: state.board,
+      pot: state.pot,
+      yourStack: state.yourStack,
+      opponentStack: state.opponentStack,
+      validActions: state.isYourTurn ? state.raw?.valid_actions ?? null : null,
+      opponentCards: state.opponentCards ?? null,
+      winningHand: state.winningHand ?? null,
+      result: state.result ?? null,
+      outcome: state.outcome ?? null,
+    }
+
+    const { at, ...fields } = entry
+    const key = JSON.stringify(fields)
+    if (this._lastKeys.get(gameId) === key) return
+    this._lastKeys.set(gameId, key)
+    if (state.isFinished) this._lastKeys.delete(gameId)
+    this._append(gameId, entry)
+  }
+
+  /**
+   * Record a submitted action and its outcome.
+   *
+   * @param {string} gameId
+   * @param {object} submission
+   * @param {{ action: string, amount?: number }} submission.action - As sent
+   * @param {import('./schema.js').NormalizedState|null} submission.state - The state it answered
+   * @param {string} submission.actionId
+   * @param {boolean} submission.applied
+   * @param {boolean} submission.duplicate
+   * @param {import('./errors.js').ClabcrawError|null} [submission.error]
+   * @param {number} submission.latencyMs
+   * @param {number|null} [submission.decisionMs]
+   * @param {object|null} [submission.meta]
+   */
+  recordAction(gameId, { action, state, actionId, applied, duplicate, error = null, latencyMs, decisionMs = null, meta = null }) {
+    this._append(gameId, {
+      type: "action",
+      at: this._timestamp(),
+      gameId,
+      handNumber: state?.handNumber ?? null,
+      street: state?.street ?? null,
+      action: action.action,
+      amount: action.amount ?? null,
+      actionId,
+      applied,
+      duplicate,
+      error: error ? error.code || error.message : null,
+      latencyMs,
+      decisionMs,
+      meta,
+    })
+  }
+
+  /**
+   * Everything recorded for a game, oldest first.
+   *
+   * @param {string} gameId
+   * @returns {HistoryEntry[]}
+   */
+  entries(gameId) {
+    if (!this.dir) return [...(this._memory.get(gameId) || [])]
+    return load(this.pathFor(gameId))
+  }
+
+  /**
+   * Per-hand summaries of a recorded game (see summarizeHands()).
+   *
+   * @param {string} gameId
+   * @returns {HandSummary[]}
+   */
+  hands(gameId) {
+    return summarizeHands(this.entries(gameId))
+  }
+
+  // ─── Internals ──────────────────────────────────────────────────────────────
+
+  _timestamp() {
+    return new Date(this._now()).toISOString()
+  }
+
+  _append(gameId, entry) {
+    if (!this.dir) {
+      if (!this._memory.has(gameId)) this._memory.set(gameId, [])
+      this._memory.get(gameId).push(entry)
+      return
+    }
+    mkdirSync(this.dir, { recursive: true })
+    appendFileSync(this.pathFor(gameId), JSON.stringify(entry) + "\n")
+  }
+}
+
+/**
+ * Rebuild per-hand summaries from a game's history entries.
+ *
+ * Stacks only show chips behind, so a hand's starting stacks are those its
+ * predecessor settled at (street "showdown" or "complete"), or, for the
+ * first hand, an even split of the chips in play — both players start a
+ * game with the same stack. A hand whose start or
+ * settlement was not seen — e.g. polling missed it — has `net: null`.
+ *
+ * @param {HistoryEntry[]} entries
+ * @returns {HandSummary[]}
+ */
+export function summarizeHands(entries) {
+  const hands = new Map() // handNumber → { states, actions }
+  for (const entry of entries) {
+    if (entry.handNumber == null) continue
+    if (!hands.has(entry.handNumber)) hands.set(entry.handNumber, { states: [], actions: [] })
+    hands.get(entry.handNumber)[entry.type === "state" ? "states" : "actions"].push(entry)
+  }
+
+  const summaries = []
+  let previousEnd = null // { you, opponent } after the previous hand settled
+  let previousNumber = null
+  for (const [handNumber, { states, actions }] of [...hands].sort(([a], [b]) => a - b)) {
+    const first = states[0]
+    const last = states.at(-1)
+    const settledState = states.findLast(isSettled) || null
+    const shown = states.findLast((s) => s.opponentCards?.length) || null
+
+    let startingStacks = null
+    if (previousEnd && previousNumber === handNumber - 1) startingStacks = previousEnd
+    else if (handNumber === 1 && first) {
+      const even = (first.yourStack + first.opponentStack + (isSettled(first) ? 0 : first.pot)) / 2
+      startingStacks = { you: even, opponent: even }
+    }
+    const end = settledState && { you: settledState.yourStack, opponent: settledState.opponentStack }
+
+    summaries.push({
+      handNumber,
+      startingStacks,
+      hole: first?.hole || [],
+      board: (settledState || last)?.board || [],
+      pot: (settledState || last)?.pot ?? 0,
+      opponentCards: shown?.opponentCards || null,
+      winningHand: shown?.winningHand || null,
+      settled: Boolean(settledState),
+      net: startingStacks && end ? end.you - startingStacks.you : null,
+      actions,
+    })
+    previousEnd = end
+    previousNumber = handNumber
+  }
+  return summaries
+}
+
+/** Whether a state shows its hand's pot already awarded to the stacks. */
+function isSettled(state) {
+  return state.isFinished || SETTLED_STREETS.has(state.street)
+}
+
+function load(path) {
+  let raw
+  try {
+    raw = readFileSync(path, "utf-8")
+  } catch (err) {
+    if (err.code === "ENOENT") return []
+    throw err
+  }
+  return raw.split("\n").filter(Boolean).map((line) => JSON.parse(line))
+}
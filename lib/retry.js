@@ -0,0 +1,153 @@
+/**
+ * Retry policies and a circuit breaker for GameClient's HTTP calls.
+ *
+ * Each kind of request gets its own policy, because they live on very
+ * different clocks: a state poll is repeated a second later anyway and should
+ * give up fast, an action has to land inside the move window, and a join
+ * payment can afford to wait.
+ *
+ *   const game = new GameClient({
+ *     retry: {
+ *       state: { maxAttempts: 2 },
+ *       payment: { budgetMs: 300_000 },
+ *     },
+ *     circuitBreaker: { threshold: 10 },
+ *   })
+ *
+ * Operations: `state` (getState polls), `action` (submitAction; also bounded
+ * by the move deadline), `payment` (join, tip), `clock` (syncClock), and
+ * `default` for everything else (status, result, claimable, platform info).
+ */
+
+import { CircuitOpenError } from "./errors.js"
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} maxAttempts - Total attempts, including the first
+ * @property {number} baseDelayMs - Backoff before the first retry; doubles each retry
+ * @property {number} maxDelayMs - Cap on a single backoff
+ * @property {number} jitter - Fraction of each backoff randomised away (0 = none, 1 = full)
+ * @property {number|null} budgetMs - Give up once a retry would land this long after
+ *   the first attempt started; null = attempts are the only limit
+ */
+
+/** @type {Record<string, RetryPolicy>} */
+export const DEFAULT_RETRY_POLICIES = {
+  default: { maxAttempts: 4, baseDelayMs: 500, maxDelayMs: 10_000, jitter: 0.5, budgetMs: 30_000 },
+  state: { maxAttempts: 3, baseDelayMs: 200, maxDelayMs: 1_000, budgetMs: 3_000 },
+  action: { maxAttempts: 4, baseDelayMs: 250, maxDelayMs: 2_000, budgetMs: 15_000 },
+  payment: { maxAttempts: 6, baseDelayMs: 1_000, maxDelayMs: 15_000, budgetMs: 120_000 },
+  clock: { maxAttempts: 1 },
+}
+
+export const DEFAULT_CIRCUIT_BREAKER = { threshold: 5, cooldownMs: 15_000 }
+
+/**
+ * Merge per-operation overrides over the defaults. Every policy is complete:
+ * fields an operation does not set come from `default`.
+ *
+ * @param {Record<string, Partial<RetryPolicy>>} [overrides]
+ * @returns {Record<string, RetryPolicy>}
+ */
+export function resolveRetryPolicies(overrides = {}) {
+  const names = new Set([...Object.keys(DEFAULT_RETRY_POLICIES), ...Object.keys(overrides)])
+  const policies = {}
+  for (const name of names) {
+    policies[name] = {
+      ...DEFAULT_RETRY_POLICIES.default,
+      ...DEFAULT_RETRY_POLICIES[name],
+      ...overrides[name],
+    }
+  }
+  return policies
+}
+
+/**
+ * Decide whether to retry after a failed attempt, and how long to wait.
+ *
+ * The wait is the server's Retry-After when it sent one, otherwise
+ * exponential backoff with jitter. No retry when attempts are used up or the
+ * retry would start past the budget or `deadlineAt`.
+ *
+ * @param {RetryPolicy} policy
+ * @param {object} opts
+ * @param {number} opts.attempt - Zero-based attempt that just failed
+ * @param {number} opts.startedAt - When the first attempt started (ms)
+ * @param {number|null} [opts.deadlineAt] - Absolute cut-off (ms), e.g. a move deadline
+ * @param {number|null} [opts.retryAfterMs] - Server-requested wait
+ * @param {number} [opts.now=Date.now()]
+ * @param {() => number} [opts.rng=Math.random]
+ * @returns {number|null} Milliseconds to wait, or null to give up
+ */
+export function nextDelay(policy, { attempt, startedAt, deadlineAt = null, retryAfterMs = null, now = Date.now(), rng = Math.random }) {
+  if (attempt + 1 >= policy.maxAttempts) return null
+
+  const backoff = Math.min(policy.baseDelayMs * 2 ** attempt, policy.maxDelayMs)
+  const delayMs = retryAfterMs ?? Math.round(backoff * (1 - policy.jitter * rng()))
+
+  const budgetEnd = policy.budgetMs == null ? Infinity : startedAt + policy.budgetMs
+  const limit = Math.min(budgetEnd, deadlineAt ?? Infinity)
+  return now + delayMs < limit ? delayMs : null
+}
+
+/**
+ * Stops requests after `threshold` consecutive server failures. While open,
+ * check() throws CircuitOpenError; after `cooldownMs` a single trial request
+ * is let through, and its outcome closes the circuit or opens it again.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.threshold=5] - Consecutive failures that open the circuit
+   * @param {number} [opts.cooldownMs=15000] - How long it stays open
+   * @param {() => number} [opts.now=Date.now]
+   */
+  constructor({ threshold = DEFAULT_CIRCUIT_BREAKER.threshold, cooldownMs = DEFAULT_CIRCUIT_BREAKER.cooldownMs, now = Date.now } = {}) {
+    this.threshold = threshold
+    this.cooldownMs = cooldownMs
+    this._now = now
+    this._failures = 0
+    this._openedAt = null
+    this._trial = false
+  }
+
+  /** "closed", "open", or "half_open" (cooled down, waiting on a trial request). */
+  get state() {
+    if (this._openedAt === null) return "closed"
+    return this._now() - this._openedAt >= this.cooldownMs ? "half_open" : "open"
+  }
+
+  /**
+   * Call before sending a request.
+   *
+   * @throws {CircuitOpenError} While open, or while another trial is in flight
+   */
+  check() {
+    if (this._openedAt === null) return
+    const remaining = this._openedAt + this.cooldownMs - this._now()
+    if (remaining > 0 || this._trial) {
+      throw new CircuitOpenError(
+        `${this._failures} consecutive server failures — requests paused`,
+        { retryAfterMs: Math.max(remaining, 1_000) }
+      )
+    }
+    this._trial = true
+  }
+
+  /**
+   * Record the outcome of a request that was sent.
+   *
+   * @param {boolean} failed - true for a server failure (5xx or no response)
+   */
+  record(failed) {
+    const wasTrial = this._trial
+    this._trial = false
+    if (!failed) {
+      this._failures = 0
+      this._openedAt = null
+      return
+    }
+    this._failures++
+    if (wasTrial || this._failures >= this.threshold) this._openedAt = this._now()
+  }
+}
@@ -0,0 +1,331 @@
+/**
+ * AgentRunner — the outer loop of a long-running agent.
+ *
+ * Repeatedly joins a queue, waits for a match, plays the game with
+ * GameClient.playUntilDone() and optionally claims winnings, until a stop
+ * condition is met:
+ *
+ *   const runner = new AgentRunner(game, decide, {
+ *     gameType: "poker",
+ *     stopAfter: { games: 20, durationMs: 3_600_000, netLossUsdc: 25, consecutiveLosses: 4 },
+ *     claim: true,
+ *   })
+ *   runner.on("gameCompleted", ({ gameId, result, netUsdc }) => { ... })
+ *   const summary = await runner.run()
+ *
+ * Platform pauses are waited out (PausedError.retryAfterMs), a disabled game
+ * type is swapped for one from GameDisabledError.availableGames, and other
+ * retriable errors are retried after their retryAfterMs. A game interrupted
+ * by an error — or left running by a previous process — is resumed from the
+ * agent's status on the next pass, and a queue already joined is waited on
+ * rather than joined again (`resumed` event). Errors that retrying cannot
+ * fix reject run().
+ *
+ * With `claim: true` every game is followed by a claim; with a ClaimPolicy
+ * (lib/claim-policy.js) only by the claims the policy allows.
+ *
+ * Events: started, resumed, joined, matched, gameCompleted, claimed, claimSkipped,
+ * claimFailed, paused, gameTypeChanged, retrying, stopped.
+ */
+
+import { EventEmitter } from "node:events"
+
+const DEFAULT_MATCH_TIMEOUT_MS = 240_000
+const DEFAULT_MAX_CONSECUTIVE_ERRORS = 5
+
+// Errors the next pass of the loop deals with by itself: still queued → wait
+// again, no longer queued → join again.
+const REQUEUE_CODES = new Set(["MATCH_TIMEOUT", "QUEUE_CANCELLED"])
+
+/**
+ * Net USDC result of one game for this agent, from the game type's fees in
+ * platform info. 0 when the fees or the result are unknown.
+ */
+function gameNetUsdc(result, fees) {
+  if (!fees) return 0
+  const entry = Number(fees.entry_fee_usdc) || 0
+  if (result === "win") return (Number(fees.winner_payout_usdc) || 0) - entry
+  if (result === "loss") return -entry
+  if (result === "draw") return -(Number(fees.draw_fee_per_agent_usdc) || 0)
+  return 0
+}
+
+function roundCents(usdc) {
+  return Math.round(usdc * 100) / 100
+}
+
+/**
+ * @typedef {object} StopConditions
+ * @property {number} [games] - Stop after this many completed games
+ * @property {number} [durationMs] - Stop joining queues once this long has passed. A queue
+ *   already joined is still waited on, for up to `matchTimeoutMs` more, and its game played.
+ * @property {number} [netLossUsdc] - Stop once the session is down this much (entry fees included)
+ * @property {number} [consecutiveLosses] - Stop after this many losses in a row
+ */
+
+/**
+ * @typedef {object} RunnerSummary
+ * @property {string|null} stopReason - "games", "duration", "net_loss", "consecutive_losses",
+ *   "stopped" (stop() was called), or null while running
+ * @property {number} gamesPlayed
+ * @property {number} wins
+ * @property {number} losses
+ * @property {number} draws
+ * @property {number} netUsdc - Winnings minus entry and draw fees
+ * @property {number} consecutiveLosses
+ * @property {number} elapsedMs
+ * @property {{ gameId: string, gameType: string, result: string, netUsdc: number }[]} games
+ */
+
+export class AgentRunner extends EventEmitter {
+  /**
+   * @param {import('./game.js').GameClient} game
+   * @param {(state: import('./schema.js').NormalizedState) => Promise<{action:string,amount?:number}|null>} handler -
+   *   Passed to playUntilDone() for every game
+   * @param {object} [opts]
+   * @param {string} [opts.gameType="poker"] - Game type to join
+   * @param {StopConditions} [opts.stopAfter] - Any condition met ends the session
+   * @param {boolean|import('./claim-policy.js').ClaimPolicy} [opts.claim=false] - Claim winnings
+   *   on-chain after each game: always (true), or when the policy says so
+   * @param {number} [opts.matchTimeoutMs=240000] - Passed to waitForMatch()
+   * @param {number} [opts.matchPollMs=3000] - Passed to waitForMatch() as pollMs
+   * @param {number} [opts.maxConsecutiveErrors=5] - Retriable errors in a row before giving up
+   * @param {object} [opts.play] - playUntilDone() options (pollMs, fallback, recovery, ...)
+   */
+  constructor(game, handler, {
+    gameType = "poker",
+    stopAfter = {},
+    claim = false,
+    matchTimeoutMs = DEFAULT_MATCH_TIMEOUT_MS,
+    matchPollMs = 3_000,
+    maxConsecutiveErrors = DEFAULT_MAX_CONSECUTIVE_ERRORS,
+    play = {},
+  } = {}) {
+    super()
+    this.game = game
+    this.handler = handler
+    this.gameType = gameType
+    this.stopAfter = stopAfter
+    this.claim = claim
+    this.matchTimeoutMs = matchTimeoutMs
+    this.matchPollMs = matchPollMs
+    this.maxConsecutiveErrors = maxConsecutiveErrors
+    this.playOptions = play
+
+    this._fees = new Map() // gameType → platform info fees
+    this._stopRequested = false
+    this._errors = 0 // retriable errors in a row
+    this._queued = false // this runner joined a queue that has not matched yet
+    this._queueDeadline = null // set once the duration is up: the last moment to wait for a match
+    this._wake = null
+    this._startedAt = null
+    this._summary = null
+  }
+
+  /** Totals so far; the final summary once run() has returned. */
+  get summary() {
+    return this._summary && { ...this._summary, elapsedMs: Date.now() - this._startedAt, games: [...this._summary.games] }
+  }
+
+  /**
+   * Ask the session to end. A game in progress is played to the end first;
+   * a wait (pause, retry backoff) is cut short.
+   */
+  stop() {
+    this._stopRequested = true
+    this._wake?.()
+  }
+
+  /**
+   * Run the session until a stop condition is met.
+   *
+   * @returns {Promise<RunnerSummary>}
+   * @throws {import('./errors.js').ClabcrawError} Errors retrying cannot fix, e.g.
+   *   INSUFFICIENT_FUNDS or AUTH_ERROR, or too many retriable errors in a row
+   */
+  async run() {
+    this._startedAt = Date.now()
+    this._stopRequested = false
+    this._summary = {
+      stopReason: null,
+      gamesPlayed: 0,
+      wins: 0,
+      losses: 0,
+      draws: 0,
+      netUsdc: 0,
+      consecutiveLosses: 0,
+      elapsedMs: 0,
+      games: [],
+    }
+    this.emit("started", { gameType: this.gameType, stopAfter: this.stopAfter })
+
+    this._errors = 0
+    this._queueDeadline = null
+    while (true) {
+      this._summary.stopReason = this._stopReason()
+      if (this._summary.stopReason === "duration" && this._queued) {
+        // The entry fee is paid: wait for the match rather than leave it to forfeit
+        this._queueDeadline ??= this._startedAt + this.stopAfter.durationMs + this.matchTimeoutMs
+        if (Date.now() < this._queueDeadline) this._summary.stopReason = null
+      }
+      if (this._summary.stopReason) break
+      try {
+        await this._playOne()
+        this._errors = 0
+      } catch (err) {
+        await this._recover(err)
+      }
+    }
+
+    const summary = this.summary
+    this.emit("stopped", { reason: summary.stopReason, summary })
+    return summary
+  }
+
+  // ─── Internals ──────────────────────────────────────────────────────────────
+
+  /** The stop condition that is met, or null to keep going. */
+  _stopReason() {
+    const { games, durationMs, netLossUsdc, consecutiveLosses } = this.stopAfter
+    const s = this._summary
+    if (this._stopRequested) return "stopped"
+    if (games != null && s.gamesPlayed >= games) return "games"
+    if (durationMs != null && Date.now() - this._startedAt >= durationMs) return "duration"
+    if (netLossUsdc != null && -s.netUsdc >= netLossUsdc) return "net_loss"
+    if (consecutiveLosses != null && s.consecutiveLosses >= consecutiveLosses) return "consecutive_losses"
+    return null
+  }
+
+  /** One pass: find or join a game, play it, record it, claim. */
+  async _playOne() {
+    const match = await this._match()
+    if (!match) return
+    const { gameId, gameType } = match
+    this.emit("matched", { gameId, gameType })
+
+    const fees = await this._feesFor(gameType)
+    const state = await this.game.playUntilDone(gameId, this.handler, this.playOptions)
+    this._record({ gameId, gameType, state, fees })
+
+    if (this.claim) await this._claim()
+  }
+
+  /**
+   * Resume a game already in progress, keep waiting if still queued, or
+   * join the queue. Null when the queue is gone and the duration is up.
+   */
+  async _match() {
+    const status = await this.game.getStatus()
+    // The status can list a game for a moment after it has finished
+    const played = new Set(this._summary.games.map((g) => g.gameId))
+    const active = status.activeGames.find((g) => !played.has(g.game_id))
+    if (active) {
+      const saved = this.game.session?.game(active.game_id)
+      const gameType = active.game_type || saved?.gameType || this.gameType
+      this.emit("resumed", { gameId: active.game_id, gameType, handNumber: saved?.handNumber ?? null, street: saved?.street ?? null })
+      return { gameId: active.game_id, gameType }
+    }
+
+    if (status.status === "queued") {
+      if (!this._queued) this.emit("resumed", { gameId: null, gameType: this.gameType, handNumber: null, street: null })
+    } else if (this._queueDeadline !== null) {
+      this._queued = false
+      return null
+    } else {
+      const joined = await this.game.join(this.gameType)
+      this.emit("joined", { gameType: this.gameType, status: joined.status, queuePosition: joined.queuePosition })
+      if (joined.gameId) return { gameId: joined.gameId, gameType: this.gameType }
+    }
+    this._queued = true
+
+    const remaining = this._queueDeadline === null ? Infinity : this._queueDeadline - Date.now()
+    const timeoutMs = Math.max(0, Math.min(this.matchTimeoutMs, remaining))
+    const gameId = await this.game.waitForMatch({ timeoutMs, pollMs: this.matchPollMs })
+    this._queued = false
+    return { gameId, gameType: this.gameType }
+  }
+
+  _record({ gameId, gameType, state, fees }) {
+    const s = this._summary
+    const netUsdc = roundCents(gameNetUsdc(state.result, fees))
+
+    s.gamesPlayed++
+    s.netUsdc = roundCents(s.netUsdc + netUsdc)
+    if (state.result === "win") s.wins++
+    if (state.result === "loss") s.losses++
+    if (state.result === "draw") s.draws++
+    s.consecutiveLosses = state.result === "loss" ? s.consecutiveLosses + 1 : 0
+    s.games.push({ gameId, gameType, result: state.result, netUsdc })
+
+    this.emit("gameCompleted", { gameId, gameType, state, result: state.result, netUsdc, summary: this.summary })
+  }
+
+  async _claim() {
+    try {
+      if (typeof this.claim === "object") return await this._claimByPolicy()
+      const { txHash, amountUsdc } = await this.game.claim()
+      this.emit("claimed", { txHash, amountUsdc })
+    } catch (err) {
+      // Claiming is best-effort: the balance stays claimable for the next try
+      if (err.code !== "NOTHING_TO_CLAIM") this.emit("claimFailed", { error: err })
+    }
+  }
+
+  async _claimByPolicy() {
+    const outcome = await this.claim.maybeClaim(this.game)
+    if (outcome.claimed) {
+      const { txHash, amountUsdc } = outcome.record
+      this.emit("claimed", { txHash, amountUsdc })
+    } else {
+      this.emit("claimSkipped", { reason: outcome.reason, amountUsdc: outcome.amountUsdc ?? null })
+    }
+  }
+
+  async _feesFor(gameType) {
+    if (!this._fees.has(gameType)) {
+      const info = await this.game.getPlatformInfo()
+      for (const [type, fees] of Object.entries(info?.games || {})) this._fees.set(type, fees)
+    }
+    return this._fees.get(gameType) || null
+  }
+
+  /**
+   * Wait out or work around a failed pass, or rethrow when retrying cannot
+   * help. Only plain retries count towards maxConsecutiveErrors; pauses and
+   * requeues can last as long as the platform needs.
+   */
+  async _recover(err) {
+    if (err.code === "PAUSED") {
+      this.emit("paused", { error: err, retryAfterMs: err.retryAfterMs })
+      return this._wait(err.retryAfterMs)
+    }
+
+    if (err.code === "GAME_DISABLED") {
+      const next = err.availableGames.find((type) => type !== this.gameType)
+      if (!next) throw err
+      this.emit("gameTypeChanged", { from: this.gameType, to: next, availableGames: err.availableGames })
+      this.gameType = next
+      return
+    }
+
+    if (REQUEUE_CODES.has(err.code)) return
+
+    if ((err.retriable || err.code === "CIRCUIT_OPEN") && ++this._errors <= this.maxConsecutiveErrors) {
+      this.emit("retrying", { error: err, retryAfterMs: err.retryAfterMs })
+      return this._wait(err.retryAfterMs)
+    }
+
+    throw err
+  }
+
+  /** Sleep for `ms`, or until stop() is called. */
+  async _wait(ms) {
+    let timer
+    await new Promise((resolve) => {
+      this._wake = resolve
+      timer = setTimeout(resolve, ms)
+    })
+    clearTimeout(timer)
+    this._wake = null
+  }
+}
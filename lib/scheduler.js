@@ -0,0 +1,46 @@
+/**
+ * A shared polling budget for loops that run side by side.
+ *
+ * The platform rate-limits per wallet, so when one agent plays several games
+ * at once their state polls come out of a single budget. Each loop takes a
+ * slot before it polls; slots are handed out in request order at most
+ * `maxPerSecond` apart, so a busy game cannot starve the others.
+ *
+ *   const scheduler = new PollScheduler({ maxPerSecond: 4 })
+ *   await Promise.all(gameIds.map((id) => game.playUntilDone(id, decide, { scheduler })))
+ *
+ * GameClient.playAll() sets this up itself. Only polls are budgeted — action
+ * submissions never wait for a slot, so move deadlines are unaffected.
+ */
+
+export class PollScheduler {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.maxPerSecond=4] - Polls per second across every loop sharing the scheduler
+   * @param {() => number} [opts.now=Date.now]
+   */
+  constructor({ maxPerSecond = 4, now = Date.now } = {}) {
+    this.maxPerSecond = maxPerSecond
+    this._now = now
+    this._next = 0 // earliest time the next slot can start
+  }
+
+  /** Minimum gap between two polls, in ms. */
+  get intervalMs() {
+    return 1_000 / this.maxPerSecond
+  }
+
+  /**
+   * Wait for the next free slot.
+   *
+   * @param {number} [slowdown=1] - Stretch the gap after this slot, e.g. GameClient's
+   *   pollSlowdown while the platform is answering 429
+   * @returns {Promise<void>}
+   */
+  async acquire(slowdown = 1) {
+    const now = this._now()
+    const slot = Math.max(now, this._next)
+    this._next = slot + this.intervalMs * slowdown
+    if (slot > now) await new Promise((r) => setTimeout(r, slot - now))
+  }
+}
@@ -54,7 +54,7 @@ export function parseCard(card) {
  * @param {object} validActions - Raw valid_actions from API
  * @returns {object}
  */
-function normalizeActions(validActions) {
+export function normalizeActions(validActions) {
   const all = ["fold", "check", "call", "raise", "all_in"]
   const result = {}
 
@@ -73,9 +73,12 @@ function normalizeActions(validActions) {
  * Normalize a raw game state response from the Clabcraw API.
  *
  * @param {object} raw - Raw JSON response from GET /v1/games/:id/state
+ * @param {object} [opts]
+ * @param {number} [opts.now=Date.now()] - Current time on the server's clock, in ms.
+ *   Pass a skew-corrected time so `moveDeadlineMs` is right on a drifting host.
  * @returns {NormalizedState}
  */
-export function normalizeState(raw) {
+export function normalizeState(raw, { now = Date.now() } = {}) {
   if (!raw || typeof raw !== "object") {
     return { unchanged: true, raw }
   }
@@ -88,7 +91,7 @@ export function normalizeState(raw) {
   const hole = (raw.your_cards || []).map(parseCard)
   const board = (raw.community_cards || []).map(parseCard)
   const moveDeadlineMs = raw.move_deadline
-    ? new Date(raw.move_deadline).getTime() - Date.now()
+    ? new Date(raw.move_deadline).getTime() - now
     : null
 
   return {
@@ -119,6 +122,18 @@ export function normalizeState(raw) {
     // Actions — normalized map
     actions: normalizeActions(raw.valid_actions),
 
+    // Your seat's latest action, to confirm whether a submission landed
+    lastAction: raw.last_action
+      ? {
+          handNumber: raw.last_action.hand_number,
+          street: raw.last_action.street,
+          action: raw.last_action.action,
+          amount: raw.last_action.amount || 0,
+          timeout: raw.last_action.timeout === true,
+          actionId: raw.last_action.action_id || null,
+        }
+      : null,
+
     // Convenience fields
     // potOdds: fraction of (pot + call) you must risk to continue. 0 when check is free.
     // effectiveStack: max chips at risk this hand (limited by the shorter stack).
@@ -155,6 +170,10 @@ export function normalizeState(raw) {
  * @property {number} opponentStack
  * @property {number|null} moveDeadlineMs - ms until deadline (negative = past)
  * @property {object} actions - Normalized action map
+ * @property {{handNumber:number,street:string,action:string,amount:number,timeout:boolean,actionId:string|null}|null} lastAction -
+ *   Your seat's latest action (blinds aside). `timeout` when the server acted for you;
+ *   `actionId` is the action_id it was sent with. Only the mock server sends it; null
+ *   against the production API.
  * @property {number} potOdds - Call amount / (pot + call amount). 0 when check is free.
  * @property {number} effectiveStack - min(yourStack, opponentStack) — max chips at risk this hand
  * @property {string|null} result - "win"|"loss"|"draw" when finished
@@ -163,3 +182,141 @@ export function normalizeState(raw) {
  * @property {string|null} winningHand
  * @property {object} raw - Original API response
  */
+
+/**
+ * Normalize a game replay (GET /v1/games/:id/replay) into a per-hand,
+ * per-street action timeline.
+ *
+ * Raw shape — seats index `players`, and action amounts are the chips posted
+ * for blinds and calls, and the street total bet to for raises and all-ins:
+ *
+ *   {
+ *     game_id, game_type, players: [address, address], started_at,
+ *     hands: [{
+ *       hand_number, started_at, button,        // seat that posts the small blind
+ *       blinds: { small, big },
+ *       starting_stacks: [200, 200], ending_stacks: [275, 125],
+ *       hole_cards: [["Aspades", "10hearts"], null],  // null when not shown
+ *       board: ["Kclubs", ...],
+ *       actions: [{ seat, street, action, amount, timeout? }],
+ *       pot, winners: [seat], winning_hand, showdown,
+ *     }],
+ *     result: { winner, outcome },
+ *   }
+ *
+ * Normalized actions carry both what they put in (`amount`) and the seat's
+ * street total after them (`to`), so "raises 100 to 150" and "calls 50" can
+ * be told apart without replaying the betting.
+ *
+ * @param {object} raw - Raw JSON response from GET /v1/games/:id/replay
+ * @returns {Replay}
+ */
+export function normalizeReplay(raw) {
+  const players = raw?.players || []
+  return {
+    gameId: raw?.game_id || null,
+    gameType: raw?.game_type || null,
+    players,
+    startedAt: raw?.started_at || null,
+    hands: (raw?.hands || []).map((hand) => normalizeReplayHand(hand, players)),
+    result: raw?.result || null,
+    raw,
+  }
+}
+
+// Betting streets and the board cards dealt by each
+const STREET_CARDS = { preflop: 0, flop: 3, turn: 4, river: 5 }
+
+function normalizeReplayHand(hand, players) {
+  const board = (hand.board || []).map(parseCard)
+  const stacks = [...(hand.starting_stacks || [0, 0])]
+  const bets = [0, 0]
+  let street = "preflop"
+
+  // Streets the board reached, even when nobody could act on them (all-in run-outs)
+  const streets = Object.entries(STREET_CARDS)
+    .filter(([, cards]) => board.length >= cards)
+    .map(([name, cards]) => ({ street: name, board: board.slice(0, cards), actions: [] }))
+
+  for (const { seat, street: on = street, action, amount = 0, timeout = false } of hand.actions || []) {
+    if (on !== street) {
+      street = on
+      bets.fill(0)
+    }
+    const to = action === "raise" || action === "all_in" ? amount : bets[seat] + (action === "fold" || action === "check" ? 0 : amount)
+    const put = to - bets[seat]
+    bets[seat] = to
+    stacks[seat] -= put
+
+    let entry = streets.find((s) => s.street === on)
+    if (!entry) {
+      entry = { street: on, board: board.slice(0, STREET_CARDS[on] ?? board.length), actions: [] }
+      streets.push(entry)
+    }
+    entry.actions.push({
+      seat,
+      player: players[seat] || null,
+      action,
+      amount: put,
+      to,
+      allIn: put > 0 && stacks[seat] <= 0,
+      timeout: timeout === true,
+    })
+  }
+
+  return {
+    handNumber: hand.hand_number,
+    startedAt: hand.started_at || null,
+    button: hand.button ?? 0,
+    blinds: hand.blinds || null,
+    startingStacks: hand.starting_stacks || null,
+    endingStacks: hand.ending_stacks || null,
+    hole: (hand.hole_cards || [null, null]).map((cards) => (cards ? cards.map(parseCard) : null)),
+    board,
+    streets,
+    pot: hand.pot || 0,
+    winners: hand.winners || [],
+    winningHand: hand.winning_hand || null,
+    showdown: hand.showdown === true,
+  }
+}
+
+/**
+ * @typedef {object} ReplayAction
+ * @property {number} seat
+ * @property {string|null} player - Address of the seat
+ * @property {string} action - "small_blind"|"big_blind"|"fold"|"check"|"call"|"raise"|"all_in"
+ * @property {number} amount - Chips this action put in
+ * @property {number} to - The seat's total bet on the street after the action
+ * @property {boolean} allIn - The action left the seat with no chips
+ * @property {boolean} timeout - Applied by the server when the seat ran out of time
+ */
+
+/**
+ * @typedef {object} ReplayHand
+ * @property {number} handNumber
+ * @property {string|null} startedAt - ISO timestamp
+ * @property {number} button - Seat on the button, which posts the small blind
+ * @property {{ small: number, big: number }|null} blinds
+ * @property {number[]|null} startingStacks - By seat, before the blinds
+ * @property {number[]|null} endingStacks - By seat, after the pot was awarded
+ * @property {Array<Array<{rank:string,suit:string}>|null>} hole - By seat, null when not shown
+ * @property {Array<{rank:string,suit:string}>} board
+ * @property {Array<{ street: string, board: Array<{rank:string,suit:string}>, actions: ReplayAction[] }>} streets -
+ *   Preflop first; a street appears once the board reaches it
+ * @property {number} pot
+ * @property {number[]} winners - Seats; two on a split pot
+ * @property {string|null} winningHand
+ * @property {boolean} showdown
+ */
+
+/**
+ * @typedef {object} Replay
+ * @property {string|null} gameId
+ * @property {string|null} gameType
+ * @property {string[]} players - Addresses by seat
+ * @property {string|null} startedAt - ISO timestamp
+ * @property {ReplayHand[]} hands
+ * @property {{ winner: string|null, outcome: string }|null} result
+ * @property {object} raw - Original API response
+ */
@@ -0,0 +1,209 @@
+/**
+ * Crash-safe record of an agent's session.
+ *
+ * Remembers which queue the wallet joined and which games it is playing,
+ * with the last hand and street seen, so a restarted process can pick them
+ * up instead of paying another entry fee while the old game forfeits:
+ *
+ *   const session = new SessionStore({ path: ".clabcraw/session.json" })
+ *   const game = new GameClient({ session })
+ *
+ *   const { queued, games } = await game.resume()
+ *   if (games.length) await game.playUntilDone(games[0].gameId, decide)
+ *   else if (!queued) await game.join("poker")
+ *
+ * GameClient does the bookkeeping: join() records the queue or the game it
+ * matched, states() / playUntilDone() record each hand and street and the
+ * game finishing, and every getStatus() brings the record in line with the
+ * platform's view. getStatus() is the authority — the file only adds what
+ * the status does not say (game type, hand and street) and outlives the
+ * process.
+ *
+ * The file belongs to one wallet; recording for another wallet starts a
+ * fresh session.
+ */
+
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs"
+import { dirname } from "node:path"
+
+/**
+ * @typedef {object} SessionGame
+ * @property {string} gameId
+ * @property {string|null} gameType
+ * @property {number|null} handNumber - Last hand seen
+ * @property {string|null} street - Last street seen
+ * @property {number|null} updatedAt - ms timestamp of the last change, null if never recorded
+ */
+
+function emptySession(wallet = null) {
+  return {
+    wallet,
+    queued: null, // { gameType, queuedAt } while waiting for a match
+    games: [],    // SessionGame, in the order they were matched
+  }
+}
+
+function sameWallet(a, b) {
+  return typeof a === "string" && typeof b === "string" && a.toLowerCase() === b.toLowerCase()
+}
+
+export class SessionStore {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.path] - JSON file to persist the session to; loaded if it exists.
+   *   Without a path the session lives in memory only.
+   * @param {() => number} [opts.now=Date.now]
+   */
+  constructor({ path = null, now = Date.now } = {}) {
+    this.path = path
+    this._now = now
+    this._session = path ? load(path) : emptySession()
+  }
+
+  /** Wallet the session belongs to, or null before anything was recorded. */
+  get wallet() {
+    return this._session.wallet
+  }
+
+  /** @returns {{ gameType: string, queuedAt: number }|null} */
+  get queued() {
+    return this._session.queued && { ...this._session.queued }
+  }
+
+  /** @returns {SessionGame[]} Games not yet seen to finish */
+  get games() {
+    return this._session.games.map((g) => ({ ...g }))
+  }
+
+  /**
+   * @param {string} gameId
+   * @returns {SessionGame|null}
+   */
+  game(gameId) {
+    const found = this._session.games.find((g) => g.gameId === gameId)
+    return found ? { ...found } : null
+  }
+
+  /**
+   * Record a join that left the wallet waiting in a queue.
+   *
+   * @param {string} wallet
+   * @param {string} gameType
+   */
+  recordQueued(wallet, gameType) {
+    this._forWallet(wallet).queued = { gameType, queuedAt: this._now() }
+    this._save()
+  }
+
+  /**
+   * Record a game the wallet is playing. Recording a known game only fills
+   * in a missing game type.
+   *
+   * @param {string} wallet
+   * @param {string} gameId
+   * @param {string|null} [gameType]
+   */
+  recordMatched(wallet, gameId, gameType = null) {
+    const s = this._forWallet(wallet)
+    const known = s.games.find((g) => g.gameId === gameId)
+    if (known) {
+      if (known.gameType || !gameType) return
+      known.gameType = gameType
+    } else {
+      s.games.push({ gameId, gameType, handNumber: null, street: null, updatedAt: this._now() })
+      if (!gameType || s.queued?.gameType === gameType) s.queued = null
+    }
+    this._save()
+  }
+
+  /**
+   * Record the hand and street of a game's latest state. Written only when
+   * either changes.
+   *
+   * @param {string} wallet
+   * @param {string} gameId
+   * @param {import('./schema.js').NormalizedState} state
+   */
+  recordProgress(wallet, gameId, state) {
+    this.recordMatched(wallet, gameId)
+    const entry = this._session.games.find((g) => g.gameId === gameId)
+    const handNumber = state.handNumber ?? entry.handNumber
+    const street = state.street ?? entry.street
+    if (entry.handNumber === handNumber && entry.street === street) return
+    Object.assign(entry, { handNumber, street, updatedAt: this._now() })
+    this._save()
+  }
+
+  /**
+   * Forget a game that has finished.
+   *
+   * @param {string} gameId
+   */
+  recordFinished(gameId) {
+    const s = this._session
+    const games = s.games.filter((g) => g.gameId !== gameId)
+    if (games.length === s.games.length) return
+    s.games = games
+    this._save()
+  }
+
+  /**
+   * Bring the session in line with a getStatus() response: games no longer
+   * active have finished, and the queue is kept only while the status says
+   * "queued".
+   *
+   * @param {string} wallet
+   * @param {{ status: string, activeGames: Array<{ game_id: string, game_type?: string }> }} status
+   */
+  sync(wallet, status) {
+    const before = JSON.stringify(this._session)
+    const s = this._forWallet(wallet)
+    const active = new Set(status.activeGames.map((g) => g.game_id))
+
+    s.games = s.games.filter((g) => active.has(g.gameId))
+    for (const { game_id, game_type } of status.activeGames) {
+      if (!s.games.some((g) => g.gameId === game_id)) {
+        s.games.push({ gameId: game_id, gameType: game_type || null, handNumber: null, street: null, updatedAt: this._now() })
+      }
+    }
+    if (status.status !== "queued") s.queued = null
+    else s.queued ||= { gameType: null, queuedAt: this._now() }
+
+    if (JSON.stringify(s) !== before) this._save()
+  }
+
+  /** Forget everything, e.g. after switching wallets by hand. */
+  clear() {
+    this._session = emptySession()
+    this._save()
+  }
+
+  // ─── Internals ──────────────────────────────────────────────────────────────
+
+  /** The session, reset first if it belongs to another wallet. */
+  _forWallet(wallet) {
+    if (!sameWallet(this._session.wallet, wallet)) this._session = emptySession(wallet)
+    return this._session
+  }
+
+  _save() {
+    if (!this.path) return
+    // Write-then-rename so a crash mid-write never leaves a truncated file
+    mkdirSync(dirname(this.path), { recursive: true })
+    const tmp = `${this.path}.tmp`
+    writeFileSync(tmp, JSON.stringify({ ...this._session, updatedAt: this._now(), version: 1 }, null, 2))
+    renameSync(tmp, this.path)
+  }
+}
+
+function load(path) {
+  let raw
+  try {
+    raw = readFileSync(path, "utf-8")
+  } catch (err) {
+    if (err.code === "ENOENT") return emptySession()
+    throw err
+  }
+  const { wallet = null, queued = null, games = [] } = JSON.parse(raw)
+  return { wallet, queued, games }
+}
@@ -8,6 +8,8 @@
  * Jason.encode! output (Elixir sorts map keys by default).
  */
 
+import { recoverMessageAddress } from "viem";
+
 /**
  * Sign a game action with EIP-191.
  *
@@ -35,6 +37,35 @@ export async function signState(account, gameId, timestamp) {
   return signAction(account, gameId, { action: "state" }, timestamp);
 }
 
+/**
+ * Sign a Phoenix channel join (e.g. "game:{game_id}" or "agent:{address}")
+ * with EIP-191. Same message scheme as requests, with the topic in place of
+ * the game id.
+ *
+ * @param {import('viem/accounts').PrivateKeyAccount} account - viem account
+ * @param {string} topic - Channel topic
+ * @param {string} timestamp - Unix timestamp as string
+ * @returns {Promise<string>} Hex signature (0x-prefixed)
+ */
+export async function signChannelJoin(account, topic, timestamp) {
+  return signAction(account, topic, { action: "join" }, timestamp);
+}
+
+/**
+ * Recover the address that signed a game request.
+ * Server-side counterpart of signAction/signState (used by the local mock server).
+ *
+ * @param {string} gameId - Game UUID
+ * @param {object} payload - Signed payload (action body, or {action: "state"} for reads)
+ * @param {string} timestamp - Unix timestamp as string
+ * @param {string} signature - Hex signature (0x-prefixed)
+ * @returns {Promise<string>} Checksummed signer address
+ */
+export async function recoverSigner(gameId, payload, timestamp, signature) {
+  const message = buildMessage(gameId, payload, timestamp);
+  return recoverMessageAddress({ message, signature });
+}
+
 /**
  * Produce canonical JSON matching Elixir's Jason.encode!/1.
  * Keys are sorted alphabetically, no whitespace.
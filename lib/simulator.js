@@ -0,0 +1,286 @@
+/**
+ * In-process heads-up simulator for strategy-vs-strategy matches.
+ *
+ * Plays two decideAction-style callbacks against each other on the engine in
+ * lib/engine.js — no HTTP, wallets or entry fees. Each side receives the same
+ * NormalizedState that GameClient hands to a playUntilDone() handler, built
+ * from its own seat's view, so a strategy can be dropped in unchanged:
+ *
+ *   import { simulate } from './lib/simulator.js'
+ *
+ *   const report = await simulate(decideTight, decideLoose, {
+ *     games: 2_000,
+ *     rules: info.games.poker,   // from getPlatformInfo(), optional
+ *     seed: 42,
+ *   })
+ *
+ *   report.a.winRate       // { rate, low, high } — Wilson interval
+ *   report.a.chipsPerGame  // { mean, low, high } — normal interval
+ *
+ * Seats alternate every game so neither side always starts on the button.
+ */
+
+import { HeadsUpGame } from "./engine.js"
+import { normalizeState } from "./schema.js"
+
+const DEFAULT_RULES = {
+  starting_stacks: 10_000,
+  starting_blinds: { small: 25, big: 50 },
+  blind_increase_interval: 10,
+  hand_cap: 75,
+  consecutive_timeout_limit: 3,
+}
+
+/**
+ * Seeded PRNG (mulberry32). Returns floats in [0, 1).
+ *
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let s = seed >>> 0
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0
+    let t = s
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4_294_967_296
+  }
+}
+
+/**
+ * Play a single game between two strategies.
+ *
+ * A strategy that throws, returns nothing, or returns an illegal action is
+ * given the server's fallback (check, else fold) and the miss is counted.
+ * Returning nothing counts as a timeout, so three in a row forfeit the game.
+ *
+ * @param {Function} strategyA - (state) => { action, amount? } | Promise<...>, sits in seat 0
+ * @param {Function} strategyB - Same, sits in seat 1
+ * @param {object} [opts]
+ * @param {object} [opts.rules] - Game rules in /v1/platform/info `games[type]` shape
+ * @param {() => number} [opts.rng=Math.random]
+ * @returns {Promise<{ winner: number|null, outcome: string, hands: number, stacks: number[],
+ *   handNets: number[], errors: number[], invalid: number[], timeouts: number[] }>}
+ *   Per-seat arrays are indexed by seat; handNets holds seat 0's chip delta per hand.
+ */
+export async function playMatch(strategyA, strategyB, { rules = {}, rng = Math.random } = {}) {
+  const r = { ...DEFAULT_RULES, ...rules }
+  const engine = new HeadsUpGame({
+    gameId: "sim",
+    startingStack: r.starting_stacks,
+    startingBlinds: r.starting_blinds,
+    blindIncreaseInterval: r.blind_increase_interval,
+    handCap: r.hand_cap,
+    consecutiveTimeoutLimit: r.consecutive_timeout_limit,
+    rng,
+  })
+
+  const strategies = [strategyA, strategyB]
+  const errors = [0, 0]
+  const invalid = [0, 0]
+  const timeouts = [0, 0]
+  const handNets = []
+  let handStart = engine.stacks[0]
+
+  while (!engine.isFinished) {
+    if (engine.awaitingNextHand) {
+      handNets.push(engine.stacks[0] - handStart)
+      engine.nextHand()
+      handStart = engine.stacks[0]
+      continue
+    }
+
+    const seat = engine.toAct
+    let action
+    try {
+      action = await strategies[seat](normalizeState(engine.viewFor(seat)))
+    } catch {
+      errors[seat]++
+      action = fallbackAction(engine, seat)
+    }
+
+    if (!action) {
+      timeouts[seat]++
+      engine.timeout(seat)
+      continue
+    }
+
+    try {
+      engine.act(seat, action)
+    } catch {
+      invalid[seat]++
+      engine.act(seat, fallbackAction(engine, seat))
+    }
+  }
+
+  handNets.push(engine.stacks[0] - handStart)
+
+  return {
+    winner: engine.result.winner,
+    outcome: engine.result.outcome,
+    hands: engine.handNumber,
+    stacks: [...engine.stacks],
+    handNets,
+    errors,
+    invalid,
+    timeouts,
+  }
+}
+
+/**
+ * Play N games between two strategies and summarize the results from A's side
+ * (B's numbers are the mirror image).
+ *
+ * @param {Function} strategyA
+ * @param {Function} strategyB
+ * @param {object} [opts]
+ * @param {number} [opts.games=1000]
+ * @param {object} [opts.rules] - Game rules in /v1/platform/info `games[type]` shape
+ *   (starting_stacks, starting_blinds, blind_increase_interval, hand_cap, consecutive_timeout_limit)
+ * @param {number} [opts.seed] - Seed for reproducible runs; Math.random when omitted
+ * @param {number} [opts.confidence=0.95] - Confidence level for all intervals
+ * @param {(game: object, index: number) => void} [opts.onGame] - Called after each game
+ * @returns {Promise<SimulationReport>}
+ */
+export async function simulate(strategyA, strategyB, {
+  games = 1000,
+  rules = {},
+  seed,
+  confidence = 0.95,
+  onGame,
+} = {}) {
+  const rng = seed === undefined ? Math.random : createRng(seed)
+  const startingStack = { ...DEFAULT_RULES, ...rules }.starting_stacks
+  const z = zScore(confidence)
+
+  let wins = 0
+  let draws = 0
+  let hands = 0
+  const outcomes = {}
+  const gameNets = []
+  const handNets = []
+  const misses = { a: { errors: 0, invalid: 0, timeouts: 0 }, b: { errors: 0, invalid: 0, timeouts: 0 } }
+
+  for (let i = 0; i < games; i++) {
+    // Alternate seats so the first button is shared evenly
+    const aSeat = i % 2
+    const game = aSeat === 0
+      ? await playMatch(strategyA, strategyB, { rules, rng })
+      : await playMatch(strategyB, strategyA, { rules, rng })
+
+    const sign = aSeat === 0 ? 1 : -1
+    if (game.winner === null) draws++
+    else if (game.winner === aSeat) wins++
+    outcomes[game.outcome] = (outcomes[game.outcome] || 0) + 1
+
+    hands += game.hands
+    gameNets.push(game.stacks[aSeat] - startingStack)
+    for (const net of game.handNets) handNets.push(sign * net)
+
+    for (const [side, seat] of [["a", aSeat], ["b", 1 - aSeat]]) {
+      misses[side].errors += game.errors[seat]
+      misses[side].invalid += game.invalid[seat]
+      misses[side].timeouts += game.timeouts[seat]
+    }
+
+    onGame?.(game, i)
+  }
+
+  const losses = games - wins - draws
+
+  return {
+    games,
+    hands,
+    confidence,
+    outcomes,
+    a: {
+      wins,
+      draws,
+      losses,
+      winRate: wilson(wins, games, z),
+      drawRate: wilson(draws, games, z),
+      lossRate: wilson(losses, games, z),
+      chipsPerGame: meanInterval(gameNets, z),
+      chipsPerHand: meanInterval(handNets, z),
+      ...misses.a,
+    },
+    b: {
+      wins: losses,
+      draws,
+      losses: wins,
+      winRate: wilson(losses, games, z),
+      drawRate: wilson(draws, games, z),
+      lossRate: wilson(wins, games, z),
+      chipsPerGame: negate(meanInterval(gameNets, z)),
+      chipsPerHand: negate(meanInterval(handNets, z)),
+      ...misses.b,
+    },
+  }
+}
+
+/**
+ * @typedef {object} SideReport
+ * @property {number} wins
+ * @property {number} draws
+ * @property {number} losses
+ * @property {{rate:number,low:number,high:number}} winRate
+ * @property {{rate:number,low:number,high:number}} drawRate
+ * @property {{rate:number,low:number,high:number}} lossRate
+ * @property {{mean:number,low:number,high:number,stdDev:number,n:number}} chipsPerGame - Net chips per game
+ * @property {{mean:number,low:number,high:number,stdDev:number,n:number}} chipsPerHand - Net chips per hand
+ * @property {number} errors - Strategy threw
+ * @property {number} invalid - Strategy returned an illegal action
+ * @property {number} timeouts - Strategy returned nothing
+ */
+
+/**
+ * @typedef {object} SimulationReport
+ * @property {number} games
+ * @property {number} hands - Total hands across all games
+ * @property {number} confidence
+ * @property {Object<string, number>} outcomes - Count per outcome ("knockout", "hand_cap", "draw", "timeout")
+ * @property {SideReport} a
+ * @property {SideReport} b
+ */
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function fallbackAction(engine, seat) {
+  return { action: "check" in engine.validActions(seat) ? "check" : "fold" }
+}
+
+/** Wilson score interval for a binomial proportion. */
+function wilson(successes, n, z) {
+  if (n === 0) return { rate: 0, low: 0, high: 0 }
+  const p = successes / n
+  const denom = 1 + (z * z) / n
+  const centre = (p + (z * z) / (2 * n)) / denom
+  const half = (z * Math.sqrt((p * (1 - p)) / n + (z * z) / (4 * n * n))) / denom
+  return { rate: p, low: Math.max(0, centre - half), high: Math.min(1, centre + half) }
+}
+
+/** Mean with a normal-approximation confidence interval. */
+function meanInterval(values, z) {
+  const n = values.length
+  if (n === 0) return { mean: 0, low: 0, high: 0, stdDev: 0, n }
+  const mean = values.reduce((s, v) => s + v, 0) / n
+  const variance = n > 1 ? values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1) : 0
+  const stdDev = Math.sqrt(variance)
+  const half = (z * stdDev) / Math.sqrt(n)
+  return { mean, low: mean - half, high: mean + half, stdDev, n }
+}
+
+function negate({ mean, low, high, stdDev, n }) {
+  return { mean: -mean, low: -high, high: -low, stdDev, n }
+}
+
+/**
+ * Two-sided z-score for a confidence level (Abramowitz & Stegun 26.2.23).
+ */
+function zScore(confidence) {
+  const p = (1 - confidence) / 2
+  const t = Math.sqrt(-2 * Math.log(p))
+  return t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+    (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t)
+}
@@ -0,0 +1,161 @@
+/**
+ * Tests for lib/bankroll.js and the join() gating in GameClient.
+ *
+ * Covers: fees from platform info, ledger accounting for wins, losses, draws
+ * and refunds, results that settle nothing, each limit, persistence across instances, and a refused join
+ * that never reaches the payment.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { Bankroll, gameFees } from "../lib/bankroll.js"
+import { BankrollLimitError } from "../lib/errors.js"
+import { FAST_PLAY, startGame, tempPath } from "./helpers.js"
+
+const POKER = { entryFeeUsdc: 5, serviceFeeUsdc: 1.5, winnerPayoutUsdc: 8.5, drawFeeUsdc: 0.25 }
+const NOON = Date.parse("2026-10-19T12:00:00Z")
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function refusal(limit) {
+  return (err) => err instanceof BankrollLimitError && err.limit === limit
+}
+
+// ─── Ledger ───────────────────────────────────────────────────────────────────
+
+test("gameFees reads a game type from platform info", () => {
+  const info = { games: { poker: { entry_fee_usdc: 5, service_fee_usdc: 1.5, winner_payout_usdc: 8.5, draw_fee_per_agent_usdc: 0.25 } } }
+  assert.deepEqual(gameFees(info, "poker"), POKER)
+  assert.equal(gameFees(info, "poker-pro"), null)
+})
+
+test("ledger credits payouts for wins and refunds less the fee for draws", () => {
+  const bankroll = new Bankroll({ startingUsdc: 100 })
+
+  bankroll.recordEntry("poker", POKER, { gameId: "g1" })
+  bankroll.recordEntry("poker", POKER)
+  bankroll.recordEntry("poker", POKER)
+  bankroll.recordResult("g1", "win")
+  bankroll.recordResult("g1", "win") // repeated result is ignored
+  bankroll.recordResult("g2", "draw", "poker") // settles the oldest unlinked poker entry
+  bankroll.assignGame("g3", "poker")
+  bankroll.recordResult("g3", "loss")
+
+  assert.deepEqual(bankroll.summary(), {
+    feesPaidUsdc: 15,
+    serviceFeesUsdc: 4.5,
+    winningsUsdc: 13.25,
+    netUsdc: -1.75,
+    peakNetUsdc: 0,
+    drawdownUsdc: 1.75,
+    spentTodayUsdc: 15,
+    balanceUsdc: 98.25,
+    openGames: 0,
+  })
+})
+
+test("an unread result or another game type's entry settles nothing", () => {
+  const bankroll = new Bankroll({ startingUsdc: 100 })
+  bankroll.recordEntry("poker", POKER, { gameId: "g1" })
+  bankroll.recordEntry("poker-pro", POKER)
+
+  bankroll.recordResult("g1", "unknown")
+  bankroll.recordResult("g2", "win", "poker")
+  bankroll.recordResult("g3", "win")
+  assert.equal(bankroll.summary().openGames, 2)
+  assert.equal(bankroll.summary().winningsUsdc, 0)
+
+  bankroll.recordResult("g1", "win") // the result read later still settles it
+  bankroll.recordResult("g2", "win", "poker-pro")
+  assert.equal(bankroll.summary().openGames, 0)
+  assert.equal(bankroll.summary().winningsUsdc, 17)
+})
+
+test("recordRefund takes back the fee of a cancelled queue", () => {
+  const bankroll = new Bankroll()
+  bankroll.recordEntry("poker", POKER)
+  bankroll.recordRefund("poker")
+
+  const summary = bankroll.summary()
+  assert.equal(summary.feesPaidUsdc, 0)
+  assert.equal(summary.spentTodayUsdc, 0)
+  assert.equal(summary.openGames, 0)
+})
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+
+test("floor refuses a fee that would take the bankroll below it", () => {
+  const bankroll = new Bankroll({ startingUsdc: 20, floorUsdc: 10 })
+  bankroll.check("poker", POKER)
+  bankroll.recordEntry("poker", POKER, { gameId: "g1" })
+  bankroll.recordResult("g1", "loss")
+  bankroll.check("poker", POKER)
+  bankroll.recordEntry("poker", POKER, { gameId: "g2" })
+
+  assert.throws(() => bankroll.check("poker", POKER), (err) =>
+    refusal("floor")(err) && err.headroomUsdc === 0 && err.retriable === false && err.gameType === "poker")
+})
+
+test("daily spend cap lifts at UTC midnight", () => {
+  let now = NOON
+  const bankroll = new Bankroll({ dailySpendCapUsdc: 12, now: () => now })
+  bankroll.recordEntry("poker", POKER)
+  bankroll.recordEntry("poker", POKER)
+
+  assert.throws(() => bankroll.check("poker", POKER), (err) =>
+    refusal("daily_spend")(err) && err.headroomUsdc === 2 && err.retriable && err.retryAfterMs === 12 * 3_600_000)
+
+  now += 12 * 3_600_000
+  bankroll.check("poker", POKER)
+})
+
+test("drawdown is measured from the best net result", () => {
+  const bankroll = new Bankroll({ maxDrawdownUsdc: 12 })
+  bankroll.recordEntry("poker", POKER, { gameId: "g1" })
+  bankroll.recordResult("g1", "win") // net +3.5, the peak
+  bankroll.recordEntry("poker", POKER, { gameId: "g2" })
+  bankroll.recordResult("g2", "loss") // drawdown 5
+  bankroll.check("poker", POKER)
+  bankroll.recordEntry("poker", POKER, { gameId: "g3" })
+  bankroll.recordResult("g3", "loss") // drawdown 10
+
+  assert.throws(() => bankroll.check("poker", POKER), refusal("drawdown"))
+})
+
+// ─── Persistence ──────────────────────────────────────────────────────────────
+
+test("ledger survives a restart", (t) => {
+  const path = tempPath(t, "nested", "bankroll.json")
+  const first = new Bankroll({ path, dailySpendCapUsdc: 10 })
+  first.recordEntry("poker", POKER, { gameId: "g1" })
+  first.recordEntry("poker", POKER)
+  first.recordResult("g1", "win")
+
+  const second = new Bankroll({ path, dailySpendCapUsdc: 10 })
+
+  assert.deepEqual(second.summary(), first.summary())
+  assert.throws(() => second.check("poker", POKER), refusal("daily_spend"))
+  second.recordResult("g1", "win")
+  assert.equal(second.summary().winningsUsdc, 8.5, "settled games stay settled")
+})
+
+// ─── GameClient ───────────────────────────────────────────────────────────────
+
+test("join() records the fee, the game result, and refuses past the cap", async (t) => {
+  const bankroll = new Bankroll({ dailySpendCapUsdc: 5 })
+  const joins = []
+  const { game, gameId } = await startGame(t, {
+    ...FAST_PLAY,
+    client: { bankroll, hooks: { onRequest: ({ path }) => path.startsWith("/v1/games/join") && joins.push(path) } },
+  })
+
+  const final = await game.playUntilDone(gameId, (state) => (state.isYourTurn ? { action: "fold" } : null), { pollMs: 10 })
+
+  assert.equal(final.result, "loss")
+  assert.equal(bankroll.summary().netUsdc, -5)
+  assert.equal(bankroll.summary().openGames, 0)
+
+  await assert.rejects(game.join("poker"), refusal("daily_spend"))
+  assert.equal(joins.length, 1, "the refused join sent no request")
+})
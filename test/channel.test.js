@@ -0,0 +1,140 @@
+/**
+ * Tests for lib/channel.js and the socket transport in GameClient.
+ *
+ * Covers: socket connect/join errors, signed channel joins, full games and
+ * waitForMatch over pushed updates, and falling back to polling when the
+ * socket is unavailable or drops mid-game.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { PhoenixSocket, socketUrlFor } from "../lib/channel.js"
+import { GameClient } from "../lib/game.js"
+import { createSigner } from "../lib/client.js"
+import { signChannelJoin } from "../lib/signer.js"
+import { AuthError, GameNotFoundError, SocketError } from "../lib/errors.js"
+import { FAST_PLAY, KEY_A, KEY_B, shove, startMock } from "./helpers.js"
+
+// Both seats played by clients
+const TWO_AGENTS = { ...FAST_PLAY, houseBot: false }
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Count HTTP state polls made by a client. */
+function countPolls(client) {
+  const counter = { polls: 0 }
+  const getState = client.getState.bind(client)
+  client.getState = (...args) => {
+    counter.polls++
+    return getState(...args)
+  }
+  return counter
+}
+
+async function signedJoin(privateKey, topic) {
+  const account = createSigner(privateKey)
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  return { signer: account.address, timestamp, signature: await signChannelJoin(account, topic, timestamp) }
+}
+
+// ─── PhoenixSocket ────────────────────────────────────────────────────────────
+
+test("socketUrlFor maps http(s) to ws(s) and appends the socket path", () => {
+  assert.equal(socketUrlFor("https://clabcraw.sh/"), "wss://clabcraw.sh/socket/websocket?vsn=2.0.0")
+  assert.equal(socketUrlFor("http://127.0.0.1:4000"), "ws://127.0.0.1:4000/socket/websocket?vsn=2.0.0")
+})
+
+test("connect to a server without channels → SocketError", async (t) => {
+  const { url } = await startMock(t, { ...TWO_AGENTS, sockets: false })
+  const socket = new PhoenixSocket(socketUrlFor(url))
+  await assert.rejects(socket.connect(), SocketError)
+})
+
+test("channel joins are signature-checked", async (t) => {
+  const { url } = await startMock(t, TWO_AGENTS)
+  const socket = new PhoenixSocket(socketUrlFor(url))
+  await socket.connect()
+  t.after(() => socket.close())
+
+  const address = createSigner(KEY_A).address.toLowerCase()
+  const topic = `agent:${address}`
+
+  const forged = { ...(await signedJoin(KEY_B, topic)), signer: address }
+  await assert.rejects(socket.join(topic, forged), AuthError)
+
+  const channel = await socket.join(topic, await signedJoin(KEY_A, topic))
+  assert.equal(channel.reply.status.status, "idle")
+
+  const missing = "game:no-such-game"
+  await assert.rejects(socket.join(missing, await signedJoin(KEY_A, missing)), GameNotFoundError)
+})
+
+// ─── GameClient over the socket ───────────────────────────────────────────────
+
+test("waitForMatch and playUntilDone run on pushed updates without polling", async (t) => {
+  const { url } = await startMock(t, TWO_AGENTS)
+  const a = new GameClient({ apiUrl: url, privateKey: KEY_A, transport: "socket" })
+  const b = new GameClient({ apiUrl: url, privateKey: KEY_B, transport: "socket" })
+  const fallbacks = []
+  for (const c of [a, b]) c.on("transportFallback", (e) => fallbacks.push(e))
+  const pollsA = countPolls(a)
+  const pollsB = countPolls(b)
+
+  await a.join("poker")
+  const matched = a.waitForMatch({ timeoutMs: 5_000 })
+  await b.join("poker")
+  const gameId = await matched
+
+  const [finalA, finalB] = await Promise.all([
+    a.playUntilDone(gameId, shove),
+    b.playUntilDone(gameId, shove),
+  ])
+
+  assert.equal(finalA.isFinished, true)
+  assert.equal(finalB.isFinished, true)
+  assert.deepEqual([finalA.result, finalB.result].sort(), ["loss", "win"])
+  assert.deepEqual(fallbacks, [])
+  assert.equal(pollsA.polls + pollsB.polls, 0)
+  assert.equal(a._socket, null, "socket is released once the game ends")
+})
+
+test("server without channels → falls back to polling", async (t) => {
+  const { url } = await startMock(t, { ...FAST_PLAY, sockets: false })
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, transport: "socket" })
+  const fallbacks = []
+  game.on("transportFallback", (e) => fallbacks.push(e))
+
+  await game.join("poker")
+  const gameId = await game.waitForMatch({ pollMs: 10 })
+  const final = await game.playUntilDone(gameId, shove, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+  assert.equal(fallbacks.length, 2)
+  assert.ok(fallbacks.every((e) => e.error instanceof SocketError))
+  assert.equal(fallbacks[1].gameId, gameId)
+})
+
+test("socket dropped mid-game → polling takes over and the game completes", async (t) => {
+  const { mock, url } = await startMock(t, FAST_PLAY)
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, transport: "socket" })
+  const fallbacks = []
+  game.on("transportFallback", (e) => fallbacks.push(e))
+  const counter = countPolls(game)
+
+  await game.join("poker")
+  const gameId = await game.waitForMatch()
+
+  let dropped = false
+  const final = await game.playUntilDone(gameId, async (state) => {
+    if (!dropped) {
+      dropped = true
+      mock.dropSockets()
+    }
+    return shove(state)
+  }, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+  assert.equal(fallbacks.length, 1)
+  assert.ok(counter.polls > 0)
+})
@@ -0,0 +1,146 @@
+/**
+ * Tests for lib/claim-policy.js and AgentRunner's use of it.
+ *
+ * Covers: ethPriceUsdc being required, each reason a claim is skipped, claiming with a recorded receipt,
+ * the interval surviving a restart through the claim log, a reverted claim,
+ * and the runner applying a policy after each game. The last test runs
+ * against a local Anvil chain when CLABCRAW_ANVIL_RPC_URL is set.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { createPublicClient, createWalletClient, http } from "viem"
+import { anvil } from "viem/chains"
+
+import { ClaimPolicy } from "../lib/claim-policy.js"
+import { AgentRunner } from "../lib/runner.js"
+import { GameClient } from "../lib/game.js"
+import { createSigner } from "../lib/client.js"
+import { FAST_PLAY, KEY_A, fakeChain, recordEvents, startMock, tempPath } from "./helpers.js"
+
+const ANVIL_RPC_URL = process.env.CLABCRAW_ANVIL_RPC_URL
+const ETH_PRICE = 4_000
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function clientFor(chain, opts = {}) {
+  return new GameClient({ privateKey: KEY_A, publicClient: chain.publicClient, walletClient: chain.walletClient, ...opts })
+}
+
+// ─── Policy ───────────────────────────────────────────────────────────────────
+
+test("skips empty, small and gas-heavy balances without sending", async () => {
+  const policy = new ClaimPolicy({ ethPriceUsdc: ETH_PRICE, thresholdUsdc: 10, maxGasFraction: 0.01 })
+
+  const empty = fakeChain({ claimable: 0n })
+  assert.equal((await policy.maybeClaim(clientFor(empty))).reason, "nothing_to_claim")
+
+  const small = fakeChain({ claimable: 9_990_000n })
+  assert.deepEqual(await policy.maybeClaim(clientFor(small)), { claimed: false, reason: "below_threshold", amountUsdc: "9.99" })
+
+  // $0.20 of gas is more than 1% of $15
+  const pricey = fakeChain({ claimable: 15_000_000n })
+  const outcome = await policy.maybeClaim(clientFor(pricey))
+  assert.equal(outcome.reason, "gas_too_high")
+  assert.equal(outcome.gasCostUsdc, 0.2)
+
+  assert.equal(empty.sent.length + small.sent.length + pricey.sent.length, 0)
+  assert.deepEqual(policy.claims, [])
+})
+
+test("claims a balance over the threshold and records the receipt", async () => {
+  const chain = fakeChain()
+  const policy = new ClaimPolicy({ ethPriceUsdc: async () => 2_000, now: () => Date.parse("2026-10-19T12:00:00Z") })
+
+  const outcome = await policy.maybeClaim(clientFor(chain))
+
+  assert.equal(outcome.claimed, true)
+  assert.equal(outcome.gasCostUsdc, 0.1)
+  assert.deepEqual(outcome.record, {
+    claimedAt: "2026-10-19T12:00:00.000Z",
+    txHash: "0xc1a11",
+    amount: "25000000",
+    amountUsdc: "25.00",
+    receipt: { status: "success", blockNumber: "7", gasUsed: "48000", effectiveGasPrice: "1000000000" },
+  })
+  assert.deepEqual(policy.claims, [outcome.record])
+})
+
+test("claims at most once per interval, across restarts", async (t) => {
+  const path = tempPath(t, "claims.jsonl")
+  let now = Date.parse("2026-10-19T12:00:00Z")
+  const chain = fakeChain()
+  const game = clientFor(chain)
+  const first = new ClaimPolicy({ ethPriceUsdc: ETH_PRICE, minIntervalMs: 3_600_000, path, now: () => now })
+  await first.maybeClaim(game)
+
+  chain.claimable = 30_000_000n
+  now += 1_800_000
+  const restarted = new ClaimPolicy({ ethPriceUsdc: ETH_PRICE, minIntervalMs: 3_600_000, path, now: () => now })
+  const early = await restarted.maybeClaim(game)
+  assert.equal(early.reason, "interval")
+  assert.equal(early.nextClaimAt, Date.parse("2026-10-19T13:00:00Z"))
+
+  now += 1_800_000
+  assert.equal((await restarted.maybeClaim(game)).claimed, true)
+  assert.equal(new ClaimPolicy({ ethPriceUsdc: ETH_PRICE, path }).claims.length, 2)
+})
+
+test("ethPriceUsdc is required: a positive price or a price function", () => {
+  assert.throws(() => new ClaimPolicy(), { code: "CONFIG_ERROR" })
+  assert.throws(() => new ClaimPolicy({ ethPriceUsdc: 0 }), { code: "CONFIG_ERROR" })
+  assert.throws(() => new ClaimPolicy({ ethPriceUsdc: NaN }), { code: "CONFIG_ERROR" })
+  assert.doesNotThrow(() => new ClaimPolicy({ ethPriceUsdc: () => 3_000 }))
+})
+
+test("a reverted claim is recorded and rethrown", async () => {
+  const chain = fakeChain({ receiptStatus: "reverted" })
+  const policy = new ClaimPolicy({ ethPriceUsdc: ETH_PRICE })
+
+  await assert.rejects(policy.maybeClaim(clientFor(chain)), { code: "CLAIM_FAILED" })
+
+  assert.equal(policy.claims.length, 1)
+  assert.equal(policy.claims[0].receipt.status, "reverted")
+  assert.equal((await policy.maybeClaim(clientFor(chain))).reason, "interval")
+})
+
+// ─── Runner ───────────────────────────────────────────────────────────────────
+
+test("AgentRunner applies a claim policy after each game", async (t) => {
+  const { url } = await startMock(t, FAST_PLAY)
+  const chain = fakeChain()
+  const game = clientFor(chain, { apiUrl: url })
+  const fold = (state) => (state.isYourTurn ? { action: "fold" } : null)
+  const runner = new AgentRunner(game, fold, { matchPollMs: 10, play: { pollMs: 10 }, claim: new ClaimPolicy({ ethPriceUsdc: ETH_PRICE }), stopAfter: { games: 2 } })
+  const events = recordEvents(runner, ["claimed", "claimSkipped"])
+
+  await runner.run()
+
+  assert.deepEqual(events, [
+    ["claimed", { txHash: "0xc1a11", amountUsdc: "25.00" }],
+    ["claimSkipped", { reason: "interval", amountUsdc: null }],
+  ])
+})
+
+// ─── Anvil ────────────────────────────────────────────────────────────────────
+
+test("claims on a local Anvil chain", {
+  skip: !ANVIL_RPC_URL && "set CLABCRAW_ANVIL_RPC_URL and CLABCRAW_CONTRACT_ADDRESS (./scripts/dev-local.sh) to run",
+}, async () => {
+  const transport = http(ANVIL_RPC_URL)
+  const game = new GameClient({
+    privateKey: KEY_A,
+    publicClient: createPublicClient({ chain: anvil, transport }),
+    walletClient: createWalletClient({ account: createSigner(KEY_A), chain: anvil, transport }),
+  })
+  const policy = new ClaimPolicy({ ethPriceUsdc: ETH_PRICE, thresholdUsdc: 0, maxGasFraction: 1, minIntervalMs: 0 })
+
+  const outcome = await policy.maybeClaim(game)
+
+  if (outcome.claimed) {
+    assert.equal(outcome.record.receipt.status, "success")
+    assert.equal((await game.estimateClaim()).amount, 0n)
+  } else {
+    assert.equal(outcome.reason, "nothing_to_claim")
+  }
+})
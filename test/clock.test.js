@@ -0,0 +1,95 @@
+/**
+ * Tests for clock-offset tracking in GameClient.
+ *
+ * Covers: offsets measured from the Date header, skew-corrected signing
+ * timestamps and move deadlines, and re-syncing after a 401.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { GameClient } from "../lib/game.js"
+import { AuthError } from "../lib/errors.js"
+import { KEY_A, startGame, startMock } from "./helpers.js"
+
+const WITH_BOT = { houseBot: true }
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Offset within the Date header's one-second resolution (plus loopback RTT). */
+function assertNear(actual, expected) {
+  assert.ok(Math.abs(actual - expected) <= 1_100, `offset ${actual} not near ${expected}`)
+}
+
+// ─── Offset measurement ───────────────────────────────────────────────────────
+
+test("accurate clock → offset stays at 0", async (t) => {
+  const { url } = await startMock(t, WITH_BOT)
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+
+  for (let i = 0; i < 5; i++) await game.getStatus()
+
+  assert.ok(Math.abs(game.clockOffsetMs) < 50, `offset ${game.clockOffsetMs}`)
+})
+
+test("skewed server → offset learned from any response and used for deadlines", async (t) => {
+  const { url } = await startMock(t, { ...WITH_BOT, clockSkewMs: -30_000, moveTimeoutMs: 5_000 })
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+
+  await game.join("poker")
+  assertNear(game.clockOffsetMs, -30_000)
+
+  const gameId = await game.waitForMatch({ pollMs: 10 })
+  let state = await game.getState(gameId)
+  while (!state.isYourTurn) state = await game.getState(gameId)
+
+  assert.ok(state.moveDeadlineMs > 3_000 && state.moveDeadlineMs <= 6_100, `deadline ${state.moveDeadlineMs}`)
+})
+
+test("syncClock() measures afresh and reports when", async (t) => {
+  const { mock, url } = await startMock(t, WITH_BOT)
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  await game.getStatus()
+
+  mock.clockSkewMs = 5_000
+  const before = Date.now()
+  const { offsetMs, syncedAt } = await game.syncClock()
+
+  assertNear(offsetMs, 5_000)
+  assert.equal(game.clockOffsetMs, offsetMs)
+  assert.ok(syncedAt >= before)
+})
+
+// ─── Re-sync on 401 ───────────────────────────────────────────────────────────
+
+test("clock stepped mid-game → 401 re-syncs and the request succeeds", async (t) => {
+  const { mock, game, gameId } = await startGame(t, WITH_BOT)
+  const resyncs = []
+  game.on("clockResync", (event) => resyncs.push(event))
+
+  // Outside the 60s signature tolerance, and too large to be caught passively
+  // before the first signed request
+  mock.clockSkewMs = 90_000
+  const state = await game.getState(gameId)
+
+  assert.equal(state.gameId, gameId)
+  assert.equal(resyncs.length, 1)
+  assert.equal(resyncs[0].previousOffsetMs, 0)
+  assertNear(resyncs[0].offsetMs, 90_000)
+  assert.ok(resyncs[0].error instanceof AuthError)
+})
+
+test("401 not caused by the clock → AuthError after one re-sync", async (t) => {
+  const { url, game: player, gameId } = await startGame(t, WITH_BOT)
+
+  const outsider = new GameClient({
+    apiUrl: url,
+    privateKey: "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a",
+  })
+  const resyncs = []
+  outsider.on("clockResync", (event) => resyncs.push(event))
+
+  await assert.rejects(outsider.getState(gameId), AuthError)
+  assert.equal(resyncs.length, 1)
+  assert.ok(Math.abs(resyncs[0].offsetMs) < 50)
+})
@@ -1,51 +1,47 @@
 /**
  * Tests for skill config consistency.
  *
- * Ensures the production contract address is kept in sync across:
- *   - skill/skill.json  (env default loaded by env.js)
- *   - skill/lib/game.js (hardcoded fallback in claim())
+ * Ensures the production contract address has a single source of truth:
+ *   - skill/lib/networks.js (the mainnet profile)
+ *   - skill/skill.json      (env defaults must not shadow the profiles)
+ *   - skill/lib/game.js and skill/bins/* (no hardcoded fallbacks)
  */
 
 import { test } from "node:test"
 import assert from "node:assert/strict"
-import { readFileSync } from "node:fs"
+import { readFileSync, readdirSync } from "node:fs"
 import { fileURLToPath } from "node:url"
 import { dirname, join } from "node:path"
 
+import { NETWORKS } from "../lib/networks.js"
+
 const __dirname = dirname(fileURLToPath(import.meta.url))
 const ROOT = join(__dirname, "..")
 
 const PROD_CONTRACT = "0xafffcEAD2e99D04e5641A2873Eb7347828e1AAd3"
+const ADDRESS = /"0x[0-9a-fA-F]{40}"/
 
-test("skill.json CLABCRAW_CONTRACT_ADDRESS matches production contract", () => {
-  const skillJson = JSON.parse(readFileSync(join(ROOT, "skill.json"), "utf-8"))
+test("mainnet network profile uses the production contract", () => {
   assert.equal(
-    skillJson.env.CLABCRAW_CONTRACT_ADDRESS,
+    NETWORKS.mainnet.contractAddress,
     PROD_CONTRACT,
-    `skill.json contract address should be ${PROD_CONTRACT}`,
+    `networks.js mainnet contract address should be ${PROD_CONTRACT}`,
   )
 })
 
-test("game.js hardcoded fallback contract address matches production contract", () => {
-  const gameJs = readFileSync(join(ROOT, "lib", "game.js"), "utf-8")
-  // Match the fallback string: config.contractAddress || "0x..."
-  const match = gameJs.match(/config\.contractAddress\s*\|\|\s*"(0x[0-9a-fA-F]+)"/)
-  assert.ok(match, "game.js should have a hardcoded fallback contract address")
-  assert.equal(
-    match[1],
-    PROD_CONTRACT,
-    `game.js fallback contract address should be ${PROD_CONTRACT}`,
-  )
+test("skill.json leaves network defaults to the profiles", () => {
+  const skillJson = JSON.parse(readFileSync(join(ROOT, "skill.json"), "utf-8"))
+  for (const key of ["CLABCRAW_NETWORK", "CLABCRAW_API_URL", "CLABCRAW_CONTRACT_ADDRESS", "CLABCRAW_RPC_URL", "CLABCRAW_CHAIN_ID"]) {
+    assert.equal(skillJson.env[key], "", `skill.json ${key} should be empty so it doesn't override --network`)
+  }
 })
 
-test("skill.json and game.js fallback contract address are identical", () => {
-  const skillJson = JSON.parse(readFileSync(join(ROOT, "skill.json"), "utf-8"))
-  const gameJs = readFileSync(join(ROOT, "lib", "game.js"), "utf-8")
-  const match = gameJs.match(/config\.contractAddress\s*\|\|\s*"(0x[0-9a-fA-F]+)"/)
-  assert.ok(match, "game.js should have a hardcoded fallback contract address")
-  assert.equal(
-    skillJson.env.CLABCRAW_CONTRACT_ADDRESS,
-    match[1],
-    "skill.json and game.js fallback must reference the same contract address",
-  )
+test("game.js and the bins have no hardcoded contract address", () => {
+  const files = [
+    join(ROOT, "lib", "game.js"),
+    ...readdirSync(join(ROOT, "bins")).map((name) => join(ROOT, "bins", name)),
+  ]
+  for (const file of files) {
+    assert.doesNotMatch(readFileSync(file, "utf-8"), ADDRESS, `${file} should take addresses from lib/networks.js`)
+  }
 })
@@ -1,8 +1,8 @@
 /**
  * Tests for lib/errors.js
  *
- * Covers: error class properties, fromResponse() HTTP mapping,
- * and the critical 503 split between platform-pause and payment-settlement.
+ * Covers: error class properties, fromResponse() HTTP mapping, 429 rate-limit
+ * headers, and the critical 503 split between platform-pause and payment-settlement.
  */
 
 import { test } from "node:test"
@@ -18,7 +18,12 @@ import {
   NetworkError,
   AuthError,
   GameDisabledError,
+  SocketError,
+  CircuitOpenError,
+  RateLimitedError,
+  BankrollLimitError,
   fromResponse,
+  rateLimitFields,
 } from "../lib/errors.js"
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -66,6 +71,14 @@ test("InsufficientFundsError: not retriable", () => {
   const err = new InsufficientFundsError()
   assert.equal(err.code, "INSUFFICIENT_FUNDS")
   assert.equal(err.retriable, false)
+  assert.equal(err.asset, "USDC")
+  assert.equal(err.shortfall, null)
+})
+
+test("InsufficientFundsError: carries the shortfall of a pre-check", () => {
+  const err = new InsufficientFundsError("Short", { asset: "ETH", required: "0.0001", balance: "0", shortfall: "0.0001" })
+  assert.equal(err.asset, "ETH")
+  assert.equal(err.shortfall, "0.0001")
 })
 
 test("NotYourTurnError: retriable, 1s delay", () => {
@@ -95,6 +108,42 @@ test("NetworkError: retriable, 3s default delay", () => {
   assert.equal(err.retryAfterMs, 3_000)
 })
 
+test("SocketError: retriable, 1s default delay", () => {
+  const err = new SocketError()
+  assert.equal(err.code, "SOCKET_ERROR")
+  assert.equal(err.retriable, true)
+  assert.equal(err.retryAfterMs, 1_000)
+  assert.ok(err instanceof ClabcrawError)
+})
+
+test("CircuitOpenError: not retriable, carries the cooldown", () => {
+  const err = new CircuitOpenError(undefined, { retryAfterMs: 4_000 })
+  assert.equal(err.code, "CIRCUIT_OPEN")
+  assert.equal(err.retriable, false)
+  assert.equal(err.retryAfterMs, 4_000)
+  assert.ok(err instanceof ClabcrawError)
+})
+
+test("RateLimitedError: retriable, rate-limit fields default to null", () => {
+  const err = new RateLimitedError()
+  assert.equal(err.code, "RATE_LIMITED")
+  assert.equal(err.retriable, true)
+  assert.equal(err.retryAfterMs, 5_000)
+  assert.equal(err.limit, null)
+  assert.equal(err.resetAt, null)
+})
+
+test("BankrollLimitError: retriable only for the daily spend cap", () => {
+  const floor = new BankrollLimitError("Below floor", { limit: "floor", gameType: "poker", entryFeeUsdc: 5, headroomUsdc: 2 })
+  assert.equal(floor.code, "BANKROLL_LIMIT")
+  assert.equal(floor.retriable, false)
+  assert.equal(floor.headroomUsdc, 2)
+
+  const daily = new BankrollLimitError("Cap", { limit: "daily_spend", retryAfterMs: 60_000 })
+  assert.equal(daily.retriable, true)
+  assert.equal(daily.retryAfterMs, 60_000)
+})
+
 test("AuthError: not retriable", () => {
   const err = new AuthError()
   assert.equal(err.code, "AUTH_ERROR")
@@ -194,6 +243,38 @@ test("fromResponse 503 with short Retry-After for settlement", async () => {
 
 // ─── fromResponse: 5xx fallback ───────────────────────────────────────────────
 
+test("fromResponse 429 → RateLimitedError with Retry-After and rate-limit headers", async () => {
+  const res = mockResponse(429, { error: "Slow down" }, {
+    "retry-after": "2",
+    "x-ratelimit-limit": "60",
+    "x-ratelimit-remaining": "0",
+    "x-ratelimit-reset": "1900000000",
+  })
+  const err = await fromResponse(res)
+  assert.ok(err instanceof RateLimitedError)
+  assert.equal(err.message, "Slow down")
+  assert.equal(err.retryAfterMs, 2_000)
+  assert.equal(err.limit, 60)
+  assert.equal(err.remaining, 0)
+  assert.equal(err.resetAt, 1_900_000_000_000)
+})
+
+test("fromResponse 429 without Retry-After waits for the window reset", async () => {
+  const res = mockResponse(429, {}, { "ratelimit-remaining": "0", "ratelimit-reset": "7" })
+  const err = await fromResponse(res)
+  assert.equal(err.remaining, 0)
+  assert.ok(err.retryAfterMs > 6_000 && err.retryAfterMs <= 7_000, `waits ${err.retryAfterMs}ms`)
+})
+
+test("rateLimitFields → RATE_LIMITED output for 429 only", () => {
+  const fields = rateLimitFields(mockResponse(429, {}, { "retry-after": "3", "x-ratelimit-limit": "60" }))
+  assert.equal(fields.code, "RATE_LIMITED")
+  assert.equal(fields.retry_after_ms, 3_000)
+  assert.equal(fields.limit, 60)
+  assert.equal(fields.reset_at, null)
+  assert.deepEqual(rateLimitFields(mockResponse(500)), {})
+})
+
 test("fromResponse 500 → ClabcrawError HTTP_ERROR, retriable=true", async () => {
   const res = mockResponse(500, { error: "Internal error" })
   const err = await fromResponse(res)
@@ -0,0 +1,172 @@
+/**
+ * Tests for lib/events.js and GameClient.states()
+ *
+ * Covers: each derived event from hand-built state pairs, ordering within a
+ * diff, and the event stream of a real game against the mock server.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { diffStates, GAME_EVENTS } from "../lib/events.js"
+import { GameClient } from "../lib/game.js"
+import { FAST_PLAY, KEY_A, KEY_B, startMock } from "./helpers.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function state(overrides = {}) {
+  return {
+    gameId: "g1",
+    handNumber: 1,
+    isYourTurn: false,
+    isFinished: false,
+    unchanged: false,
+    street: "preflop",
+    hole: [{ rank: "A", suit: "spades" }, { rank: "K", suit: "spades" }],
+    board: [],
+    pot: 75,
+    yourStack: 9_975,
+    opponentStack: 9_950,
+    moveDeadlineMs: null,
+    actions: { call: { available: false }, check: { available: false } },
+    result: null,
+    outcome: null,
+    opponentCards: null,
+    winningHand: null,
+    ...overrides,
+  }
+}
+
+const names = (events) => events.map(([name]) => name)
+
+// ─── diffStates ───────────────────────────────────────────────────────────────
+
+test("first state → handStarted (and yourTurn when it is)", () => {
+  const events = diffStates(null, state({ isYourTurn: true }))
+  assert.deepEqual(names(events), ["handStarted", "yourTurn"])
+  assert.equal(events[0][1].handNumber, 1)
+  assert.equal(events[0][1].hole.length, 2)
+})
+
+test("unchanged and identical states produce no events", () => {
+  const s = state()
+  assert.deepEqual(diffStates(s, { unchanged: true }), [])
+  assert.deepEqual(diffStates(s, state()), [])
+})
+
+test("opponent raise → opponentActed then yourTurn", () => {
+  const prev = state()
+  const next = state({
+    isYourTurn: true,
+    pot: 275,
+    opponentStack: 9_750,
+    actions: { call: { available: true, amount: 175 }, check: { available: false } },
+  })
+  const events = diffStates(prev, next)
+  assert.deepEqual(names(events), ["opponentActed", "yourTurn"])
+  assert.deepEqual(events[0][1], { handNumber: 1, street: "preflop", action: "raise", amount: 200 })
+})
+
+test("opponent calls to close the street → opponentActed then streetChanged", () => {
+  const prev = state({ street: "preflop", opponentStack: 9_950, pot: 250 })
+  const next = state({ street: "flop", board: [{}, {}, {}], opponentStack: 9_775, pot: 400, isYourTurn: true })
+  const events = diffStates(prev, next)
+  assert.deepEqual(names(events), ["opponentActed", "streetChanged", "yourTurn"])
+  assert.equal(events[0][1].action, "call")
+  assert.deepEqual(events[1][1].from, "preflop")
+  assert.deepEqual(events[1][1].to, "flop")
+  assert.equal(events[1][1].board.length, 3)
+})
+
+test("opponent checks back → opponentActed check", () => {
+  const prev = state({ street: "flop" })
+  const next = state({ street: "flop", isYourTurn: true })
+  const events = diffStates(prev, next)
+  assert.deepEqual(names(events), ["opponentActed", "yourTurn"])
+  assert.equal(events[0][1].action, "check")
+})
+
+test("a second turn in the same street fires yourTurn again", () => {
+  const prev = state({ street: "flop", isYourTurn: true, pot: 200 })
+  const next = state({ street: "flop", isYourTurn: true, pot: 400, opponentStack: 9_750 })
+  assert.ok(names(diffStates(prev, next)).includes("yourTurn"))
+})
+
+test("opponent cards revealed → showdown once per hand", () => {
+  const prev = state({ street: "river" })
+  const next = state({
+    street: "showdown",
+    opponentCards: [{ rank: "Q", suit: "hearts" }, { rank: "Q", suit: "clubs" }],
+    winningHand: "Pair",
+  })
+  const events = diffStates(prev, next)
+  assert.ok(names(events).includes("showdown"))
+  const showdown = events.find(([name]) => name === "showdown")[1]
+  assert.equal(showdown.winningHand, "Pair")
+  assert.equal(showdown.opponentCards.length, 2)
+
+  assert.ok(!names(diffStates(next, { ...next, pot: 0 })).includes("showdown"))
+})
+
+test("new hand number → handStarted without streetChanged", () => {
+  const prev = state({ street: "showdown" })
+  const next = state({ handNumber: 2, street: "preflop" })
+  assert.deepEqual(names(diffStates(prev, next)), ["handStarted"])
+})
+
+test("finished state → gameFinished with result", () => {
+  const prev = state({ street: "river" })
+  const next = state({ isFinished: true, result: "win", outcome: "knockout", opponentStack: 0 })
+  const events = diffStates(prev, next)
+  assert.equal(names(events).at(-1), "gameFinished")
+  assert.deepEqual(events.at(-1)[1], { result: "win", outcome: "knockout", yourStack: 9_975, opponentStack: 0 })
+  assert.ok(!names(events).includes("yourTurn"))
+})
+
+test("events fire in GAME_EVENTS order", () => {
+  const prev = state()
+  const next = state({
+    street: "flop",
+    isYourTurn: true,
+    opponentStack: 9_900,
+    opponentCards: [{}, {}],
+  })
+  const order = names(diffStates(prev, next)).map((n) => GAME_EVENTS.indexOf(n))
+  assert.deepEqual(order, [...order].sort((x, y) => x - y))
+})
+
+// ─── GameClient.states() ──────────────────────────────────────────────────────
+
+test("states() yields changed states and emits events through to gameFinished", async (t) => {
+  const { url } = await startMock(t, { ...FAST_PLAY, houseBot: false })
+  const a = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  const b = new GameClient({ apiUrl: url, privateKey: KEY_B })
+  await a.join("poker")
+  const { gameId } = await b.join("poker")
+
+  const seen = []
+  for (const name of GAME_EVENTS) {
+    a.on(name, (payload) => {
+      assert.equal(payload.gameId, gameId)
+      seen.push(name)
+    })
+  }
+
+  const shove = (state) => (state.actions.all_in.available ? { action: "all_in" } : { action: "call" })
+  const opponent = b.playUntilDone(gameId, async (state) => (state.isYourTurn ? shove(state) : null), { pollMs: 10 })
+
+  let last
+  let yielded = 0
+  for await (const state of a.states(gameId, { pollMs: 10 })) {
+    yielded++
+    last = state
+    if (state.isYourTurn) await a.submitAction(gameId, shove(state))
+  }
+  await opponent
+
+  assert.equal(last.isFinished, true)
+  assert.ok(yielded > 1)
+  assert.equal(seen[0], "handStarted")
+  assert.equal(seen.at(-1), "gameFinished")
+  assert.equal(seen.filter((n) => n === "gameFinished").length, 1)
+})
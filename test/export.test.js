@@ -0,0 +1,264 @@
+/**
+ * Tests for lib/export.js and normalizeReplay() in lib/schema.js.
+ *
+ * Covers: card notation, stable player names, blind levels, replay
+ * normalization (chips put in vs street totals), PokerStars text and Open
+ * Hand History output for a known replay, and rebuilding a recorded game's
+ * hands — checked against the mock server's own hand records.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { blindLevels, cardCode, playerName, replayFromHistory, toOpenHandHistory, toPokerStars } from "../lib/export.js"
+import { normalizeReplay } from "../lib/schema.js"
+import { HandRecorder } from "../lib/recorder.js"
+import { ClabcrawError } from "../lib/errors.js"
+import { ME as ALICE, startGame } from "./helpers.js"
+
+const BOB = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8"
+
+// Hand 1: Alice (button) raises, Bob calls, then folds the flop to Bob's check-raise.
+// Hand 2: Bob shoves, Alice calls all-in for less and wins at showdown.
+const RAW_REPLAY = {
+  game_id: "8c1f5a2e-0d6b-4a55-9a0e-5d8f7c3b2a10",
+  game_type: "poker",
+  players: [ALICE, BOB],
+  started_at: "2026-10-19T12:00:00.000Z",
+  hands: [
+    {
+      hand_number: 1,
+      started_at: "2026-10-19T12:00:00.000Z",
+      button: 0,
+      blinds: { small: 25, big: 50 },
+      starting_stacks: [1000, 1000],
+      ending_stacks: [650, 1350],
+      hole_cards: [["Aspades", "Kdiamonds"], null],
+      board: ["10hearts", "7clubs", "2spades"],
+      actions: [
+        { seat: 0, street: "preflop", action: "small_blind", amount: 25 },
+        { seat: 1, street: "preflop", action: "big_blind", amount: 50 },
+        { seat: 0, street: "preflop", action: "raise", amount: 150 },
+        { seat: 1, street: "preflop", action: "call", amount: 100 },
+        { seat: 1, street: "flop", action: "check", amount: 0 },
+        { seat: 0, street: "flop", action: "raise", amount: 200 },
+        { seat: 1, street: "flop", action: "raise", amount: 600 },
+        { seat: 0, street: "flop", action: "fold", amount: 0 },
+      ],
+      pot: 700,
+      winners: [1],
+      winning_hand: null,
+      showdown: false,
+    },
+    {
+      hand_number: 2,
+      started_at: "2026-10-19T12:01:00.000Z",
+      button: 1,
+      blinds: { small: 25, big: 50 },
+      starting_stacks: [650, 1350],
+      ending_stacks: [1300, 700],
+      hole_cards: [["Qhearts", "Qclubs"], ["Jspades", "10spades"]],
+      board: ["2hearts", "5diamonds", "9clubs", "Kspades", "3hearts"],
+      actions: [
+        { seat: 1, street: "preflop", action: "small_blind", amount: 25 },
+        { seat: 0, street: "preflop", action: "big_blind", amount: 50 },
+        { seat: 1, street: "preflop", action: "all_in", amount: 1350 },
+        { seat: 0, street: "preflop", action: "call", amount: 600 },
+      ],
+      pot: 1300,
+      winners: [0],
+      winning_hand: "Pair",
+      showdown: true,
+    },
+  ],
+  result: { winner: null, outcome: null },
+}
+
+// ─── Names and cards ──────────────────────────────────────────────────────────
+
+test("cards are written as rank + suit letter", () => {
+  assert.equal(cardCode("Aspades"), "As")
+  assert.equal(cardCode("10hearts"), "Th")
+  assert.equal(cardCode({ rank: "7", suit: "clubs" }), "7c")
+  assert.equal(cardCode("??"), null)
+})
+
+test("player names are stable for an address in any case", () => {
+  assert.equal(playerName(ALICE), "clab_3c44cd93bc")
+  assert.equal(playerName(ALICE.toLowerCase()), playerName(ALICE))
+  assert.notEqual(playerName(BOB), playerName(ALICE))
+})
+
+test("blind levels double every interval", () => {
+  const blinds = blindLevels({ starting_blinds: { small: 25, big: 50 }, blind_increase_interval: 10 })
+  assert.deepEqual(blinds(1), { small: 25, big: 50 })
+  assert.deepEqual(blinds(10), { small: 25, big: 50 })
+  assert.deepEqual(blinds(11), { small: 50, big: 100 })
+  assert.deepEqual(blinds(25), { small: 100, big: 200 })
+  assert.deepEqual(blindLevels({ starting_blinds: { small: 5, big: 10 } })(500), { small: 5, big: 10 })
+})
+
+// ─── Replays ──────────────────────────────────────────────────────────────────
+
+test("normalizeReplay splits actions into streets with chips put in and street totals", () => {
+  const replay = normalizeReplay(RAW_REPLAY)
+  const [first, second] = replay.hands
+
+  assert.equal(replay.gameId, RAW_REPLAY.game_id)
+  assert.deepEqual(first.streets.map((s) => s.street), ["preflop", "flop"])
+  assert.deepEqual(first.hole[0], [{ rank: "A", suit: "spades" }, { rank: "K", suit: "diamonds" }])
+  assert.equal(first.hole[1], null)
+
+  const [, , raise, call] = first.streets[0].actions
+  assert.deepEqual([raise.amount, raise.to, call.amount, call.to], [125, 150, 100, 150])
+  assert.deepEqual(first.streets[1].actions.map((a) => [a.action, a.amount, a.to]), [
+    ["check", 0, 0], ["raise", 200, 200], ["raise", 600, 600], ["fold", 0, 200],
+  ])
+  assert.equal(first.streets[1].actions[0].player, BOB)
+
+  // An all-in run-out still gets every street, with nobody acting on them
+  assert.deepEqual(second.streets.map((s) => [s.street, s.board.length, s.actions.length]), [
+    ["preflop", 0, 4], ["flop", 3, 0], ["turn", 4, 0], ["river", 5, 0],
+  ])
+  const [, , shove, allInCall] = second.streets[0].actions
+  assert.deepEqual([shove.amount, shove.allIn, allInCall.amount, allInCall.allIn], [1325, true, 600, true])
+})
+
+// ─── PokerStars ───────────────────────────────────────────────────────────────
+
+test("toPokerStars writes each hand with posts, bets, raises, returns and a summary", () => {
+  const replay = normalizeReplay(RAW_REPLAY)
+  const [first, second] = toPokerStars(replay, { hero: ALICE, names: { [BOB]: "bob" } }).trimEnd().split("\n\n\n")
+  const alice = playerName(ALICE)
+
+  const lines = first.split("\n")
+  assert.match(lines[0], /^PokerStars Hand #\d+: {2}Hold'em No Limit \(25\/50\) - 2026\/10\/19 12:00:00 UTC$/)
+  assert.deepEqual(lines.slice(1), [
+    "Table 'Clabcraw 8c1f5a2e' 2-max Seat #1 is the button",
+    `Seat 1: ${alice} (1000 in chips)`,
+    "Seat 2: bob (1000 in chips)",
+    `${alice}: posts small blind 25`,
+    "bob: posts big blind 50",
+    "*** HOLE CARDS ***",
+    `Dealt to ${alice} [As Kd]`,
+    `${alice}: raises 100 to 150`,
+    "bob: calls 100",
+    "*** FLOP *** [Th 7c 2s]",
+    "bob: checks",
+    `${alice}: bets 200`,
+    "bob: raises 400 to 600",
+    `${alice}: folds`,
+    "Uncalled bet (400) returned to bob",
+    "bob collected 700 from pot",
+    "*** SUMMARY ***",
+    "Total pot 700 | Rake 0",
+    "Board [Th 7c 2s]",
+    `Seat 1: ${alice} (button) (small blind) folded on the Flop`,
+    "Seat 2: bob (big blind) collected (700)",
+  ])
+
+  const shoved = second.split("\n")
+  assert.equal(shoved[1], "Table 'Clabcraw 8c1f5a2e' 2-max Seat #2 is the button")
+  assert.ok(shoved.includes("bob: raises 1300 to 1350 and is all-in"))
+  assert.ok(shoved.includes(`${alice}: calls 600 and is all-in`))
+  assert.ok(!shoved.some((l) => l.startsWith("Dealt to bob")), "only the hero's cards are dealt")
+  // The uncalled part goes back before the board runs out
+  assert.ok(shoved.indexOf("Uncalled bet (700) returned to bob") < shoved.indexOf("*** FLOP *** [2h 5d 9c]"))
+  assert.ok(shoved.includes("*** RIVER *** [2h 5d 9c Ks] [3h]"))
+  assert.deepEqual(shoved.slice(shoved.indexOf("*** SHOW DOWN ***")), [
+    "*** SHOW DOWN ***",
+    `${alice}: shows [Qh Qc] (Pair)`,
+    "bob: shows [Js Ts] (High Card)",
+    `${alice} collected 1300 from pot`,
+    "*** SUMMARY ***",
+    "Total pot 1300 | Rake 0",
+    "Board [2h 5d 9c Ks 3h]",
+    `Seat 1: ${alice} (big blind) showed [Qh Qc] and won (1300) with Pair`,
+    "Seat 2: bob (button) (small blind) showed [Js Ts] and lost with High Card",
+  ])
+})
+
+test("hand ids are numeric and stable per game and hand", () => {
+  const replay = normalizeReplay(RAW_REPLAY)
+  const ids = (text) => [...text.matchAll(/PokerStars Hand #(\d+):/g)].map((m) => m[1])
+  const [first, second] = ids(toPokerStars(replay))
+  assert.notEqual(first, second)
+  assert.deepEqual(ids(toPokerStars(normalizeReplay(RAW_REPLAY))), [first, second])
+})
+
+// ─── Open Hand History ────────────────────────────────────────────────────────
+
+test("toOpenHandHistory describes each hand as an OHH document", () => {
+  const [{ ohh }, { ohh: shoved }] = toOpenHandHistory(normalizeReplay(RAW_REPLAY), { hero: 0 })
+
+  assert.equal(ohh.spec_version, "1.4.6")
+  assert.equal(ohh.game_number, `${RAW_REPLAY.game_id}-1`)
+  assert.equal(ohh.dealer_seat, 1)
+  assert.equal(ohh.hero_player_id, 1)
+  assert.deepEqual([ohh.small_blind_amount, ohh.big_blind_amount], [25, 50])
+  assert.deepEqual(ohh.players.map((p) => [p.id, p.name, p.starting_stack]), [
+    [1, playerName(ALICE), 1000], [2, playerName(BOB), 1000],
+  ])
+
+  assert.deepEqual(ohh.rounds.map((r) => r.street), ["Preflop", "Flop"])
+  assert.deepEqual(ohh.rounds[0].actions.map((a) => [a.player_id, a.action, a.amount ?? a.cards]), [
+    [1, "Post SB", 25], [2, "Post BB", 50], [1, "Dealt Cards", ["As", "Kd"]], [1, "Raise", 125], [2, "Call", 100],
+  ])
+  assert.deepEqual(ohh.rounds[1].cards, ["Th", "7c", "2s"])
+  assert.deepEqual(ohh.rounds[1].actions.map((a) => [a.action, a.amount]), [
+    ["Check", 0], ["Bet", 200], ["Raise", 600], ["Fold", 0],
+  ])
+  assert.deepEqual(ohh.rounds.flatMap((r) => r.actions).map((a) => a.action_number), [1, 2, 3, 4, 5, 6, 7, 8, 9])
+  assert.deepEqual(ohh.pots, [{ number: 0, amount: 700, rake: 0, jackpot: 0, player_wins: [{ player_id: 2, win_amount: 700, contributed_rake: 0 }] }])
+
+  assert.deepEqual(shoved.rounds.map((r) => r.street), ["Preflop", "Flop", "Turn", "River", "Showdown"])
+  assert.deepEqual(shoved.rounds.at(-1).actions.map((a) => [a.player_id, a.cards]), [[1, ["Qh", "Qc"]], [2, ["Js", "Ts"]]])
+  assert.equal(shoved.rounds[0].actions.find((a) => a.action === "Call").is_allin, true)
+})
+
+// ─── Recorded games ───────────────────────────────────────────────────────────
+
+test("replayFromHistory needs the blind levels", () => {
+  assert.throws(() => replayFromHistory([], {}), (err) => err instanceof ClabcrawError && err.code === "CONFIG_ERROR")
+})
+
+test("a recorded game rebuilds into the hands the server dealt", async (t) => {
+  const config = { starting_stacks: 1000, starting_blinds: { small: 25, big: 50 }, blind_increase_interval: 3 }
+  const recorder = new HandRecorder()
+  const { mock, game, gameId } = await startGame(t, { games: { poker: config }, showdownMs: 50, houseBot: true, client: { recorder } })
+
+  let turn = 0
+  await game.playUntilDone(gameId, (s) => {
+    if (!s.isYourTurn) return null
+    turn++
+    if (s.actions.raise.available && turn % 3 === 0) return { action: "raise", amount: s.actions.raise.min }
+    if (s.actions.check.available) return { action: "check" }
+    if (turn % 7 === 0) return { action: "fold" }
+    return s.actions.call.available ? { action: "call" } : { action: "all_in" }
+  }, { pollMs: 10 })
+
+  const replay = replayFromHistory(recorder.entries(gameId), { address: game.address, blinds: blindLevels(config) })
+  assert.equal(replay.gameId, gameId)
+  assert.equal(replay.hero, 0)
+
+  // The server's records, with the recording wallet in seat 0
+  const match = mock.getMatch(gameId)
+  const heroAt = match.players.indexOf(game.address.toLowerCase())
+  const dealt = match.engine.hands.map((h) => ({
+    button: h.button === heroAt ? 0 : 1,
+    blinds: h.blinds,
+    actions: h.actions.map((a) => [a.seat === heroAt ? 0 : 1, a.street, a.action, a.amount]),
+  }))
+  assert.deepEqual(
+    replay.raw.hands.map((h) => ({ button: h.button, blinds: h.blinds, actions: h.actions.map((a) => [a.seat, a.street, a.action, a.amount]) })),
+    dealt,
+  )
+
+  const text = toPokerStars(replay)
+  assert.equal(text.split("\n\n\n").length, dealt.length)
+  assert.ok(text.includes("(50/100)"), "blinds go up after three hands")
+  for (const { ohh } of toOpenHandHistory(replay)) {
+    const won = ohh.pots[0].player_wins.reduce((sum, w) => sum + w.win_amount, 0)
+    assert.equal(won, ohh.pots[0].amount)
+  }
+})
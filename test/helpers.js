@@ -0,0 +1,148 @@
+/**
+ * Fixtures shared by the test files: test wallets, mock server bootstraps,
+ * a shove strategy, fake HTTP responses and viem clients, and temp paths.
+ *
+ * Not a test file itself — package.json lists the *.test.js files to run.
+ */
+
+import { mkdtempSync, rmSync } from "node:fs"
+import { tmpdir } from "node:os"
+import { join } from "node:path"
+
+import { MockServer } from "../lib/mock-server.js"
+import { GameClient } from "../lib/game.js"
+
+// ─── Wallets ──────────────────────────────────────────────────────────────────
+
+/** Anvil's third default account; ME is its address. */
+export const KEY_A = "0x5de4111afa1a4b94908f83103eb1f1706367c2e68ca870fc3fb9a804cdab365a"
+export const ME = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"
+
+/** A second wallet, for the opponent's seat. */
+export const KEY_B = "0x7c852118294e51e653712a81e05800f419141751be58f605c371e15141b007a6"
+
+// ─── Mock server ──────────────────────────────────────────────────────────────
+
+// Short stacks so games end in a few hands
+export const FAST_GAMES = {
+  poker: { starting_stacks: 200, starting_blinds: { small: 25, big: 50 } },
+  "poker-pro": { starting_stacks: 200, starting_blinds: { small: 25, big: 50 } },
+}
+
+// Fast games against a house bot that answers instantly
+export const FAST_PLAY = { games: FAST_GAMES, showdownMs: 5, houseBot: true }
+
+// Deep stacks so a game lasts long enough to interfere with
+export const DEEP_PLAY = {
+  games: { poker: { starting_stacks: 1_000, starting_blinds: { small: 25, big: 50 } } },
+  showdownMs: 5,
+  houseBot: true,
+}
+
+/** Start a MockServer with `opts` for one test; it closes when the test ends. */
+export async function startMock(t, opts = {}) {
+  const mock = new MockServer(opts)
+  const url = await mock.listen()
+  t.after(() => mock.close())
+  return { mock, url }
+}
+
+/**
+ * Start a MockServer and match KEY_A into a poker game on it.
+ *
+ * @param {object} t - The test context
+ * @param {object} [opts] - MockServer options
+ * @param {object} [opts.client] - Extra GameClient options
+ */
+export async function startGame(t, { client = {}, ...opts } = {}) {
+  const { mock, url } = await startMock(t, opts)
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, ...client })
+  await game.join("poker")
+  const gameId = await game.waitForMatch({ pollMs: 10 })
+  return { mock, url, game, gameId }
+}
+
+// ─── Strategies and events ────────────────────────────────────────────────────
+
+/** All-in when possible, else call; null when it is not our turn. */
+export function shove(state) {
+  if (!state.isYourTurn) return null
+  return state.actions.all_in.available ? { action: "all_in" } : { action: "call" }
+}
+
+/** Record an emitter's events as [name, payload]. */
+export function recordEvents(emitter, names) {
+  const events = []
+  for (const name of names) emitter.on(name, (payload) => events.push([name, payload]))
+  return events
+}
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms))
+
+// ─── HTTP and chain ───────────────────────────────────────────────────────────
+
+/** A JSON Response, for injected fetches. */
+export function json(status, body, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json", ...headers } })
+}
+
+/**
+ * Fake viem clients for claims and balance checks. A claim empties the
+ * claimable balance unless `drains` is false. Reads are kept in `reads`,
+ * sent transactions in `sent`. Gas: 50k at `gasPrice` (1 gwei).
+ */
+export function fakeChain({
+  claimable = 25_000_000n,
+  usdc = 20_000_000n,
+  eth = 10n ** 15n,
+  gasPrice = 1_000_000_000n,
+  fees = { maxFeePerGas: 20_000_000n, maxPriorityFeePerGas: 1_000_000n },
+  receiptStatus = "success",
+  revert = null,
+  drains = true,
+} = {}) {
+  const chain = { claimable, reads: [], sent: [] }
+  chain.publicClient = {
+    readContract: async ({ functionName, address }) => {
+      chain.reads.push({ functionName, address })
+      return functionName === "balanceOf" ? usdc : chain.claimable
+    },
+    getBalance: async () => eth,
+    estimateContractGas: async () => 50_000n,
+    getGasPrice: async () => gasPrice,
+    estimateFeesPerGas: async () => fees,
+    simulateContract: async () => {
+      if (revert) throw revert
+      return { result: undefined }
+    },
+    waitForTransactionReceipt: async ({ hash }) => ({
+      transactionHash: hash,
+      status: receiptStatus,
+      blockNumber: 7n,
+      gasUsed: 48_000n,
+      effectiveGasPrice: gasPrice,
+    }),
+  }
+  chain.walletClient = {
+    writeContract: async (req) => {
+      chain.sent.push(req)
+      if (drains && receiptStatus === "success") chain.claimable = 0n
+      return `0xc1a1${chain.sent.length}`
+    },
+  }
+  return chain
+}
+
+// ─── Files ────────────────────────────────────────────────────────────────────
+
+/** A temp directory removed when the test ends. */
+export function tempDir(t, prefix = "clabcraw-") {
+  const dir = mkdtempSync(join(tmpdir(), prefix))
+  t.after(() => rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+/** A path under a fresh temp directory; parent directories may not exist. */
+export function tempPath(t, ...segments) {
+  return join(tempDir(t), ...segments)
+}
@@ -0,0 +1,143 @@
+/**
+ * Tests for GameClient request hooks.
+ *
+ * Covers: onRequest/onResponse around each call, onRetry and onError with the
+ * mapped error, the x402 payment path, header injection, and hooks that fail
+ * or are removed.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { createServer } from "node:http"
+
+import { GameClient } from "../lib/game.js"
+import { GameNotFoundError, NetworkError } from "../lib/errors.js"
+import { KEY_A, startMock } from "./helpers.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Hooks that record every call as [hookName, info]. */
+function recorder() {
+  const calls = []
+  const hooks = {}
+  for (const name of ["onRequest", "onResponse", "onRetry", "onError"]) {
+    hooks[name] = (info) => calls.push([name, info])
+  }
+  return { hooks, calls, names: () => calls.map(([name]) => name) }
+}
+
+// ─── Hooks ────────────────────────────────────────────────────────────────────
+
+test("successful call → onRequest then onResponse with status and latency", async (t) => {
+  const { url } = await startMock(t)
+  const { hooks, calls, names } = recorder()
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, hooks })
+
+  await game.getStatus()
+
+  assert.deepEqual(names(), ["onRequest", "onResponse"])
+  const [request, response] = calls.map(([, info]) => info)
+  assert.equal(request.method, "GET")
+  assert.equal(request.path, `/v1/agent/${game.address}/status`)
+  assert.equal(request.attempt, 0)
+  assert.equal(request.payment, false)
+  assert.equal(response.status, 200)
+  assert.ok(response.latencyMs >= 0)
+})
+
+test("retriable failure → onRetry with the mapped error, then success", async (t) => {
+  const { mock, url } = await startMock(t)
+  const { hooks, calls, names } = recorder()
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, hooks })
+  mock.failNext({ status: 500, path: "/status", headers: { "retry-after": "0" } })
+
+  await game.getStatus()
+
+  assert.deepEqual(names(), ["onRequest", "onResponse", "onRetry", "onRequest", "onResponse"])
+  const retry = calls[2][1]
+  assert.equal(retry.status, 500)
+  assert.equal(retry.error.code, "HTTP_ERROR")
+  assert.equal(retry.attempt, 0)
+  assert.equal(retry.delayMs, 0, "the Retry-After hint is honored")
+  assert.equal(calls[3][1].attempt, 1)
+})
+
+test("final failure → onError with the error that is thrown", async (t) => {
+  const { url } = await startMock(t)
+  const { hooks, calls, names } = recorder()
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, hooks })
+
+  await assert.rejects(game.getResult("no-such-game"), GameNotFoundError)
+
+  assert.deepEqual(names(), ["onRequest", "onResponse", "onError"])
+  const failed = calls[2][1]
+  assert.equal(failed.status, 404)
+  assert.equal(failed.gameId, "no-such-game")
+  assert.ok(failed.error instanceof GameNotFoundError)
+})
+
+test("network failure → onError with status null", async () => {
+  const { hooks, calls } = recorder()
+  const game = new GameClient({ apiUrl: "http://127.0.0.1:9", privateKey: KEY_A, hooks })
+
+  await assert.rejects(game.syncClock(), NetworkError)
+
+  const [, failed] = calls.at(-1)
+  assert.equal(calls.at(-1)[0], "onError")
+  assert.equal(failed.status, null)
+  assert.ok(failed.error instanceof NetworkError)
+})
+
+test("x402 join goes through the hooks marked as payment", async (t) => {
+  const { url } = await startMock(t)
+  const { hooks, calls } = recorder()
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A, hooks })
+
+  await game.join("poker")
+
+  const response = calls.find(([name, info]) => name === "onResponse" && info.payment)[1]
+  assert.equal(response.method, "POST")
+  assert.equal(response.path, "/v1/games/join?game=poker")
+  assert.equal(response.payment, true)
+  assert.equal(response.status, 200)
+})
+
+test("onRequest can add headers, e.g. for tracing", async (t) => {
+  const seen = []
+  const server = createServer((req, res) => {
+    seen.push(req.headers.traceparent)
+    res.writeHead(200, { "content-type": "application/json" })
+    res.end(JSON.stringify({ status: "idle" }))
+  })
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve))
+  t.after(() => server.close())
+
+  const game = new GameClient({
+    apiUrl: `http://127.0.0.1:${server.address().port}`,
+    privateKey: KEY_A,
+    hooks: { onRequest: ({ headers }) => { headers.traceparent = "00-trace-span-01" } },
+  })
+  await game.getStatus()
+
+  assert.deepEqual(seen, ["00-trace-span-01"])
+})
+
+test("failing hooks are ignored and use() returns a remover", async (t) => {
+  const { url } = await startMock(t)
+  const game = new GameClient({
+    apiUrl: url,
+    privateKey: KEY_A,
+    hooks: [
+      { onRequest: () => { throw new Error("broken metrics") } },
+      { onResponse: async () => { throw new Error("broken tracing") } },
+    ],
+  })
+  const { hooks, names } = recorder()
+  const remove = game.use(hooks)
+
+  await game.getStatus()
+  remove()
+  await game.getStatus()
+
+  assert.deepEqual(names(), ["onRequest", "onResponse"])
+})
@@ -0,0 +1,230 @@
+/**
+ * Tests for idempotent action submission and joins.
+ *
+ * Covers: the submitAction() result shape, the mock's action_id dedupe,
+ * ambiguous failures (5xx, replay) resolved by re-reading state instead of
+ * blindly re-sending, a turn lost to a server timeout not counted as applied,
+ * and join() never paying twice for one entry.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { GameClient } from "../lib/game.js"
+import { InvalidActionError } from "../lib/errors.js"
+import { DEEP_PLAY, KEY_A, sleep, startGame, startMock } from "./helpers.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Join against the house bot and return once it is our turn. */
+async function startOnOurTurn(t) {
+  const { mock, game, gameId } = await startGame(t, DEEP_PLAY)
+
+  let state = await game.getState(gameId)
+  while (!state.isYourTurn) {
+    await sleep(10)
+    state = await game.getState(gameId)
+  }
+  return { mock, game, gameId, state }
+}
+
+function safe(state) {
+  return state.actions.check.available ? { action: "check" } : { action: "call" }
+}
+
+/** Count action POSTs that reach the mock's handler. */
+function countActions(mock) {
+  const counter = { actions: 0 }
+  const route = mock._routeAction.bind(mock)
+  mock._routeAction = (...args) => {
+    counter.actions++
+    return route(...args)
+  }
+  return counter
+}
+
+/** A client that counts the paid join requests it sends. */
+async function joinClient(t, opts = {}) {
+  const { mock, url } = await startMock(t, { ...DEEP_PLAY, ...opts })
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  game.payments = 0
+  game.use({ onRequest: ({ path, payment }) => { if (payment && path.startsWith("/v1/games/join")) game.payments++ } })
+  return { mock, game }
+}
+
+// ─── submitAction ─────────────────────────────────────────────────────────────
+
+test("submitAction → applied result with its action id and the new state", async (t) => {
+  const { game, gameId, state } = await startOnOurTurn(t)
+
+  const result = await game.submitAction(gameId, safe(state))
+
+  assert.equal(result.applied, true)
+  assert.equal(result.duplicate, false)
+  assert.match(result.actionId, /^[0-9a-f-]{36}$/)
+  assert.equal(result.state.gameId, gameId)
+})
+
+test("re-sent action_id → server answers duplicate without applying twice", async (t) => {
+  const { mock, game, gameId, state } = await startOnOurTurn(t)
+  const counter = countActions(mock)
+
+  const first = await game.submitAction(gameId, safe(state), { actionId: "fixed-id" })
+  const again = await game.submitAction(gameId, safe(state), { actionId: "fixed-id" })
+
+  assert.equal(first.duplicate, false)
+  assert.equal(again.applied, true)
+  assert.equal(again.duplicate, true)
+  assert.equal(again.actionId, "fixed-id")
+  assert.equal(counter.actions, 2)
+})
+
+test("5xx after the action landed → state re-read, not re-sent", async (t) => {
+  const { mock, game, gameId, state } = await startOnOurTurn(t)
+  const counter = countActions(mock)
+  mock.failNext({ status: 502, path: "/action", afterHandling: true })
+
+  const result = await game.submitAction(gameId, safe(state), { state })
+
+  assert.equal(result.applied, true)
+  assert.equal(result.duplicate, true)
+  assert.equal(result.state.lastAction.actionId, result.actionId)
+  assert.equal(counter.actions, 1)
+})
+
+test("5xx while the server times the move out → not applied, not re-sent", async (t) => {
+  const { mock, game, gameId, state } = await startOnOurTurn(t)
+  const counter = countActions(mock)
+  const match = mock.getMatch(gameId)
+  mock.failNext({ status: 502, path: "/action", headers: { "retry-after": "0" } })
+  match.engine.timeout(match.players.indexOf(game.address.toLowerCase()))
+
+  const result = await game.submitAction(gameId, { action: "fold" }, { state })
+
+  assert.equal(result.applied, false)
+  assert.equal(result.duplicate, false)
+  assert.equal(result.error.code, "HTTP_ERROR")
+  assert.equal(result.state.lastAction.timeout, true)
+  assert.equal(counter.actions, 0)
+})
+
+test("turn passed but the state reports no last_action → not claimed as applied", async (t) => {
+  const { mock, game, gameId, state } = await startOnOurTurn(t)
+  const viewFor = mock._viewFor.bind(mock)
+  mock._viewFor = (...args) => {
+    const { last_action, ...view } = viewFor(...args)
+    return view
+  }
+  mock.failNext({ status: 502, path: "/action", afterHandling: true })
+
+  const result = await game.submitAction(gameId, safe(state), { state })
+
+  assert.equal(result.applied, false)
+  assert.equal(result.state.isYourTurn, false)
+})
+
+test("5xx before the action landed → re-sent while the turn is open", async (t) => {
+  const { mock, game, gameId, state } = await startOnOurTurn(t)
+  const counter = countActions(mock)
+  mock.failNext({ status: 500, path: "/action", headers: { "retry-after": "0" } })
+
+  const result = await game.submitAction(gameId, safe(state), { state })
+
+  assert.equal(result.applied, true)
+  assert.equal(result.duplicate, false)
+  assert.equal(counter.actions, 1)
+})
+
+test("\"Replay detected\" → applied and marked duplicate", async (t) => {
+  const { mock, game, gameId, state } = await startOnOurTurn(t)
+  mock.failNext({ status: 401, body: { error: "Replay detected" }, path: "/action" })
+
+  const result = await game.submitAction(gameId, safe(state))
+
+  assert.equal(result.applied, true)
+  assert.equal(result.duplicate, true)
+})
+
+test("definitive rejections still throw", async (t) => {
+  const { game, gameId } = await startOnOurTurn(t)
+  await assert.rejects(game.submitAction(gameId, { action: "dance" }), InvalidActionError)
+})
+
+// ─── join ─────────────────────────────────────────────────────────────────────
+
+test("join → payment tx of the entry fee", async (t) => {
+  const { game } = await joinClient(t, { houseBot: false })
+
+  const joined = await game.join("poker")
+
+  assert.equal(joined.status, "queued")
+  assert.equal(joined.existing, false)
+  assert.match(joined.paymentTx, /^0x[0-9a-f]{64}$/)
+  assert.equal(game.payments, 1)
+})
+
+test("already queued → the existing entry, not a second payment", async (t) => {
+  const { game } = await joinClient(t, { houseBot: false })
+  await game.join("poker")
+
+  const again = await game.join("poker")
+
+  assert.deepEqual(again, { gameId: null, status: "queued", queuePosition: 1, paymentTx: null, existing: true })
+  assert.equal(game.payments, 1)
+})
+
+test("queued for another game type → joins this one's queue too", async (t) => {
+  const { game } = await joinClient(t, { houseBot: false })
+  await game.join("poker")
+
+  const pro = await game.join("poker-pro")
+  const again = await game.join("poker-pro")
+
+  assert.equal(pro.existing, false)
+  assert.equal(again.existing, true)
+  assert.equal(game.payments, 2)
+})
+
+test("already playing → the game in progress, not a second payment", async (t) => {
+  const { game } = await joinClient(t)
+  await game.join("poker")
+  const gameId = await game.waitForMatch({ pollMs: 10 })
+
+  const again = await game.join("poker")
+
+  assert.equal(again.gameId, gameId)
+  assert.equal(again.status, "active")
+  assert.equal(again.existing, true)
+  assert.equal(game.payments, 1)
+})
+
+test("concurrent joins for one game type share a payment", async (t) => {
+  const { game } = await joinClient(t, { houseBot: false })
+
+  const [a, b] = await Promise.all([game.join("poker"), game.join("poker")])
+
+  assert.equal(a, b)
+  assert.equal(game.payments, 1)
+})
+
+test("5xx after the payment settled → status re-read, not paid again", async (t) => {
+  const { mock, game } = await joinClient(t, { houseBot: false })
+  // Fail the paid leg only, once the unpaid leg has been answered with a 402
+  const route = mock._routeJoin.bind(mock)
+  let joins = 0
+  mock._routeJoin = async (...args) => {
+    const reply = await route(...args)
+    if (++joins === 1) mock.failNext({ status: 502, path: "/join", afterHandling: true, headers: { "retry-after": "0" } })
+    return reply
+  }
+  let retries = 0
+  game.use({ onRetry: () => { retries++ } })
+
+  const joined = await game.join("poker")
+
+  assert.equal(joined.status, "queued")
+  assert.equal(joined.queuePosition, 1)
+  assert.equal(joined.existing, false)
+  assert.equal(retries, 1)
+  assert.equal(joins, 2)
+})
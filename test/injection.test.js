@@ -0,0 +1,248 @@
+/**
+ * Tests for GameClient's injectable dependencies.
+ *
+ * Covers: an in-memory fetch with no server at all, the default payment fetch
+ * layered over an injected fetch, an injected paymentFetch, and claim() —
+ * including dry runs and fee caps — getWalletBalances() and the balance
+ * pre-checks driven by fake viem clients.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { ContractFunctionExecutionError, ContractFunctionRevertedError } from "viem"
+
+import { GameClient } from "../lib/game.js"
+import { GameNotFoundError } from "../lib/errors.js"
+import { KEY_A, ME, fakeChain, json, startMock } from "./helpers.js"
+
+const STATUS_PATH = `/v1/agent/${ME}/status`
+const IDLE = [200, { status: "idle", active_games: [] }]
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A fetch that answers from a route table and records each call. */
+function fakeFetch(routes) {
+  const calls = []
+  const fn = async (url, init = {}) => {
+    const { pathname } = new URL(url)
+    calls.push({ method: init.method || "GET", pathname, headers: init.headers })
+    const [status, body] = routes[pathname] || [404, { error: "Not found" }]
+    return json(status, body)
+  }
+  return { fetch: fn, calls }
+}
+
+const PLATFORM_INFO = {
+  platform: { usdc_address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913" },
+  games: { poker: { entry_fee_usdc: 5, service_fee_usdc: 1.5, winner_payout_usdc: 8.5 } },
+}
+
+/** A viem simulation error for a claim() that reverts with `reason`. */
+function claimReverted(reason) {
+  const reverted = new ContractFunctionRevertedError({ abi: [], functionName: "claim", message: reason })
+  return new ContractFunctionExecutionError(reverted, { abi: [], functionName: "claim", args: [] })
+}
+
+// ─── HTTP ─────────────────────────────────────────────────────────────────────
+
+test("injected fetch serves every request — no network needed", async () => {
+  const fake = fakeFetch({
+    "/v1/games/g1/state": [200, { game_id: "g1", is_your_turn: true, valid_actions: { fold: {} } }],
+  })
+  const game = new GameClient({ apiUrl: "http://clabcraw.invalid", privateKey: KEY_A, fetch: fake.fetch })
+
+  const state = await game.getState("g1")
+  await assert.rejects(game.getResult("missing"), GameNotFoundError)
+
+  assert.equal(state.isYourTurn, true)
+  assert.deepEqual(fake.calls.map((c) => `${c.method} ${c.pathname}`), [
+    "GET /v1/games/g1/state",
+    "GET /v1/games/missing/result",
+  ])
+  assert.equal(fake.calls[0].headers["x-signer"], game.address)
+})
+
+test("default payment fetch runs both x402 legs through the injected fetch", async (t) => {
+  const { url } = await startMock(t)
+
+  const statuses = []
+  const game = new GameClient({
+    apiUrl: url,
+    privateKey: KEY_A,
+    fetch: async (input, init) => {
+      const response = await fetch(input, init)
+      statuses.push(response.status)
+      return response
+    },
+  })
+
+  await game.join("poker")
+
+  // The status pre-check, then both x402 legs
+  assert.deepEqual(statuses, [200, 402, 200])
+})
+
+test("injected paymentFetch is used for join and tip only", async () => {
+  const paid = fakeFetch({
+    "/v1/games/join": [200, { status: "queued", queue_position: 1 }],
+    "/v1/platform/tip": [200, { donor: "0xabc", amount_usdc: "1.00", tx: "0x1" }],
+  })
+  const plain = fakeFetch({ "/v1/platform/info": [200, { platform: {} }], [STATUS_PATH]: IDLE })
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    fetch: plain.fetch,
+    paymentFetch: paid.fetch,
+  })
+
+  const joined = await game.join("poker")
+  const tipped = await game.tip("1.00")
+  await game.getPlatformInfo()
+
+  assert.equal(joined.queuePosition, 1)
+  assert.equal(tipped.amountUsdc, "1.00")
+  assert.deepEqual(paid.calls.map((c) => c.pathname), ["/v1/games/join", "/v1/platform/tip"])
+  assert.deepEqual(plain.calls.map((c) => c.pathname), [STATUS_PATH, "/v1/platform/info"])
+})
+
+// ─── Chain clients ────────────────────────────────────────────────────────────
+
+test("claim() uses injected public and wallet clients", async () => {
+  const chain = fakeChain()
+  const game = new GameClient({ privateKey: KEY_A, ...chain })
+
+  const result = await game.claim()
+
+  assert.deepEqual(result, {
+    txHash: "0xc1a11",
+    amount: 25_000_000n,
+    amountUsdc: "25.00",
+    receipt: { transactionHash: "0xc1a11", status: "success", blockNumber: 7n, gasUsed: 48_000n, effectiveGasPrice: 1_000_000_000n },
+  })
+  assert.equal(chain.sent.length, 1)
+  assert.equal(chain.sent[0].functionName, "claim")
+})
+
+test("claim() errors come from the injected chain state", async () => {
+  const empty = new GameClient({ privateKey: KEY_A, ...fakeChain({ claimable: 0n }) })
+  await assert.rejects(empty.claim(), { code: "NOTHING_TO_CLAIM" })
+
+  const reverted = new GameClient({ privateKey: KEY_A, ...fakeChain({ receiptStatus: "reverted" }) })
+  await assert.rejects(reverted.claim(), { code: "CLAIM_FAILED" })
+})
+
+// ─── Balance checks ───────────────────────────────────────────────────────────
+
+test("getWalletBalances() reads USDC at the platform's address and native ETH", async () => {
+  const fake = fakeFetch({ "/v1/platform/info": [200, PLATFORM_INFO] })
+  const chain = fakeChain()
+  const game = new GameClient({ apiUrl: "http://clabcraw.invalid", privateKey: KEY_A, fetch: fake.fetch, ...chain })
+
+  assert.deepEqual(await game.getWalletBalances(), {
+    usdcBalance: 20_000_000n,
+    usdc: "20",
+    ethBalance: 10n ** 15n,
+    eth: "0.001",
+  })
+  assert.deepEqual(chain.reads, [{ functionName: "balanceOf", address: PLATFORM_INFO.platform.usdc_address }])
+})
+
+test("join() with checkBalances refuses before paying when USDC is short", async () => {
+  const fake = fakeFetch({ "/v1/platform/info": [200, PLATFORM_INFO], [STATUS_PATH]: IDLE })
+  const paid = fakeFetch({ "/v1/games/join": [200, { status: "queued", queue_position: 1 }] })
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    fetch: fake.fetch,
+    paymentFetch: paid.fetch,
+    checkBalances: true,
+    ...fakeChain({ usdc: 1_250_000n }),
+  })
+
+  await assert.rejects(game.join("poker"), {
+    code: "INSUFFICIENT_FUNDS",
+    asset: "USDC",
+    required: "5",
+    balance: "1.25",
+    shortfall: "3.75",
+  })
+  assert.equal(paid.calls.length, 0)
+
+  await game.join("poker", { checkBalances: false })
+  assert.equal(paid.calls.length, 1)
+})
+
+test("claim() with checkBalances refuses to send without ETH for gas", async () => {
+  const chain = fakeChain({ eth: 10n ** 13n })
+  const game = new GameClient({ privateKey: KEY_A, ...chain })
+
+  // 50k gas at 1 gwei plus 20% headroom = 60,000 gwei
+  await assert.rejects(game.claim({ checkBalances: true }), {
+    code: "INSUFFICIENT_FUNDS",
+    asset: "ETH",
+    required: "0.00006",
+    shortfall: "0.00005",
+  })
+  assert.equal(chain.sent.length, 0)
+
+  const funded = fakeChain()
+  await new GameClient({ privateKey: KEY_A, checkBalances: true, ...funded }).claim()
+  assert.equal(funded.sent.length, 1)
+})
+
+// ─── Dry run and fee caps ─────────────────────────────────────────────────────
+
+test("claim({ dryRun }) reports amount, gas and cost without sending", async () => {
+  const chain = fakeChain()
+  const game = new GameClient({ privateKey: KEY_A, ...chain })
+
+  const dry = await game.claim({ dryRun: true, maxFeeGwei: 0.01 })
+
+  assert.deepEqual(dry, {
+    dryRun: true,
+    amount: 25_000_000n,
+    amountUsdc: "25.00",
+    wouldSucceed: true,
+    revertReason: null,
+    gas: 50_000n,
+    maxFeePerGas: 20_000_000n,
+    maxPriorityFeePerGas: 1_000_000n,
+    maxFeeGwei: "0.02",
+    maxCostWei: 1_000_000_000_000n,
+    maxCostEth: "0.000001",
+    overFeeLimit: true,
+  })
+  assert.equal(chain.sent.length, 0)
+})
+
+test("claim({ dryRun }) surfaces the revert reason", async () => {
+  const game = new GameClient({ privateKey: KEY_A, ...fakeChain({ claimable: 0n, revert: claimReverted("Nothing to claim") }) })
+
+  const dry = await game.claim({ dryRun: true })
+
+  assert.equal(dry.wouldSucceed, false)
+  assert.equal(dry.revertReason, "Nothing to claim")
+  assert.equal(dry.gas, null)
+  assert.equal(dry.maxCostEth, null)
+  assert.equal(dry.overFeeLimit, null)
+})
+
+test("claim() sends at the fee estimate under maxFeeGwei and refuses above it", async () => {
+  const chain = fakeChain({ drains: false })
+  const game = new GameClient({ privateKey: KEY_A, ...chain })
+
+  await assert.rejects(game.claim({ maxFeeGwei: 0.01 }), { code: "FEE_TOO_HIGH", retriable: true })
+  assert.equal(chain.sent.length, 0)
+
+  await game.claim({ maxFeeGwei: 0.05 })
+  await game.claim({ maxFeePerGas: 30_000_000n, maxPriorityFeePerGas: 2_000_000n })
+  await game.claim()
+
+  const fees = chain.sent.map(({ maxFeePerGas, maxPriorityFeePerGas }) => [maxFeePerGas, maxPriorityFeePerGas])
+  assert.deepEqual(fees, [
+    [20_000_000n, 1_000_000n],
+    [30_000_000n, 2_000_000n],
+    [undefined, undefined],
+  ])
+})
@@ -0,0 +1,196 @@
+/**
+ * Tests for lib/mock-server.js and the engine behind it.
+ *
+ * Covers: a full two-agent game through GameClient (x402 join, signed state
+ * and actions, result, claimable), house-bot matching, and the error statuses
+ * fromResponse() maps (400, 401, 404, 422, 503).
+ */
+
+import { test, before, after } from "node:test"
+import assert from "node:assert/strict"
+
+import { MockServer } from "../lib/mock-server.js"
+import { GameClient } from "../lib/game.js"
+import { evaluateHand, HeadsUpGame } from "../lib/engine.js"
+import {
+  AuthError,
+  GameDisabledError,
+  GameNotFoundError,
+  InvalidActionError,
+  PausedError,
+} from "../lib/errors.js"
+import { FAST_GAMES, FAST_PLAY, KEY_A, KEY_B, shove, startGame, startMock } from "./helpers.js"
+
+let mock
+let url
+
+before(async () => {
+  mock = new MockServer({ games: { poker: FAST_GAMES.poker } })
+  url = await mock.listen()
+})
+
+after(async () => {
+  await mock.close()
+})
+
+// ─── Engine ───────────────────────────────────────────────────────────────────
+
+test("evaluateHand ranks categories and kickers", () => {
+  const flush = evaluateHand(["Aspades", "9spades", "7spades", "4spades", "2spades", "Khearts", "Kclubs"])
+  const boat = evaluateHand(["Kspades", "Khearts", "Kclubs", "2hearts", "2diamonds", "9clubs", "7diamonds"])
+  const wheel = evaluateHand(["Aspades", "2hearts", "3clubs", "4diamonds", "5spades", "9clubs", "Jdiamonds"])
+  const sixHigh = evaluateHand(["6spades", "2hearts", "3clubs", "4diamonds", "5spades", "9clubs", "Jdiamonds"])
+
+  assert.equal(flush.name, "Flush")
+  assert.equal(boat.name, "Full House")
+  assert.ok(boat.score > flush.score)
+  assert.equal(wheel.name, "Straight")
+  assert.ok(sixHigh.score > wheel.score, "6-high straight beats the wheel")
+  assert.equal(evaluateHand(["10hearts", "Jhearts", "Qhearts", "Khearts", "Ahearts"]).name, "Straight Flush")
+})
+
+test("HeadsUpGame conserves chips and ends by knockout or hand cap", () => {
+  const game = new HeadsUpGame({ startingStack: 1_000, handCap: 20 })
+  while (!game.isFinished) {
+    if (game.awaitingNextHand) {
+      game.nextHand()
+      continue
+    }
+    const seat = game.toAct
+    const valid = game.validActions(seat)
+    game.act(seat, valid.raise ? { action: "raise", amount: valid.raise.min } : { action: valid.check ? "check" : "call" })
+  }
+  assert.equal(game.stacks[0] + game.stacks[1], 2_000)
+  assert.ok(["knockout", "hand_cap", "draw"].includes(game.result.outcome))
+})
+
+test("HeadsUpGame forfeits after consecutive timeouts", () => {
+  const game = new HeadsUpGame({ consecutiveTimeoutLimit: 3 })
+  while (!game.isFinished) {
+    if (game.awaitingNextHand) game.nextHand()
+    else if (game.toAct === 0) game.timeout(0)
+    else game.act(1, { action: "check" in game.validActions(1) ? "check" : "call" })
+  }
+  assert.deepEqual(game.result, { winner: 1, outcome: "timeout" })
+})
+
+// ─── End-to-end through GameClient ────────────────────────────────────────────
+
+test("two GameClients join, get matched and play to completion", async (t) => {
+  const { url: playUrl } = await startMock(t, { ...FAST_PLAY, houseBot: false })
+  const a = new GameClient({ apiUrl: playUrl, privateKey: KEY_A })
+  const b = new GameClient({ apiUrl: playUrl, privateKey: KEY_B })
+
+  const joinA = await a.join("poker")
+  assert.equal(joinA.status, "queued")
+  assert.equal(joinA.queuePosition, 1)
+
+  const joinB = await b.join("poker")
+  assert.equal(joinB.status, "matched")
+  assert.ok(joinB.gameId)
+
+  const gameId = await a.waitForMatch({ pollMs: 10 })
+  assert.equal(gameId, joinB.gameId)
+
+  const [finalA, finalB] = await Promise.all([
+    a.playUntilDone(gameId, shove, { pollMs: 10 }),
+    b.playUntilDone(gameId, shove, { pollMs: 10 }),
+  ])
+
+  assert.equal(finalA.isFinished, true)
+  assert.equal(finalB.isFinished, true)
+  assert.deepEqual([finalA.result, finalB.result].sort(), ["loss", "win"])
+
+  const result = await a.getResult(gameId)
+  const winner = finalA.result === "win" ? a : b
+  assert.equal(result.winner, winner.address.toLowerCase())
+  assert.equal(result.winner_payout, 8_500_000)
+
+  const { claimableUsdc } = await winner.getClaimable()
+  assert.equal(claimableUsdc, "8.50")
+})
+
+test("house bot matches a lone player", async (t) => {
+  const { game, gameId } = await startGame(t, FAST_PLAY)
+  const final = await game.playUntilDone(gameId, shove, { pollMs: 10 })
+  assert.equal(final.isFinished, true)
+})
+
+// ─── Error responses ──────────────────────────────────────────────────────────
+
+test("disabled game type → GameDisabledError with available_games", async () => {
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  await assert.rejects(game.join("chess"), (err) => {
+    assert.ok(err instanceof GameDisabledError)
+    assert.ok(err.availableGames.includes("poker"))
+    return true
+  })
+})
+
+test("unknown game id → GameNotFoundError", async () => {
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  await assert.rejects(game.getState("no-such-game"), GameNotFoundError)
+})
+
+test("illegal action → InvalidActionError with valid_actions", async () => {
+  const a = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  const b = new GameClient({ apiUrl: url, privateKey: KEY_B })
+  await a.join("poker")
+  const { gameId } = await b.join("poker")
+
+  const stateA = await a.getState(gameId)
+  const actor = stateA.isYourTurn ? a : b
+
+  await assert.rejects(actor.submitAction(gameId, { action: "raise", amount: 1 }), (err) => {
+    assert.ok(err instanceof InvalidActionError)
+    assert.ok(err.context.valid_actions.fold)
+    return true
+  })
+})
+
+test("non-player signer and replayed action → AuthError", async () => {
+  const a = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  const b = new GameClient({ apiUrl: url, privateKey: KEY_B })
+  const outsider = new GameClient({
+    apiUrl: url,
+    privateKey: "0x47e179ec197488593b187f80a00eb0da91f1b9d0b13f8733639f19c30a34926a",
+  })
+  await a.join("poker")
+  const { gameId } = await b.join("poker")
+
+  await assert.rejects(outsider.getState(gameId), AuthError)
+
+  const state = await a.getState(gameId)
+  const actor = state.isYourTurn ? a : b
+  const timestamp = String(Math.floor(Date.now() / 1000))
+  const { signAction } = await import("../lib/signer.js")
+  const body = { action: "call" }
+  const headers = {
+    "content-type": "application/json",
+    "x-signature": await signAction(actor._account, gameId, body, timestamp),
+    "x-timestamp": timestamp,
+    "x-signer": actor.address,
+  }
+  const send = () => fetch(`${url}/v1/games/${gameId}/action`, { method: "POST", headers, body: JSON.stringify(body) })
+
+  assert.equal((await send()).status, 200)
+  const replay = await send()
+  assert.equal(replay.status, 401)
+  assert.equal((await replay.json()).error, "Replay detected")
+})
+
+test("paused platform → PausedError on join", async () => {
+  mock.pause({ retryAfterSeconds: 30 })
+  try {
+    const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+    await assert.rejects(game.join("poker"), (err) => {
+      assert.ok(err instanceof PausedError)
+      assert.equal(err.retriable, false)
+      assert.equal(err.retryAfterMs, 30_000)
+      return true
+    })
+    assert.equal((await game.getStatus()).status, "paused")
+  } finally {
+    mock.resume()
+  }
+})
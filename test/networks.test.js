@@ -0,0 +1,162 @@
+/**
+ * Tests for lib/networks.js and GameClient's network option.
+ *
+ * Covers: the named profiles, selection by name, CLABCRAW_NETWORK and
+ * CLABCRAW_CHAIN_ID, env overrides of single fields, custom chains built with
+ * defineChain, config errors (including a missing API URL on sepolia and custom
+ * chains), and GameClient taking its API URL, chain and contract from the profile.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { NETWORKS, resolveNetwork } from "../lib/networks.js"
+import { GameClient } from "../lib/game.js"
+import { KEY_A } from "./helpers.js"
+
+const LOCAL_ARENA = "0x5FbDB2315678afecb367f032d93F642f64180aa3"
+const TESTNET_API = "https://testnet.example"
+
+const ENV_KEYS = ["CLABCRAW_NETWORK", "CLABCRAW_CHAIN_ID", "CLABCRAW_RPC_URL", "CLABCRAW_CONTRACT_ADDRESS", "CLABCRAW_API_URL"]
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Run `fn` with exactly the given CLABCRAW_* network vars set, restoring them after. */
+function withEnv(env, fn) {
+  const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]))
+  for (const key of ENV_KEYS) delete process.env[key]
+  Object.assign(process.env, env)
+  try {
+    return fn()
+  } finally {
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key]
+      else process.env[key] = saved[key]
+    }
+  }
+}
+
+// ─── Profiles ─────────────────────────────────────────────────────────────────
+
+test("profiles carry consistent chain ids", () => {
+  for (const [name, profile] of Object.entries(NETWORKS)) {
+    assert.equal(profile.name, name)
+    assert.equal(profile.chain.id, profile.chainId, `${name} chain`)
+  }
+  assert.equal(NETWORKS.mainnet.chainId, 8453)
+  assert.equal(NETWORKS.sepolia.chainId, 84532)
+  assert.equal(NETWORKS.local.chainId, 31337)
+})
+
+test("defaults to mainnet", () => {
+  const net = withEnv({}, () => resolveNetwork())
+
+  assert.equal(net.name, "mainnet")
+  assert.equal(net.apiUrl, "https://clabcraw.sh")
+  assert.equal(net.contractAddress, NETWORKS.mainnet.contractAddress)
+})
+
+test("selects a profile by name, CLABCRAW_NETWORK or CLABCRAW_CHAIN_ID", () => {
+  assert.equal(withEnv({ CLABCRAW_API_URL: TESTNET_API }, () => resolveNetwork("sepolia")).chainId, 84532)
+  assert.equal(withEnv({ CLABCRAW_NETWORK: "sepolia", CLABCRAW_API_URL: TESTNET_API }, () => resolveNetwork()).name, "sepolia")
+  assert.equal(withEnv({ CLABCRAW_NETWORK: "sepolia" }, () => resolveNetwork("mainnet")).name, "mainnet")
+  assert.equal(withEnv({ CLABCRAW_CHAIN_ID: "31337" }, () => resolveNetwork()).name, "local")
+})
+
+test("env vars override single fields of the profile", () => {
+  const net = withEnv({
+    CLABCRAW_CONTRACT_ADDRESS: LOCAL_ARENA,
+    CLABCRAW_RPC_URL: "http://127.0.0.1:9545",
+    CLABCRAW_API_URL: "http://localhost:4001/",
+  }, () => resolveNetwork("local"))
+
+  assert.equal(net.contractAddress, LOCAL_ARENA)
+  assert.equal(net.rpcUrl, "http://127.0.0.1:9545")
+  assert.equal(net.apiUrl, "http://localhost:4001")
+  assert.equal(NETWORKS.local.contractAddress, null, "profiles are not mutated")
+})
+
+test("builds a custom chain for an unknown chain id", () => {
+  const net = withEnv({
+    CLABCRAW_CHAIN_ID: "1337",
+    CLABCRAW_RPC_URL: "http://127.0.0.1:8546",
+    CLABCRAW_API_URL: "http://127.0.0.1:4000",
+  }, () => resolveNetwork())
+  assert.equal(net.name, "custom")
+  assert.equal(net.chain.id, 1337)
+  assert.equal(net.rpcUrl, "http://127.0.0.1:8546")
+  assert.equal(net.apiUrl, "http://127.0.0.1:4000")
+
+  const custom = withEnv({}, () => resolveNetwork({
+    name: "devnet",
+    chainId: 7777,
+    rpcUrl: "http://devnet:8545",
+    contractAddress: LOCAL_ARENA,
+    apiUrl: "http://devnet:4000",
+  }))
+  assert.equal(custom.name, "devnet")
+  assert.equal(custom.chain.id, 7777)
+  assert.equal(custom.chain.rpcUrls.default.http[0], "http://devnet:8545")
+  assert.equal(custom.contractAddress, LOCAL_ARENA)
+  assert.equal(custom.apiUrl, "http://devnet:4000")
+})
+
+test("sepolia and custom chains need an API URL instead of defaulting to localhost", () => {
+  withEnv({}, () => {
+    assert.throws(() => resolveNetwork("sepolia"), { code: "CONFIG_ERROR", message: /"sepolia" has no API URL.*CLABCRAW_API_URL/ })
+    assert.throws(() => resolveNetwork({ chainId: 7777, rpcUrl: "http://devnet:8545" }), {
+      code: "CONFIG_ERROR",
+      message: /CLABCRAW_API_URL/,
+    })
+    assert.equal(resolveNetwork("sepolia", { apiUrl: `${TESTNET_API}/` }).apiUrl, TESTNET_API)
+  })
+  withEnv({ CLABCRAW_CHAIN_ID: "1337", CLABCRAW_RPC_URL: "http://127.0.0.1:8546" }, () => {
+    assert.throws(() => resolveNetwork(), { code: "CONFIG_ERROR", message: /"custom" has no API URL/ })
+  })
+  withEnv({ CLABCRAW_API_URL: TESTNET_API }, () => {
+    assert.equal(resolveNetwork("sepolia", { apiUrl: "http://localhost:4010" }).apiUrl, "http://localhost:4010")
+  })
+})
+
+test("rejects unknown names and contradicting chain ids", () => {
+  withEnv({}, () => {
+    assert.throws(() => resolveNetwork("goerli"), { code: "CONFIG_ERROR", message: /mainnet, sepolia, local/ })
+    assert.throws(() => resolveNetwork({ chainId: 7777 }), { code: "CONFIG_ERROR" })
+  })
+  withEnv({ CLABCRAW_CHAIN_ID: "8453" }, () => {
+    assert.throws(() => resolveNetwork("sepolia"), { code: "CONFIG_ERROR", message: /does not match/ })
+  })
+  withEnv({ CLABCRAW_CHAIN_ID: "1337" }, () => {
+    assert.throws(() => resolveNetwork(), { code: "CONFIG_ERROR", message: /CLABCRAW_RPC_URL/ })
+  })
+})
+
+// ─── GameClient ───────────────────────────────────────────────────────────────
+
+test("GameClient takes its API URL, chain and contract from the network", () => {
+  const game = withEnv({ CLABCRAW_API_URL: TESTNET_API }, () => new GameClient({ privateKey: KEY_A, network: "sepolia" }))
+
+  assert.equal(game.network.name, "sepolia")
+  assert.equal(game._apiUrl, TESTNET_API)
+  assert.equal(game._arenaAddress(), NETWORKS.sepolia.contractAddress)
+  assert.equal(game._chainClients().publicClient.chain.id, 84532)
+
+  const pinned = withEnv({ CLABCRAW_API_URL: TESTNET_API }, () => new GameClient({ privateKey: KEY_A, network: "sepolia", apiUrl: "http://localhost:4010" }))
+  assert.equal(pinned._apiUrl, "http://localhost:4010")
+  assert.equal(pinned.network.apiUrl, "http://localhost:4010")
+
+  assert.throws(() => withEnv({}, () => new GameClient({ privateKey: KEY_A, network: "sepolia" })), {
+    code: "CONFIG_ERROR",
+    message: /CLABCRAW_API_URL/,
+  })
+})
+
+test("GameClient on the local network needs a contract address to claim", async () => {
+  const game = withEnv({}, () => new GameClient({ privateKey: KEY_A, network: "local" }))
+
+  await assert.rejects(game.claim(), { code: "CONFIG_ERROR", message: /CLABCRAW_CONTRACT_ADDRESS/ })
+
+  const deployed = withEnv({ CLABCRAW_CONTRACT_ADDRESS: LOCAL_ARENA }, () => new GameClient({ privateKey: KEY_A, network: "local" }))
+  assert.equal(deployed._arenaAddress(), LOCAL_ARENA)
+  assert.equal(deployed._chainClients().walletClient.chain.id, 31337)
+})
@@ -0,0 +1,311 @@
+/**
+ * Tests for lib/reconcile.js and GameClient.reconcileResults().
+ *
+ * Covers: a clean ledger, each discrepancy kind, balance deltas per block,
+ * chunked log scans, decoding raw logs with the supplied ABI (and failing
+ * loudly when they do not decode), the required ABI and game id encoding,
+ * and fetching results by game id. The last test runs against a local Anvil
+ * chain when CLABCRAW_ANVIL_RPC_URL and CLABCRAW_ARENA_ABI are set.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+import { createPublicClient, encodeAbiParameters, encodeEventTopics, http, parseAbi, parseEventLogs } from "viem"
+import { anvil } from "viem/chains"
+
+import { reconcile, arenaEvents, GAME_ID_ENCODINGS } from "../lib/reconcile.js"
+import { GameClient } from "../lib/game.js"
+import { KEY_A, ME, json } from "./helpers.js"
+
+const THEM = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+const ARENA = "0xafffcEAD2e99D04e5641A2873Eb7347828e1AAd3"
+const ANVIL_RPC_URL = process.env.CLABCRAW_ANVIL_RPC_URL
+
+const FEES = { poker: { entry_fee_usdc: 5, draw_fee_per_agent_usdc: 0.25 } }
+const G1 = "0b6a3f56-1c2d-4e5f-8a9b-0c1d2e3f4a51"
+const G2 = "0b6a3f56-1c2d-4e5f-8a9b-0c1d2e3f4a52"
+const G3 = "0b6a3f56-1c2d-4e5f-8a9b-0c1d2e3f4a53"
+const G4 = "0b6a3f56-1c2d-4e5f-8a9b-0c1d2e3f4a54"
+
+// Stands in for ClabcrawArena's build artifact; the fake chain encodes logs with it
+const ARENA_ABI = parseAbi([
+  "event GameSettled(bytes32 indexed gameId, address indexed winner, address indexed loser, uint256 winnerPayout, uint256 serviceFee)",
+  "event GameDrawn(bytes32 indexed gameId, address indexed agentA, address indexed agentB, uint256 refundPerAgent)",
+  "event Refunded(address indexed agent, uint256 amount)",
+  "event Claimed(address indexed account, uint256 amount)",
+  "event FeeUpdated(uint256 serviceFeeBps)",
+])
+const chainGameId = GAME_ID_ENCODINGS.uuid
+
+// A GameSettled log as eth_getLogs returns it: G1 won by ME for 8.5 USDC
+const SETTLED_G1_LOG = {
+  address: ARENA,
+  topics: [
+    "0x592fa5af723844b0b8ea8e36a21ba7fb44b051c093cc900ab6dbc675a5fb0e1b",
+    "0x000000000000000000000000000000000b6a3f561c2d4e5f8a9b0c1d2e3f4a51",
+    "0x0000000000000000000000003c44cdddb6a900fa2b585dd299e03d12fa4293bc",
+    "0x00000000000000000000000090f79bf6eb2c4f870365e785982e1f101e93b906",
+  ],
+  data: "0x000000000000000000000000000000000000000000000000000000000081b320000000000000000000000000000000000000000000000000000000000016e360",
+  blockNumber: 10n,
+  transactionHash: `0x${"ab".repeat(32)}`,
+  logIndex: 0,
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function won(gameId, payout = 8_500_000) {
+  return { game_id: gameId, game_type: "poker", winner: ME, loser: THEM, winner_payout: payout }
+}
+
+function lost(gameId) {
+  return { game_id: gameId, game_type: "poker", winner: THEM, loser: ME, winner_payout: 8_500_000 }
+}
+
+function drawn(gameId) {
+  return { game_id: gameId, game_type: "poker", winner: null, loser: null, winner_payout: 0 }
+}
+
+const settled = (block, gameId, winner, loser, winnerPayout = 8_500_000n) =>
+  ({ block, eventName: "GameSettled", args: { gameId: chainGameId(gameId), winner, loser, winnerPayout, serviceFee: 1_500_000n } })
+const draw = (block, gameId, refundPerAgent = 4_750_000n) =>
+  ({ block, eventName: "GameDrawn", args: { gameId: chainGameId(gameId), agentA: ME, agentB: THEM, refundPerAgent } })
+const refunded = (block, amount = 5_000_000n) => ({ block, eventName: "Refunded", args: { agent: ME, amount } })
+const claimed = (block, amount) => ({ block, eventName: "Claimed", args: { account: ME, amount } })
+
+/** Encode an event as a raw log, the way the contract emits it under `abi`. */
+function encodeLog({ block, eventName, args }, i, abi = ARENA_ABI) {
+  const event = abi.find((item) => item.type === "event" && item.name === eventName)
+  const indexed = Object.fromEntries(event.inputs.filter((input) => input.indexed).map((input) => [input.name, args[input.name]]))
+  const data = event.inputs.filter((input) => !input.indexed)
+  return {
+    address: ARENA,
+    topics: encodeEventTopics({ abi: [event], eventName, args: indexed }),
+    data: encodeAbiParameters(data, data.map((input) => args[input.name])),
+    blockNumber: BigInt(block),
+    transactionHash: `0x${String(i + 1).padStart(64, "0")}`,
+    logIndex: i,
+  }
+}
+
+/**
+ * A public client over a fixed list of events, served as raw logs that
+ * getLogs decodes with the ABI it is given. The claimable balance follows the
+ * events unless `balances` (block → balance) overrides it.
+ */
+function logChain(events, { balances = {}, head = 1_000n, rawLogs = events.map((event, i) => encodeLog(event, i)) } = {}) {
+  const logs = events.map(({ block, ...log }) => ({ ...log, blockNumber: BigInt(block) }))
+  const ranges = []
+  const credit = (log) => ({
+    GameSettled: log.args.winner === ME ? log.args.winnerPayout : 0n,
+    GameDrawn: log.args.refundPerAgent,
+    Refunded: log.args.amount,
+    Claimed: -log.args.amount,
+  })[log.eventName]
+
+  return {
+    ranges,
+    publicClient: {
+      getBlockNumber: async () => head,
+      getLogs: async ({ address, events: abi, fromBlock, toBlock, strict }) => {
+        assert.equal(address, ARENA)
+        ranges.push([fromBlock, toBlock])
+        const inRange = rawLogs.filter((l) => l.blockNumber >= fromBlock && l.blockNumber <= toBlock)
+        return parseEventLogs({ abi, logs: inRange, strict })
+      },
+      readContract: async ({ functionName, blockNumber }) => {
+        assert.equal(functionName, "getClaimableBalance")
+        if (balances[blockNumber] !== undefined) return balances[blockNumber]
+        return logs.filter((l) => l.blockNumber <= blockNumber).reduce((sum, l) => sum + credit(l), 0n)
+      },
+    },
+  }
+}
+
+function run(chain, results, opts = {}) {
+  return reconcile({
+    publicClient: chain.publicClient,
+    contractAddress: ARENA,
+    address: ME,
+    results,
+    fromBlock: 1n,
+    fees: FEES,
+    events: ARENA_ABI,
+    toChainGameId: chainGameId,
+    ...opts,
+  })
+}
+
+const kinds = (report) => report.discrepancies.map((d) => [d.kind, d.gameId])
+
+// ─── Matching ─────────────────────────────────────────────────────────────────
+
+test("a win, a loss, a draw and a claim reconcile cleanly", async () => {
+  const chain = logChain([
+    settled(10, G1, ME, THEM),
+    settled(20, G2, THEM, ME),
+    draw(30, G3),
+    claimed(40, 13_250_000n),
+  ])
+
+  const report = await run(chain, [won(G1), lost(G2), drawn(G3)])
+
+  assert.equal(report.ok, true)
+  assert.equal(report.checked, 3)
+  assert.equal(report.matched, 3)
+  assert.equal(report.toBlock, "1000")
+  assert.deepEqual(report.credits.map(({ gameId, kind, amount }) => [gameId, kind, amount]), [
+    [G1, "GameSettled", "8500000"],
+    [G3, "GameDrawn", "4750000"],
+    [null, "Claimed", "-13250000"],
+  ])
+})
+
+test("flags missing settlements, payouts and wrong amounts", async () => {
+  const chain = logChain([
+    settled(10, G1, ME, THEM, 0n),
+    settled(20, G2, ME, THEM, 8_000_000n),
+  ])
+
+  const report = await run(chain, [won(G1), won(G2), won(G3)])
+
+  assert.deepEqual(kinds(report), [
+    ["missing_payout", G1],
+    ["wrong_amount", G2],
+    ["missing_settlement", G3],
+  ])
+  const wrong = report.discrepancies[1]
+  assert.equal(wrong.expected, "8500000")
+  assert.equal(wrong.actual, "8000000")
+  assert.equal(wrong.blockNumber, "20")
+  assert.equal(report.matched, 0)
+})
+
+test("flags outcome mismatches between the API and the chain", async () => {
+  const chain = logChain([
+    draw(10, G1),
+    settled(20, G2, THEM, ME),
+    settled(30, G3, THEM, ME),
+    draw(40, G4, 4_000_000n),
+  ])
+
+  const report = await run(chain, [won(G1), drawn(G2), won(G3), drawn(G4)])
+
+  assert.deepEqual(kinds(report), [
+    ["unexpected_draw", G1],
+    ["missing_draw", G2],
+    ["wrong_winner", G3],
+    ["wrong_amount", G4],
+  ])
+})
+
+test("flags refunds beyond those expected", async () => {
+  const chain = logChain([refunded(10), refunded(20)])
+
+  assert.deepEqual(kinds(await run(chain, [])), [["unexpected_refund", null], ["unexpected_refund", null]])
+  assert.deepEqual(kinds(await run(chain, [], { expectedRefunds: 1 })), [["unexpected_refund", null]])
+})
+
+// ─── Balances ─────────────────────────────────────────────────────────────────
+
+test("flags a block whose balance change its events do not explain", async () => {
+  const chain = logChain([settled(10, G1, ME, THEM)], { balances: { 10n: 8_000_000n } })
+
+  const report = await run(chain, [won(G1)])
+
+  assert.deepEqual(kinds(report), [["balance_mismatch", G1]])
+  assert.equal(report.discrepancies[0].expected, "8500000")
+  assert.equal(report.discrepancies[0].actual, "8000000")
+  assert.equal((await run(chain, [won(G1)], { checkBalances: false })).ok, true)
+})
+
+test("scans the block range in chunks", async () => {
+  const chain = logChain([settled(4_500, G1, ME, THEM)])
+
+  const report = await run(chain, [won(G1)], { fromBlock: 1n, toBlock: 5_000n })
+
+  assert.equal(report.ok, true)
+  assert.deepEqual(chain.ranges, [[1n, 2_000n], [2_001n, 4_000n], [4_001n, 5_000n]])
+})
+
+// ─── Decoding ─────────────────────────────────────────────────────────────────
+
+test("decodes a raw GameSettled log with the ABI from a build artifact", async () => {
+  const chain = logChain([settled(10, G1, ME, THEM)], { rawLogs: [SETTLED_G1_LOG] })
+
+  const report = await run(chain, [won(G1)], { events: { abi: ARENA_ABI } })
+
+  assert.equal(report.ok, true)
+  assert.deepEqual(report.credits, [{ gameId: G1, kind: "GameSettled", amount: "8500000", blockNumber: "10", txHash: SETTLED_G1_LOG.transactionHash }])
+})
+
+test("a log that matches an event but does not decode with the ABI throws", async () => {
+  // Same signature, so the same topic, but `loser` is not indexed
+  const misindexed = [
+    ...parseAbi(["event GameSettled(bytes32 indexed gameId, address indexed winner, address loser, uint256 winnerPayout, uint256 serviceFee)"]),
+    ...ARENA_ABI.filter((item) => item.name !== "GameSettled"),
+  ]
+  const chain = logChain([settled(10, G1, ME, THEM)], { rawLogs: [SETTLED_G1_LOG] })
+
+  await assert.rejects(run(chain, [won(G1)], { events: misindexed }), (err) => {
+    assert.equal(err.code, "CONFIG_ERROR")
+    assert.equal(err.context.blockNumber, "10")
+    return true
+  })
+})
+
+test("the ABI and game id encoding are required and checked", async () => {
+  const chain = logChain([settled(10, G1, ME, THEM)])
+
+  await assert.rejects(run(chain, [won(G1)], { events: undefined }), { code: "CONFIG_ERROR" })
+  await assert.rejects(run(chain, [won(G1)], { toChainGameId: undefined }), { code: "CONFIG_ERROR" })
+  assert.throws(() => arenaEvents(ARENA_ABI.filter((item) => item.name !== "Claimed")), { code: "CONFIG_ERROR", message: /Claimed/ })
+  assert.throws(() => arenaEvents(parseAbi(["event GameSettled(bytes32 indexed id, address indexed winner, uint256 payout)"])), {
+    code: "CONFIG_ERROR",
+    message: /GameSettled with gameId, winnerPayout/,
+  })
+  assert.deepEqual(arenaEvents({ abi: ARENA_ABI }).map((e) => e.name), ["GameSettled", "GameDrawn", "Refunded", "Claimed"])
+
+  // Ids encoded differently from the contract's match nothing
+  const report = await run(chain, [won(G1)], { toChainGameId: GAME_ID_ENCODINGS.keccak256 })
+  assert.deepEqual(kinds(report), [["missing_settlement", G1]])
+})
+
+// ─── GameClient ───────────────────────────────────────────────────────────────
+
+test("reconcileResults() fetches results by game id", async () => {
+  const chain = logChain([settled(10, G1, ME, THEM)])
+  const fetch = async (url) => {
+    const { pathname } = new URL(url)
+    assert.equal(pathname, `/v1/games/${G1}/result`)
+    return json(200, won(G1))
+  }
+  const game = new GameClient({ apiUrl: "http://clabcraw.invalid", privateKey: KEY_A, fetch, publicClient: chain.publicClient, walletClient: {} })
+
+  const report = await game.reconcileResults([G1], { fromBlock: 1n, fees: FEES, events: ARENA_ABI, toChainGameId: chainGameId })
+
+  assert.equal(report.address, ME)
+  assert.equal(report.ok, true)
+})
+
+// ─── Anvil ────────────────────────────────────────────────────────────────────
+
+test("reconciles against a local Anvil chain", {
+  skip: !ANVIL_RPC_URL && "set CLABCRAW_ANVIL_RPC_URL, CLABCRAW_CONTRACT_ADDRESS (./scripts/dev-local.sh) and CLABCRAW_ARENA_ABI (the contract's build artifact) to run",
+}, async () => {
+  const publicClient = createPublicClient({ chain: anvil, transport: http(ANVIL_RPC_URL) })
+  const report = await reconcile({
+    publicClient,
+    contractAddress: process.env.CLABCRAW_CONTRACT_ADDRESS,
+    address: ME,
+    results: [],
+    fromBlock: 0n,
+    expectedRefunds: Infinity,
+    events: JSON.parse(readFileSync(process.env.CLABCRAW_ARENA_ABI, "utf-8")),
+    toChainGameId: chainGameId,
+  })
+
+  assert.equal(report.checked, 0)
+  assert.deepEqual(report.discrepancies, [], "every balance change is explained by an event")
+})
@@ -0,0 +1,162 @@
+/**
+ * Tests for lib/recorder.js and GameClient's recorder option.
+ *
+ * Covers: recording every changed state and submitted action of a game to its
+ * JSONL file, strategy metadata kept out of the request, rejected actions,
+ * skipping repeated states, and per-hand summaries (starting stacks, run-out,
+ * pot, showdown cards, net chips) rebuilt from the entries.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+import { join } from "node:path"
+
+import { HandRecorder, summarizeHands } from "../lib/recorder.js"
+import { InvalidActionError } from "../lib/errors.js"
+import { FAST_PLAY, startGame, tempDir } from "./helpers.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function playWith(t, recorder) {
+  return startGame(t, { ...FAST_PLAY, showdownMs: 100, client: { recorder } })
+}
+
+function state(handNumber, street, fields = {}) {
+  return {
+    type: "state", handNumber, street, isYourTurn: false, isFinished: false,
+    hole: [], board: [], pot: 0, yourStack: 0, opponentStack: 0, opponentCards: null, winningHand: null,
+    ...fields,
+  }
+}
+
+// ─── Recording ────────────────────────────────────────────────────────────────
+
+test("records every changed state and each action with its metadata to the game's file", async (t) => {
+  const dir = tempDir(t)
+  const recorder = new HandRecorder({ dir })
+  const { mock, game, gameId } = await playWith(t, recorder)
+
+  const sent = []
+  const route = mock._routeAction.bind(mock)
+  mock._routeAction = (ctx) => {
+    sent.push(ctx.body)
+    return route(ctx)
+  }
+
+  const final = await game.playUntilDone(gameId, (s) => {
+    if (!s.isYourTurn) return null
+    const action = s.actions.all_in.available ? "all_in" : "call"
+    return { action, meta: { strategy: "shove", pot: s.pot } }
+  }, { pollMs: 10 })
+
+  const lines = readFileSync(join(dir, `${gameId}.jsonl`), "utf-8").trim().split("\n").map((l) => JSON.parse(l))
+  assert.equal(recorder.pathFor(gameId), join(dir, `${gameId}.jsonl`))
+  assert.deepEqual(recorder.entries(gameId), lines)
+
+  const states = lines.filter((e) => e.type === "state")
+  const actions = lines.filter((e) => e.type === "action")
+  assert.ok(states.length > 1)
+  assert.equal(states.at(-1).isFinished, true)
+  assert.equal(states.at(-1).result, final.result)
+  assert.ok(states.every((e) => e.gameId === gameId && !Number.isNaN(Date.parse(e.at))))
+
+  assert.equal(actions.length, sent.length)
+  for (const entry of actions) {
+    assert.equal(entry.applied, true)
+    assert.equal(entry.meta.strategy, "shove")
+    assert.ok(entry.latencyMs >= 0)
+    assert.ok(entry.decisionMs >= 0)
+    assert.ok(entry.handNumber >= 1)
+  }
+  assert.ok(sent.every((body) => !("meta" in body)), "meta is not sent to the server")
+})
+
+test("a rejected action is recorded with its error and still thrown", async (t) => {
+  const recorder = new HandRecorder()
+  const { game, gameId } = await playWith(t, recorder)
+
+  await assert.rejects(game.submitAction(gameId, { action: "dance", meta: { why: "testing" } }), InvalidActionError)
+
+  const [entry] = recorder.entries(gameId)
+  assert.equal(entry.type, "action")
+  assert.equal(entry.action, "dance")
+  assert.equal(entry.applied, false)
+  assert.equal(entry.error, "INVALID_ACTION")
+  assert.deepEqual(entry.meta, { why: "testing" })
+})
+
+test("a repeated state is recorded once; without a dir the history stays in memory", () => {
+  const recorder = new HandRecorder({ now: () => 0 })
+  const seen = { handNumber: 1, street: "flop", hole: [], board: [], pot: 100, yourStack: 150, opponentStack: 150, raw: {} }
+
+  recorder.recordState("g1", { ...seen, moveDeadlineMs: 9_000 })
+  recorder.recordState("g1", { ...seen, moveDeadlineMs: 8_000 })
+  recorder.recordState("g1", { unchanged: true })
+  recorder.recordState("g1", { ...seen, pot: 150, yourStack: 100 })
+
+  assert.equal(recorder.entries("g1").length, 2)
+  assert.equal(recorder.entries("g1")[0].at, "1970-01-01T00:00:00.000Z")
+  assert.equal(recorder.pathFor("g1"), null)
+})
+
+// ─── Hand summaries ───────────────────────────────────────────────────────────
+
+test("hand summaries add up to the game's result", async (t) => {
+  const recorder = new HandRecorder()
+  const { game, gameId } = await playWith(t, recorder)
+
+  const final = await game.playUntilDone(gameId, (s) => {
+    if (!s.isYourTurn) return null
+    return s.actions.all_in.available ? { action: "all_in" } : { action: "call" }
+  }, { pollMs: 10 })
+
+  const hands = recorder.hands(gameId)
+  assert.ok(hands.length >= 1)
+  assert.deepEqual(hands[0].startingStacks, { you: 200, opponent: 200 })
+  assert.equal(hands.reduce((sum, h) => sum + h.net, 0), final.yourStack - 200)
+
+  const last = hands.at(-1)
+  assert.equal(last.settled, true)
+  assert.equal(last.board.length, 5, "all-in hands run the board out")
+  assert.equal(last.opponentCards.length, 2)
+  assert.ok(last.winningHand)
+  assert.ok(last.pot > 0)
+  assert.ok(last.actions.length >= 1)
+})
+
+test("summarizeHands rebuilds stacks, run-out, showdown and net chips", () => {
+  const flop = [{ rank: "A", suit: "spades" }, { rank: "7", suit: "hearts" }, { rank: "2", suit: "clubs" }]
+  const shown = [{ rank: "K", suit: "clubs" }, { rank: "K", suit: "hearts" }]
+
+  const hands = summarizeHands([
+    // Hand 1: opponent folds the flop to a bet
+    state(1, "preflop", { pot: 75, yourStack: 975, opponentStack: 950 }),
+    { type: "action", handNumber: 1, street: "flop", action: "raise", amount: 100, meta: { bluff: true } },
+    state(1, "complete", { board: flop, pot: 300, yourStack: 1_150, opponentStack: 850 }),
+    // Hand 2: lost at showdown
+    state(2, "preflop", { pot: 75, yourStack: 1_100, opponentStack: 825 }),
+    state(2, "showdown", { board: [...flop, { rank: "9", suit: "diamonds" }, { rank: "4", suit: "spades" }], pot: 400, yourStack: 950, opponentStack: 1_050, opponentCards: shown, winningHand: "Pair" }),
+    // Hand 4: hand 3 was never seen
+    state(4, "turn", { pot: 200, yourStack: 900, opponentStack: 900 }),
+  ])
+
+  assert.deepEqual(hands.map((h) => h.handNumber), [1, 2, 4])
+
+  assert.deepEqual(hands[0].startingStacks, { you: 1_000, opponent: 1_000 })
+  assert.equal(hands[0].net, 150)
+  assert.equal(hands[0].pot, 300)
+  assert.equal(hands[0].board.length, 3)
+  assert.equal(hands[0].opponentCards, null)
+  assert.deepEqual(hands[0].actions.map((a) => a.meta), [{ bluff: true }])
+
+  assert.deepEqual(hands[1].startingStacks, { you: 1_150, opponent: 850 })
+  assert.equal(hands[1].net, -200)
+  assert.deepEqual(hands[1].opponentCards, shown)
+  assert.equal(hands[1].winningHand, "Pair")
+
+  assert.equal(hands[2].startingStacks, null)
+  assert.equal(hands[2].settled, false)
+  assert.equal(hands[2].net, null)
+  assert.equal(hands[2].pot, 200)
+})
@@ -0,0 +1,128 @@
+/**
+ * Tests for submission recovery in playUntilDone().
+ *
+ * Covers: raise amounts corrected from the 422's valid_actions, check/fold
+ * fallback for other illegal actions, "Replay detected" and a 5xx after the
+ * action landed treated as applied (with the example agent's listener
+ * attached), and opting out with `recovery: false`.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { InvalidActionError } from "../lib/errors.js"
+import { logRecovery } from "../examples/auto-play.js"
+import { DEEP_PLAY, shove, startGame } from "./helpers.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A game against the house bot, with its recovery events collected. */
+async function startRecording(t) {
+  const { mock, game, gameId } = await startGame(t, DEEP_PLAY)
+  const recoveries = []
+  game.on("recovery", (event) => recoveries.push(event))
+  return { mock, game, gameId, recoveries }
+}
+
+/** Return `bad` on the first turn where `when(state)` holds, then shove. */
+function onceThenShove(when, bad) {
+  let used = false
+  return async (state) => {
+    if (!used && state.isYourTurn && when(state)) {
+      used = true
+      return bad(state)
+    }
+    return shove(state)
+  }
+}
+
+// ─── Recovery ─────────────────────────────────────────────────────────────────
+
+test("raise below the minimum → retried at valid_actions.raise.min", async (t) => {
+  const { game, gameId, recoveries } = await startRecording(t)
+  const handler = onceThenShove((s) => s.actions.raise.available, () => ({ action: "raise", amount: 1 }))
+
+  const final = await game.playUntilDone(gameId, handler, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+  assert.equal(recoveries.length, 1)
+  const [event] = recoveries
+  assert.equal(event.kind, "raise_corrected")
+  assert.deepEqual(event.attempted, { action: "raise", amount: 1 })
+  assert.equal(event.action.action, "raise")
+  assert.equal(event.action.amount, event.error.context.valid_actions.raise.min)
+  assert.ok(event.error instanceof InvalidActionError)
+})
+
+test("illegal action → fallback built from the 422's valid_actions", async (t) => {
+  const { game, gameId, recoveries } = await startRecording(t)
+  const handler = onceThenShove(() => true, () => ({ action: "dance" }))
+
+  const final = await game.playUntilDone(gameId, handler, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+  assert.equal(recoveries.length, 1)
+  assert.equal(recoveries[0].kind, "invalid_fallback")
+  const valid = recoveries[0].error.context.valid_actions
+  assert.equal(recoveries[0].action.action, "check" in valid ? "check" : "fold")
+})
+
+test("custom fallback is used for invalid actions", async (t) => {
+  const { game, gameId, recoveries } = await startRecording(t)
+  const handler = onceThenShove(() => true, () => ({ action: "dance" }))
+
+  await game.playUntilDone(gameId, handler, { pollMs: 10, fallback: { action: "all_in" } })
+
+  assert.deepEqual(recoveries[0].action, { action: "all_in" })
+})
+
+test("\"Replay detected\" → treated as applied, loop continues", async (t) => {
+  const { mock, game, gameId, recoveries } = await startRecording(t)
+  mock.failNext({ status: 401, body: { error: "Replay detected" }, path: "/action" })
+
+  const final = await game.playUntilDone(gameId, shove, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+  assert.equal(recoveries.length, 1)
+  assert.equal(recoveries[0].kind, "replay_applied")
+  assert.equal(recoveries[0].action, null)
+  assert.match(recoveries[0].error.message, /Replay detected/)
+})
+
+test("5xx after the action landed → replay_applied with the 5xx, example listener keeps the loop going", async (t) => {
+  const { mock, game, gameId, recoveries } = await startRecording(t)
+  const logged = []
+  t.mock.method(console, "log", (line) => logged.push(JSON.parse(line)))
+  game.on("recovery", logRecovery)
+  mock.failNext({ status: 502, path: "/action", afterHandling: true, headers: { "retry-after": "0" } })
+
+  const final = await game.playUntilDone(gameId, shove, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+  assert.deepEqual(recoveries.map((e) => e.kind), ["replay_applied"])
+  assert.equal(recoveries[0].error.code, "HTTP_ERROR")
+  const entry = logged.find((e) => e.type === "action_recovered")
+  assert.equal(entry.kind, "replay_applied")
+  assert.equal(entry.error, recoveries[0].error.message)
+
+  // Server-flagged duplicates carry no error
+  assert.doesNotThrow(() => logRecovery({ kind: "replay_applied", attempted: { action: "call" }, action: null, error: null }))
+})
+
+test("recovery: false → InvalidActionError propagates", async (t) => {
+  const { game, gameId, recoveries } = await startRecording(t)
+  const handler = onceThenShove(() => true, () => ({ action: "dance" }))
+
+  await assert.rejects(game.playUntilDone(gameId, handler, { pollMs: 10, recovery: false }), InvalidActionError)
+  assert.equal(recoveries.length, 0)
+})
+
+test("recovery policy switches are independent", async (t) => {
+  const { game, gameId, recoveries } = await startRecording(t)
+  const handler = onceThenShove((s) => s.actions.raise.available, () => ({ action: "raise", amount: 1 }))
+
+  await game.playUntilDone(gameId, handler, { pollMs: 10, recovery: { correctRaise: false } })
+
+  assert.equal(recoveries.length, 1)
+  assert.equal(recoveries[0].kind, "invalid_fallback")
+})
@@ -0,0 +1,91 @@
+/**
+ * Tests for GameClient.getReplay() and the mock server's replay endpoint.
+ *
+ * Covers: a finished game's replay normalized into hands and streets (parsed
+ * cards, chips accounted for, stacks carried from hand to hand, the result),
+ * 404 while the game is still running, and exporting the replay.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { GameNotFoundError } from "../lib/errors.js"
+import { playerName, toPokerStars } from "../lib/export.js"
+import { startGame } from "./helpers.js"
+
+// Rising blinds, so a replay has more than one level
+const RISING_BLINDS = {
+  games: { poker: { starting_stacks: 400, starting_blinds: { small: 25, big: 50 }, blind_increase_interval: 2 } },
+  showdownMs: 50,
+  houseBot: true,
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+async function playGame(game, gameId) {
+  let turn = 0
+  return game.playUntilDone(gameId, (s) => {
+    if (!s.isYourTurn) return null
+    turn++
+    if (s.actions.raise.available && turn % 3 === 0) return { action: "raise", amount: s.actions.raise.min }
+    return { action: s.actions.check.available ? "check" : "call" }
+  }, { pollMs: 10 })
+}
+
+// ─── getReplay ────────────────────────────────────────────────────────────────
+
+test("getReplay returns every hand of a finished game, street by street", async (t) => {
+  const { game, gameId } = await startGame(t, RISING_BLINDS)
+  await playGame(game, gameId)
+
+  const result = await game.getResult(gameId)
+  const replay = await game.getReplay(gameId)
+
+  assert.equal(replay.gameId, gameId)
+  assert.equal(replay.gameType, "poker")
+  assert.equal(replay.players[0], game.address.toLowerCase())
+  assert.deepEqual(replay.result, { winner: result.winner, outcome: result.outcome })
+  assert.equal(replay.hands.length, result.hands_played)
+  assert.deepEqual(replay.hands.map((h) => h.handNumber), replay.hands.map((_, i) => i + 1))
+  assert.deepEqual(replay.hands[2].blinds, { small: 50, big: 100 }, "blinds rise every two hands")
+
+  for (const [i, hand] of replay.hands.entries()) {
+    assert.ok(!Number.isNaN(Date.parse(hand.startedAt)))
+    if (i > 0) assert.equal(hand.button, 1 - replay.hands[i - 1].button)
+    assert.ok(hand.hole.every((cards) => cards.length === 2 && cards.every((c) => c.rank && c.suit)))
+    assert.equal(hand.streets[0].street, "preflop")
+    assert.deepEqual(hand.streets[0].actions.slice(0, 2).map((a) => [a.seat, a.action]), [
+      [hand.button, "small_blind"], [1 - hand.button, "big_blind"],
+    ])
+
+    // Every chip put in either went to the pot or came back uncalled
+    const actions = hand.streets.flatMap((s) => s.actions)
+    const put = [0, 1].map((seat) => actions.filter((a) => a.seat === seat).reduce((sum, a) => sum + a.amount, 0))
+    assert.equal(hand.pot, 2 * Math.min(...put))
+    assert.equal(hand.endingStacks[0] + hand.endingStacks[1], 800)
+    if (i > 0) assert.deepEqual(hand.startingStacks, replay.hands[i - 1].endingStacks)
+    for (const street of hand.streets.slice(1)) {
+      assert.equal(street.board.length, { flop: 3, turn: 4, river: 5 }[street.street])
+    }
+  }
+
+  const winnerSeat = replay.players.indexOf(result.winner)
+  assert.equal(replay.hands.at(-1).endingStacks[winnerSeat], result.winner_stack)
+})
+
+test("getReplay throws GameNotFoundError while the game is still running", async (t) => {
+  const { game, gameId } = await startGame(t, RISING_BLINDS)
+  await assert.rejects(game.getReplay(gameId), GameNotFoundError)
+})
+
+test("a fetched replay exports without a recording", async (t) => {
+  const { game, gameId } = await startGame(t, RISING_BLINDS)
+  await playGame(game, gameId)
+
+  const replay = await game.getReplay(gameId)
+  const hands = toPokerStars(replay, { hero: game.address }).trimEnd().split("\n\n\n")
+  assert.equal(hands.length, replay.hands.length)
+  assert.ok(hands.every((text) => text.includes("*** SUMMARY ***")))
+  const dealt = hands.map((text) => text.split("\n").filter((line) => line.startsWith("Dealt to")))
+  assert.ok(dealt.every((lines) => lines.length === 1 && lines[0].startsWith(`Dealt to ${playerName(game.address)} `)), "only the hero is dealt")
+})
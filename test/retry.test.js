@@ -0,0 +1,239 @@
+/**
+ * Tests for lib/retry.js and its use in GameClient.
+ *
+ * Covers: policy merging, jittered backoff with attempt/budget/deadline
+ * limits and Retry-After hints, the circuit breaker's states, and per-operation
+ * policies, the breaker and move-deadline budgets through GameClient, and the
+ * poll slowdown after 429s.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { CircuitBreaker, DEFAULT_RETRY_POLICIES, nextDelay, resolveRetryPolicies } from "../lib/retry.js"
+import { GameClient } from "../lib/game.js"
+import { CircuitOpenError, PausedError, RateLimitedError } from "../lib/errors.js"
+import { FAST_PLAY, KEY_A, json, startGame, startMock } from "./helpers.js"
+
+const POLICY = { maxAttempts: 4, baseDelayMs: 100, maxDelayMs: 300, jitter: 0.5, budgetMs: 1_000 }
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Count requests that reach the server. */
+function countRequests(game) {
+  const counter = { requests: 0 }
+  game.use({ onRequest: () => counter.requests++ })
+  return counter
+}
+
+// ─── Policies ─────────────────────────────────────────────────────────────────
+
+test("resolveRetryPolicies fills each operation from default", () => {
+  const policies = resolveRetryPolicies({ state: { maxAttempts: 1 }, custom: { budgetMs: 5 } })
+
+  assert.equal(policies.state.maxAttempts, 1)
+  assert.equal(policies.state.baseDelayMs, DEFAULT_RETRY_POLICIES.state.baseDelayMs)
+  assert.equal(policies.clock.jitter, DEFAULT_RETRY_POLICIES.default.jitter)
+  assert.equal(policies.custom.budgetMs, 5)
+  assert.equal(policies.custom.maxAttempts, DEFAULT_RETRY_POLICIES.default.maxAttempts)
+})
+
+test("nextDelay backs off exponentially within the jitter band and cap", () => {
+  const at = (attempt, rng) => nextDelay(POLICY, { attempt, startedAt: 0, now: 0, rng })
+
+  assert.equal(at(0, () => 0), 100)
+  assert.equal(at(0, () => 1), 50)
+  assert.equal(at(1, () => 0), 200)
+  assert.equal(at(2, () => 0), 300, "capped at maxDelayMs")
+})
+
+test("nextDelay gives up on attempts, budget and deadline", () => {
+  const rng = () => 0
+  assert.equal(nextDelay(POLICY, { attempt: 3, startedAt: 0, now: 0, rng }), null, "attempts used up")
+  assert.equal(nextDelay(POLICY, { attempt: 0, startedAt: 0, now: 950, rng }), null, "past the budget")
+  assert.equal(nextDelay(POLICY, { attempt: 0, startedAt: 0, now: 0, deadlineAt: 80, rng }), null, "past the deadline")
+  assert.equal(nextDelay({ ...POLICY, budgetMs: null }, { attempt: 0, startedAt: 0, now: 10_000, rng }), 100)
+})
+
+test("nextDelay honors Retry-After over backoff, within the budget", () => {
+  assert.equal(nextDelay(POLICY, { attempt: 0, startedAt: 0, now: 0, retryAfterMs: 0 }), 0)
+  assert.equal(nextDelay(POLICY, { attempt: 0, startedAt: 0, now: 0, retryAfterMs: 700 }), 700)
+  assert.equal(nextDelay(POLICY, { attempt: 0, startedAt: 0, now: 0, retryAfterMs: 5_000 }), null)
+})
+
+// ─── CircuitBreaker ───────────────────────────────────────────────────────────
+
+test("breaker opens after consecutive failures and cools down to one trial", () => {
+  let now = 0
+  const breaker = new CircuitBreaker({ threshold: 3, cooldownMs: 1_000, now: () => now })
+
+  breaker.record(true)
+  breaker.record(true)
+  breaker.record(false) // success resets the count
+  breaker.record(true)
+  breaker.record(true)
+  assert.equal(breaker.state, "closed")
+  breaker.record(true)
+  assert.equal(breaker.state, "open")
+
+  assert.throws(() => breaker.check(), (err) => err instanceof CircuitOpenError && err.retryAfterMs === 1_000)
+
+  now = 1_000
+  assert.equal(breaker.state, "half_open")
+  breaker.check()
+  assert.throws(() => breaker.check(), CircuitOpenError, "one trial at a time")
+
+  breaker.record(true)
+  assert.equal(breaker.state, "open", "failed trial re-opens")
+
+  now = 2_000
+  breaker.check()
+  breaker.record(false)
+  assert.equal(breaker.state, "closed")
+  breaker.check()
+})
+
+// ─── GameClient ───────────────────────────────────────────────────────────────
+
+test("per-operation policy limits attempts", async (t) => {
+  const { mock, url } = await startMock(t)
+  const game = new GameClient({
+    apiUrl: url,
+    privateKey: KEY_A,
+    retry: { default: { maxAttempts: 2, baseDelayMs: 1 } },
+  })
+  const counter = countRequests(game)
+  mock.failNext({ status: 500, path: "/status", count: 5 })
+
+  await assert.rejects(game.getStatus(), { code: "HTTP_ERROR" })
+  assert.equal(counter.requests, 2)
+})
+
+test("repeated 5xx → CircuitOpenError without sending more requests", async () => {
+  let served = 0
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    retry: { default: { maxAttempts: 1 } },
+    circuitBreaker: { threshold: 2, cooldownMs: 60_000 },
+    fetch: async () => {
+      served++
+      return json(502, { error: "Bad gateway" })
+    },
+  })
+
+  await assert.rejects(game.getStatus(), { code: "HTTP_ERROR" })
+  await assert.rejects(game.getStatus(), { code: "HTTP_ERROR" })
+  await assert.rejects(game.getStatus(), CircuitOpenError)
+  assert.equal(served, 2)
+})
+
+test("maintenance pauses do not trip the breaker", async () => {
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    circuitBreaker: { threshold: 1 },
+    fetch: async () => json(503, { error: "Paused for maintenance" }),
+  })
+
+  await assert.rejects(game.getStatus(), PausedError)
+  await assert.rejects(game.getStatus(), PausedError)
+})
+
+test("action retries stop at the move deadline", async () => {
+  const deadline = new Date(Date.now() + 800).toISOString()
+  const view = { game_id: "g1", is_your_turn: true, move_deadline: deadline, valid_actions: { check: {} } }
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    circuitBreaker: false,
+    fetch: async (url) => (url.endsWith("/action") ? json(500, { error: "Upstream" }) : json(200, view)),
+  })
+
+  const state = await game.getState("g1")
+  const started = Date.now()
+  const result = await game.submitAction("g1", { action: "check" }, { state })
+
+  assert.equal(result.applied, false)
+  assert.equal(result.error.code, "HTTP_ERROR")
+  assert.ok(Date.now() - started < 800, `gave up after ${Date.now() - started}ms`)
+})
+
+test("a failed state poll is skipped, not fatal", async (t) => {
+  const { mock, game, gameId } = await startGame(t, { ...FAST_PLAY, client: { retry: { state: { maxAttempts: 1 } } } })
+  mock.failNext({ status: 500, path: "/state", count: 2 })
+
+  const final = await game.playUntilDone(gameId, async (state) => {
+    if (!state.isYourTurn) return null
+    return state.actions.all_in.available ? { action: "all_in" } : { action: "call" }
+  }, { pollMs: 10 })
+
+  assert.equal(final.isFinished, true)
+})
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+
+test("429 → retried after Retry-After, rateLimited emitted, breaker untouched", async () => {
+  let served = 0
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    circuitBreaker: { threshold: 1 },
+    fetch: async () => (++served === 1
+      ? json(429, { error: "Slow down" }, { "retry-after": "0", "x-ratelimit-limit": "60", "x-ratelimit-remaining": "0" })
+      : json(200, { status: "idle" })),
+  })
+  const events = []
+  game.on("rateLimited", (event) => events.push(event))
+
+  const status = await game.getStatus()
+
+  assert.equal(status.status, "idle")
+  assert.equal(served, 2)
+  assert.equal(events.length, 1)
+  assert.equal(events[0].path, `/v1/agent/${game.address}/status`)
+  assert.equal(events[0].retryAfterMs, 0)
+  assert.equal(events[0].limit, 60)
+  assert.equal(events[0].pollSlowdown, 2)
+  assert.equal(game.pollSlowdown, 2)
+})
+
+test("poll slowdown doubles per 429 up to 8x and recovers on clean responses", async () => {
+  let throttled = true
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    retry: { default: { maxAttempts: 1 } },
+    fetch: async () => (throttled ? json(429, {}, { "retry-after": "0" }) : json(200, { status: "idle" })),
+  })
+
+  for (let i = 0; i < 5; i++) await assert.rejects(game.getStatus(), RateLimitedError)
+  assert.equal(game.pollSlowdown, 8)
+
+  throttled = false
+  for (let i = 0; i < 10; i++) await game.getStatus()
+  assert.equal(game.pollSlowdown, 4)
+  for (let i = 0; i < 20; i++) await game.getStatus()
+  assert.equal(game.pollSlowdown, 1)
+})
+
+test("waitForMatch keeps polling, more slowly, through a 429", async () => {
+  const polledAt = []
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    retry: { default: { maxAttempts: 1 } },
+    fetch: async () => {
+      polledAt.push(Date.now())
+      if (polledAt.length === 1) return json(429, { error: "Slow down" }, { "retry-after": "0" })
+      if (polledAt.length === 2) return json(200, { status: "queued" })
+      return json(200, { status: "active", active_games: [{ game_id: "g1" }] })
+    },
+  })
+
+  const gameId = await game.waitForMatch({ pollMs: 50 })
+
+  assert.equal(gameId, "g1")
+  assert.equal(polledAt.length, 3)
+  assert.ok(polledAt[1] - polledAt[0] >= 90, "interval doubled after the 429")
+})
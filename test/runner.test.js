@@ -0,0 +1,177 @@
+/**
+ * Tests for lib/runner.js (AgentRunner) against the mock server.
+ *
+ * Covers: each stop condition, session totals and lifecycle events, a queue
+ * joined before the time window ends still played, waiting out a pause, switching away from a disabled game type, stop(), claiming
+ * after each game, and errors that end the session.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { AgentRunner } from "../lib/runner.js"
+import { GameClient } from "../lib/game.js"
+import { FAST_GAMES, FAST_PLAY, KEY_A, recordEvents, shove, startMock } from "./helpers.js"
+
+const FAST_RUNNER = { matchPollMs: 10, play: { pollMs: 10 } }
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A fast-play mock and a client on it; `games` entries replace FAST_GAMES' own. */
+async function startClient(t, opts = {}) {
+  const { mock, url } = await startMock(t, { ...FAST_PLAY, ...opts, games: { ...FAST_GAMES, ...opts.games } })
+  return { mock, url, game: new GameClient({ apiUrl: url, privateKey: KEY_A }) }
+}
+
+/** Folds every hand, so each game is a loss. */
+function foldAlways(state) {
+  return state.isYourTurn ? { action: "fold" } : null
+}
+
+// ─── Stop conditions ──────────────────────────────────────────────────────────
+
+test("plays until the game limit and reports totals and lifecycle events", async (t) => {
+  const { game } = await startClient(t)
+  const runner = new AgentRunner(game, shove, { ...FAST_RUNNER, stopAfter: { games: 2 } })
+  const events = recordEvents(runner, ["started", "joined", "matched", "gameCompleted", "stopped"])
+
+  const summary = await runner.run()
+
+  assert.equal(summary.stopReason, "games")
+  assert.equal(summary.gamesPlayed, 2)
+  assert.equal(summary.wins + summary.losses + summary.draws, 2)
+  assert.equal(summary.games.length, 2)
+  assert.equal(summary.netUsdc, summary.games.reduce((sum, g) => sum + g.netUsdc, 0))
+  assert.deepEqual(events.map(([name]) => name), [
+    "started",
+    "joined", "matched", "gameCompleted",
+    "joined", "matched", "gameCompleted",
+    "stopped",
+  ])
+  const completed = events.find(([name]) => name === "gameCompleted")[1]
+  assert.equal(completed.gameType, "poker")
+  assert.equal(completed.netUsdc, { win: 3.5, loss: -5, draw: -0.25 }[completed.result])
+})
+
+test("stops on consecutive losses and on the net loss limit", async (t) => {
+  const { game } = await startClient(t)
+
+  const streak = await new AgentRunner(game, foldAlways, { ...FAST_RUNNER, stopAfter: { consecutiveLosses: 2 } }).run()
+  assert.equal(streak.stopReason, "consecutive_losses")
+  assert.equal(streak.losses, 2)
+  assert.equal(streak.netUsdc, -10)
+
+  const limited = await new AgentRunner(game, foldAlways, { ...FAST_RUNNER, stopAfter: { netLossUsdc: 5 } }).run()
+  assert.equal(limited.stopReason, "net_loss")
+  assert.equal(limited.gamesPlayed, 1)
+})
+
+test("an elapsed time window stops before joining", async (t) => {
+  const { game } = await startClient(t)
+  const runner = new AgentRunner(game, shove, { stopAfter: { durationMs: 0 } })
+
+  const summary = await runner.run()
+
+  assert.equal(summary.stopReason, "duration")
+  assert.equal(summary.gamesPlayed, 0)
+})
+
+test("a queue joined before the time window ends is still matched and played", async (t) => {
+  const { game } = await startClient(t, { matchDelayMs: 300 })
+  const runner = new AgentRunner(game, shove, { ...FAST_RUNNER, matchTimeoutMs: 5_000, stopAfter: { durationMs: 100 } })
+  const events = recordEvents(runner, ["joined", "matched", "gameCompleted"])
+
+  const summary = await runner.run()
+
+  assert.equal(summary.stopReason, "duration")
+  assert.equal(summary.gamesPlayed, 1)
+  assert.deepEqual(events.map(([name]) => name), ["joined", "matched", "gameCompleted"])
+})
+
+test("after the time window, a queue that never matches is waited on for matchTimeoutMs, not rejoined", async (t) => {
+  const { game } = await startClient(t, { houseBot: false })
+  const runner = new AgentRunner(game, shove, { ...FAST_RUNNER, matchTimeoutMs: 150, stopAfter: { durationMs: 50 } })
+  const events = recordEvents(runner, ["joined", "matched"])
+
+  const summary = await runner.run()
+
+  assert.equal(summary.stopReason, "duration")
+  assert.equal(summary.gamesPlayed, 0)
+  assert.ok(summary.elapsedMs >= 200, `waited ${summary.elapsedMs}ms`)
+  assert.deepEqual(events.map(([name]) => name), ["joined"])
+})
+
+test("stop() lets the current game finish, then ends the session", async (t) => {
+  const { game } = await startClient(t)
+  const runner = new AgentRunner(game, shove, FAST_RUNNER)
+  runner.on("matched", () => runner.stop())
+
+  const summary = await runner.run()
+
+  assert.equal(summary.stopReason, "stopped")
+  assert.equal(summary.gamesPlayed, 1)
+})
+
+// ─── Recovery ─────────────────────────────────────────────────────────────────
+
+test("waits out a platform pause, then plays", async (t) => {
+  const { mock, game } = await startClient(t)
+  mock.pause({ mode: "deploy", retryAfterSeconds: 0 })
+  const runner = new AgentRunner(game, shove, { ...FAST_RUNNER, stopAfter: { games: 1 } })
+  const paused = []
+  runner.on("paused", (event) => {
+    paused.push(event)
+    mock.resume()
+  })
+
+  const summary = await runner.run()
+
+  assert.equal(paused.length, 1)
+  assert.equal(paused[0].error.code, "PAUSED")
+  assert.equal(summary.gamesPlayed, 1)
+})
+
+test("switches to an available game type when the configured one is disabled", async (t) => {
+  const { game } = await startClient(t, { games: { poker: { enabled: false } } })
+  const runner = new AgentRunner(game, shove, { ...FAST_RUNNER, stopAfter: { games: 1 } })
+  const changed = []
+  runner.on("gameTypeChanged", (event) => changed.push(event))
+
+  const summary = await runner.run()
+
+  assert.deepEqual(changed.map(({ from, to }) => [from, to]), [["poker", "poker-pro"]])
+  assert.equal(summary.games[0].gameType, "poker-pro")
+})
+
+test("errors retrying cannot fix reject run()", async (t) => {
+  const { mock, game } = await startClient(t)
+  mock.setUsdcBalance(game.address, 0)
+  const runner = new AgentRunner(game, shove, FAST_RUNNER)
+  const stopped = []
+  runner.on("stopped", (event) => stopped.push(event))
+
+  await assert.rejects(runner.run(), { code: "INSUFFICIENT_FUNDS" })
+  assert.equal(stopped.length, 0)
+})
+
+// ─── Claiming ─────────────────────────────────────────────────────────────────
+
+test("claim: true claims after each game and ignores an empty balance", async (t) => {
+  const { url } = await startClient(t)
+  const claims = [2_500_000n, 0n]
+  const game = new GameClient({
+    apiUrl: url,
+    privateKey: KEY_A,
+    publicClient: {
+      readContract: async () => claims.shift(),
+      waitForTransactionReceipt: async ({ hash }) => ({ transactionHash: hash, status: "success" }),
+    },
+    walletClient: { writeContract: async () => "0xfeed" },
+  })
+  const runner = new AgentRunner(game, shove, { ...FAST_RUNNER, claim: true, stopAfter: { games: 2 } })
+  const events = recordEvents(runner, ["claimed", "claimFailed"])
+
+  await runner.run()
+
+  assert.deepEqual(events, [["claimed", { txHash: "0xfeed", amountUsdc: "2.50" }]])
+})
@@ -0,0 +1,142 @@
+/**
+ * Tests for lib/scheduler.js and GameClient.playAll().
+ *
+ * Covers: poll slots spaced by the shared budget and stretched by a slowdown,
+ * playing two game types at once against the mock, per-game failures, the
+ * poll budget holding across concurrent games, and giving up when the status
+ * never answers.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { PollScheduler } from "../lib/scheduler.js"
+import { GameClient } from "../lib/game.js"
+import { FAST_PLAY, KEY_A, json, shove, startGame, startMock } from "./helpers.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * A fetch serving a fixed set of active games. Each game finishes on its
+ * `polls`-th state read; `{ status }` makes its state reads fail instead.
+ */
+function fakeGames(games) {
+  const reads = new Map()
+  const requests = []
+  const fetch = async (url) => {
+    const { pathname } = new URL(url)
+    requests.push({ pathname, at: Date.now() })
+
+    if (pathname.endsWith("/status")) {
+      const active = Object.keys(games).filter((id) => (reads.get(id) || 0) < (games[id].polls ?? Infinity))
+      return json(200, { status: active.length ? "active" : "idle", active_games: active.map((id) => ({ game_id: id })) })
+    }
+
+    const gameId = pathname.split("/")[3]
+    const spec = games[gameId]
+    if (spec.status) return json(spec.status, { error: "Injected failure" })
+    const read = (reads.get(gameId) || 0) + 1
+    reads.set(gameId, read)
+    const finished = read >= spec.polls
+    return json(200, { game_id: gameId, hand_number: read, game_status: finished ? "finished" : "active", result: finished ? "win" : null })
+  }
+  return { fetch, requests }
+}
+
+// ─── PollScheduler ────────────────────────────────────────────────────────────
+
+test("slots are handed out in order, maxPerSecond apart", async () => {
+  const scheduler = new PollScheduler({ maxPerSecond: 20 })
+  const started = Date.now()
+  const order = []
+
+  await Promise.all([0, 1, 2].map(async (i) => {
+    await scheduler.acquire()
+    order.push([i, Date.now() - started])
+  }))
+
+  assert.deepEqual(order.map(([i]) => i), [0, 1, 2])
+  assert.ok(order[1][1] >= 45, `second slot at ${order[1][1]}ms`)
+  assert.ok(order[2][1] >= 95, `third slot at ${order[2][1]}ms`)
+})
+
+test("a slowdown stretches the gap after a slot", async () => {
+  let now = 0
+  const scheduler = new PollScheduler({ maxPerSecond: 10, now: () => now })
+
+  await scheduler.acquire(4)
+  now = 300
+  const started = Date.now()
+  await scheduler.acquire()
+  assert.ok(Date.now() - started >= 90, "waited for the slot at 400ms")
+})
+
+// ─── playAll ──────────────────────────────────────────────────────────────────
+
+test("playAll plays games of two types at once and returns each result", async (t) => {
+  const { game } = await startGame(t, FAST_PLAY)
+  await game.join("poker-pro")
+  const settled = []
+  game.on("gameResult", ({ gameId }) => settled.push(gameId))
+
+  const results = await game.playAll(shove, { pollMs: 10, discoverMs: 20, maxPollsPerSecond: 100 })
+
+  assert.equal(results.size, 2)
+  for (const [gameId, result] of results) {
+    assert.equal(result.gameId, gameId)
+    assert.equal(result.error, null)
+    assert.equal(result.state.isFinished, true)
+  }
+  assert.deepEqual(new Set(settled), new Set(results.keys()))
+})
+
+test("a failing game is recorded without stopping the others", async () => {
+  const fake = fakeGames({ g1: { polls: 3 }, g2: { status: 400 } })
+  const game = new GameClient({ apiUrl: "http://clabcraw.invalid", privateKey: KEY_A, fetch: fake.fetch })
+
+  const results = await game.playAll(shove, { pollMs: 1, discoverMs: 10, maxPollsPerSecond: 200 })
+
+  assert.equal(results.get("g1").state.result, "win")
+  assert.equal(results.get("g2").state, null)
+  assert.equal(results.get("g2").error.code, "BAD_REQUEST")
+})
+
+test("concurrent games share one poll budget", async () => {
+  const fake = fakeGames({ g1: { polls: 3 }, g2: { polls: 3 }, g3: { polls: 3 } })
+  const game = new GameClient({ apiUrl: "http://clabcraw.invalid", privateKey: KEY_A, fetch: fake.fetch })
+
+  const results = await game.playAll(shove, { pollMs: 1, discoverMs: 1, maxPollsPerSecond: 25 })
+
+  assert.equal(results.size, 3)
+  const gaps = fake.requests.slice(1).map((r, i) => r.at - fake.requests[i].at)
+  assert.ok(gaps.every((gap) => gap >= 35), `request gaps ${gaps.join(", ")}ms`)
+})
+
+test("playAll returns straight away when nothing is queued or active", async (t) => {
+  const { url } = await startMock(t)
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  const results = await game.playAll(shove)
+
+  assert.equal(results.size, 0)
+})
+
+test("playAll gives up after matchTimeoutMs when getStatus keeps failing", async () => {
+  let calls = 0
+  const fetch = async () => {
+    calls++
+    return json(502, { error: "Bad gateway" })
+  }
+  const game = new GameClient({
+    apiUrl: "http://clabcraw.invalid",
+    privateKey: KEY_A,
+    fetch,
+    retry: { default: { maxAttempts: 1 } },
+    circuitBreaker: false,
+  })
+
+  const started = Date.now()
+  await assert.rejects(game.playAll(shove, { discoverMs: 10, matchTimeoutMs: 200 }), { code: "HTTP_ERROR", retriable: true })
+
+  assert.ok(Date.now() - started < 2_000)
+  assert.ok(calls > 1)
+})
@@ -0,0 +1,129 @@
+/**
+ * Tests for lib/session.js, GameClient.resume() and AgentRunner resuming.
+ *
+ * Covers: recording the queue, matches and progress, surviving a restart
+ * through the session file, syncing with getStatus(), a session for another
+ * wallet, and a restarted client or runner picking up a game or queue
+ * instead of joining again.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+
+import { SessionStore } from "../lib/session.js"
+import { GameClient } from "../lib/game.js"
+import { AgentRunner } from "../lib/runner.js"
+import { FAST_PLAY, KEY_A, ME, shove, startMock, tempPath } from "./helpers.js"
+
+const OTHER = "0x90F79bf6EB2c4f870365E785982E1f101E93b906"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A client over `path` that counts the joins it sends. */
+function clientFor(url, path) {
+  const client = new GameClient({ apiUrl: url, privateKey: KEY_A, session: new SessionStore({ path }) })
+  client.joins = 0
+  client.use({ onRequest: ({ path: p, attempt }) => { if (p.startsWith("/v1/games/join") && attempt === 0) client.joins++ } })
+  return client
+}
+
+// ─── SessionStore ─────────────────────────────────────────────────────────────
+
+test("records the queue, the match and each hand and street across restarts", (t) => {
+  const path = tempPath(t, "session.json")
+  let now = 1_000
+  const session = new SessionStore({ path, now: () => now })
+
+  session.recordQueued(ME, "poker")
+  assert.deepEqual(new SessionStore({ path }).queued, { gameType: "poker", queuedAt: 1_000 })
+
+  session.recordMatched(ME, "g1", "poker")
+  session.recordProgress(ME, "g1", { handNumber: 3, street: "turn" })
+  now = 2_000
+  session.recordProgress(ME, "g1", { handNumber: 3, street: "turn" })
+
+  const restarted = new SessionStore({ path })
+  assert.equal(restarted.wallet, ME)
+  assert.equal(restarted.queued, null)
+  assert.deepEqual(restarted.games, [{ gameId: "g1", gameType: "poker", handNumber: 3, street: "turn", updatedAt: 1_000 }])
+
+  restarted.recordFinished("g1")
+  assert.deepEqual(new SessionStore({ path }).games, [])
+  assert.equal(JSON.parse(readFileSync(path, "utf-8")).version, 1)
+})
+
+test("sync() follows getStatus(): finished games and stale queues are dropped", () => {
+  const session = new SessionStore()
+  session.recordMatched(ME, "g1", "poker")
+  session.recordQueued(ME, "poker-pro")
+
+  session.sync(ME, { status: "active", activeGames: [{ game_id: "g2", game_type: "poker-pro" }] })
+
+  assert.equal(session.queued, null)
+  assert.deepEqual(session.games.map((g) => [g.gameId, g.gameType]), [["g2", "poker-pro"]])
+
+  session.sync(ME, { status: "queued", activeGames: [] })
+  assert.deepEqual(session.games, [])
+  assert.equal(session.queued.gameType, null)
+})
+
+test("a session for another wallet starts fresh", () => {
+  const session = new SessionStore()
+  session.recordMatched(OTHER, "g1", "poker")
+
+  session.recordQueued(ME, "poker")
+
+  assert.equal(session.wallet, ME)
+  assert.deepEqual(session.games, [])
+})
+
+// ─── Resuming ─────────────────────────────────────────────────────────────────
+
+test("a restarted client resumes the game in progress instead of joining", async (t) => {
+  const { url } = await startMock(t, FAST_PLAY)
+  const path = tempPath(t, "session.json")
+
+  const crashed = clientFor(url, path)
+  await crashed.join("poker")
+  const gameId = await crashed.waitForMatch({ timeoutMs: 5_000, pollMs: 10 })
+  for await (const state of crashed.states(gameId, { pollMs: 10 })) {
+    if (state.handNumber >= 1) break // the process dies mid-game
+  }
+
+  const restarted = clientFor(url, path)
+  const resumed = await restarted.resume()
+
+  assert.equal(resumed.status, "active")
+  assert.equal(resumed.queued, false)
+  assert.equal(resumed.games.length, 1)
+  assert.equal(resumed.games[0].gameId, gameId)
+  assert.equal(resumed.games[0].gameType, "poker")
+  assert.equal(resumed.games[0].handNumber, 1)
+  assert.ok(resumed.games[0].street)
+
+  const final = await restarted.playUntilDone(gameId, shove, { pollMs: 10 })
+  assert.equal(final.isFinished, true)
+  assert.equal(crashed.joins + restarted.joins, 1)
+  assert.deepEqual(new SessionStore({ path }).games, [])
+})
+
+test("AgentRunner waits on a queue left by a previous process instead of joining", async (t) => {
+  const { url } = await startMock(t, { ...FAST_PLAY, matchDelayMs: 100 })
+  const path = tempPath(t, "session.json")
+
+  const crashed = clientFor(url, path)
+  await crashed.join("poker")
+  assert.equal((await crashed.resume()).queued, true)
+
+  const restarted = clientFor(url, path)
+  const runner = new AgentRunner(restarted, shove, { matchPollMs: 10, play: { pollMs: 10 }, stopAfter: { games: 1 } })
+  const events = []
+  for (const name of ["resumed", "joined", "matched", "gameCompleted"]) runner.on(name, (e) => events.push([name, e]))
+
+  await runner.run()
+
+  assert.deepEqual(events.map(([name]) => name), ["resumed", "matched", "gameCompleted"])
+  assert.deepEqual(events[0][1], { gameId: null, gameType: "poker", handNumber: null, street: null })
+  assert.equal(restarted.joins, 0)
+})
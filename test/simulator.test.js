@@ -0,0 +1,109 @@
+/**
+ * Tests for lib/simulator.js
+ *
+ * Covers: seeded reproducibility, A/B mirror symmetry, interval sanity,
+ * rules from platform info (hand cap), and how strategy misses are handled.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { simulate, playMatch, createRng } from "../lib/simulator.js"
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const checkCall = (state) => (state.actions.check.available ? { action: "check" } : { action: "call" })
+const shove = (state) => (state.actions.all_in.available ? { action: "all_in" } : { action: "call" })
+
+const SHORT = { starting_stacks: 500, starting_blinds: { small: 25, big: 50 }, hand_cap: 20 }
+
+// ─── createRng ────────────────────────────────────────────────────────────────
+
+test("createRng: same seed → same sequence, values in [0, 1)", () => {
+  const a = createRng(7)
+  const b = createRng(7)
+  for (let i = 0; i < 100; i++) {
+    const v = a()
+    assert.equal(v, b())
+    assert.ok(v >= 0 && v < 1)
+  }
+})
+
+// ─── playMatch ────────────────────────────────────────────────────────────────
+
+test("playMatch: strategies receive normalized state for their own seat", async () => {
+  const seen = []
+  const spy = (state) => {
+    seen.push(state)
+    return checkCall(state)
+  }
+  await playMatch(spy, checkCall, { rules: SHORT, rng: createRng(1) })
+
+  assert.ok(seen.length > 0)
+  for (const state of seen) {
+    assert.equal(state.isYourTurn, true)
+    assert.equal(state.hole.length, 2)
+    assert.ok("available" in state.actions.fold)
+  }
+})
+
+test("playMatch: hand cap from rules ends the game", async () => {
+  const game = await playMatch(checkCall, checkCall, { rules: { ...SHORT, starting_stacks: 100_000, hand_cap: 3 }, rng: createRng(3) })
+  assert.equal(game.hands, 3)
+  assert.ok(["hand_cap", "draw"].includes(game.outcome))
+  assert.equal(game.handNets.length, 3)
+})
+
+test("playMatch: illegal actions and throws fall back and are counted", async () => {
+  const broken = () => ({ action: "raise", amount: -1 })
+  const throws = () => {
+    throw new Error("boom")
+  }
+  const game = await playMatch(broken, throws, { rules: SHORT, rng: createRng(2) })
+  assert.ok(game.invalid[0] > 0)
+  assert.ok(game.errors[1] > 0)
+})
+
+test("playMatch: returning nothing is a timeout and forfeits after the limit", async () => {
+  const game = await playMatch(() => null, checkCall, { rules: SHORT, rng: createRng(4) })
+  assert.equal(game.outcome, "timeout")
+  assert.equal(game.winner, 1)
+  assert.equal(game.timeouts[0], 3)
+})
+
+// ─── simulate ─────────────────────────────────────────────────────────────────
+
+test("simulate: same seed reproduces the same report", async () => {
+  const r1 = await simulate(shove, checkCall, { games: 50, rules: SHORT, seed: 99 })
+  const r2 = await simulate(shove, checkCall, { games: 50, rules: SHORT, seed: 99 })
+  assert.deepEqual(r1, r2)
+})
+
+test("simulate: B's report mirrors A's", async () => {
+  const r = await simulate(shove, checkCall, { games: 100, rules: SHORT, seed: 5 })
+  assert.equal(r.a.wins + r.a.draws + r.a.losses, 100)
+  assert.equal(r.a.wins, r.b.losses)
+  assert.equal(r.a.chipsPerGame.mean, -r.b.chipsPerGame.mean)
+  assert.equal(Object.values(r.outcomes).reduce((s, n) => s + n, 0), 100)
+})
+
+test("simulate: intervals bracket the point estimate", async () => {
+  const r = await simulate(shove, checkCall, { games: 200, rules: SHORT, seed: 11 })
+  const { winRate, chipsPerGame, chipsPerHand } = r.a
+  assert.ok(winRate.low <= winRate.rate && winRate.rate <= winRate.high)
+  assert.ok(chipsPerGame.low <= chipsPerGame.mean && chipsPerGame.mean <= chipsPerGame.high)
+  assert.ok(chipsPerHand.low <= chipsPerHand.mean && chipsPerHand.mean <= chipsPerHand.high)
+  assert.equal(chipsPerHand.n, r.hands)
+})
+
+test("simulate: a strategy against itself is close to even", async () => {
+  const r = await simulate(shove, shove, { games: 400, rules: SHORT, seed: 21 })
+  assert.ok(r.a.winRate.low < 0.5 && r.a.winRate.high > 0.5, `win rate CI should contain 0.5: ${JSON.stringify(r.a.winRate)}`)
+})
+
+test("simulate: higher confidence widens the interval", async () => {
+  const narrow = await simulate(shove, checkCall, { games: 100, rules: SHORT, seed: 8, confidence: 0.9 })
+  const wide = await simulate(shove, checkCall, { games: 100, rules: SHORT, seed: 8, confidence: 0.99 })
+  const width = (r) => r.a.winRate.high - r.a.winRate.low
+  assert.ok(width(wide) > width(narrow))
+})
@@ -0,0 +1,128 @@
+/**
+ * Tests for the playUntilDone() move-deadline watchdog.
+ *
+ * Covers: fallback submission for a slow handler, a budget that counts time
+ * spent before the handler started, custom fallbacks, timeout
+ * counting with the forfeit-risk event, and RTT measurement.
+ */
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { GameClient } from "../lib/game.js"
+import { FAST_PLAY, KEY_A, recordEvents, shove, sleep, startGame, startMock } from "./helpers.js"
+
+// Short move timeout so deadlines arrive quickly; the house bot answers instantly
+const SHORT_CLOCK = { ...FAST_PLAY, moveTimeoutMs: 600 }
+
+// ─── Watchdog ─────────────────────────────────────────────────────────────────
+
+test("slow handler → watchdog submits check/fold before the deadline", async (t) => {
+  const { mock, game, gameId } = await startGame(t, SHORT_CLOCK)
+  const events = recordEvents(game, ["watchdogFired", "moveTimedOut"])
+
+  let slowTurns = 0
+  const final = await game.playUntilDone(gameId, async (state) => {
+    if (state.isYourTurn && slowTurns < 2) {
+      slowTurns++
+      await sleep(2_000)
+      return { action: "all_in" }
+    }
+    return shove(state)
+  }, { pollMs: 10, safetyMarginMs: 150 })
+
+  assert.equal(final.isFinished, true)
+  const fired = events.filter(([name]) => name === "watchdogFired")
+  assert.equal(fired.length, 2)
+  assert.ok(["check", "fold"].includes(fired[0][1].action.action))
+  assert.ok(fired[0][1].budgetMs < 600)
+  assert.equal(events.filter(([name]) => name === "moveTimedOut").length, 0)
+  assert.notEqual(mock.getMatch(gameId).engine.result.outcome, "timeout")
+})
+
+test("time between reading the state and calling the handler comes out of the budget", async (t) => {
+  const { mock, game, gameId } = await startGame(t, SHORT_CLOCK)
+  const fired = recordEvents(game, ["watchdogFired"])
+
+  // A slow synchronous listener holds up the handler after the state was read
+  let stalls = 1
+  game.on("yourTurn", () => {
+    if (stalls-- > 0) Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 350)
+  })
+
+  let slow = true
+  const final = await game.playUntilDone(gameId, async (state) => {
+    if (state.isYourTurn && slow) {
+      slow = false
+      await sleep(2_000)
+    }
+    return shove(state)
+  }, { pollMs: 10, safetyMarginMs: 150 })
+
+  assert.equal(final.isFinished, true)
+  assert.equal(fired.length, 1)
+  assert.ok(fired[0][1].budgetMs < 600 - 350, `budget ${fired[0][1].budgetMs}ms`)
+  assert.notEqual(mock.getMatch(gameId).engine.result.outcome, "timeout")
+})
+
+test("custom fallback action is used", async (t) => {
+  const { game, gameId } = await startGame(t, SHORT_CLOCK)
+  const fallbacks = []
+  game.on("watchdogFired", ({ action }) => fallbacks.push(action))
+
+  let slow = true
+  await game.playUntilDone(gameId, async (state) => {
+    if (state.isYourTurn && slow) {
+      slow = false
+      await sleep(2_000)
+    }
+    return shove(state)
+  }, { pollMs: 10, safetyMarginMs: 150, fallback: (state) => ({ action: state.actions.call.available ? "call" : "check" }) })
+
+  assert.equal(fallbacks.length, 1)
+  assert.ok(["call", "check"].includes(fallbacks[0].action))
+})
+
+test("late handler errors are swallowed once the watchdog has fired", async (t) => {
+  const { game, gameId } = await startGame(t, SHORT_CLOCK)
+  let failed = false
+
+  const final = await game.playUntilDone(gameId, async (state) => {
+    if (state.isYourTurn && !failed) {
+      failed = true
+      await sleep(1_000)
+      throw new Error("too late to matter")
+    }
+    return shove(state)
+  }, { pollMs: 10, safetyMarginMs: 150 })
+
+  assert.equal(final.isFinished, true)
+})
+
+// ─── Timeout tracking ─────────────────────────────────────────────────────────
+
+test("unanswered turns count as timeouts and warn before the forfeit", async (t) => {
+  const { game, gameId } = await startGame(t, SHORT_CLOCK)
+  const events = recordEvents(game, ["moveTimedOut", "forfeitRisk"])
+  const counts = []
+  game.on("moveTimedOut", () => counts.push(game.consecutiveTimeouts(gameId)))
+
+  const final = await game.playUntilDone(gameId, async () => null, { pollMs: 20 })
+
+  assert.equal(final.result, "loss")
+  assert.equal(final.outcome, "timeout")
+  assert.deepEqual(counts, [1, 2, 3])
+
+  const risk = events.filter(([name]) => name === "forfeitRisk")
+  assert.equal(risk.length, 1)
+  assert.deepEqual(risk[0][1], { gameId, consecutiveTimeouts: 2, limit: 3 })
+  assert.equal(game.consecutiveTimeouts(gameId), 0, "count is dropped once the game ends")
+})
+
+test("rttMs starts at a conservative default and tracks requests", async (t) => {
+  const { url } = await startMock(t)
+  const game = new GameClient({ apiUrl: url, privateKey: KEY_A })
+  assert.equal(game.rttMs, 250)
+  await game.getStatus()
+  assert.ok(game.rttMs < 250)
+})